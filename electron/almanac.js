@@ -0,0 +1,394 @@
+/**
+ * The Gloaming - Almanac
+ *
+ * A year in review, built from the ledgers:
+ *
+ *   totals       hours, listens, days listened and the longest daily streak
+ *   top lists    records, artists and tracks
+ *   stuck        records added that year still being played a month later
+ *   facets       where the listening went, by facet
+ *   unplayed     records in the library that went the whole year unheard
+ *
+ * renderAlmanacHtml turns it into one self-contained page - covers are
+ * embedded from the attachments folder - that can be saved as is or printed
+ * to PDF.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  getLibraryPaths,
+  loadLibraryConfig,
+  readTrackMetadata,
+  listCollections
+} = require('./library');
+
+const TOP_COUNT = 10;
+const UNPLAYED_SHOWN = 30;
+const NO_LIMIT = 1e9;
+
+// A new record "stuck" if it was still played this long after joining,
+// in at least STUCK_WEEKS different weeks
+const STUCK_AFTER_DAYS = 30;
+const STUCK_WEEKS = 3;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function formatDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// A record's cover thumbnail as a data URL, so the page needs nothing else
+function readCoverThumbnail(paths, attachmentId) {
+  if (!attachmentId) return null;
+  const folder = path.join(paths.attachments, `${attachmentId}.info`);
+  for (const name of ['thumbnail.jpg', 'thumbnail-small.jpg']) {
+    const thumbPath = path.join(folder, name);
+    if (fs.existsSync(thumbPath)) {
+      return `data:image/jpeg;base64,${fs.readFileSync(thumbPath).toString('base64')}`;
+    }
+  }
+  return null;
+}
+
+// Longest run of consecutive days with any listening
+function findLongestStreak(days) {
+  let best = { days: 0, from: null, to: null };
+  let runStart = null;
+  days.forEach((day, index) => {
+    if (day.total_seconds === 0) {
+      runStart = null;
+      return;
+    }
+    if (runStart === null) runStart = index;
+    const length = index - runStart + 1;
+    if (length > best.days) best = { days: length, from: days[runStart].bucket, to: day.bucket };
+  });
+  return best;
+}
+
+/**
+ * Years with any listening, newest first
+ */
+function listAlmanacYears(ledgers) {
+  const years = new Set(
+    ledgers.getTimeSeries({ bucket: 'month' })
+      .filter(month => month.total_seconds > 0)
+      .map(month => Number(month.bucket.slice(0, 4)))
+  );
+  years.add(new Date().getFullYear());
+  return [...years].sort((a, b) => b - a);
+}
+
+/**
+ * Gather a year's almanac
+ * @param {Object} deps - { ledgers, facetIndex }
+ * @returns {Object} everything renderAlmanacHtml shows
+ */
+function buildAlmanac(libraryPath, year, { ledgers, facetIndex }) {
+  year = Number(year);
+  const period = String(year);
+  const range = ledgers.getPeriodRange(period);
+  const paths = getLibraryPaths(libraryPath);
+  const config = loadLibraryConfig(libraryPath);
+
+  const records = new Map(listCollections(libraryPath, 'album').map(record => [record.id, record]));
+  const trackCache = new Map();
+  const getTrack = (trackId) => {
+    if (!trackCache.has(trackId)) {
+      trackCache.set(trackId, readTrackMetadata(path.join(paths.tracks, `${trackId}.info`)));
+    }
+    return trackCache.get(trackId);
+  };
+  const describeRecord = (record) => ({
+    id: record.id,
+    title: record.name || 'Unknown Album',
+    artist: record.artist || 'Unknown Artist',
+    cover: readCoverThumbnail(paths, record.cover)
+  });
+
+  // Totals, days and streaks
+  const stats = ledgers.getOverallStats({ period });
+  const days = ledgers.getTimeSeries({ bucket: 'day', period });
+  const months = ledgers.getTimeSeries({ bucket: 'month', period });
+  const busiestDay = days.reduce((best, day) => (day.total_seconds > (best?.total_seconds || 0) ? day : best), null);
+
+  // Top lists - only what's still in the library and not kept out of the ledgers
+  const yearTracks = ledgers.getTopTracks({ period, limit: NO_LIMIT, sortBy: 'time' });
+  const topTracks = yearTracks
+    .filter(row => {
+      const track = getTrack(row.track_id);
+      return track && track.includeInLedgers !== false;
+    })
+    .slice(0, TOP_COUNT)
+    .map(row => {
+      const track = getTrack(row.track_id);
+      return {
+        id: row.track_id,
+        title: track.title || 'Unknown Track',
+        artist: track.trackArtist || track.albumArtist || row.artist || 'Unknown Artist',
+        album: records.get(track.albumId)?.name || track.album || null,
+        total_seconds: row.total_seconds,
+        listen_count: row.listen_count
+      };
+    });
+
+  const yearRecords = ledgers.getTopAlbums({ period, limit: NO_LIMIT, sortBy: 'time' });
+  const topRecords = yearRecords
+    .filter(row => records.has(row.album_id))
+    .slice(0, TOP_COUNT)
+    .map(row => ({
+      ...describeRecord(records.get(row.album_id)),
+      total_seconds: row.total_seconds,
+      listen_count: row.listen_count
+    }));
+
+  const topArtists = ledgers.getTopArtists({ period, limit: TOP_COUNT, sortBy: 'time' }).map(row => ({
+    artist: row.artist,
+    total_seconds: row.total_seconds,
+    unique_tracks: row.unique_tracks,
+    unique_albums: row.unique_albums
+  }));
+
+  // New records that stuck
+  const stuck = [];
+  for (const record of records.values()) {
+    const added = new Date(record.createdAt || record.addedAt || NaN);
+    if (isNaN(added) || added.getFullYear() !== year) continue;
+
+    const later = new Date(added.getFullYear(), added.getMonth(), added.getDate() + STUCK_AFTER_DAYS);
+    const weeks = ledgers.getTimeSeries({
+      bucket: 'week',
+      period: { from: formatDay(added), to: `${year}-12-31` },
+      filter: { albumId: record.id }
+    });
+    const weeksPlayed = weeks.filter(week => week.total_seconds > 0).length;
+    const playedLater = ledgers.getTimeSeries({
+      bucket: 'month',
+      period: { from: formatDay(later) },
+      filter: { albumId: record.id }
+    }).some(month => month.total_seconds > 0);
+    if (weeksPlayed < STUCK_WEEKS || !playedLater) continue;
+
+    stuck.push({
+      ...describeRecord(record),
+      addedAt: added.toISOString(),
+      weeks_played: weeksPlayed,
+      total_seconds: weeks.reduce((sum, week) => sum + week.total_seconds, 0)
+    });
+  }
+  stuck.sort((a, b) => b.total_seconds - a.total_seconds);
+
+  // Facets, by the listening their tracks got
+  const topFacets = ledgers.getTopFacets({
+    period,
+    limit: TOP_COUNT,
+    facetsForTrack: (trackId) => facetIndex.getFacetsForTrack(trackId)
+  });
+
+  // Records already in the library by year end that nobody played
+  const played = new Set(yearRecords.map(row => row.album_id));
+  const unplayed = [...records.values()]
+    .filter(record => {
+      const added = new Date(record.createdAt || record.addedAt || 0);
+      return !played.has(record.id) && added.getTime() / 1000 < range.end;
+    })
+    .sort((a, b) => `${a.artist} ${a.name}`.localeCompare(`${b.artist} ${b.name}`));
+
+  return {
+    year,
+    libraryName: config?.name || null,
+    generatedAt: new Date().toISOString(),
+    totals: {
+      total_seconds: stats.total_seconds || 0,
+      total_listens: stats.total_listens || 0,
+      unique_tracks: stats.unique_tracks || 0,
+      unique_albums: stats.unique_albums || 0,
+      unique_artists: stats.unique_artists || 0,
+      days_listened: days.filter(day => day.total_seconds > 0).length
+    },
+    longestStreak: findLongestStreak(days),
+    busiestDay: busiestDay ? { day: busiestDay.bucket, total_seconds: busiestDay.total_seconds } : null,
+    months: MONTH_NAMES.map((name, index) => ({
+      month: name,
+      total_seconds: months.find(m => m.bucket === `${year}-${String(index + 1).padStart(2, '0')}`)?.total_seconds || 0
+    })),
+    topRecords,
+    topArtists,
+    topTracks,
+    newRecordsThatStuck: stuck.slice(0, TOP_COUNT),
+    topFacets,
+    unplayed: {
+      count: unplayed.length,
+      records: unplayed.slice(0, UNPLAYED_SHOWN).map(record => ({
+        id: record.id,
+        title: record.name || 'Unknown Album',
+        artist: record.artist || 'Unknown Artist'
+      }))
+    }
+  };
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatHours(seconds) {
+  const hours = seconds / 3600;
+  return hours >= 10 ? `${Math.round(hours)} h` : `${hours.toFixed(1)} h`;
+}
+
+function formatDate(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return `${date} ${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+const ALMANAC_CSS = `
+  @page { size: A4; margin: 16mm; }
+  * { box-sizing: border-box; }
+  body {
+    margin: 0 auto;
+    max-width: 820px;
+    padding: 32px 24px;
+    font-family: Baskerville, 'Libre Baskerville', Georgia, serif;
+    color: #2b2118;
+    background: #f6f0e4;
+    -webkit-print-color-adjust: exact;
+    print-color-adjust: exact;
+  }
+  header { border-bottom: 2px solid #2b2118; margin-bottom: 24px; padding-bottom: 12px; }
+  header .library { font-size: 13px; letter-spacing: 0.15em; text-transform: uppercase; color: #8b7355; }
+  h1 { margin: 4px 0 0; font-size: 40px; font-weight: 400; }
+  h2 { margin: 0 0 10px; font-size: 13px; font-weight: 400; letter-spacing: 0.15em; text-transform: uppercase; color: #8b7355; }
+  section { margin-bottom: 28px; break-inside: avoid; }
+  .totals { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; }
+  .total { padding: 10px 0; border-top: 1px solid #d8cbb3; }
+  .total .value { font-size: 26px; }
+  .total .label { font-size: 11px; color: #8b7355; }
+  .months { display: flex; align-items: flex-end; gap: 6px; height: 110px; }
+  .month { flex: 1; display: flex; flex-direction: column; justify-content: flex-end; height: 100%; text-align: center; font-size: 10px; color: #8b7355; }
+  .month .bar { background: #b8740d; border-radius: 2px 2px 0 0; min-height: 1px; margin-bottom: 4px; }
+  .records { display: grid; grid-template-columns: repeat(5, 1fr); gap: 14px; }
+  .record { font-size: 12px; break-inside: avoid; }
+  .record .cover { width: 100%; aspect-ratio: 1; object-fit: cover; display: block; background: #e4d8c2; border-radius: 2px; margin-bottom: 6px; }
+  .record .title { font-weight: bold; }
+  .record .meta { color: #8b7355; font-size: 11px; }
+  ol, ul { margin: 0; padding-left: 22px; }
+  li { padding: 3px 0; font-size: 13px; }
+  li .meta { color: #8b7355; font-size: 11px; margin-left: 6px; }
+  .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 28px; }
+  .unplayed li { font-size: 12px; }
+  .note { font-size: 12px; color: #8b7355; }
+  footer { margin-top: 32px; border-top: 1px solid #d8cbb3; padding-top: 8px; font-size: 11px; color: #8b7355; }
+`;
+
+function renderRecordGrid(records, describe) {
+  return `<div class="records">${records.map(record => `
+    <div class="record">
+      ${record.cover ? `<img class="cover" src="${record.cover}" alt="">` : '<div class="cover"></div>'}
+      <div class="title">${escapeHtml(record.title)}</div>
+      <div>${escapeHtml(record.artist)}</div>
+      <div class="meta">${describe(record)}</div>
+    </div>`).join('')}
+  </div>`;
+}
+
+/**
+ * The almanac as one static HTML page (also what gets printed to PDF)
+ */
+function renderAlmanacHtml(almanac) {
+  const { totals } = almanac;
+  const maxMonth = Math.max(1, ...almanac.months.map(m => m.total_seconds));
+  const streak = almanac.longestStreak;
+
+  const sections = [];
+
+  sections.push(`<section class="totals">
+    <div class="total"><div class="value">${formatHours(totals.total_seconds)}</div><div class="label">listened</div></div>
+    <div class="total"><div class="value">${totals.total_listens}</div><div class="label">listens</div></div>
+    <div class="total"><div class="value">${totals.days_listened}</div><div class="label">days with music</div></div>
+    <div class="total"><div class="value">${streak.days}</div><div class="label">days longest streak${streak.days > 1 ? `<br>${formatDate(streak.from)} - ${formatDate(streak.to)}` : ''}</div></div>
+    <div class="total"><div class="value">${totals.unique_albums}</div><div class="label">records</div></div>
+    <div class="total"><div class="value">${totals.unique_artists}</div><div class="label">artists</div></div>
+    <div class="total"><div class="value">${totals.unique_tracks}</div><div class="label">tracks</div></div>
+    <div class="total"><div class="value">${almanac.busiestDay ? formatHours(almanac.busiestDay.total_seconds) : '-'}</div><div class="label">busiest day${almanac.busiestDay ? `<br>${formatDate(almanac.busiestDay.day)}` : ''}</div></div>
+  </section>`);
+
+  sections.push(`<section>
+    <h2>Month by month</h2>
+    <div class="months">${almanac.months.map(m => `
+      <div class="month" title="${formatHours(m.total_seconds)}">
+        <div class="bar" style="height: ${(m.total_seconds / maxMonth) * 85}%"></div>${m.month}
+      </div>`).join('')}
+    </div>
+  </section>`);
+
+  if (almanac.topRecords.length > 0) {
+    sections.push(`<section>
+      <h2>Records of the year</h2>
+      ${renderRecordGrid(almanac.topRecords, record => `${formatHours(record.total_seconds)} · ${record.listen_count} listens`)}
+    </section>`);
+  }
+
+  sections.push(`<section class="columns">
+    <div>
+      <h2>Artists</h2>
+      <ol>${almanac.topArtists.map(a => `<li>${escapeHtml(a.artist)}<span class="meta">${formatHours(a.total_seconds)}</span></li>`).join('')}</ol>
+    </div>
+    <div>
+      <h2>Tracks</h2>
+      <ol>${almanac.topTracks.map(t => `<li>${escapeHtml(t.title)} - ${escapeHtml(t.artist)}<span class="meta">${t.listen_count} listens</span></li>`).join('')}</ol>
+    </div>
+  </section>`);
+
+  if (almanac.newRecordsThatStuck.length > 0) {
+    sections.push(`<section>
+      <h2>New this year, and it stuck</h2>
+      ${renderRecordGrid(almanac.newRecordsThatStuck, record => `added ${formatDate(formatDay(new Date(record.addedAt)))} · ${record.weeks_played} weeks`)}
+    </section>`);
+  }
+
+  if (almanac.topFacets.length > 0) {
+    sections.push(`<section>
+      <h2>Facets</h2>
+      <ol>${almanac.topFacets.map(f => `<li>${escapeHtml(f.facet)}<span class="meta">${formatHours(f.total_seconds)}</span></li>`).join('')}</ol>
+    </section>`);
+  }
+
+  if (almanac.unplayed.count > 0) {
+    const more = almanac.unplayed.count - almanac.unplayed.records.length;
+    sections.push(`<section class="unplayed">
+      <h2>Unplayed all year (${almanac.unplayed.count})</h2>
+      <ul>${almanac.unplayed.records.map(r => `<li>${escapeHtml(r.title)}<span class="meta">${escapeHtml(r.artist)}</span></li>`).join('')}</ul>
+      ${more > 0 ? `<p class="note">and ${more} more</p>` : ''}
+    </section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Almanac ${almanac.year}${almanac.libraryName ? ` - ${escapeHtml(almanac.libraryName)}` : ''}</title>
+<style>${ALMANAC_CSS}</style>
+</head>
+<body>
+<header>
+  ${almanac.libraryName ? `<div class="library">${escapeHtml(almanac.libraryName)}</div>` : ''}
+  <h1>Almanac ${almanac.year}</h1>
+</header>
+${sections.join('\n')}
+<footer>Made by The Gloaming on ${formatDate(formatDay(new Date(almanac.generatedAt)))}</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  listAlmanacYears,
+  buildAlmanac,
+  renderAlmanacHtml
+};
@@ -145,16 +145,17 @@ class AudioBridge extends EventEmitter {
 
   /**
    * Load a track (does not auto-play)
+   * A span ({ start, end } in seconds) plays part of the file as the whole track.
    */
-  load(id, audioPath) {
-    return this.send({ cmd: 'load', id, path: audioPath });
+  load(id, audioPath, span = {}) {
+    return this.send({ cmd: 'load', id, path: audioPath, start: span.start, end: span.end });
   }
 
   /**
    * Preload next track for gapless transition
    */
-  preload(id, audioPath) {
-    return this.send({ cmd: 'preload', id, path: audioPath });
+  preload(id, audioPath, span = {}) {
+    return this.send({ cmd: 'preload', id, path: audioPath, start: span.start, end: span.end });
   }
 
   /**
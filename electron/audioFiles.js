@@ -0,0 +1,339 @@
+/**
+ * The Gloaming - Audio Files
+ *
+ * Finding audio files on disk and reading their tags. Kept free of the
+ * library and image code so the import workers (importWorker.js) can load it.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const mm = require('music-metadata');
+const { readCueSheet } = require('./cueSheet');
+
+// Supported formats
+const AUDIO_EXTENSIONS = ['.m4a', '.flac', '.mp3', '.wav', '.aiff', '.aac', '.ogg', '.wma'];
+
+// Formats the player can't decode - converted to FLAC as they're copied in
+const CONVERTED_EXTENSIONS = ['.ape'];
+
+// Everything an import picks up
+const IMPORT_EXTENSIONS = [...AUDIO_EXTENSIONS, ...CONVERTED_EXTENSIONS];
+
+function needsConversion(filePath) {
+  return CONVERTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Name a file goes by in the library - converted ones become .flac
+ */
+function getLibraryFilename(filename) {
+  return needsConversion(filename)
+    ? `${path.basename(filename, path.extname(filename))}.flac`
+    : filename;
+}
+
+/**
+ * Extract metadata from audio file using music-metadata
+ */
+async function extractAudioMetadata(filePath) {
+  try {
+    const metadata = await mm.parseFile(filePath);
+    const { format, common } = metadata;
+
+    return {
+      // From embedded tags
+      title: common.title || null,
+      artist: common.artist || null,
+      albumArtist: common.albumartist || null,
+      album: common.album || null,
+      trackNumber: common.track?.no || null,
+      trackTotal: common.track?.of || null,
+      discNumber: common.disk?.no || null,
+      discTotal: common.disk?.of || null,
+      year: common.year || null,
+      date: common.date || null,
+      originalDate: common.originaldate || (common.originalyear ? String(common.originalyear) : null),
+      genre: common.genre?.[0] || null,
+      genres: common.genre || [],
+      comment: common.comment?.join('\n') || null,
+
+      // Credits
+      composer: common.composer?.join('; ') || null,
+      conductor: common.conductor?.join('; ') || null,
+      performers: common['performer:instrument'] || [], // "Name (instrument)"
+
+      // Release and identifiers
+      label: common.label?.join('; ') || null,
+      catalogNumber: common.catalognumber?.join('; ') || null,
+      barcode: common.barcode || null,
+      isrc: common.isrc?.[0] || null,
+      musicbrainzTrackId: common.musicbrainz_recordingid || null,
+      musicbrainzArtistId: common.musicbrainz_artistid?.join('; ') || null,
+      musicbrainzAlbumId: common.musicbrainz_albumid || null,
+      musicbrainzAlbumArtistId: common.musicbrainz_albumartistid?.join('; ') || null,
+
+      // Audio properties
+      duration: format.duration || null,
+      bitrate: format.bitrate || null,
+      sampleRate: format.sampleRate || null,
+      bitDepth: format.bitsPerSample || null,
+      channels: format.numberOfChannels || null,
+      codec: format.codec || null,
+      lossless: format.lossless || false,
+
+      // Has embedded picture?
+      hasPicture: common.picture && common.picture.length > 0
+    };
+  } catch (err) {
+    console.error('Error extracting metadata from:', filePath, err.message);
+    return null;
+  }
+}
+
+/**
+ * Extract embedded cover art from audio file
+ * Returns { data: Buffer, format: string } or null
+ */
+async function extractEmbeddedCover(filePath) {
+  try {
+    const metadata = await mm.parseFile(filePath);
+    const pictures = metadata.common.picture;
+
+    if (pictures && pictures.length > 0) {
+      const pic = pictures[0];
+      return {
+        data: pic.data,
+        format: pic.format
+      };
+    }
+
+    return null;
+  } catch (err) {
+    console.error('Error extracting cover from:', filePath, err.message);
+    return null;
+  }
+}
+
+/**
+ * Virtual tracks from the CUE sheets in a folder
+ * FILE names are matched case-insensitively, falling back to the same name
+ * with another audio extension (sheets often still say .wav after encoding).
+ * Returns { tracks: [{ sourcePath, filename, ext, parentFolder, cue }], images: Set, unsupported }
+ * where images are the files the sheets split up, and unsupported the images
+ * they point at in formats that can't be imported ({ sourcePath, filename, error }).
+ */
+function scanCueSheets(dirPath, fileNames, cueNames = null) {
+  const tracks = [];
+  const images = new Set();
+  const unsupported = [];
+  const byLowerName = new Map(fileNames.map(name => [name.toLowerCase(), name]));
+
+  const resolveImage = (fileName) => {
+    const baseName = path.basename(fileName.replace(/\\/g, '/'));
+    const exact = byLowerName.get(baseName.toLowerCase());
+    if (exact && IMPORT_EXTENSIONS.includes(path.extname(exact).toLowerCase())) return exact;
+    const stem = path.basename(baseName, path.extname(baseName)).toLowerCase();
+    const ext = IMPORT_EXTENSIONS.find(e => byLowerName.has(stem + e));
+    return ext ? byLowerName.get(stem + ext) : null;
+  };
+
+  const sheets = cueNames || fileNames.filter(name => path.extname(name).toLowerCase() === '.cue');
+  for (const cueName of sheets) {
+    const cuePath = path.join(dirPath, cueName);
+    let sheet;
+    try {
+      sheet = readCueSheet(cuePath);
+    } catch (err) {
+      console.error('Error reading CUE sheet:', cuePath, err.message);
+      continue;
+    }
+
+    const sheetTracks = [];
+    const sheetImages = new Set();
+    for (const cueTrack of sheet.tracks) {
+      const imageName = resolveImage(cueTrack.file);
+      if (!imageName) {
+        const listed = byLowerName.get(path.basename(cueTrack.file.replace(/\\/g, '/')).toLowerCase());
+        if (listed) {
+          const format = path.extname(listed).slice(1).toUpperCase() || 'This';
+          unsupported.push({
+            sourcePath: path.join(dirPath, listed),
+            filename: listed,
+            error: `${format} disc images can't be imported`
+          });
+        } else {
+          console.warn(`CUE sheet ${cuePath}: no supported audio file for "${cueTrack.file}"`);
+        }
+        continue;
+      }
+      const imagePath = path.join(dirPath, imageName);
+      sheetImages.add(imagePath);
+      sheetTracks.push({
+        sourcePath: imagePath,
+        filename: imageName,
+        ext: path.extname(imageName).toLowerCase(),
+        parentFolder: path.basename(dirPath),
+        cue: {
+          sheet: cuePath,
+          start: cueTrack.start,
+          end: cueTrack.end,
+          trackNumber: cueTrack.number,
+          title: cueTrack.title,
+          performer: cueTrack.performer || sheet.performer,
+          isrc: cueTrack.isrc,
+          album: sheet.title,
+          albumArtist: sheet.performer,
+          disc: sheet.disc,
+          discTotal: sheet.totalDiscs,
+          catalog: sheet.catalog,
+          date: sheet.date,
+          genre: sheet.genre
+        }
+      });
+    }
+
+    // Rippers often leave a second sheet for the same image (EAC's noncompliant one)
+    if ([...sheetImages].some(imagePath => images.has(imagePath))) {
+      console.log('Skipping CUE sheet for an image already split:', cuePath);
+      continue;
+    }
+    sheetImages.forEach(imagePath => images.add(imagePath));
+    tracks.push(...sheetTracks);
+  }
+
+  return { tracks, images, unsupported };
+}
+
+/**
+ * Identifies one incoming track - a disc image holds several
+ */
+function getSourceKey(audioFile) {
+  return audioFile.cue ? `${audioFile.sourcePath}#${audioFile.cue.trackNumber}` : audioFile.sourcePath;
+}
+
+/**
+ * Scan input paths recursively for audio files
+ * Images with a CUE sheet become one entry per sheet track, each with a `cue`.
+ * Returns array of { sourcePath, filename, ext, parentFolder, cue? }
+ */
+function scanForAudioFiles(inputPaths) {
+  return scanForImport(inputPaths).audioFiles;
+}
+
+/**
+ * scanForAudioFiles, plus the files found that can't be imported
+ * @returns {{ audioFiles, unsupported: [{ sourcePath, filename, error }] }}
+ */
+function scanForImport(inputPaths) {
+  const results = [];
+  const unsupported = [];
+
+  const listFileNames = (dirPath) => {
+    try {
+      return fs.readdirSync(dirPath, { withFileTypes: true })
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+        .map(entry => entry.name);
+    } catch (err) {
+      return [];
+    }
+  };
+
+  const scanDir = (dirPath) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (err) {
+      console.error('Error reading directory:', dirPath, err.message);
+      return;
+    }
+
+    const fileNames = entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+    const cueSheets = scanCueSheets(dirPath, fileNames);
+    results.push(...cueSheets.tracks);
+    unsupported.push(...cueSheets.unsupported);
+
+    for (const entry of entries) {
+      // Skip hidden files and macOS resource forks
+      if (entry.name.startsWith('.') || entry.name.startsWith('._')) {
+        continue;
+      }
+
+      const fullPath = path.join(dirPath, entry.name);
+
+      if (entry.isDirectory()) {
+        // Recurse into all directories
+        scanDir(fullPath);
+      } else if (entry.isFile()) {
+        const ext = path.extname(entry.name).toLowerCase();
+        if (IMPORT_EXTENSIONS.includes(ext) && !cueSheets.images.has(fullPath)) {
+          results.push({
+            sourcePath: fullPath,
+            filename: entry.name,
+            ext,
+            parentFolder: path.basename(dirPath)
+          });
+        }
+      }
+    }
+  };
+
+  for (const inputPath of inputPaths) {
+    try {
+      const stats = fs.statSync(inputPath);
+      if (stats.isFile()) {
+        const ext = path.extname(inputPath).toLowerCase();
+        const dirPath = path.dirname(inputPath);
+        if (ext === '.cue') {
+          const cueSheets = scanCueSheets(dirPath, listFileNames(dirPath), [path.basename(inputPath)]);
+          results.push(...cueSheets.tracks);
+          unsupported.push(...cueSheets.unsupported);
+        } else if (IMPORT_EXTENSIONS.includes(ext)) {
+          // An image picked on its own is still split by a sheet next to it
+          const cueTracks = scanCueSheets(dirPath, listFileNames(dirPath)).tracks
+            .filter(track => track.sourcePath === inputPath);
+          if (cueTracks.length > 0) {
+            results.push(...cueTracks);
+          } else {
+            results.push({
+              sourcePath: inputPath,
+              filename: path.basename(inputPath),
+              ext,
+              parentFolder: path.basename(dirPath)
+            });
+          }
+        }
+      } else if (stats.isDirectory()) {
+        scanDir(inputPath);
+      }
+    } catch (err) {
+      console.error('Error accessing path:', inputPath, err.message);
+    }
+  }
+
+  // A sheet and its folder (or image) can both be in one drop
+  const seen = new Set();
+  const unique = (key) => {
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+  return {
+    audioFiles: results.filter(audioFile => unique(getSourceKey(audioFile))),
+    unsupported: unsupported.filter(file => unique(file.sourcePath))
+  };
+}
+
+module.exports = {
+  AUDIO_EXTENSIONS,
+  IMPORT_EXTENSIONS,
+  extractAudioMetadata,
+  extractEmbeddedCover,
+  getLibraryFilename,
+  getSourceKey,
+  needsConversion,
+  scanCueSheets,
+  scanForAudioFiles,
+  scanForImport
+};
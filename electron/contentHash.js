@@ -0,0 +1,309 @@
+/**
+ * The Gloaming - Content Hashes
+ *
+ * Hashes the audio payload of a file, leaving out tags and cover art,
+ * so a retagged copy of a track still matches the original.
+ *
+ * Payload per container:
+ *   FLAC      everything after the metadata blocks
+ *   MP3/AAC   everything between a leading ID3v2 and trailing APE/ID3v1 tags
+ *   MP4/M4A   the mdat boxes
+ *   WAV/AIFF  the data / SSND chunks
+ *   Ogg       the payloads of audio pages (header pages carry the tags)
+ * Anything else falls back to hashing the whole file.
+ *
+ * Hashes look like "sha256:<hex>".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getTrackAudioPath, readTrackMetadata, writeTrackMetadata } = require('./library');
+
+const HASH_PREFIX = 'sha256:';
+
+// Legacy tracks within this many seconds of an incoming file get hashed to compare
+const DURATION_TOLERANCE = 1.5;
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// ID3v2 tag length at `position`, including header and footer (0 if none)
+function id3v2Length(fd, position) {
+  const header = readBytes(fd, position, 10);
+  if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (header[6] << 21) | (header[7] << 14) | (header[8] << 7) | header[9];
+  const hasFooter = (header[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+}
+
+// Leading ID3v2 and trailing APEv2/ID3v1 tags (MP3, ADTS AAC)
+function getTaggedStreamRanges(fd, fileSize) {
+  let start = 0;
+  let skip;
+  while ((skip = id3v2Length(fd, start)) > 0 && start + skip < fileSize) {
+    start += skip;
+  }
+
+  let end = fileSize;
+  if (end - start >= 128 && readBytes(fd, end - 128, 3).toString('latin1') === 'TAG') {
+    end -= 128;
+  }
+  if (end - start >= 32) {
+    const footer = readBytes(fd, end - 32, 32);
+    if (footer.toString('latin1', 0, 8) === 'APETAGEX') {
+      const tagSize = footer.readUInt32LE(12);
+      const hasHeader = (footer.readUInt32LE(20) & 0x80000000) !== 0;
+      end = Math.max(start, end - tagSize - (hasHeader ? 32 : 0));
+    }
+  }
+
+  return [[start, end]];
+}
+
+function getFlacRanges(fd, fileSize) {
+  const start = id3v2Length(fd, 0);
+  if (readBytes(fd, start, 4).toString('latin1') !== 'fLaC') return null;
+
+  let position = start + 4;
+  while (position + 4 <= fileSize) {
+    const header = readBytes(fd, position, 4);
+    const isLast = (header[0] & 0x80) !== 0;
+    const length = (header[1] << 16) | (header[2] << 8) | header[3];
+    position += 4 + length;
+    if (isLast) return [[position, fileSize]];
+  }
+  return null;
+}
+
+function getMp4Ranges(fd, fileSize) {
+  const ranges = [];
+  let position = 0;
+
+  while (position + 8 <= fileSize) {
+    const header = readBytes(fd, position, 16);
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - position;
+    }
+    if (size < headerSize) break;
+
+    if (type === 'mdat') {
+      ranges.push([position + headerSize, Math.min(fileSize, position + size)]);
+    }
+    position += size;
+  }
+
+  return ranges.length > 0 ? ranges : null;
+}
+
+// RIFF (little-endian) and IFF (big-endian) chunk walkers
+function getChunkRanges(fd, fileSize, { littleEndian, audioChunk }) {
+  let position = 12;
+  while (position + 8 <= fileSize) {
+    const header = readBytes(fd, position, 8);
+    const id = header.toString('latin1', 0, 4);
+    const size = littleEndian ? header.readUInt32LE(4) : header.readUInt32BE(4);
+    if (id === audioChunk) {
+      return [[position + 8, Math.min(fileSize, position + 8 + size)]];
+    }
+    position += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+// Ogg pages with granule position 0 are stream headers (identification, comments, setup)
+function getOggRanges(fd, fileSize) {
+  const ranges = [];
+  let position = 0;
+
+  while (position + 27 <= fileSize) {
+    const header = readBytes(fd, position, 27);
+    if (header.toString('latin1', 0, 4) !== 'OggS') return null;
+
+    const granule = header.readBigInt64LE(6);
+    const segmentCount = header[26];
+    const segments = readBytes(fd, position + 27, segmentCount);
+    const payloadSize = segments.reduce((sum, n) => sum + n, 0);
+    const payloadStart = position + 27 + segmentCount;
+
+    if (granule !== 0n && payloadSize > 0) {
+      ranges.push([payloadStart, payloadStart + payloadSize]);
+    }
+    position = payloadStart + payloadSize;
+  }
+
+  return ranges.length > 0 ? ranges : null;
+}
+
+/**
+ * Byte ranges holding the audio payload, or [[0, size]] if the format isn't understood
+ */
+function getAudioPayloadRanges(filePath) {
+  const fileSize = fs.statSync(filePath).size;
+  const fd = fs.openSync(filePath, 'r');
+
+  try {
+    const magic = readBytes(fd, 0, 12);
+    const ext = path.extname(filePath).toLowerCase();
+    let ranges = null;
+
+    if (magic.toString('latin1', 0, 4) === 'fLaC' || ext === '.flac') {
+      ranges = getFlacRanges(fd, fileSize);
+    } else if (magic.toString('latin1', 4, 8) === 'ftyp') {
+      ranges = getMp4Ranges(fd, fileSize);
+    } else if (magic.toString('latin1', 0, 4) === 'RIFF' && magic.toString('latin1', 8, 12) === 'WAVE') {
+      ranges = getChunkRanges(fd, fileSize, { littleEndian: true, audioChunk: 'data' });
+    } else if (magic.toString('latin1', 0, 4) === 'FORM') {
+      ranges = getChunkRanges(fd, fileSize, { littleEndian: false, audioChunk: 'SSND' });
+    } else if (magic.toString('latin1', 0, 4) === 'OggS') {
+      ranges = getOggRanges(fd, fileSize);
+    } else if (['.mp3', '.aac'].includes(ext)) {
+      ranges = getTaggedStreamRanges(fd, fileSize);
+    }
+
+    return ranges || [[0, fileSize]];
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function hashRange(hash, filePath, [start, end]) {
+  if (end <= start) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    fs.createReadStream(filePath, { start, end: end - 1 })
+      .on('data', chunk => hash.update(chunk))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+}
+
+/**
+ * Hash the audio payload of a file
+ * @returns {Promise<string>} "sha256:<hex>"
+ */
+async function computeContentHash(filePath) {
+  const hash = crypto.createHash('sha256');
+  for (const range of getAudioPayloadRanges(filePath)) {
+    await hashRange(hash, filePath, range);
+  }
+  return HASH_PREFIX + hash.digest('hex');
+}
+
+/**
+ * Hash of one CUE sheet track: its disc image's hash narrowed to the
+ * track's span, so tracks of one image never match each other
+ * @param {number|null} end - null when the track runs to the end of the image
+ */
+function computeSegmentHash(imageHash, start, end) {
+  const hash = crypto.createHash('sha256').update(`${imageHash}@${start}-${end ?? 'end'}`);
+  return HASH_PREFIX + hash.digest('hex');
+}
+
+/**
+ * Build a content-hash index over the library's tracks
+ *
+ * Tracks imported before hashing have no contentHash; they're only hashed
+ * when an incoming file has about the same duration. Those hashes stay in
+ * memory until saveBackfilled() writes them to metadata.json (only a real
+ * import does, so a dry run writes nothing), and are never computed twice.
+ *
+ * @returns {{ findDuplicate: Function, add: Function, saveBackfilled: Function }}
+ */
+function buildHashIndex(libraryPath) {
+  const tracksPath = path.join(libraryPath, 'tracks');
+  const byHash = new Map();      // hash -> trackId
+  const unhashed = [];           // [{ trackId, folder, duration }]
+  const backfilled = [];         // [{ folder, contentHash }] not yet saved
+
+  if (fs.existsSync(tracksPath)) {
+    for (const folder of fs.readdirSync(tracksPath).filter(f => f.endsWith('.info'))) {
+      const metadataPath = path.join(tracksPath, folder, 'metadata.json');
+      if (!fs.existsSync(metadataPath)) continue;
+
+      try {
+        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+        const trackId = metadata.id || folder.replace('.info', '');
+        if (metadata.contentHash) {
+          if (!byHash.has(metadata.contentHash)) byHash.set(metadata.contentHash, trackId);
+        } else if (metadata.filename) {
+          unhashed.push({ trackId, folder: path.join(tracksPath, folder), duration: metadata.duration || 0 });
+        }
+      } catch (err) {
+        console.error(`[ContentHash] Error reading ${folder}:`, err.message);
+      }
+    }
+  }
+
+  async function hashLegacyTrack(entry) {
+    const metadata = readTrackMetadata(entry.folder);
+    if (!metadata) return null;
+    const audioPath = getTrackAudioPath(entry.folder, metadata);
+    if (!fs.existsSync(audioPath)) return null;
+
+    const fileHash = await computeContentHash(audioPath);
+    const contentHash = metadata.cue
+      ? computeSegmentHash(fileHash, metadata.cue.start, metadata.cue.end)
+      : fileHash;
+    backfilled.push({ folder: entry.folder, contentHash });
+    return contentHash;
+  }
+
+  return {
+    /**
+     * Existing track ID with this audio, or null
+     */
+    async findDuplicate(contentHash, duration) {
+      if (byHash.has(contentHash)) return byHash.get(contentHash);
+
+      const candidates = unhashed.filter(entry =>
+        !duration || !entry.duration || Math.abs(entry.duration - duration) <= DURATION_TOLERANCE
+      );
+      for (const entry of candidates) {
+        unhashed.splice(unhashed.indexOf(entry), 1);
+        try {
+          const hash = await hashLegacyTrack(entry);
+          if (hash && !byHash.has(hash)) byHash.set(hash, entry.trackId);
+        } catch (err) {
+          console.error(`[ContentHash] Could not hash ${entry.trackId}:`, err.message);
+        }
+      }
+
+      return byHash.get(contentHash) || null;
+    },
+
+    add(contentHash, trackId) {
+      if (contentHash && !byHash.has(contentHash)) byHash.set(contentHash, trackId);
+    },
+
+    /**
+     * Write the hashes computed for legacy tracks to their metadata
+     */
+    saveBackfilled() {
+      for (const { folder, contentHash } of backfilled.splice(0)) {
+        try {
+          const metadata = readTrackMetadata(folder);
+          if (metadata && !metadata.contentHash) writeTrackMetadata(folder, { ...metadata, contentHash });
+        } catch (err) {
+          console.error(`[ContentHash] Could not save hash to ${folder}:`, err.message);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  computeContentHash,
+  computeSegmentHash,
+  getAudioPayloadRanges,
+  buildHashIndex
+};
@@ -0,0 +1,163 @@
+/**
+ * The Gloaming - CUE Sheets
+ *
+ * A single-image rip is one FLAC/WAV of the whole disc plus a .cue file
+ * that says where each track starts. Import turns every TRACK into a
+ * virtual track: the image plus start/end offsets in seconds, which the
+ * players use to play just that span.
+ *
+ * Supported: TITLE, PERFORMER, CATALOG, ISRC, multiple FILE entries,
+ * INDEX 00/01, and the REM lines rippers write (DATE, GENRE, COMMENT,
+ * DISCNUMBER, TOTALDISCS).
+ */
+
+const fs = require('fs');
+
+// CUE timestamps are MM:SS:FF with 75 frames per second
+const FRAMES_PER_SECOND = 75;
+
+function parseTimestamp(value) {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(value || '');
+  if (!match) return null;
+  const [, minutes, seconds, frames] = match.map(Number);
+  return minutes * 60 + seconds + frames / FRAMES_PER_SECOND;
+}
+
+// Quoted or bare value
+function unquote(value) {
+  const trimmed = (value || '').trim();
+  const quoted = /^"(.*)"/.exec(trimmed);
+  return quoted ? quoted[1] : trimmed;
+}
+
+// FILE "name with spaces.flac" WAVE - the file type comes last
+function parseFileName(rest) {
+  const quoted = /^"(.*)"\s*\S*\s*$/.exec(rest.trim());
+  if (quoted) return quoted[1];
+  return rest.trim().replace(/\s+\S+$/, '');
+}
+
+/**
+ * Parse CUE sheet text
+ * @returns {object} { title, performer, catalog, date, genre, comment,
+ *   disc, totalDiscs, tracks: [{ number, file, title, performer, isrc, start, end }] }
+ *   start/end are seconds into `file`; end is null when the track runs to the end of it.
+ */
+function parseCueSheet(text) {
+  const sheet = {
+    title: null,
+    performer: null,
+    catalog: null,
+    date: null,
+    genre: null,
+    comment: null,
+    disc: null,
+    totalDiscs: null,
+    tracks: []
+  };
+
+  let currentFile = null;
+  let track = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const space = line.indexOf(' ');
+    const keyword = (space === -1 ? line : line.slice(0, space)).toUpperCase();
+    const rest = space === -1 ? '' : line.slice(space + 1);
+    // Before the first TRACK, TITLE and PERFORMER describe the album
+    const target = track || sheet;
+
+    switch (keyword) {
+      case 'TITLE':
+        target.title = unquote(rest);
+        break;
+      case 'PERFORMER':
+        target.performer = unquote(rest);
+        break;
+      case 'CATALOG':
+        sheet.catalog = rest.trim();
+        break;
+      case 'ISRC':
+        if (track) track.isrc = rest.trim();
+        break;
+      case 'FILE':
+        currentFile = parseFileName(rest);
+        break;
+      case 'TRACK': {
+        const [number, type] = rest.trim().split(/\s+/);
+        track = {
+          number: parseInt(number, 10),
+          type: (type || 'AUDIO').toUpperCase(),
+          file: null,
+          title: null,
+          performer: null,
+          isrc: null,
+          start: null,
+          end: null
+        };
+        sheet.tracks.push(track);
+        break;
+      }
+      case 'INDEX': {
+        const [number, timestamp] = rest.trim().split(/\s+/);
+        // INDEX 01 is where the track starts; INDEX 00 only marks its pregap,
+        // which stays with the previous track so playback runs gaplessly
+        if (track && parseInt(number, 10) === 1) {
+          track.file = currentFile;
+          track.start = parseTimestamp(timestamp);
+        }
+        break;
+      }
+      case 'REM': {
+        const remSpace = rest.indexOf(' ');
+        const remKey = (remSpace === -1 ? rest : rest.slice(0, remSpace)).toUpperCase();
+        const remValue = remSpace === -1 ? '' : unquote(rest.slice(remSpace + 1));
+        if (remKey === 'DATE') sheet.date = remValue;
+        else if (remKey === 'GENRE') sheet.genre = remValue;
+        else if (remKey === 'COMMENT') sheet.comment = remValue;
+        else if (remKey === 'DISCNUMBER') sheet.disc = parseInt(remValue, 10) || null;
+        else if (remKey === 'TOTALDISCS') sheet.totalDiscs = parseInt(remValue, 10) || null;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  // Data tracks and tracks without an INDEX 01 can't be played
+  sheet.tracks = sheet.tracks.filter(t => t.type === 'AUDIO' && t.file && t.start !== null);
+
+  // A track ends where the next one in the same file starts
+  for (let i = 0; i < sheet.tracks.length; i++) {
+    const next = sheet.tracks[i + 1];
+    const current = sheet.tracks[i];
+    current.end = next && next.file === current.file ? next.start : null;
+    delete current.type;
+  }
+
+  return sheet;
+}
+
+/**
+ * Read and parse a .cue file
+ * Rippers write UTF-8 (sometimes with a BOM) or a legacy codepage;
+ * anything that isn't valid UTF-8 is read as Latin-1.
+ */
+function readCueSheet(filePath) {
+  let buffer = fs.readFileSync(filePath);
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    buffer = buffer.subarray(3);
+  }
+  let text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) {
+    text = buffer.toString('latin1');
+  }
+  return parseCueSheet(text);
+}
+
+module.exports = {
+  parseCueSheet,
+  readCueSheet
+};
@@ -0,0 +1,254 @@
+/**
+ * The Gloaming - Facet Expressions
+ *
+ * Boolean queries over facets, e.g. (Night AND Rain) OR Ambient NOT Vocal
+ *
+ * Grammar (loosest to tightest):
+ *   expression := orExpr (NOT orExpr)*      A OR B NOT C  ->  (A OR B) minus C
+ *   orExpr     := andExpr (OR andExpr)*
+ *   andExpr    := unary (AND unary)*
+ *   unary      := NOT unary | primary       NOT A  ->  everything except A
+ *   primary    := ( expression ) | facet
+ *
+ * Operators are uppercase keywords. Facet names are either quoted
+ * ("Late Night") or bare words; consecutive bare words join into one name,
+ * so Late Night AND Rain works without quotes.
+ */
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+
+class FacetExpressionError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'FacetExpressionError';
+    this.position = position;
+  }
+}
+
+/**
+ * Split an expression string into tokens
+ * Returns [{ type: 'lparen'|'rparen'|'op'|'word', value, position }]
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(') {
+      tokens.push({ type: 'lparen', value: ch, position: i });
+      i++;
+      continue;
+    }
+
+    if (ch === ')') {
+      tokens.push({ type: 'rparen', value: ch, position: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new FacetExpressionError('Unclosed quote', i);
+      }
+      const name = input.slice(i + 1, end).trim();
+      if (!name) {
+        throw new FacetExpressionError('Empty facet name', i);
+      }
+      tokens.push({ type: 'word', value: name, quoted: true, position: i });
+      i = end + 1;
+      continue;
+    }
+
+    // Bare word - runs until whitespace, paren or quote
+    const start = i;
+    while (i < input.length && !/[\s()"]/.test(input[i])) {
+      i++;
+    }
+    const word = input.slice(start, i);
+    if (OPERATORS.includes(word)) {
+      tokens.push({ type: 'op', value: word, position: start });
+    } else {
+      tokens.push({ type: 'word', value: word, position: start });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression string into a tree
+ * Nodes: { type: 'facet', name } | { type: 'not', operand }
+ *        { type: 'and'|'or'|'except', left, right }
+ * Throws FacetExpressionError on bad syntax.
+ */
+function parse(input) {
+  if (!input || typeof input !== 'string' || !input.trim()) {
+    throw new FacetExpressionError('Expression is empty', 0);
+  }
+
+  const tokens = tokenize(input);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+
+  function parseExpression() {
+    let left = parseOr();
+    while (isOp('NOT')) {
+      pos++;
+      const right = parseOr();
+      left = { type: 'except', left, right };
+    }
+    return left;
+  }
+
+  function parseOr() {
+    let left = parseAnd();
+    while (isOp('OR')) {
+      pos++;
+      const right = parseAnd();
+      left = { type: 'or', left, right };
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseUnary();
+    while (isOp('AND')) {
+      pos++;
+      const right = parseUnary();
+      left = { type: 'and', left, right };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    if (isOp('NOT')) {
+      pos++;
+      return { type: 'not', operand: parseUnary() };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = peek();
+
+    if (!token) {
+      throw new FacetExpressionError('Unexpected end of expression', input.length);
+    }
+
+    if (token.type === 'lparen') {
+      pos++;
+      const inner = parseExpression();
+      if (peek()?.type !== 'rparen') {
+        throw new FacetExpressionError('Missing closing parenthesis', peek()?.position ?? input.length);
+      }
+      pos++;
+      return inner;
+    }
+
+    if (token.type === 'word') {
+      // Quoted names stand alone; bare words join until the next operator/paren
+      if (token.quoted) {
+        pos++;
+        return { type: 'facet', name: token.value };
+      }
+      const words = [];
+      while (peek()?.type === 'word' && !peek().quoted) {
+        words.push(peek().value);
+        pos++;
+      }
+      return { type: 'facet', name: words.join(' ') };
+    }
+
+    throw new FacetExpressionError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  const tree = parseExpression();
+
+  if (pos < tokens.length) {
+    const token = tokens[pos];
+    throw new FacetExpressionError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  return tree;
+}
+
+/**
+ * Collect every facet name referenced by a tree
+ */
+function collectFacets(node, names = new Set()) {
+  switch (node.type) {
+    case 'facet':
+      names.add(node.name);
+      break;
+    case 'not':
+      collectFacets(node.operand, names);
+      break;
+    default:
+      collectFacets(node.left, names);
+      collectFacets(node.right, names);
+  }
+  return names;
+}
+
+/**
+ * Evaluate a tree to a Set of track IDs
+ * @param {object} node - Parsed tree
+ * @param {function} getTracksWithFacet - facet name -> array of track IDs
+ * @param {function} getUniverse - () -> array of all track IDs (only called for unary NOT)
+ */
+function evaluate(node, getTracksWithFacet, getUniverse) {
+  let universe = null;
+  const resolveUniverse = () => {
+    if (!universe) universe = new Set(getUniverse());
+    return universe;
+  };
+
+  const visit = (n) => {
+    switch (n.type) {
+      case 'facet':
+        return new Set(getTracksWithFacet(n.name) || []);
+
+      case 'not': {
+        const excluded = visit(n.operand);
+        return new Set([...resolveUniverse()].filter(id => !excluded.has(id)));
+      }
+
+      case 'and': {
+        const left = visit(n.left);
+        const right = visit(n.right);
+        return new Set([...left].filter(id => right.has(id)));
+      }
+
+      case 'or':
+        return new Set([...visit(n.left), ...visit(n.right)]);
+
+      case 'except': {
+        const left = visit(n.left);
+        const right = visit(n.right);
+        return new Set([...left].filter(id => !right.has(id)));
+      }
+
+      default:
+        return new Set();
+    }
+  };
+
+  return visit(node);
+}
+
+module.exports = {
+  FacetExpressionError,
+  parse,
+  evaluate,
+  collectFacets
+};
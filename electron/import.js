@@ -5,26 +5,55 @@
  *
  * Flow:
  * 1. User drops file(s)/folder(s)
- * 2. Scan recursively for audio files
+ * 2. Scan recursively for audio files (CUE sheets split disc images into tracks)
  * 3. Extract metadata, group by albumArtist:::album
- * 4. Exact match existing records or create new ones
- * 5. Copy files, report errors
+ * 4. Hash audio payloads; stop and ask about duplicates of library tracks
+ * 5. Exact match existing records or create new ones
+ *    (optionally shown first as an editable preview - options.dryRun / options.plan)
+ * 6. Copy files (converting APE to FLAC) or reference them in place, report errors
+ * 7. Journal what was created so the batch can be undone (importJournal.js)
  */
 
 const path = require('path');
 const fs = require('fs');
-const mm = require('music-metadata');
+const { setMaxListeners } = require('events');
 const {
   generateUUID,
   writeCollection,
   readCollection,
   getLibraryPaths,
-  listCollections
+  listCollections,
+  readTrackMetadata,
+  loadLibraryConfig,
+  holdDiscImage,
+  releaseDiscImage,
+  pruneDiscImages
 } = require('./library');
-const { generateThumbnailsFromBuffer } = require('./thumbnails');
-
-// Supported formats
-const AUDIO_EXTENSIONS = ['.m4a', '.flac', '.mp3', '.wav', '.aiff', '.aac', '.ogg', '.wma'];
+const { generateThumbnailsFromBuffer, thumbnailDataUrl } = require('./thumbnails');
+const { computeSegmentHash, buildHashIndex } = require('./contentHash');
+const {
+  AUDIO_EXTENSIONS,
+  IMPORT_EXTENSIONS,
+  extractAudioMetadata,
+  extractEmbeddedCover,
+  getLibraryFilename,
+  getSourceKey,
+  needsConversion,
+  scanCueSheets,
+  scanForAudioFiles
+} = require('./audioFiles');
+const {
+  createJournal,
+  saveJournal,
+  discardBackup,
+  backupReplacedTrack,
+  restoreReplacedTrack
+} = require('./importJournal');
+const { applyPathTemplates } = require('./pathTemplates');
+const { runTask } = require('./importPool');
+
+// Progress events while reading or copying go out at most this often
+const PROGRESS_INTERVAL_MS = 250;
 
 // Folder names that shouldn't be used as album names (case-insensitive)
 const UNHELPFUL_FOLDER_NAMES = [
@@ -71,6 +100,13 @@ function parseTrackFilename(filename) {
   return { disc: null, trackNumber: null, title: name.trim() };
 }
 
+/**
+ * A track's title as imported: its tag, else parsed from the filename
+ */
+function getTrackTitle(metadata, audioFile) {
+  return metadata?.title || parseTrackFilename(audioFile.filename).title || '[Unknown Track]';
+}
+
 /**
  * Get audio file extension type for format field
  */
@@ -83,138 +119,52 @@ function getFormatFromExtension(ext) {
     '.aiff': 'AIFF',
     '.aac': 'AAC',
     '.ogg': 'OGG',
-    '.wma': 'WMA'
+    '.wma': 'WMA',
+    '.ape': 'APE'
   };
   return formats[ext.toLowerCase()] || 'Unknown';
 }
 
 /**
- * Extract metadata from audio file using music-metadata
+ * Metadata for one CUE sheet track: the sheet's fields over the image's tags
+ * (which describe the whole disc). Duration is the track's span.
  */
-async function extractAudioMetadata(filePath) {
-  try {
-    const metadata = await mm.parseFile(filePath);
-    const { format, common } = metadata;
-
-    return {
-      // From embedded tags
-      title: common.title || null,
-      artist: common.artist || null,
-      albumArtist: common.albumartist || null,
-      album: common.album || null,
-      trackNumber: common.track?.no || null,
-      trackTotal: common.track?.of || null,
-      discNumber: common.disk?.no || null,
-      discTotal: common.disk?.of || null,
-      year: common.year || null,
-      date: common.date || null,
-      genre: common.genre?.[0] || null,
-
-      // Audio properties
-      duration: format.duration || null,
-      bitrate: format.bitrate || null,
-      sampleRate: format.sampleRate || null,
-      bitDepth: format.bitsPerSample || null,
-      channels: format.numberOfChannels || null,
-      codec: format.codec || null,
-      lossless: format.lossless || false,
-
-      // Has embedded picture?
-      hasPicture: common.picture && common.picture.length > 0
-    };
-  } catch (err) {
-    console.error('Error extracting metadata from:', filePath, err.message);
-    return null;
-  }
+function applyCueMetadata(imageMetadata, cue) {
+  const end = cue.end ?? imageMetadata?.duration ?? null;
+  const year = parseInt(cue.date, 10);
+  return {
+    ...imageMetadata,
+    title: cue.title || `Track ${String(cue.trackNumber).padStart(2, '0')}`,
+    artist: cue.performer || imageMetadata?.artist || null,
+    albumArtist: cue.albumArtist || imageMetadata?.albumArtist || null,
+    album: cue.album || imageMetadata?.album || null,
+    trackNumber: cue.trackNumber,
+    trackTotal: null,
+    discNumber: cue.disc || imageMetadata?.discNumber || null,
+    discTotal: cue.discTotal || imageMetadata?.discTotal || null,
+    year: year || imageMetadata?.year || null,
+    date: cue.date || imageMetadata?.date || null,
+    genre: cue.genre || imageMetadata?.genre || null,
+    genres: cue.genre ? [cue.genre] : (imageMetadata?.genres || []),
+    isrc: cue.isrc || null,
+    catalogNumber: cue.catalog || imageMetadata?.catalogNumber || null,
+    // Per-track IDs in the image's tags would belong to the whole disc
+    musicbrainzTrackId: null,
+    duration: end !== null ? end - cue.start : null,
+    imageDuration: imageMetadata?.duration || null
+  };
 }
 
 /**
- * Extract embedded cover art from audio file
- * Returns { data: Buffer, format: string } or null
+ * Metadata for a scanned audio file, reading CUE tracks from their image
+ * Share one imageCache across a folder so each image is parsed once.
  */
-async function extractEmbeddedCover(filePath) {
-  try {
-    const metadata = await mm.parseFile(filePath);
-    const pictures = metadata.common.picture;
-
-    if (pictures && pictures.length > 0) {
-      const pic = pictures[0];
-      return {
-        data: pic.data,
-        format: pic.format
-      };
-    }
-
-    return null;
-  } catch (err) {
-    console.error('Error extracting cover from:', filePath, err.message);
-    return null;
+async function extractAudioFileMetadata(audioFile, imageCache = new Map()) {
+  if (!audioFile.cue) return extractAudioMetadata(audioFile.sourcePath);
+  if (!imageCache.has(audioFile.sourcePath)) {
+    imageCache.set(audioFile.sourcePath, extractAudioMetadata(audioFile.sourcePath));
   }
-}
-
-/**
- * Scan input paths recursively for audio files
- * Returns array of { sourcePath, filename, parentFolder }
- */
-function scanForAudioFiles(inputPaths) {
-  const results = [];
-
-  const scanDir = (dirPath) => {
-    let entries;
-    try {
-      entries = fs.readdirSync(dirPath, { withFileTypes: true });
-    } catch (err) {
-      console.error('Error reading directory:', dirPath, err.message);
-      return;
-    }
-
-    for (const entry of entries) {
-      // Skip hidden files and macOS resource forks
-      if (entry.name.startsWith('.') || entry.name.startsWith('._')) {
-        continue;
-      }
-
-      const fullPath = path.join(dirPath, entry.name);
-
-      if (entry.isDirectory()) {
-        // Recurse into all directories
-        scanDir(fullPath);
-      } else if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase();
-        if (AUDIO_EXTENSIONS.includes(ext)) {
-          results.push({
-            sourcePath: fullPath,
-            filename: entry.name,
-            ext,
-            parentFolder: path.basename(dirPath)
-          });
-        }
-      }
-    }
-  };
-
-  for (const inputPath of inputPaths) {
-    try {
-      const stats = fs.statSync(inputPath);
-      if (stats.isFile()) {
-        const ext = path.extname(inputPath).toLowerCase();
-        if (AUDIO_EXTENSIONS.includes(ext)) {
-          results.push({
-            sourcePath: inputPath,
-            filename: path.basename(inputPath),
-            ext,
-            parentFolder: path.basename(path.dirname(inputPath))
-          });
-        }
-      } else if (stats.isDirectory()) {
-        scanDir(inputPath);
-      }
-    } catch (err) {
-      console.error('Error accessing path:', inputPath, err.message);
-    }
-  }
-
-  return results;
+  return applyCueMetadata(await imageCache.get(audioFile.sourcePath), audioFile.cue);
 }
 
 /**
@@ -312,22 +262,61 @@ async function importCoverFromData(embeddedCover, recordId, recordName, paths) {
   return coverAttachmentId;
 }
 
+/**
+ * Copy a file into the library on the import pool - as FLAC if the player
+ * can't decode it (see getLibraryFilename for the name it should get)
+ */
+function copyIntoLibrary(sourcePath, destPath, signal = null) {
+  const type = needsConversion(sourcePath) ? 'transcode' : 'copy';
+  return runTask(type, { source: sourcePath, dest: destPath }, { signal });
+}
+
+/**
+ * Technical details of a file as it ends up in the library
+ * A converted file is FLAC now; its bitrate isn't known without reading it again.
+ */
+function getAudioDetails(audioFile, metadata, reference) {
+  const converted = !reference && needsConversion(audioFile.sourcePath);
+  return {
+    filename: reference ? audioFile.filename : getLibraryFilename(audioFile.filename),
+    format: converted ? 'FLAC' : metadata?.codec || getFormatFromExtension(audioFile.ext),
+    bitDepth: metadata?.bitDepth || null,
+    sampleRate: metadata?.sampleRate || null,
+    bitrate: converted ? null : metadata?.bitrate || null,
+    channels: metadata?.channels || null,
+    lossless: converted || metadata?.lossless || false,
+    ...(converted && { convertedFrom: getFormatFromExtension(audioFile.ext) })
+  };
+}
+
 /**
  * Import a single track file to the library
+ * Referenced tracks leave the audio where it is and record its path.
+ * The copy runs on the import pool; a failed or cancelled one leaves no track folder.
  * Returns { success, trackId, error }
  */
-async function importTrackFile(audioFile, metadata, recordId, paths) {
+async function importTrackFile(audioFile, metadata, recordId, paths, reference = false, signal = null) {
+  const trackId = generateUUID();
+  const trackFolderPath = path.join(paths.tracks, `${trackId}.info`);
+  const details = getAudioDetails(audioFile, metadata, reference);
   try {
-    const trackId = generateUUID();
-    const trackFolderPath = path.join(paths.tracks, `${trackId}.info`);
     fs.mkdirSync(trackFolderPath, { recursive: true });
 
-    // Copy audio file (preserve original filename)
-    const destAudioPath = path.join(trackFolderPath, audioFile.filename);
-    fs.copyFileSync(audioFile.sourcePath, destAudioPath);
+    // Copy audio file (preserve original filename). CUE sheet tracks share
+    // a disc image the caller already stored in discs/.
+    let audioPath = audioFile.sourcePath;
+    if (audioFile.cue && !reference) {
+      audioPath = path.join(paths.discs, audioFile.cue.image);
+    } else if (!reference) {
+      audioPath = path.join(trackFolderPath, details.filename);
+      await copyIntoLibrary(audioFile.sourcePath, audioPath, signal);
+    }
 
-    // Get file stats
-    const stats = fs.statSync(destAudioPath);
+    // Get file stats - a CUE track counts its share of the image
+    const stats = fs.statSync(audioPath);
+    const fileSize = audioFile.cue && metadata?.duration && metadata?.imageDuration
+      ? Math.round(stats.size * metadata.duration / metadata.imageDuration)
+      : stats.size;
 
     // Parse filename for fallbacks
     const parsed = parseTrackFilename(audioFile.filename);
@@ -345,25 +334,45 @@ async function importTrackFile(audioFile, metadata, recordId, paths) {
     const trackMetadata = {
       id: trackId,
       albumId: recordId,
-      filename: audioFile.filename,
-      title: metadata?.title || parsed.title || '[Unknown Track]',
+      filename: details.filename,
+      title: getTrackTitle(metadata, audioFile),
       trackArtist,   // Track's performer (always populated)
       albumArtist,   // Parent record's artist (always populated)
       album,         // Parent record's name (always populated)
       duration: metadata?.duration || null,
       disc: metadata?.discNumber || null,
       trackNumber: metadata?.trackNumber || null,
-      format: metadata?.codec || getFormatFromExtension(audioFile.ext),
-      bitDepth: metadata?.bitDepth || null,
-      sampleRate: metadata?.sampleRate || null,
-      bitrate: metadata?.bitrate || null,
-      channels: metadata?.channels || null,
-      lossless: metadata?.lossless || false,
-      fileSize: stats.size,
+      format: details.format,
+      bitDepth: details.bitDepth,
+      sampleRate: details.sampleRate,
+      bitrate: details.bitrate,
+      channels: details.channels,
+      lossless: details.lossless,
+      ...(details.convertedFrom && { convertedFrom: details.convertedFrom }),
+      fileSize,
+      contentHash: audioFile.contentHash || null,
+      genres: metadata?.genres || [],
+      composer: metadata?.composer || null,
+      conductor: metadata?.conductor || null,
+      performers: metadata?.performers || [],
+      isrc: metadata?.isrc || null,
+      comment: metadata?.comment || null,
+      musicbrainzTrackId: metadata?.musicbrainzTrackId || null,
+      musicbrainzArtistId: metadata?.musicbrainzArtistId || null,
       addedAt: new Date().toISOString(),
       importSource: {
-        path: audioFile.sourcePath
+        path: audioFile.sourcePath,
+        ...(audioFile.cue && { cueSheet: audioFile.cue.sheet })
       },
+      ...(reference && { referencePath: audioFile.sourcePath }),
+      // Span of the disc image this track plays (seconds; end null = to the end)
+      ...(audioFile.cue && {
+        cue: {
+          ...(!reference && { image: audioFile.cue.image }),
+          start: audioFile.cue.start,
+          end: audioFile.cue.end
+        }
+      }),
       facets: [],
       rating: null,
       lyrics: null,
@@ -379,61 +388,241 @@ async function importTrackFile(audioFile, metadata, recordId, paths) {
 
     return { success: true, trackId };
   } catch (err) {
+    fs.rmSync(trackFolderPath, { recursive: true, force: true });
     return { success: false, error: err.message };
   }
 }
 
 /**
- * Main import function - v2 simplified flow
- *
- * @param {string[]} inputPaths - Array of file/folder paths to import
- * @param {string} libraryPath - Path to the library
- * @param {object} options - { onProgress }
- * @returns {object} - { success, imported, failed, records }
+ * Swap a library track's audio for a duplicate being imported
+ * Keeps the track ID, record, facets, notes and edited tags; only the file
+ * and its technical details change. The old file must already have been
+ * set aside (importJournal.backupReplacedTrack).
+ * Returns { success, trackId, error }
  */
-async function importFiles(inputPaths, libraryPath, options = {}) {
-  const { onProgress = () => {} } = options;
-  const paths = getLibraryPaths(libraryPath);
+async function replaceTrackFile(trackId, audioFile, metadata, paths, reference = false, signal = null) {
+  try {
+    const trackFolderPath = path.join(paths.tracks, `${trackId}.info`);
+    const metadataPath = path.join(trackFolderPath, 'metadata.json');
+    const trackMetadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+
+    const details = getAudioDetails(audioFile, metadata, reference);
+    let destAudioPath = audioFile.sourcePath;
+    if (!reference) {
+      destAudioPath = path.join(trackFolderPath, details.filename);
+      try {
+        await copyIntoLibrary(audioFile.sourcePath, destAudioPath, signal);
+      } finally {
+        // Left behind only if the worker itself died mid-copy
+        fs.rmSync(`${destAudioPath}.importing`, { force: true });
+      }
+    }
 
-  // Results tracking
-  const errors = [];
-  const importedTracks = [];
-  const affectedRecords = new Map(); // recordId -> record object
+    if (reference) {
+      trackMetadata.referencePath = audioFile.sourcePath;
+    } else {
+      delete trackMetadata.referencePath;
+    }
+    delete trackMetadata.missing;
+    delete trackMetadata.missingSince;
+    // The new file is a whole track, not a span of a disc image
+    delete trackMetadata.cue;
+    delete trackMetadata.convertedFrom;
+
+    Object.assign(trackMetadata, {
+      ...details,
+      duration: metadata?.duration || trackMetadata.duration,
+      fileSize: fs.statSync(destAudioPath).size,
+      contentHash: audioFile.contentHash || trackMetadata.contentHash || null,
+      importSource: {
+        path: audioFile.sourcePath
+      },
+      replacedAt: new Date().toISOString()
+    });
 
-  // === PHASE 1: Scan for audio files ===
-  onProgress({ stage: 'scanning', message: 'Scanning for audio files...' });
+    fs.writeFileSync(metadataPath, JSON.stringify(trackMetadata, null, 2));
+    return { success: true, trackId };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+}
 
-  const audioFiles = scanForAudioFiles(inputPaths);
+/**
+ * Copy a disc image into discs/ once for all of its CUE tracks
+ * Returns the stored file name (.flac for a converted APE image). The image
+ * is held against pruning until the caller releases it, once its tracks are written.
+ */
+async function storeDiscImage(sourcePath, paths, signal = null) {
+  fs.mkdirSync(paths.discs, { recursive: true });
+  const imageName = `${generateUUID()}${path.extname(getLibraryFilename(sourcePath)).toLowerCase()}`;
+  const imagePath = path.join(paths.discs, imageName);
+  holdDiscImage(imageName);
+  try {
+    await copyIntoLibrary(sourcePath, imagePath, signal);
+  } catch (err) {
+    releaseDiscImage(imageName);
+    fs.rmSync(imagePath, { force: true });
+    fs.rmSync(`${imagePath}.importing`, { force: true });
+    throw err;
+  }
+  return imageName;
+}
 
-  if (audioFiles.length === 0) {
-    return {
-      success: false,
-      error: 'No audio files found',
-      imported: 0,
-      failed: 0,
-      records: []
-    };
+// Hashes from imports that stopped to ask about duplicates or to show a
+// preview, so the follow-up run doesn't read every file twice. Keyed by path,
+// size and mtime, so imports running side by side (a watched folder's
+// reconcile and one from the UI) share it safely; each import drops its own
+// files once it's done, and the oldest go past PENDING_HASH_LIMIT.
+const pendingHashes = new Map();
+const PENDING_HASH_LIMIT = 50000;
+
+// Previews' analyses by preview id, reused when a plan comes back to be imported
+const pendingPreviews = new Map();
+const PENDING_PREVIEW_LIMIT = 5;
+
+function getHashKey(audioFile) {
+  return `${audioFile.sourcePath}:${audioFile.fileSize}:${audioFile.mtimeMs}`;
+}
+
+/**
+ * Tags and content hash of a scanned file, read on the import pool
+ * The hash is only computed when pendingHashes doesn't have it yet.
+ */
+async function probeFile(audioFile, signal) {
+  const key = getHashKey(audioFile);
+  const cached = pendingHashes.get(key);
+  try {
+    const { metadata, contentHash } = await runTask('probe', {
+      filePath: audioFile.sourcePath,
+      hash: !cached
+    }, { signal });
+    if (!cached && contentHash) {
+      pendingHashes.set(key, contentHash);
+      if (pendingHashes.size > PENDING_HASH_LIMIT) pendingHashes.delete(pendingHashes.keys().next().value);
+    }
+    return { metadata, contentHash: cached || contentHash };
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.error('Could not read', audioFile.sourcePath, err.message);
+    return { metadata: null, contentHash: cached || null };
   }
+}
 
-  onProgress({ stage: 'scanning', message: `Found ${audioFiles.length} audio files` });
+/**
+ * Embedded cover art, read on the import pool
+ * Returns { data: Buffer, format } or null
+ */
+async function readEmbeddedCover(filePath) {
+  try {
+    const cover = await runTask('cover', { filePath });
+    return cover ? { data: Buffer.from(cover.data), format: cover.format } : null;
+  } catch (err) {
+    console.error('Error extracting cover from:', filePath, err.message);
+    return null;
+  }
+}
 
-  // === PHASE 2: Extract metadata and group tracks ===
-  onProgress({ stage: 'analyzing', message: 'Reading metadata...' });
+/**
+ * Progress for a phase measured in bytes, with an ETA from the rate so far
+ * Events go out at most every PROGRESS_INTERVAL_MS unless forced.
+ */
+function createByteProgress(stage, bytesTotal, onProgress) {
+  const startedAt = Date.now();
+  let bytesDone = 0;
+  let lastSent = 0;
+
+  return (bytes, message, force = false) => {
+    bytesDone += bytes;
+    const now = Date.now();
+    if (!force && now - lastSent < PROGRESS_INTERVAL_MS) return;
+    lastSent = now;
+
+    const elapsed = (now - startedAt) / 1000;
+    const rate = elapsed > 0 ? bytesDone / elapsed : 0;
+    onProgress({
+      stage,
+      message,
+      progress: bytesTotal > 0 ? Math.min(1, bytesDone / bytesTotal) : 0,
+      bytesDone,
+      bytesTotal,
+      eta: rate > 0 ? Math.round(Math.max(0, bytesTotal - bytesDone) / rate) : null
+    });
+  };
+}
 
-  const trackGroups = {}; // key -> { albumArtist, album, tracks: [] }
+// Bytes of each distinct file (a disc image counts once for all its CUE tracks)
+function totalBytes(audioFiles) {
+  const sizes = new Map(audioFiles.map(audioFile => [audioFile.sourcePath, audioFile.fileSize || 0]));
+  return [...sizes.values()].reduce((sum, size) => sum + size, 0);
+}
 
-  for (let i = 0; i < audioFiles.length; i++) {
-    const audioFile = audioFiles[i];
+/**
+ * Everything an import decides before writing anything:
+ * scan, read tags (gaps filled from path templates), hash, group by
+ * buildGroupKey, find duplicates and
+ * the existing records groups would merge into.
+ * @returns {object|null} { groups, duplicates, hashIndex, unsupported } - null when there are no audio files
+ *   groups: [{ key, albumArtist, album, recordId, tracks: [{ audioFile, metadata, duplicateOf }] }]
+ *   unsupported: files found that can't be imported, as import errors ({ file, path, error })
+ * With reference set, files that would need converting count as unsupported.
+ */
+async function analyzeImport(inputPaths, libraryPath, onProgress, signal = null, reference = false) {
+  const paths = getLibraryPaths(libraryPath);
 
-    if (i % 10 === 0) {
-      onProgress({
-        stage: 'analyzing',
-        message: `Reading metadata... ${i + 1}/${audioFiles.length}`,
-        progress: i / audioFiles.length
+  // === PHASE 1: Scan for audio files ===
+  onProgress({ stage: 'scanning', message: 'Scanning for audio files...' });
+
+  const scanned = await runTask('scan', { inputPaths }, { signal });
+  const unsupported = scanned.unsupported.map(file => ({ file: file.filename, path: file.sourcePath, error: file.error }));
+  // Referenced files are played where they are, so they can't be converted
+  const audioFiles = scanned.files.filter(audioFile => {
+    if (!reference || !needsConversion(audioFile.sourcePath)) return true;
+    if (!unsupported.some(file => file.path === audioFile.sourcePath)) {
+      const format = getFormatFromExtension(audioFile.ext);
+      unsupported.push({
+        file: audioFile.filename,
+        path: audioFile.sourcePath,
+        error: `${format} can't be played in place - import it in copy mode to convert it to FLAC`
       });
     }
+    return false;
+  });
+  if (audioFiles.length === 0) {
+    return unsupported.length > 0 ? { groups: [], duplicates: [], hashIndex: null, unsupported } : null;
+  }
 
-    const metadata = await extractAudioMetadata(audioFile.sourcePath);
+  onProgress({ stage: 'scanning', message: `Found ${audioFiles.length} audio files` });
+
+  // === PHASE 2: Extract metadata and group tracks ===
+  // Files are read in parallel on the pool; a disc image once for all its CUE tracks
+  const reportBytes = createByteProgress('analyzing', totalBytes(audioFiles), onProgress);
+  reportBytes(0, 'Reading metadata...', true);
+
+  const probes = new Map(); // source path -> Promise of { metadata, contentHash }
+  let probed = 0;
+  for (const audioFile of audioFiles) {
+    if (probes.has(audioFile.sourcePath)) continue;
+    probes.set(audioFile.sourcePath, probeFile(audioFile, signal).then(result => {
+      probed++;
+      reportBytes(audioFile.fileSize || 0, `Reading metadata... ${probed}/${probes.size}`);
+      return result;
+    }));
+  }
+  const probeResults = await Promise.all(probes.values());
+  const probedFiles = new Map([...probes.keys()].map((sourcePath, i) => [sourcePath, probeResults[i]]));
+
+  const trackGroups = {}; // key -> { albumArtist, album, tracks: [] }
+  // Untagged files: details from the library's path templates
+  const templates = loadLibraryConfig(libraryPath)?.settings?.pathTemplates || [];
+
+  for (const audioFile of audioFiles) {
+    const { metadata: fileMetadata, contentHash: fileHash } = probedFiles.get(audioFile.sourcePath);
+    const metadata = audioFile.cue
+      ? applyCueMetadata(fileMetadata, audioFile.cue)
+      : applyPathTemplates(fileMetadata, audioFile.sourcePath, templates);
+    audioFile.contentHash = audioFile.cue && fileHash
+      ? computeSegmentHash(fileHash, audioFile.cue.start, audioFile.cue.end)
+      : fileHash;
     const groupKey = buildGroupKey(metadata, audioFile.parentFolder);
 
     if (!trackGroups[groupKey]) {
@@ -452,38 +641,325 @@ async function importFiles(inputPaths, libraryPath, options = {}) {
     });
   }
 
-  // === PHASE 3: Build map of existing records ===
+  // === PHASE 3: Find duplicates by audio content ===
+  onProgress({ stage: 'analyzing', message: 'Checking for duplicates...' });
+
+  const hashIndex = buildHashIndex(libraryPath);
+  const firstInImport = new Map(); // hash -> audioFile
+  const duplicates = [];
+
+  for (const group of Object.values(trackGroups)) {
+    for (const track of group.tracks) {
+      const { audioFile, metadata } = track;
+      if (!audioFile.contentHash) continue;
+
+      const existingTrackId = await hashIndex.findDuplicate(audioFile.contentHash, metadata?.duration);
+      // A library track whose metadata can't be read doesn't count as a match
+      const existing = existingTrackId
+        ? readTrackMetadata(path.join(paths.tracks, `${existingTrackId}.info`))
+        : null;
+      const earlierFile = firstInImport.get(audioFile.contentHash);
+
+      if (!existing && !earlierFile) {
+        firstInImport.set(audioFile.contentHash, audioFile);
+        continue;
+      }
+
+      track.duplicateOf = existing ? existingTrackId : null;
+      duplicates.push({
+        sourcePath: getSourceKey(audioFile),
+        filename: audioFile.filename,
+        // A span of a disc image can't stand in for a library file
+        virtual: !!audioFile.cue,
+        title: getTrackTitle(metadata, audioFile),
+        artist: metadata?.artist || metadata?.albumArtist || null,
+        album: metadata?.album || null,
+        existing: existing ? {
+          trackId: existing.id,
+          albumId: existing.albumId,
+          title: existing.title,
+          artist: existing.trackArtist,
+          album: existing.album,
+          format: existing.format
+        } : null,
+        // Same audio twice in one drop - only keep/skip apply
+        sameAsInImport: existing ? null : earlierFile.filename
+      });
+    }
+  }
+
+  // === PHASE 4: Match groups to existing records ===
   const existingRecords = {};
-  const allRecords = listCollections(libraryPath, 'album');
-  for (const record of allRecords) {
-    const key = `${record.artist}:::${record.name}`;
-    existingRecords[key] = record;
+  for (const record of listCollections(libraryPath, 'album')) {
+    existingRecords[`${record.artist}:::${record.name}`] = record;
   }
 
-  // === PHASE 4: Import each group ===
-  const groupKeys = Object.keys(trackGroups);
+  const groups = Object.entries(trackGroups).map(([key, group]) => ({
+    key,
+    ...group,
+    recordId: existingRecords[key]?.id || null
+  }));
 
-  for (let gi = 0; gi < groupKeys.length; gi++) {
-    const groupKey = groupKeys[gi];
-    const group = trackGroups[groupKey];
+  return { groups, duplicates, hashIndex, unsupported };
+}
 
-    onProgress({
-      stage: 'importing',
-      message: `Importing: ${group.album} (${group.tracks.length} tracks)`,
-      progress: gi / groupKeys.length
+/**
+ * What an import would do, for the renderer to show and edit
+ * Each group is a buildGroupKey result; recordId is the existing record it
+ * merges into (null = a new record). New records show the cover they'd get.
+ */
+async function buildImportPreview(analysis, libraryPath) {
+  const groups = [];
+
+  for (const group of analysis.groups) {
+    const record = group.recordId ? readCollection(libraryPath, group.recordId) : null;
+
+    let cover = null;
+    if (!record) {
+      for (const { audioFile } of group.tracks) {
+        const embeddedCover = await readEmbeddedCover(audioFile.sourcePath);
+        if (!embeddedCover) continue;
+        try {
+          cover = { source: audioFile.filename, thumbnail: await thumbnailDataUrl(embeddedCover.data) };
+        } catch (err) {
+          console.error('Failed to preview cover art:', err.message);
+        }
+        break;
+      }
+    }
+
+    groups.push({
+      id: group.key,
+      key: group.key,
+      albumArtist: group.albumArtist,
+      album: group.album,
+      recordId: record?.id || null,
+      record: record ? {
+        id: record.id,
+        name: record.name,
+        artist: record.artist,
+        trackCount: record.tracks?.length || 0
+      } : null,
+      cover,
+      useCover: !!cover,
+      tracks: group.tracks.map(({ audioFile, metadata, duplicateOf }) => ({
+        key: getSourceKey(audioFile),
+        filename: audioFile.filename,
+        title: getTrackTitle(metadata, audioFile),
+        artist: metadata?.artist || null,
+        disc: metadata?.discNumber || null,
+        trackNumber: metadata?.trackNumber || null,
+        duration: metadata?.duration || null,
+        cue: !!audioFile.cue,
+        duplicate: duplicateOf !== undefined
+      }))
     });
+  }
+
+  return { id: generateUUID(), groups };
+}
+
+/**
+ * Regroup analysed tracks the way an edited preview says
+ * Tracks left out of every group aren't imported.
+ */
+function applyImportPlan(analysis, plan, libraryPath) {
+  const tracksByKey = new Map();
+  for (const group of analysis.groups) {
+    for (const track of group.tracks) {
+      tracksByKey.set(getSourceKey(track.audioFile), track);
+    }
+  }
+
+  return plan.groups
+    .map(planGroup => ({
+      key: planGroup.key || planGroup.id,
+      albumArtist: normalizeForKey(planGroup.albumArtist, '[Unknown Artist]'),
+      album: normalizeForKey(planGroup.album, 'Strays'),
+      // A record deleted since the preview means a new one
+      recordId: planGroup.recordId && readCollection(libraryPath, planGroup.recordId) ? planGroup.recordId : null,
+      useCover: planGroup.useCover !== false,
+      tracks: (planGroup.tracks || [])
+        .map(track => tracksByKey.get(typeof track === 'string' ? track : track.key))
+        .filter(Boolean)
+    }))
+    .filter(group => group.tracks.length > 0);
+}
+
+/**
+ * Main import function - v2 simplified flow
+ *
+ * @param {string[]} inputPaths - Array of file/folder paths to import
+ * @param {string} libraryPath - Path to the library
+ * @param {object} options - { onProgress, duplicateActions, mode, dryRun, plan, signal }
+ *   duplicateActions: { [sourcePath]: 'skip' | 'replace' | 'keep' } for files
+ *   that match a library track (CUE tracks are keyed "<image>#<track number>"). Without it, an import that finds duplicates
+ *   copies nothing and returns { needsDecision: true, duplicates }.
+ *   mode: 'copy' | 'reference' - defaults to the library's importMode setting
+ *   dryRun: write nothing; return { preview, duplicates } (see buildImportPreview)
+ *   plan: a preview, possibly edited - import its groups instead of the tag-based ones
+ *   signal: an AbortSignal to cancel with - the group being imported is rolled back
+ * @returns {object} - { success, cancelled, rolledBack, imported, failed, skipped, replaced, records, journalId }
+ */
+async function importFiles(inputPaths, libraryPath, options = {}) {
+  const { onProgress = () => {}, duplicateActions = null, dryRun = false, plan = null, signal = null } = options;
+  const paths = getLibraryPaths(libraryPath);
+  const mode = options.mode || loadLibraryConfig(libraryPath)?.settings?.importMode || 'copy';
+  const reference = mode === 'reference';
+  // Every queued pool task listens for the abort
+  if (signal) setMaxListeners(0, signal);
+
+  let analysis;
+  try {
+    analysis = (plan && pendingPreviews.get(plan.id)) ||
+      await analyzeImport(inputPaths, libraryPath, onProgress, signal, reference);
+  } catch (err) {
+    if (!signal?.aborted) throw err;
+    // Nothing written yet
+    return { success: false, cancelled: true, imported: 0, failed: 0, records: [] };
+  }
+
+  if (!analysis) {
+    return {
+      success: false,
+      error: 'No audio files found',
+      imported: 0,
+      failed: 0,
+      records: []
+    };
+  }
+
+  // Only files that can't be imported
+  if (analysis.groups.length === 0) {
+    return {
+      success: false,
+      error: 'No audio files that can be imported',
+      imported: 0,
+      failed: analysis.unsupported.length,
+      errors: analysis.unsupported,
+      records: []
+    };
+  }
+
+  if (dryRun) {
+    onProgress({ stage: 'preview', message: 'Preparing preview...' });
+    const preview = await buildImportPreview(analysis, libraryPath);
+    pendingPreviews.set(preview.id, analysis);
+    if (pendingPreviews.size > PENDING_PREVIEW_LIMIT) pendingPreviews.delete(pendingPreviews.keys().next().value);
+    return { success: true, preview, duplicates: analysis.duplicates, unsupported: analysis.unsupported, mode };
+  }
+
+  const { duplicates, hashIndex } = analysis;
+  const groups = plan ? applyImportPlan(analysis, plan, libraryPath) : analysis.groups;
+
+  if (duplicates.length > 0 && !duplicateActions) {
+    const inLibrary = duplicates.filter(d => d.existing).length;
+    const parts = [];
+    if (inLibrary > 0) parts.push(`${inLibrary} already in the library`);
+    if (inLibrary < duplicates.length) parts.push(`${duplicates.length - inLibrary} repeated in this import`);
+    onProgress({ stage: 'duplicates', message: parts.join(', ') });
+    return {
+      success: false,
+      needsDecision: true,
+      duplicates,
+      imported: 0,
+      failed: 0,
+      records: []
+    };
+  }
+  if (plan) pendingPreviews.delete(plan.id);
+  // Legacy tracks hashed while looking for duplicates keep their hashes
+  hashIndex.saveBackfilled();
+
+  // Results tracking - files that can't be imported count as failed from the start
+  const errors = [...analysis.unsupported];
+  const importedTracks = [];
+  const affectedRecords = new Map(); // recordId -> record object
+  const journal = createJournal({ mode, sources: inputPaths });
+
+  // Written as the import goes, so a batch that dies halfway can still be undone
+  const writeJournal = () => {
+    if (journal.tracks.length === 0 && journal.replaced.length === 0) return;
+    try {
+      saveJournal(libraryPath, journal);
+    } catch (err) {
+      console.error('Could not write import journal:', err.message);
+    }
+  };
+
+  // Apply choices: skip (default), replace the library copy, or keep both
+  let skipped = 0;
+  let replaced = 0;
+  for (const group of groups) {
+    const keep = [];
+    for (const track of group.tracks) {
+      const isDuplicate = track.duplicateOf !== undefined;
+      const action = isDuplicate ? (duplicateActions?.[getSourceKey(track.audioFile)] || 'skip') : 'keep';
+
+      if (action === 'keep') {
+        keep.push(track);
+      } else if (action === 'replace' && track.duplicateOf && !track.audioFile.cue) {
+        if (signal?.aborted) continue;
+        // The old copy is set aside first so undo (or a failed copy) can put it back
+        try {
+          backupReplacedTrack(libraryPath, journal.id, track.duplicateOf);
+        } catch (err) {
+          errors.push({ file: track.audioFile.filename, path: track.audioFile.sourcePath, error: `Could not back up the library copy: ${err.message}` });
+          continue;
+        }
+        const result = await replaceTrackFile(track.duplicateOf, track.audioFile, track.metadata, paths, reference, signal);
+        if (result.success) {
+          replaced++;
+          journal.replaced.push(track.duplicateOf);
+          writeJournal();
+        } else {
+          try {
+            restoreReplacedTrack(libraryPath, journal.id, track.duplicateOf);
+          } catch (err) {
+            console.error('Could not restore replaced track:', err.message);
+          }
+          if (!signal?.aborted) {
+            errors.push({ file: track.audioFile.filename, path: track.audioFile.sourcePath, error: result.error });
+          }
+        }
+      } else {
+        skipped++;
+      }
+    }
+    group.tracks = keep;
+  }
+  const importGroups = groups.filter(group => group.tracks.length > 0);
+  writeJournal();
+
+  // === PHASE 5: Import each group ===
+  // A group's tracks are copied in parallel on the pool. Cancelling rolls
+  // back the group in progress; finished groups stay (the journal can undo them).
+  const storedImages = new Map(); // image path -> Promise of its name in discs/
+  const copiedFiles = importGroups.flatMap(group => group.tracks.map(track => track.audioFile));
+  const reportBytes = createByteProgress('importing', reference ? 0 : totalBytes(copiedFiles), onProgress);
+  let rolledBack = 0;
+
+  for (let gi = 0; gi < importGroups.length; gi++) {
+    if (signal?.aborted) break;
+    const group = importGroups[gi];
+    const message = `Importing: ${group.album} (${group.tracks.length} tracks)`;
+
+    if (reference) {
+      // Nothing to copy - count groups instead of bytes
+      onProgress({ stage: 'importing', message, progress: gi / importGroups.length });
+    } else {
+      reportBytes(0, message, true);
+    }
 
-    // Check for exact match with existing record
-    const existingRecord = existingRecords[groupKey];
     let record;
     let isNewRecord = false;
 
-    if (existingRecord) {
+    if (group.recordId) {
       // Add to existing record - load fresh copy
-      record = readCollection(libraryPath, existingRecord.id);
+      record = readCollection(libraryPath, group.recordId);
       if (!record) {
         // Shouldn't happen, but handle gracefully
-        console.error('Could not read existing record:', existingRecord.id);
+        console.error('Could not read existing record:', group.recordId);
         continue;
       }
     } else {
@@ -499,6 +975,13 @@ async function importFiles(inputPaths, libraryPath, options = {}) {
         artist: group.albumArtist,
         releaseDate: firstTrackMeta?.year ? String(firstTrackMeta.year) : null,
         genre: firstTrackMeta?.genre || null,
+        genres: firstTrackMeta?.genres || [],
+        originalDate: firstTrackMeta?.originalDate || null,
+        label: firstTrackMeta?.label || null,
+        catalogNumber: firstTrackMeta?.catalogNumber || null,
+        barcode: firstTrackMeta?.barcode || null,
+        musicbrainzAlbumId: firstTrackMeta?.musicbrainzAlbumId || null,
+        musicbrainzAlbumArtistId: firstTrackMeta?.musicbrainzAlbumArtistId || null,
         isLP: true,
         eraParent: null,
         eraChildren: [],
@@ -513,14 +996,46 @@ async function importFiles(inputPaths, libraryPath, options = {}) {
     }
 
     // Import tracks
-    for (let ti = 0; ti < group.tracks.length; ti++) {
-      const { audioFile, metadata } = group.tracks[ti];
+    const results = await Promise.all(group.tracks.map(async ({ audioFile, metadata }) => {
+      if (audioFile.cue && !reference) {
+        if (!storedImages.has(audioFile.sourcePath)) {
+          storedImages.set(audioFile.sourcePath, storeDiscImage(audioFile.sourcePath, paths, signal).then(imageName => {
+            reportBytes(audioFile.fileSize || 0, message);
+            return imageName;
+          }));
+        }
+        try {
+          audioFile.cue.image = await storedImages.get(audioFile.sourcePath);
+        } catch (err) {
+          return { success: false, error: err.message };
+        }
+      }
 
-      const result = await importTrackFile(audioFile, metadata, record.id, paths);
+      const result = await importTrackFile(audioFile, metadata, record.id, paths, reference, signal);
+      if (result.success && !reference && !audioFile.cue) {
+        reportBytes(audioFile.fileSize || 0, message);
+      }
+      return result;
+    }));
+
+    if (signal?.aborted) {
+      // Nothing of a half-imported group stays; its record isn't written
+      for (const result of results) {
+        if (result.success) {
+          fs.rmSync(path.join(paths.tracks, `${result.trackId}.info`), { recursive: true, force: true });
+        }
+      }
+      rolledBack = group.tracks.length;
+      break;
+    }
 
+    results.forEach((result, ti) => {
+      const { audioFile } = group.tracks[ti];
       if (result.success) {
         // Add track reference with position: null (user reorders in Panopticon)
         record.tracks.push({ id: result.trackId, position: null });
+        hashIndex.add(audioFile.contentHash, result.trackId);
+        journal.tracks.push(result.trackId);
         importedTracks.push({
           trackId: result.trackId,
           filename: audioFile.filename,
@@ -533,18 +1048,19 @@ async function importFiles(inputPaths, libraryPath, options = {}) {
           error: result.error
         });
       }
-    }
+    });
 
     // Handle cover art for NEW records only
-    if (isNewRecord && record.tracks.length > 0) {
+    if (isNewRecord && group.useCover !== false && record.tracks.length > 0) {
       // Find first track with embedded art
       for (const { audioFile } of group.tracks) {
-        const embeddedCover = await extractEmbeddedCover(audioFile.sourcePath);
+        const embeddedCover = await readEmbeddedCover(audioFile.sourcePath);
         if (embeddedCover) {
           try {
             const coverId = await importCoverFromData(embeddedCover, record.id, record.name, paths);
             record.cover = coverId;
             record.attachments = [coverId];
+            journal.attachments.push(coverId);
           } catch (err) {
             console.error('Failed to import cover art:', err.message);
           }
@@ -556,26 +1072,54 @@ async function importFiles(inputPaths, libraryPath, options = {}) {
     // Save record
     record.modifiedAt = new Date().toISOString();
     writeCollection(libraryPath, record);
-    affectedRecords.set(record.id, record);
+    affectedRecords.set(record.id, { record, isNew: isNewRecord });
+    if (isNewRecord) journal.records.push(record.id);
+    else if (!journal.merged.includes(record.id)) journal.merged.push(record.id);
+    writeJournal();
   }
 
-  onProgress({ stage: 'complete', message: 'Import complete!' });
+  // Images copied for a rolled-back group or for tracks that failed
+  const imageNames = (await Promise.allSettled(storedImages.values()))
+    .filter(stored => stored.status === 'fulfilled')
+    .map(stored => stored.value);
+  imageNames.forEach(releaseDiscImage);
+  pruneDiscImages(libraryPath, imageNames);
+
+  const cancelled = !!signal?.aborted;
+  if (cancelled) {
+    journal.cancelledAt = new Date().toISOString();
+  } else {
+    journal.completedAt = new Date().toISOString();
+  }
+  writeJournal();
+  // Nothing was replaced after all - no backups to keep
+  if (journal.replaced.length === 0) discardBackup(libraryPath, journal.id);
+
+  onProgress({ stage: 'complete', message: cancelled ? 'Import cancelled' : 'Import complete!' });
+  for (const group of analysis.groups) {
+    for (const { audioFile } of group.tracks) pendingHashes.delete(getHashKey(audioFile));
+  }
 
   // Build result summary
-  const recordSummary = Array.from(affectedRecords.values()).map(r => ({
+  const recordSummary = Array.from(affectedRecords.values()).map(({ record: r, isNew }) => ({
     id: r.id,
     name: r.name,
     artist: r.artist,
     trackCount: r.tracks.length,
-    isNew: !existingRecords[`${r.artist}:::${r.name}`]
+    isNew
   }));
 
   return {
-    success: errors.length === 0,
+    success: errors.length === 0 && !cancelled,
+    cancelled,
+    rolledBack,
     imported: importedTracks.length,
     failed: errors.length,
+    skipped,
+    replaced,
     errors: errors.length > 0 ? errors : null,
-    records: recordSummary
+    records: recordSummary,
+    journalId: journal.tracks.length > 0 || journal.replaced.length > 0 ? journal.id : null
   };
 }
 
@@ -607,7 +1151,7 @@ function extractDiscNumber(folderName) {
 
 /**
  * Legacy scan function for Panopticon induction
- * Returns array of { sourcePath, filename, parsed, ext, discFromFolder }
+ * Returns array of { sourcePath, filename, parsed, ext, discFromFolder, cue? }
  */
 function scanFolderForAudio(folderPath, recursive = true) {
   const results = [];
@@ -621,6 +1165,19 @@ function scanFolderForAudio(folderPath, recursive = true) {
       return;
     }
 
+    // Disc images split by a CUE sheet list each sheet track
+    const fileNames = entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(entry => entry.name);
+    const cueSheets = scanCueSheets(dirPath, fileNames);
+    for (const cueTrack of cueSheets.tracks) {
+      results.push({
+        ...cueTrack,
+        parsed: { disc: cueTrack.cue.disc, trackNumber: cueTrack.cue.trackNumber, title: cueTrack.cue.title },
+        discFromFolder: inheritedDisc
+      });
+    }
+
     for (const entry of entries) {
       if (entry.name.startsWith('.') || entry.name.startsWith('._')) {
         continue;
@@ -635,7 +1192,7 @@ function scanFolderForAudio(folderPath, recursive = true) {
         }
       } else if (entry.isFile()) {
         const ext = path.extname(entry.name).toLowerCase();
-        if (AUDIO_EXTENSIONS.includes(ext)) {
+        if (IMPORT_EXTENSIONS.includes(ext) && !cueSheets.images.has(fullPath)) {
           const parsed = parseTrackFilename(entry.name);
           results.push({
             sourcePath: fullPath,
@@ -711,17 +1268,40 @@ function findCoverArt(folderPath) {
   }
 }
 
+/**
+ * importFiles for the legacy callers, which have no one to ask about
+ * duplicates: they're skipped, and come back as skippedDuplicates (the
+ * needsDecision list) so the caller can say what was left out
+ */
+async function importSkippingDuplicates(paths, libraryPath, options = {}) {
+  const result = await importFiles(paths, libraryPath, options);
+  if (!result.needsDecision) return { ...result, skippedDuplicates: [] };
+
+  const skipped = await importFiles(paths, libraryPath, { ...options, duplicateActions: {} });
+  return { ...skipped, skippedDuplicates: result.duplicates };
+}
+
+// Why nothing came in, when every file was a duplicate
+function allDuplicatesError(result) {
+  const count = result.skippedDuplicates.length;
+  return count > 0 && result.imported === 0 && !result.failed
+    ? `${count === 1 ? 'This track is' : `All ${count} tracks are`} already in the library`
+    : null;
+}
+
 /**
  * Legacy import function for adding tracks to existing album (Panopticon)
  */
 async function importToExistingAlbum(files, record, libraryPath) {
   // Use the new v2 import for this - it handles adding to existing records
-  const paths = files.map(f => f.sourcePath || f);
-  const result = await importFiles(paths, libraryPath, {});
+  const paths = files.map(f => f.sourcePath || f.filePath || f);
+  const result = await importSkippingDuplicates(paths, libraryPath);
   return {
     success: result.imported > 0,
     trackCount: result.imported,
-    errors: result.errors
+    error: result.error || allDuplicatesError(result),
+    errors: result.errors,
+    skippedDuplicates: result.skippedDuplicates
   };
 }
 
@@ -730,12 +1310,12 @@ async function importToExistingAlbum(files, record, libraryPath) {
  */
 async function importAsNewAlbum(albumGroup, libraryPath, options = {}) {
   // Extract file paths from albumGroup
-  const paths = albumGroup.files?.map(f => f.sourcePath || f) || [];
+  const paths = albumGroup.files?.map(f => f.sourcePath || f.filePath || f) || [];
   if (paths.length === 0) {
     return { success: false, error: 'No files to import' };
   }
 
-  const result = await importFiles(paths, libraryPath, {});
+  const result = await importSkippingDuplicates(paths, libraryPath);
 
   // Return in legacy format
   if (result.records && result.records.length > 0) {
@@ -746,13 +1326,15 @@ async function importAsNewAlbum(albumGroup, libraryPath, options = {}) {
       albumName: record.name,
       artistName: record.artist,
       trackCount: record.trackCount,
-      hasCover: false // v2 handles cover internally
+      hasCover: false, // v2 handles cover internally
+      skippedDuplicates: result.skippedDuplicates
     };
   }
 
   return {
     success: result.imported > 0,
-    error: result.error
+    error: result.error || allDuplicatesError(result),
+    skippedDuplicates: result.skippedDuplicates
   };
 }
 
@@ -760,11 +1342,12 @@ async function importAsNewAlbum(albumGroup, libraryPath, options = {}) {
  * Legacy single file import (Panopticon)
  */
 async function importSingleFile(filePath, libraryPath, options = {}) {
-  const result = await importFiles([filePath], libraryPath, {});
+  const result = await importSkippingDuplicates([filePath], libraryPath);
   return {
     success: result.imported > 0,
     trackId: result.records?.[0]?.id,
-    error: result.error
+    error: result.error || allDuplicatesError(result),
+    skippedDuplicates: result.skippedDuplicates
   };
 }
 
@@ -819,6 +1402,7 @@ module.exports = {
   AUDIO_EXTENSIONS,
   importFiles,
   extractAudioMetadata,
+  extractAudioFileMetadata,
   extractEmbeddedCover,
   scanForAudioFiles,
   buildGroupKey,
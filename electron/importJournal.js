@@ -0,0 +1,276 @@
+/**
+ * The Gloaming - Import Journal
+ *
+ * Every import batch writes imports/<id>.json listing what it changed,
+ * so the whole batch can be undone later:
+ *
+ *   tracks       track folders it created - removed from the library
+ *   records      records it created - deleted
+ *   merged       existing records it added tracks to - those tracks come off again
+ *   attachments  covers it imported for new records - deleted if nothing else uses them
+ *   replaced     library tracks whose audio it swapped - put back from the backup
+ *
+ * Before a track's audio is swapped, its old file and metadata.json move to
+ * imports/<id>/<trackId>/ (a CUE track's disc image is linked into
+ * imports/<id>/discs/), and undo moves them back. The backup goes with the
+ * journal once it's undone or pruned.
+ *
+ * Undo never touches source files; referenced tracks only lose their .info folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  generateUUID,
+  getLibraryPaths,
+  listCollections,
+  writeCollection,
+  readTrackMetadata,
+  pruneDiscImages
+} = require('./library');
+
+// Older journals are dropped once there are more than this
+const JOURNAL_LIMIT = 50;
+
+function getJournalPath(libraryPath, journalId) {
+  return path.join(getLibraryPaths(libraryPath).imports, `${journalId}.json`);
+}
+
+function getBackupPath(libraryPath, journalId) {
+  return path.join(getLibraryPaths(libraryPath).imports, journalId);
+}
+
+function readJournal(libraryPath, journalId) {
+  try {
+    return JSON.parse(fs.readFileSync(getJournalPath(libraryPath, journalId), 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * A new, empty journal (written by saveJournal once something happens)
+ */
+function createJournal({ mode, sources }) {
+  return {
+    id: generateUUID(),
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    cancelledAt: null,
+    undoneAt: null,
+    mode,
+    sources,
+    tracks: [],
+    records: [],
+    merged: [],
+    attachments: [],
+    replaced: []
+  };
+}
+
+/**
+ * Write a journal, dropping the oldest beyond JOURNAL_LIMIT
+ */
+function saveJournal(libraryPath, journal) {
+  const importsPath = getLibraryPaths(libraryPath).imports;
+  fs.mkdirSync(importsPath, { recursive: true });
+  fs.writeFileSync(getJournalPath(libraryPath, journal.id), JSON.stringify(journal, null, 2));
+
+  const journals = listJournals(libraryPath);
+  for (const old of journals.slice(JOURNAL_LIMIT)) {
+    fs.rmSync(getJournalPath(libraryPath, old.id), { force: true });
+    discardBackup(libraryPath, old.id);
+  }
+}
+
+/**
+ * Remove a journal's backups of replaced tracks
+ */
+function discardBackup(libraryPath, journalId) {
+  fs.rmSync(getBackupPath(libraryPath, journalId), { recursive: true, force: true });
+}
+
+/**
+ * Set a library track aside before an import swaps its audio
+ * Its own audio file moves out (a referenced file stays where it is) and
+ * metadata.json is copied, so restoreReplacedTrack can put both back.
+ */
+function backupReplacedTrack(libraryPath, journalId, trackId) {
+  const paths = getLibraryPaths(libraryPath);
+  const trackFolder = path.join(paths.tracks, `${trackId}.info`);
+  const backupFolder = path.join(getBackupPath(libraryPath, journalId), trackId);
+  const metadata = JSON.parse(fs.readFileSync(path.join(trackFolder, 'metadata.json'), 'utf8'));
+
+  fs.mkdirSync(backupFolder, { recursive: true });
+  fs.copyFileSync(path.join(trackFolder, 'metadata.json'), path.join(backupFolder, 'metadata.json'));
+
+  if (metadata.cue?.image) {
+    // Shared with the rest of the disc, so linked rather than moved - pruning discs/ can't lose it
+    const imagePath = path.join(paths.discs, metadata.cue.image);
+    const backupImagePath = path.join(getBackupPath(libraryPath, journalId), 'discs', metadata.cue.image);
+    if (fs.existsSync(imagePath) && !fs.existsSync(backupImagePath)) {
+      fs.mkdirSync(path.dirname(backupImagePath), { recursive: true });
+      try {
+        fs.linkSync(imagePath, backupImagePath);
+      } catch (err) {
+        fs.copyFileSync(imagePath, backupImagePath);
+      }
+    }
+  } else if (metadata.filename && !metadata.referencePath) {
+    const audioPath = path.join(trackFolder, metadata.filename);
+    if (fs.existsSync(audioPath)) fs.renameSync(audioPath, path.join(backupFolder, metadata.filename));
+  }
+}
+
+/**
+ * Put a track set aside by backupReplacedTrack back as it was
+ * Whatever audio the import gave it is removed.
+ * @returns {boolean} - false if there was nothing to restore (no backup, or the track is gone)
+ */
+function restoreReplacedTrack(libraryPath, journalId, trackId) {
+  const paths = getLibraryPaths(libraryPath);
+  const trackFolder = path.join(paths.tracks, `${trackId}.info`);
+  const backupFolder = path.join(getBackupPath(libraryPath, journalId), trackId);
+  const backupMetadataPath = path.join(backupFolder, 'metadata.json');
+  if (!fs.existsSync(trackFolder) || !fs.existsSync(backupMetadataPath)) return false;
+
+  const original = JSON.parse(fs.readFileSync(backupMetadataPath, 'utf8'));
+  const current = readTrackMetadataFile(path.join(trackFolder, 'metadata.json'));
+
+  // The import's own copy (a referenced file is never deleted)
+  if (current?.filename && !current.referencePath && !current.cue) {
+    fs.rmSync(path.join(trackFolder, current.filename), { force: true });
+  }
+
+  if (original.cue?.image) {
+    const imagePath = path.join(paths.discs, original.cue.image);
+    const backupImagePath = path.join(getBackupPath(libraryPath, journalId), 'discs', original.cue.image);
+    if (!fs.existsSync(imagePath) && fs.existsSync(backupImagePath)) {
+      fs.mkdirSync(paths.discs, { recursive: true });
+      fs.renameSync(backupImagePath, imagePath);
+    }
+  } else if (original.filename && !original.referencePath) {
+    const backupAudioPath = path.join(backupFolder, original.filename);
+    if (fs.existsSync(backupAudioPath)) fs.renameSync(backupAudioPath, path.join(trackFolder, original.filename));
+  }
+
+  fs.writeFileSync(path.join(trackFolder, 'metadata.json'), JSON.stringify(original, null, 2));
+  fs.rmSync(backupFolder, { recursive: true, force: true });
+  return true;
+}
+
+function readTrackMetadataFile(metadataPath) {
+  try {
+    return JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Journals, newest first
+ * @returns {object[]} { id, startedAt, completedAt, cancelledAt, undoneAt, mode, sources, trackCount, recordCount, mergedCount, replacedCount }
+ */
+function listJournals(libraryPath) {
+  const importsPath = getLibraryPaths(libraryPath).imports;
+  if (!fs.existsSync(importsPath)) return [];
+
+  return fs.readdirSync(importsPath)
+    .filter(name => name.endsWith('.json'))
+    .map(name => readJournal(libraryPath, path.basename(name, '.json')))
+    .filter(Boolean)
+    .map(journal => ({
+      id: journal.id,
+      startedAt: journal.startedAt,
+      completedAt: journal.completedAt,
+      cancelledAt: journal.cancelledAt || null,
+      undoneAt: journal.undoneAt,
+      mode: journal.mode,
+      sources: journal.sources,
+      trackCount: journal.tracks.length,
+      recordCount: journal.records.length,
+      mergedCount: journal.merged.length,
+      replacedCount: journal.replaced.length
+    }))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+/**
+ * Undo an import batch
+ * Tracks are taken out of every collection they ended up in (records they
+ * were moved to, mixtapes), so later edits to merged records survive.
+ * @returns {{ removedTracks: string[], deletedRecords, restoredRecords, restoredFiles, replacedKept }}
+ *   replacedKept counts replaced tracks that couldn't be put back (deleted since,
+ *   or journalled before replaced files were backed up)
+ */
+function undoImport(libraryPath, journalId) {
+  const journal = readJournal(libraryPath, journalId);
+  if (!journal) throw new Error('Import journal not found');
+  if (journal.undoneAt) throw new Error('This import was already undone');
+
+  const paths = getLibraryPaths(libraryPath);
+  const trackIds = new Set(journal.tracks);
+  const createdRecords = new Set(journal.records);
+  const summary = { removedTracks: [], deletedRecords: 0, restoredRecords: 0, restoredFiles: 0, replacedKept: 0 };
+
+  // Records: delete the new ones, take the batch's tracks off everything else
+  const remaining = [];
+  for (const collection of listCollections(libraryPath)) {
+    if (createdRecords.has(collection.id)) {
+      fs.rmSync(path.join(paths.collections, `${collection.id}.json`), { force: true });
+      summary.deletedRecords++;
+      continue;
+    }
+    remaining.push(collection);
+    if (!collection.tracks?.some(t => trackIds.has(t.id))) continue;
+
+    collection.tracks = collection.tracks.filter(t => !trackIds.has(t.id));
+    collection.modifiedAt = new Date().toISOString();
+    writeCollection(libraryPath, collection);
+    if (journal.merged.includes(collection.id)) summary.restoredRecords++;
+  }
+
+  // Replaced tracks get their old audio and metadata back
+  for (const trackId of journal.replaced) {
+    if (restoreReplacedTrack(libraryPath, journal.id, trackId)) summary.restoredFiles++;
+    else summary.replacedKept++;
+  }
+  discardBackup(libraryPath, journal.id);
+
+  const imageNames = [];
+  for (const trackId of trackIds) {
+    const trackFolder = path.join(paths.tracks, `${trackId}.info`);
+    if (!fs.existsSync(trackFolder)) continue;
+    imageNames.push(readTrackMetadata(trackFolder)?.cue?.image);
+    fs.rmSync(trackFolder, { recursive: true, force: true });
+    summary.removedTracks.push(trackId);
+  }
+  pruneDiscImages(libraryPath, imageNames);
+
+  // Covers, unless they've since been put to use elsewhere
+  const inUse = new Set();
+  for (const collection of remaining) {
+    if (collection.cover) inUse.add(collection.cover);
+    for (const attachmentId of collection.attachments || []) inUse.add(attachmentId);
+  }
+  for (const attachmentId of journal.attachments) {
+    if (inUse.has(attachmentId)) continue;
+    fs.rmSync(path.join(paths.attachments, `${attachmentId}.info`), { recursive: true, force: true });
+  }
+
+  journal.undoneAt = new Date().toISOString();
+  fs.writeFileSync(getJournalPath(libraryPath, journal.id), JSON.stringify(journal, null, 2));
+
+  console.log(`[ImportJournal] Undid ${journal.id}: ${summary.removedTracks.length} tracks, ${summary.deletedRecords} records`);
+  return summary;
+}
+
+module.exports = {
+  createJournal,
+  saveJournal,
+  listJournals,
+  discardBackup,
+  backupReplacedTrack,
+  restoreReplacedTrack,
+  undoImport
+};
@@ -0,0 +1,133 @@
+/**
+ * The Gloaming - Import Worker Pool
+ *
+ * Scanning, tag reading, hashing and copying run on worker threads
+ * (importWorker.js) so a large import doesn't stall the main process and
+ * every IPC call behind it. At most POOL_SIZE tasks run at once; the rest
+ * wait in a queue. Workers exit after sitting idle for a while.
+ *
+ * Aborting a task's signal drops it from the queue. A task already running
+ * is left to finish and still waited for, so the caller can clean up
+ * whatever it wrote.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Leave a core for the main process and renderer
+const POOL_SIZE = Math.max(1, Math.min(4, os.cpus().length - 1));
+const IDLE_TIMEOUT_MS = 30000;
+
+const workers = []; // { worker, task }
+const queue = [];
+let nextTaskId = 1;
+let idleTimer = null;
+
+function cancelledError() {
+  const err = new Error('Import cancelled');
+  err.name = 'AbortError';
+  return err;
+}
+
+function spawnWorker() {
+  const entry = { worker: new Worker(path.join(__dirname, 'importWorker.js')), task: null };
+  // An idle worker never keeps the process alive (see dispatch)
+  entry.worker.unref();
+
+  entry.worker.on('message', ({ id, result, error }) => {
+    const task = entry.task;
+    entry.task = null;
+    entry.worker.unref();
+    if (task && task.id === id) {
+      task.settle(error ? new Error(error) : null, result);
+    }
+    dispatch();
+  });
+
+  entry.worker.on('error', (err) => {
+    console.error('[ImportPool] Worker failed:', err);
+  });
+
+  entry.worker.on('exit', () => {
+    const index = workers.indexOf(entry);
+    if (index !== -1) workers.splice(index, 1);
+    if (entry.task) {
+      entry.task.settle(new Error('Import worker stopped unexpectedly'));
+      entry.task = null;
+    }
+    dispatch();
+  });
+
+  workers.push(entry);
+  return entry;
+}
+
+function shutdown() {
+  for (const entry of workers.splice(0)) {
+    entry.worker.terminate();
+  }
+}
+
+function dispatch() {
+  clearTimeout(idleTimer);
+
+  while (queue.length > 0) {
+    let entry = workers.find(w => !w.task);
+    if (!entry) {
+      if (workers.length >= POOL_SIZE) break;
+      entry = spawnWorker();
+    }
+    const task = queue.shift();
+    entry.task = task;
+    // A busy one does - otherwise a headless run exits mid-task
+    entry.worker.ref();
+    entry.worker.postMessage({ id: task.id, type: task.type, payload: task.payload });
+  }
+
+  if (workers.length > 0 && queue.length === 0 && workers.every(w => !w.task)) {
+    idleTimer = setTimeout(shutdown, IDLE_TIMEOUT_MS);
+    idleTimer.unref();
+  }
+}
+
+/**
+ * Run a task on the pool (see importWorker.js for the task types)
+ * @param {object} options - { signal } an AbortSignal; rejects with an AbortError if it fires first
+ * @returns {Promise<*>} the task's result
+ */
+function runTask(type, payload, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+
+    const onAbort = () => {
+      const index = queue.indexOf(task);
+      if (index === -1) return; // Already running
+      queue.splice(index, 1);
+      reject(cancelledError());
+    };
+
+    const task = {
+      id: nextTaskId++,
+      type,
+      payload,
+      settle(err, result) {
+        signal?.removeEventListener('abort', onAbort);
+        if (err) reject(err);
+        else resolve(result);
+      }
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+    queue.push(task);
+    dispatch();
+  });
+}
+
+module.exports = {
+  POOL_SIZE,
+  runTask
+};
@@ -0,0 +1,112 @@
+/**
+ * The Gloaming - Import Worker
+ *
+ * Runs on a worker thread (see importPool.js). Each message is one task;
+ * the reply carries its id and either a result or an error message.
+ *
+ * Tasks:
+ *   scan   { inputPaths }        { files, unsupported }: audio files under the paths, with
+ *                                size and mtime, and the ones that can't be imported
+ *   probe  { filePath, hash }    tags and technical details, and the content hash if asked
+ *   cover  { filePath }          the first embedded picture
+ *   copy   { source, dest }      copy a file, returns its size
+ *   transcode { source, dest }   convert a file to FLAC with ffmpeg, returns its size
+ *
+ * Both write to <dest>.importing and rename it over dest once complete,
+ * so a failed copy never leaves dest half-written.
+ */
+
+const { parentPort } = require('worker_threads');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { extractAudioMetadata, extractEmbeddedCover, scanForImport } = require('./audioFiles');
+const { computeContentHash } = require('./contentHash');
+
+// Packaged builds can't run it from inside the asar (see asarUnpack)
+const FFMPEG_PATH = require('@ffmpeg-installer/ffmpeg').path.replace('app.asar', 'app.asar.unpacked');
+
+const tasks = {
+  scan({ inputPaths }) {
+    const stats = new Map(); // A disc image is listed once per CUE track
+    const { audioFiles, unsupported } = scanForImport(inputPaths);
+    const files = audioFiles.map(audioFile => {
+      if (!stats.has(audioFile.sourcePath)) {
+        try {
+          const { size, mtimeMs } = fs.statSync(audioFile.sourcePath);
+          stats.set(audioFile.sourcePath, { size, mtimeMs });
+        } catch (err) {
+          stats.set(audioFile.sourcePath, { size: 0, mtimeMs: 0 });
+        }
+      }
+      const { size, mtimeMs } = stats.get(audioFile.sourcePath);
+      return { ...audioFile, fileSize: size, mtimeMs };
+    });
+    return { files, unsupported };
+  },
+
+  async probe({ filePath, hash }) {
+    const metadata = await extractAudioMetadata(filePath);
+    let contentHash = null;
+    if (hash) {
+      try {
+        contentHash = await computeContentHash(filePath);
+      } catch (err) {
+        console.error('Could not hash', filePath, err.message);
+      }
+    }
+    return { metadata, contentHash };
+  },
+
+  cover({ filePath }) {
+    return extractEmbeddedCover(filePath);
+  },
+
+  copy({ source, dest }) {
+    const tempPath = `${dest}.importing`;
+    try {
+      fs.copyFileSync(source, tempPath);
+      fs.renameSync(tempPath, dest);
+    } catch (err) {
+      fs.rmSync(tempPath, { force: true });
+      throw err;
+    }
+    return fs.statSync(dest).size;
+  },
+
+  // Tags and cover art come along; only the first audio stream is kept
+  transcode({ source, dest }) {
+    const tempPath = `${dest}.importing`;
+    const args = [
+      '-nostdin', '-v', 'error', '-y',
+      '-i', source,
+      '-map', '0:a:0', '-map', '0:v?', '-map_metadata', '0',
+      '-c:a', 'flac', '-c:v', 'copy', '-disposition:v', 'attached_pic',
+      '-f', 'flac', tempPath
+    ];
+    return new Promise((resolve, reject) => {
+      execFile(FFMPEG_PATH, args, (err, stdout, stderr) => {
+        try {
+          if (err) {
+            const reason = stderr.trim().split('\n').pop() || err.message;
+            throw new Error(`Could not convert ${path.basename(source)} to FLAC: ${reason}`);
+          }
+          fs.renameSync(tempPath, dest);
+          resolve(fs.statSync(dest).size);
+        } catch (error) {
+          fs.rmSync(tempPath, { force: true });
+          reject(error);
+        }
+      });
+    });
+  }
+};
+
+parentPort.on('message', async ({ id, type, payload }) => {
+  try {
+    const result = await tasks[type](payload);
+    parentPort.postMessage({ id, result });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.message });
+  }
+});
@@ -18,6 +18,8 @@ module.exports = function registerAlbumsHandlers({
   writeCollection,
   listCollections,
   readTrackMetadata,
+  getTrackAudioPath,
+  pruneDiscImages,
   generateThumbnails,
   ledgers,
   facetIndex
@@ -39,7 +41,7 @@ module.exports = function registerAlbumsHandlers({
       return trackMeta ? {
         ...trackMeta,
         position: trackRef.position,
-        audioPath: path.join(trackFolderPath, trackMeta.filename)
+        audioPath: getTrackAudioPath(trackFolderPath, trackMeta)
       } : null;
     }).filter(Boolean);
 
@@ -56,7 +58,7 @@ module.exports = function registerAlbumsHandlers({
     if (metadata) {
       return {
         ...metadata,
-        audioPath: path.join(trackFolderPath, metadata.filename)
+        audioPath: getTrackAudioPath(trackFolderPath, metadata)
       };
     }
 
@@ -280,13 +282,16 @@ module.exports = function registerAlbumsHandlers({
       }
 
       // Delete all track folders
+      const imageNames = [];
       for (const trackRef of (album.tracks || [])) {
         const trackFolderPath = path.join(paths.tracks, `${trackRef.id}.info`);
         if (fs.existsSync(trackFolderPath)) {
+          imageNames.push(readTrackMetadata(trackFolderPath)?.cue?.image);
           fs.rmSync(trackFolderPath, { recursive: true, force: true });
           console.log('Deleted track folder:', trackRef.id);
         }
       }
+      pruneDiscImages(currentLibraryPath, imageNames);
 
       // Note: Cover attachments are now in attachments/ folder
       // They will be cleaned up as orphans or retained if linked elsewhere
@@ -339,8 +344,10 @@ module.exports = function registerAlbumsHandlers({
       // Delete track folder
       const trackFolderPath = path.join(paths.tracks, `${trackId}.info`);
       if (fs.existsSync(trackFolderPath)) {
+        const imageName = readTrackMetadata(trackFolderPath)?.cue?.image;
         fs.rmSync(trackFolderPath, { recursive: true, force: true });
         console.log('Deleted track folder:', trackId);
+        pruneDiscImages(currentLibraryPath, [imageName]);
       }
 
       // Remove track reference from parent album
@@ -0,0 +1,95 @@
+/**
+ * Almanac IPC Handlers
+ *
+ * The yearly listening report: preview it in Ledgers, save it as a
+ * self-contained HTML page or print it to PDF.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = function registerAlmanacHandlers({
+  ipcMain,
+  dialog,
+  BrowserWindow,
+  almanac,
+  ledgers,
+  facetIndex,
+  getLibraryPath
+}) {
+
+  function renderYear(year) {
+    const report = almanac.buildAlmanac(getLibraryPath(), year, { ledgers, facetIndex });
+    return { report, html: almanac.renderAlmanacHtml(report) };
+  }
+
+  // Print a page to PDF in a hidden window
+  async function printToPdf(html) {
+    const tempPath = path.join(os.tmpdir(), `gloaming-almanac-${process.pid}-${Date.now()}.html`);
+    fs.writeFileSync(tempPath, html, 'utf8');
+    const win = new BrowserWindow({ show: false, webPreferences: { javascript: false } });
+    try {
+      await win.loadFile(tempPath);
+      return await win.webContents.printToPDF({ printBackground: true, pageSize: 'A4' });
+    } finally {
+      win.destroy();
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+
+  // Years there's listening for (and this one), newest first
+  ipcMain.handle('get-almanac-years', async () => {
+    try {
+      return { success: true, years: almanac.listAlmanacYears(ledgers) };
+    } catch (err) {
+      console.error('[Almanac] Error listing years:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // A year's almanac, and the page it makes
+  ipcMain.handle('get-almanac', async (event, year) => {
+    try {
+      const { report, html } = renderYear(year);
+      return { success: true, almanac: report, html };
+    } catch (err) {
+      console.error('[Almanac] Error building almanac:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Save a year's almanac as 'html' or 'pdf'
+  ipcMain.handle('export-almanac', async (event, { year, format = 'html' }) => {
+    try {
+      const extension = format === 'pdf' ? 'pdf' : 'html';
+      const result = await dialog.showSaveDialog({
+        title: `Export Almanac ${year}`,
+        defaultPath: `Almanac ${year}.${extension}`,
+        filters: [
+          extension === 'pdf'
+            ? { name: 'PDF Document', extensions: ['pdf'] }
+            : { name: 'Web Page', extensions: ['html'] }
+        ]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+
+      const { html } = renderYear(year);
+      if (extension === 'pdf') {
+        fs.writeFileSync(result.filePath, await printToPdf(html));
+      } else {
+        fs.writeFileSync(result.filePath, html, 'utf8');
+      }
+      console.log(`[Almanac] Exported ${year} to ${result.filePath}`);
+
+      return { success: true, filePath: result.filePath, format: extension };
+    } catch (err) {
+      console.error('[Almanac] Error exporting almanac:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+};
@@ -5,6 +5,8 @@
  * Forwards commands from renderer to audio-bridge, and events back to renderer.
  */
 
+const fs = require('fs');
+
 module.exports = function registerAudioHandlers({ ipcMain, audioBridge, getMainWindow }) {
 
   // ============================================
@@ -35,16 +37,25 @@ module.exports = function registerAudioHandlers({ ipcMain, audioBridge, getMainW
   // IPC Handlers (renderer → main → Swift)
   // ============================================
 
+  // Referenced files can vanish (unplugged disk, moved folder), so loads
+  // check first: returns the failure to send back, or null if it's there
+  const checkAudioFile = (audioPath) => (
+    fs.existsSync(audioPath) ? null : { success: false, missing: true, error: 'Audio file is missing' }
+  );
+
   /**
    * Load a track
-   * @param {Object} param - { id: string, audioPath: string }
+   * @param {Object} param - { id: string, audioPath: string, start?: number, end?: number }
+   *   start/end (seconds) play a span of the file - CUE sheet tracks
    */
-  ipcMain.handle('audio:load', async (event, { id, audioPath }) => {
+  ipcMain.handle('audio:load', async (event, { id, audioPath, start, end }) => {
     try {
       if (!audioBridge.isReady()) {
         return { success: false, error: 'Audio service not ready' };
       }
-      audioBridge.load(id, audioPath);
+      const missing = checkAudioFile(audioPath);
+      if (missing) return missing;
+      audioBridge.load(id, audioPath, { start, end });
       return { success: true };
     } catch (err) {
       console.error('[audio-ipc] load error:', err);
@@ -54,14 +65,17 @@ module.exports = function registerAudioHandlers({ ipcMain, audioBridge, getMainW
 
   /**
    * Preload next track for gapless playback
-   * @param {Object} param - { id: string, audioPath: string }
+   * @param {Object} param - { id: string, audioPath: string, start?: number, end?: number }
+   *   start/end (seconds) play a span of the file - CUE sheet tracks
    */
-  ipcMain.handle('audio:preload', async (event, { id, audioPath }) => {
+  ipcMain.handle('audio:preload', async (event, { id, audioPath, start, end }) => {
     try {
       if (!audioBridge.isReady()) {
         return { success: false, error: 'Audio service not ready' };
       }
-      audioBridge.preload(id, audioPath);
+      const missing = checkAudioFile(audioPath);
+      if (missing) return missing;
+      audioBridge.preload(id, audioPath, { start, end });
       return { success: true };
     } catch (err) {
       console.error('[audio-ipc] preload error:', err);
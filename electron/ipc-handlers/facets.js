@@ -18,7 +18,8 @@ module.exports = function registerFacetsHandlers({
   listCollections,
   readCollection,
   writeCollection,
-  readTrackMetadata
+  readTrackMetadata,
+  getTrackAudioPath
 }) {
 
   // Facets - using facetIndex for fast lookups
@@ -116,7 +117,7 @@ module.exports = function registerFacetsHandlers({
 
         return {
           ...metadata,
-          audioPath: path.join(trackFolder, metadata.filename),
+          audioPath: getTrackAudioPath(trackFolder, metadata),
           albumArt: albumArt,
           artist: metadata.trackArtist || 'Unknown Artist',
           album: metadata.album || albumNameMap[metadata.albumId] || 'Unknown Album'
@@ -32,11 +32,13 @@ module.exports = function registerFoyerHandlers({
   readCollection,
   listCollections,
   readTrackMetadata,
+  getTrackAudioPath,
   generateUUID,
   shuffleArray,
   ledgers,
   programs,
-  facetIndex
+  facetIndex,
+  startWatchedFolders
 }) {
 
   // Helper to add a library to the known libraries list
@@ -131,6 +133,7 @@ module.exports = function registerFoyerHandlers({
         readCollection,
         listCollections,
         readTrackMetadata,
+        getTrackAudioPath,
         generateUUID,
         shuffleArray
       }, facetIndex);
@@ -139,6 +142,8 @@ module.exports = function registerFoyerHandlers({
       // New libraries default to native audio enabled
       audioBridge.spawn(libraryPath);
 
+      startWatchedFolders(libraryPath);
+
       return {
         success: true,
         libraryInfo: { path: libraryPath, name }
@@ -185,6 +190,7 @@ module.exports = function registerFoyerHandlers({
         readCollection,
         listCollections,
         readTrackMetadata,
+        getTrackAudioPath,
         generateUUID,
         shuffleArray
       }, facetIndex);
@@ -194,6 +200,9 @@ module.exports = function registerFoyerHandlers({
         audioBridge.spawn(libraryPath);
       }
 
+      // Catch up on anything that changed in watched folders while closed
+      startWatchedFolders(libraryPath);
+
       return {
         success: true,
         libraryInfo: { path: libraryPath, name }
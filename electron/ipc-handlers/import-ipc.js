@@ -2,7 +2,9 @@
  * Import IPC Handlers - v2 Simplified
  *
  * Philosophy: Import fast and dumb. Fix in Panopticon.
- * No preview, no decisions - just import immediately.
+ * The import dialog can preview the grouping first; every batch is
+ * journaled so it can be undone, and a running one can be cancelled.
+ * Path templates (library settings) fill in what untagged files' tags don't.
  */
 
 const path = require('path');
@@ -12,9 +14,17 @@ module.exports = function registerImportHandlers({
   dialog,
   getLibraryPath,
   importFiles,
+  importJournal,
+  pathTemplates,
+  loadLibraryConfig,
+  saveLibraryConfig,
+  ledgers,
   AUDIO_EXTENSIONS
 }) {
 
+  // Aborts the running import-files call (see cancel-import)
+  let activeImport = null;
+
   // Import dialog - select folder(s) or file(s)
   ipcMain.handle('show-import-dialog', async () => {
     const result = await dialog.showOpenDialog({
@@ -22,7 +32,7 @@ module.exports = function registerImportHandlers({
       title: 'Select files or folders to import',
       message: 'Choose audio files or folders containing music',
       filters: [
-        { name: 'Audio Files', extensions: ['m4a', 'flac', 'mp3', 'wav', 'aiff', 'aac', 'ogg', 'wma'] }
+        { name: 'Audio Files', extensions: ['m4a', 'flac', 'mp3', 'wav', 'aiff', 'aac', 'ogg', 'wma', 'ape', 'cue'] }
       ]
     });
 
@@ -36,8 +46,12 @@ module.exports = function registerImportHandlers({
     };
   });
 
-  // Main import handler - immediate import, no preview
-  ipcMain.handle('import-files', async (event, inputPaths) => {
+  // Main import handler.
+  // options.dryRun returns { preview, duplicates } without writing anything;
+  // options.plan imports a (possibly edited) preview. Returns
+  // { needsDecision, duplicates } if files are already in the library;
+  // call again with options.duplicateActions to finish.
+  ipcMain.handle('import-files', async (event, inputPaths, options = {}) => {
     try {
       const currentLibraryPath = getLibraryPath();
 
@@ -52,16 +66,138 @@ module.exports = function registerImportHandlers({
         return { success: false, error: 'No paths provided' };
       }
 
-      const result = await importFiles(pathsArray, currentLibraryPath, {
-        onProgress: (progress) => {
-          // Send progress updates to renderer
-          event.sender.send('import-progress', progress);
+      const controller = new AbortController();
+      activeImport = controller;
+      try {
+        return await importFiles(pathsArray, currentLibraryPath, {
+          duplicateActions: options.duplicateActions || null,
+          dryRun: options.dryRun === true,
+          plan: options.plan || null,
+          signal: controller.signal,
+          onProgress: (progress) => {
+            // Send progress updates to renderer
+            event.sender.send('import-progress', progress);
+          }
+        });
+      } finally {
+        if (activeImport === controller) activeImport = null;
+      }
+    } catch (err) {
+      console.error('Import error:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Stop the running import. Files being copied finish, the rest are
+  // dropped and the half-imported record is rolled back.
+  ipcMain.handle('cancel-import', async () => {
+    if (!activeImport) {
+      return { success: false, error: 'No import running' };
+    }
+    activeImport.abort();
+    return { success: true };
+  });
+
+  // Recent import batches, newest first
+  ipcMain.handle('list-import-journals', async () => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      if (!currentLibraryPath) {
+        return { success: false, error: 'No library open' };
+      }
+      return { success: true, journals: importJournal.listJournals(currentLibraryPath) };
+    } catch (err) {
+      console.error('[Import] Error listing journals:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Undo a whole import batch
+  ipcMain.handle('undo-import', async (event, journalId) => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      if (!currentLibraryPath) {
+        return { success: false, error: 'No library open' };
+      }
+
+      const summary = importJournal.undoImport(currentLibraryPath, journalId);
+      if (ledgers) {
+        for (const trackId of summary.removedTracks) {
+          ledgers.resetTrackStats(trackId);
         }
-      });
+      }
 
-      return result;
+      return {
+        success: true,
+        removedTracks: summary.removedTracks.length,
+        deletedRecords: summary.deletedRecords,
+        restoredRecords: summary.restoredRecords,
+        restoredFiles: summary.restoredFiles,
+        replacedKept: summary.replacedKept
+      };
     } catch (err) {
-      console.error('Import error:', err);
+      console.error('[Import] Error undoing import:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // The library's path templates, each with what's wrong with its pattern (if anything)
+  ipcMain.handle('get-path-templates', async () => {
+    try {
+      const config = loadLibraryConfig(getLibraryPath());
+      const templates = config?.settings?.pathTemplates || [];
+      return {
+        success: true,
+        templates: templates.map(template => ({
+          ...template,
+          error: pathTemplates.validateTemplate(template.pattern)
+        }))
+      };
+    } catch (err) {
+      console.error('[Import] Error reading path templates:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Save the template list (in order - the first that matches a file wins)
+  ipcMain.handle('save-path-templates', async (event, templates) => {
+    try {
+      const cleaned = (templates || [])
+        .map(template => ({
+          name: (template.name || '').trim() || 'Untitled',
+          pattern: (template.pattern || '').trim(),
+          enabled: template.enabled !== false
+        }))
+        .filter(template => template.pattern);
+      const invalid = cleaned.find(template => pathTemplates.validateTemplate(template.pattern));
+      if (invalid) {
+        return { success: false, error: `${invalid.name}: ${pathTemplates.validateTemplate(invalid.pattern)}` };
+      }
+
+      const currentLibraryPath = getLibraryPath();
+      const config = loadLibraryConfig(currentLibraryPath) || {};
+      config.settings = { ...config.settings, pathTemplates: cleaned };
+      saveLibraryConfig(currentLibraryPath, config);
+      return { success: true, templates: cleaned };
+    } catch (err) {
+      console.error('[Import] Error saving path templates:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Try unsaved templates against sample paths: which one matches each, and what it reads
+  ipcMain.handle('preview-path-templates', async (event, { templates, paths }) => {
+    try {
+      return {
+        success: true,
+        errors: (templates || []).map(template => pathTemplates.validateTemplate(template.pattern)),
+        samples: (paths || []).map(filePath => ({
+          path: filePath,
+          match: pathTemplates.parsePathWithTemplates(filePath, templates)
+        }))
+      };
+    } catch (err) {
+      console.error('[Import] Error previewing path templates:', err);
       return { success: false, error: err.message };
     }
   });
@@ -1,7 +1,8 @@
 /**
  * Ledgers IPC Handlers
  *
- * Listening history tracking - records playtime, surfaces top tracks/albums/artists.
+ * Listening history tracking - records playtime, surfaces top tracks/albums/artists/
+ * facets/mixtapes and how listening spreads over time.
  */
 
 const fs = require('fs');
@@ -14,14 +15,34 @@ module.exports = function registerLedgersHandlers({
   getLibraryPaths,
   readCollection,
   readTrackMetadata,
-  getAlbumArtPath
+  getTrackAudioPath,
+  getAlbumArtPath,
+  facetIndex
 }) {
 
+  // What a chart is narrowed to: { type: 'track'|'record'|'artist'|'facet', value }
+  function toSeriesFilter(filter) {
+    switch (filter?.type) {
+      case 'track': return { trackId: filter.value };
+      case 'record': return { albumId: filter.value };
+      case 'artist': return { artist: filter.value };
+      case 'facet': return { trackIds: facetIndex.getTracksWithFacet(filter.value) };
+      default: return {};
+    }
+  }
+
   // Record a listening session (called when track changes or app closes)
-  ipcMain.handle('record-listen', async (event, { trackId, albumId, artist, seconds }) => {
-    console.log('[Main] record-listen received:', { trackId, albumId, artist, seconds });
+  ipcMain.handle('record-listen', async (event, listen) => {
+    console.log('[Main] record-listen received:', listen);
     try {
-      ledgers.recordListen({ trackId, albumId, artist, seconds });
+      const {
+        trackId, albumId, artist, seconds,
+        contextType, contextId, completed, skipPosition, trackDuration
+      } = listen;
+      ledgers.recordListen({
+        trackId, albumId, artist, seconds,
+        contextType, contextId, completed, skipPosition, trackDuration
+      });
       console.log('[Main] record-listen success');
       return { success: true };
     } catch (err) {
@@ -126,10 +147,10 @@ module.exports = function registerLedgersHandlers({
               (tr.trackNumber || tr.track) === trackNum
             );
             if (trackRef) {
-              audioPath = path.join(paths.tracks, `${trackRef.id}.info`, metadata.filename);
+              audioPath = getTrackAudioPath(path.join(paths.tracks, `${trackRef.id}.info`), metadata);
             }
           } else {
-            audioPath = path.join(paths.tracks, `${trackId}.info`, metadata.filename);
+            audioPath = getTrackAudioPath(path.join(paths.tracks, `${trackId}.info`), metadata);
           }
         }
 
@@ -142,6 +163,7 @@ module.exports = function registerLedgersHandlers({
           duration: trackDuration,
           albumArt,
           audioPath,
+          cue: metadata?.cue || null,
           includeInLedgers: metadata?.includeInLedgers !== false // default true
         };
       });
@@ -215,6 +237,136 @@ module.exports = function registerLedgersHandlers({
     }
   });
 
+  // Get top facets for a time period, joined through the facet index
+  ipcMain.handle('get-top-facets', async (event, { period, limit, sortBy }) => {
+    try {
+      return ledgers.getTopFacets({
+        period,
+        limit,
+        sortBy,
+        facetsForTrack: (trackId) => facetIndex.getFacetsForTrack(trackId)
+      });
+    } catch (err) {
+      console.error('Error getting top facets:', err);
+      return [];
+    }
+  });
+
+  // Get top mixtapes (cassettes) for a time period - listens played from the mixtape
+  ipcMain.handle('get-top-mixtapes', async (event, { period, limit, sortBy }) => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      const paths = getLibraryPaths(currentLibraryPath);
+
+      return ledgers.getTopMixtapes({ period, limit, sortBy }).map(m => {
+        const mixtape = readCollection(currentLibraryPath, m.mixtape_id);
+
+        // Custom cover, preferring its thumbnail
+        let albumArt = null;
+        if (mixtape?.coverImageId) {
+          const attachmentFolder = path.join(paths.attachments, `${mixtape.coverImageId}.info`);
+          const thumbnailPath = path.join(attachmentFolder, 'thumbnail.jpg');
+          const metaPath = path.join(attachmentFolder, 'metadata.json');
+          if (fs.existsSync(thumbnailPath)) {
+            albumArt = thumbnailPath;
+          } else if (fs.existsSync(metaPath)) {
+            try {
+              const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+              albumArt = path.join(attachmentFolder, meta.filename);
+            } catch (e) { /* ignore */ }
+          }
+        }
+
+        return {
+          ...m,
+          title: mixtape?.name || 'Deleted Cassette',
+          trackCount: mixtape?.tracks?.length || 0,
+          albumArt,
+          exists: !!mixtape
+        };
+      });
+    } catch (err) {
+      console.error('Error getting top mixtapes:', err);
+      return [];
+    }
+  });
+
+  // Listening split by where it came from (record, mixtape, program, roam)
+  ipcMain.handle('get-listen-contexts', async (event, { period }) => {
+    try {
+      return ledgers.getContextBreakdown({ period });
+    } catch (err) {
+      console.error('Error getting listen contexts:', err);
+      return [];
+    }
+  });
+
+  // Listening by hour, weekday, day, week or month, optionally for one track/record/artist/facet
+  ipcMain.handle('get-listening-series', async (event, { bucket, period, filter }) => {
+    try {
+      return ledgers.getTimeSeries({ bucket, period, filter: toSeriesFilter(filter) });
+    } catch (err) {
+      console.error('Error getting listening series:', err);
+      return [];
+    }
+  });
+
+  // Trend lines for the most-listened artists of a period
+  ipcMain.handle('get-artist-trends', async (event, { period, bucket = 'month', limit = 5 }) => {
+    try {
+      const trends = ledgers.getTopArtists({ period, limit, sortBy: 'time' }).map(a => ({
+        artist: a.artist,
+        total_seconds: a.total_seconds,
+        series: ledgers.getTimeSeries({ bucket, period, filter: { artist: a.artist } })
+      }));
+
+      // Open periods start each series at that artist's first listen - line them up
+      const axis = trends.reduce((longest, t) => (t.series.length > longest.length ? t.series : longest), []);
+      return trends.map(t => {
+        const found = new Map(t.series.map(point => [point.bucket, point]));
+        return {
+          ...t,
+          series: axis.map(({ bucket: key }) => found.get(key) || { bucket: key, total_seconds: 0, listen_count: 0 })
+        };
+      });
+    } catch (err) {
+      console.error('Error getting artist trends:', err);
+      return [];
+    }
+  });
+
+  // A record's life curve: listening since the day it joined the library
+  ipcMain.handle('get-record-life-curve', async (event, { albumId, bucket = 'week' }) => {
+    try {
+      const album = readCollection(getLibraryPath(), albumId);
+      if (!album) return { success: false, error: 'Record not found' };
+
+      const added = album.createdAt || album.addedAt;
+      const addedDate = added ? new Date(added) : null;
+      const period = addedDate && !isNaN(addedDate)
+        ? { from: `${addedDate.getFullYear()}-${String(addedDate.getMonth() + 1).padStart(2, '0')}-${String(addedDate.getDate()).padStart(2, '0')}` }
+        : 'all';
+
+      let cumulative = 0;
+      const series = ledgers.getTimeSeries({ bucket, period, filter: { albumId } }).map(point => {
+        cumulative += point.total_seconds;
+        return { ...point, cumulative_seconds: cumulative };
+      });
+
+      return {
+        success: true,
+        albumId,
+        title: album.name || 'Unknown Album',
+        artist: album.artist || 'Unknown Artist',
+        addedAt: added || null,
+        series
+      };
+    } catch (err) {
+      console.error('Error getting record life curve:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
   // Get stats for a specific track
   ipcMain.handle('get-track-listening-stats', async (event, trackId) => {
     try {
@@ -11,6 +11,9 @@ const path = require('path');
 // Number of cassette images available
 const CASSETTE_COUNT = 16;
 
+// Cassette sides - side A plays first
+const SIDES = ['A', 'B'];
+
 module.exports = function registerMixtapesHandlers({
   ipcMain,
   getLibraryPath,
@@ -23,10 +26,88 @@ module.exports = function registerMixtapesHandlers({
   readCollection,
   writeCollection,
   readTrackMetadata,
+  getTrackAudioPath,
   loadFacets,
-  saveFacets
+  saveFacets,
+  programs
 }) {
 
+  // Smart cassettes keep a saved query instead of a track list; resolve it live
+  function getTrackRefs(mixtape) {
+    if (!mixtape.smart) return mixtape.tracks || [];
+    return programs.getMixtapeTrackIds(mixtape).map((id, index) => ({ id, position: index + 1 }));
+  }
+
+  function getTrackDuration(trackId) {
+    const paths = getLibraryPaths(getLibraryPath());
+    const trackMeta = readTrackMetadata(path.join(paths.tracks, `${trackId}.info`));
+    return trackMeta?.duration || 0;
+  }
+
+  // Sides shape: { sideMinutes } - the target length of each side (C60 = 30)
+  function normalizeSides(sides) {
+    const sideMinutes = parseInt(sides?.sideMinutes);
+    return sideMinutes > 0 ? { sideMinutes } : null;
+  }
+
+  // Keep side A ahead of side B and renumber positions to match
+  function orderBySide(trackRefs) {
+    return trackRefs
+      .map((ref, index) => ({ ref, index }))
+      .sort((a, b) => {
+        const sideDiff = SIDES.indexOf(a.ref.side) - SIDES.indexOf(b.ref.side);
+        if (sideDiff !== 0) return sideDiff;
+        return (a.ref.position || 0) - (b.ref.position || 0) || a.index - b.index;
+      })
+      .map(({ ref }, index) => ({ ...ref, position: index + 1 }));
+  }
+
+  /**
+   * Give new track refs a side: side A while it has room, then side B.
+   * Once a track spills onto B the rest follow, so albums stay together.
+   */
+  function fillSides(existingRefs, newRefs, sides) {
+    const targetSeconds = sides.sideMinutes * 60;
+    let sideASeconds = existingRefs
+      .filter(ref => ref.side === 'A')
+      .reduce((sum, ref) => sum + getTrackDuration(ref.id), 0);
+    let side = 'A';
+
+    return newRefs.map(ref => {
+      const duration = getTrackDuration(ref.id);
+      if (side === 'A' && sideASeconds + duration > targetSeconds && sideASeconds > 0) {
+        side = 'B';
+      }
+      if (side === 'A') sideASeconds += duration;
+      return { ...ref, side };
+    });
+  }
+
+  // Sides switched on, off or resized: keep existing placements, place the rest
+  function applySides(trackRefs, sides) {
+    if (!sides) {
+      return trackRefs.map(({ side, ...ref }) => ref);
+    }
+    const placed = trackRefs.filter(ref => SIDES.includes(ref.side));
+    const unplaced = trackRefs.filter(ref => !SIDES.includes(ref.side));
+    return orderBySide([...placed, ...fillSides(placed, unplaced, sides)]);
+  }
+
+  // Smart query shape: { match: 'all'|'any', rules: [{ id, sourceType, sourceValue }], order, limit }
+  function normalizeSmartQuery(smart) {
+    const limit = parseInt(smart.limit);
+    return {
+      match: smart.match === 'any' ? 'any' : 'all',
+      rules: (smart.rules || []).map(rule => ({
+        id: rule.id || generateUUID(),
+        sourceType: rule.sourceType,
+        sourceValue: rule.sourceValue ?? null
+      })),
+      order: programs.SMART_ORDERS.includes(smart.order) ? smart.order : 'source',
+      limit: limit > 0 ? limit : null
+    };
+  }
+
   // Load all mixtapes for display
   ipcMain.handle('load-mixtapes', async () => {
     try {
@@ -36,7 +117,7 @@ module.exports = function registerMixtapesHandlers({
 
       // Enrich mixtapes with track data
       return mixtapes.map(mixtape => {
-        const tracks = (mixtape.tracks || []).map(trackRef => {
+        const tracks = getTrackRefs(mixtape).map(trackRef => {
           const trackFolderPath = path.join(paths.tracks, `${trackRef.id}.info`);
           const trackMeta = readTrackMetadata(trackFolderPath);
 
@@ -52,7 +133,8 @@ module.exports = function registerMixtapesHandlers({
             return {
               ...trackMeta,
               position: trackRef.position,
-              audioPath: path.join(trackFolderPath, trackMeta.filename),
+              side: trackRef.side,
+              audioPath: getTrackAudioPath(trackFolderPath, trackMeta),
               albumArt: albumCoverPath,
               album: trackMeta.album || album?.name || 'Unknown Album',
               artist: trackMeta.trackArtist || 'Unknown Artist'
@@ -116,7 +198,8 @@ module.exports = function registerMixtapesHandlers({
           id: mixtape.id,
           name: mixtape.name,
           color: mixtape.color,
-          trackCount: mixtape.tracks?.length || 0,
+          trackCount: getTrackRefs(mixtape).length,
+          smart: !!mixtape.smart,
           cassetteIndex: mixtape.cassetteIndex ?? 0,
           coverPath // null if no custom cover, otherwise the full path
         };
@@ -128,7 +211,7 @@ module.exports = function registerMixtapesHandlers({
   });
 
   // Create a new mixtape
-  ipcMain.handle('create-mixtape', async (event, { name }) => {
+  ipcMain.handle('create-mixtape', async (event, { name, smart }) => {
     try {
       const currentLibraryPath = getLibraryPath();
       const id = generateUUID();
@@ -143,6 +226,7 @@ module.exports = function registerMixtapesHandlers({
         useBackgroundImage: true, // Default to showing backdrop
         backdropBlur: 40, // Default blur
         tracks: [],
+        ...(smart ? { smart: normalizeSmartQuery(smart) } : {}),
         createdAt: new Date().toISOString(),
         modifiedAt: new Date().toISOString()
       };
@@ -169,7 +253,7 @@ module.exports = function registerMixtapesHandlers({
       const paths = getLibraryPaths(currentLibraryPath);
 
       // Enrich with full track data
-      const tracks = (mixtape.tracks || []).map(trackRef => {
+      const tracks = getTrackRefs(mixtape).map(trackRef => {
         const trackFolderPath = path.join(paths.tracks, `${trackRef.id}.info`);
         const trackMeta = readTrackMetadata(trackFolderPath);
 
@@ -184,7 +268,8 @@ module.exports = function registerMixtapesHandlers({
           return {
             ...trackMeta,
             position: trackRef.position,
-            audioPath: path.join(trackFolderPath, trackMeta.filename),
+            side: trackRef.side,
+            audioPath: getTrackAudioPath(trackFolderPath, trackMeta),
             albumArt: albumCoverPath,
             album: trackMeta.album || album?.name || 'Unknown Album',
             artist: trackMeta.trackArtist || 'Unknown Artist'
@@ -212,7 +297,7 @@ module.exports = function registerMixtapesHandlers({
       const paths = getLibraryPaths(currentLibraryPath);
 
       // Get full track data (same logic as get-mixtape)
-      const tracks = (mixtape.tracks || []).map(trackRef => {
+      const tracks = getTrackRefs(mixtape).map(trackRef => {
         const trackFolderPath = path.join(paths.tracks, `${trackRef.id}.info`);
         const trackMeta = readTrackMetadata(trackFolderPath);
 
@@ -227,7 +312,8 @@ module.exports = function registerMixtapesHandlers({
           return {
             ...trackMeta,
             position: trackRef.position,
-            audioPath: path.join(trackFolderPath, trackMeta.filename),
+            side: trackRef.side,
+            audioPath: getTrackAudioPath(trackFolderPath, trackMeta),
             albumArt: albumCoverPath,
             album: trackMeta.album || album?.name || 'Unknown Album',
             artist: trackMeta.trackArtist || 'Unknown Artist'
@@ -239,8 +325,10 @@ module.exports = function registerMixtapesHandlers({
       // Use provided seed or generate new one
       const shuffleSeed = seed ?? generateShuffleSeed();
 
-      // Shuffle the tracks
-      const shuffledTracks = shuffleArray(tracks, shuffleSeed);
+      // Shuffle the tracks - within each side if the cassette has them
+      const shuffledTracks = mixtape.sides
+        ? SIDES.flatMap(side => shuffleArray(tracks.filter(t => t.side === side), shuffleSeed))
+        : shuffleArray(tracks, shuffleSeed);
 
       return {
         success: true,
@@ -271,9 +359,16 @@ module.exports = function registerMixtapesHandlers({
         useBackgroundImage: updates.useBackgroundImage !== undefined ? updates.useBackgroundImage : mixtape.useBackgroundImage,
         backdropBlur: updates.backdropBlur !== undefined ? updates.backdropBlur : mixtape.backdropBlur,
         backdropImageId: updates.backdropImageId !== undefined ? updates.backdropImageId : mixtape.backdropImageId,
+        smart: updates.smart && mixtape.smart ? normalizeSmartQuery(updates.smart) : mixtape.smart,
         modifiedAt: new Date().toISOString()
       };
 
+      // Sides only make sense for hand-made cassettes
+      if (updates.sides !== undefined && !mixtape.smart) {
+        updatedMixtape.sides = normalizeSides(updates.sides);
+        updatedMixtape.tracks = applySides(mixtape.tracks || [], updatedMixtape.sides);
+      }
+
       writeCollection(currentLibraryPath, updatedMixtape);
       console.log('Updated mixtape:', mixtapeId);
 
@@ -371,24 +466,35 @@ module.exports = function registerMixtapesHandlers({
   });
 
   // Add tracks to a mixtape
-  ipcMain.handle('add-tracks-to-mixtape', async (event, { mixtapeId, trackIds }) => {
+  // With sides, tracks fill side A then side B unless a side is given
+  ipcMain.handle('add-tracks-to-mixtape', async (event, { mixtapeId, trackIds, side }) => {
     try {
       const currentLibraryPath = getLibraryPath();
       const mixtape = readCollection(currentLibraryPath, mixtapeId);
       if (!mixtape || mixtape.type !== 'mixtape') {
         return { success: false, error: 'Mixtape not found' };
       }
+      if (mixtape.smart) {
+        return { success: false, error: 'Smart cassettes are filled by their rules' };
+      }
 
       // Find current max position
       const maxPosition = mixtape.tracks.reduce((max, t) => Math.max(max, t.position || 0), 0);
 
       // Add new tracks with sequential positions
-      const newTracks = trackIds.map((trackId, index) => ({
+      let newTracks = trackIds.map((trackId, index) => ({
         id: trackId,
         position: maxPosition + index + 1
       }));
 
-      mixtape.tracks = [...mixtape.tracks, ...newTracks];
+      if (mixtape.sides) {
+        newTracks = SIDES.includes(side)
+          ? newTracks.map(ref => ({ ...ref, side }))
+          : fillSides(mixtape.tracks, newTracks, mixtape.sides);
+        mixtape.tracks = orderBySide([...mixtape.tracks, ...newTracks]);
+      } else {
+        mixtape.tracks = [...mixtape.tracks, ...newTracks];
+      }
       mixtape.modifiedAt = new Date().toISOString();
 
       writeCollection(currentLibraryPath, mixtape);
@@ -409,6 +515,9 @@ module.exports = function registerMixtapesHandlers({
       if (!mixtape || mixtape.type !== 'mixtape') {
         return { success: false, error: 'Mixtape not found' };
       }
+      if (mixtape.smart) {
+        return { success: false, error: 'Smart cassettes are filled by their rules' };
+      }
 
       mixtape.tracks = mixtape.tracks.filter(t => t.id !== trackId);
       mixtape.modifiedAt = new Date().toISOString();
@@ -423,20 +532,32 @@ module.exports = function registerMixtapesHandlers({
     }
   });
 
-  // Reorder tracks in a mixtape
-  ipcMain.handle('reorder-mixtape-tracks', async (event, { mixtapeId, trackIds }) => {
+  // Reorder tracks in a mixtape; sides[i] moves trackIds[i] to that side
+  ipcMain.handle('reorder-mixtape-tracks', async (event, { mixtapeId, trackIds, sides }) => {
     try {
       const currentLibraryPath = getLibraryPath();
       const mixtape = readCollection(currentLibraryPath, mixtapeId);
       if (!mixtape || mixtape.type !== 'mixtape') {
         return { success: false, error: 'Mixtape not found' };
       }
+      if (mixtape.smart) {
+        return { success: false, error: 'Smart cassettes are filled by their rules' };
+      }
+
+      // Tracks without a side in the request stay where they were
+      const previousSides = new Map((mixtape.tracks || []).map(ref => [ref.id, ref.side]));
 
       // Create new track order with positions
       mixtape.tracks = trackIds.map((trackId, index) => ({
         id: trackId,
         position: index + 1
       }));
+      if (mixtape.sides) {
+        mixtape.tracks = orderBySide(mixtape.tracks.map((ref, index) => ({
+          ...ref,
+          side: SIDES.includes(sides?.[index]) ? sides[index] : (previousSides.get(ref.id) || 'A')
+        })));
+      }
       mixtape.modifiedAt = new Date().toISOString();
 
       writeCollection(currentLibraryPath, mixtape);
@@ -478,7 +599,8 @@ module.exports = function registerMixtapesHandlers({
 
       // Filter to mixtapes that contain this track
       const containing = mixtapes
-        .filter(m => (m.tracks || []).some(t => t.id === trackId))
+        .map(m => ({ ...m, trackRefs: getTrackRefs(m) }))
+        .filter(m => m.trackRefs.some(t => t.id === trackId))
         .map(m => {
           let coverPath = null;
 
@@ -500,7 +622,7 @@ module.exports = function registerMixtapesHandlers({
             id: m.id,
             name: m.name,
             color: m.color,
-            trackCount: (m.tracks || []).length,
+            trackCount: m.trackRefs.length,
             cassetteIndex: m.cassetteIndex ?? 0,
             coverPath
           };
@@ -525,7 +647,7 @@ module.exports = function registerMixtapesHandlers({
       const paths = getLibraryPaths(currentLibraryPath);
 
       // Enrich with full track data (same logic as get-mixtape)
-      const tracks = (mixtape.tracks || []).map(trackRef => {
+      const tracks = getTrackRefs(mixtape).map(trackRef => {
         const trackFolderPath = path.join(paths.tracks, `${trackRef.id}.info`);
         const trackMeta = readTrackMetadata(trackFolderPath);
 
@@ -540,7 +662,8 @@ module.exports = function registerMixtapesHandlers({
           return {
             ...trackMeta,
             position: trackRef.position,
-            audioPath: path.join(trackFolderPath, trackMeta.filename),
+            side: trackRef.side,
+            audioPath: getTrackAudioPath(trackFolderPath, trackMeta),
             albumArt: albumCoverPath,
             album: trackMeta.album || album?.name || 'Unknown Album',
             artist: trackMeta.trackArtist || 'Unknown Artist'
@@ -21,10 +21,13 @@ module.exports = function registerPanopticonHandlers({
   readCollection,
   writeCollection,
   readTrackMetadata,
+  getTrackAudioPath,
+  pruneDiscImages,
   writeTrackMetadata,
   // Import functions for Induction
   scanFolderForAudio,
   extractAudioMetadata,
+  extractAudioFileMetadata,
   extractEmbeddedCover,
   findCoverArt,
   importAsNewAlbum,
@@ -33,9 +36,21 @@ module.exports = function registerPanopticonHandlers({
   importCoverFromFile,
   importCoverFromData,
   generateUUID,
+  syncRecordTags,
+  syncTagsAfterEdit,
+  loadLibraryConfig,
+  pathTemplates,
   ledgers
 }) {
 
+  // Untagged files' details come from the library's path templates
+  function withPathTemplates(audioFile, metadata) {
+    const currentLibraryPath = getLibraryPath();
+    if (audioFile.cue || !currentLibraryPath) return metadata;
+    const templates = loadLibraryConfig(currentLibraryPath)?.settings?.pathTemplates || [];
+    return pathTemplates.applyPathTemplates(metadata, audioFile.sourcePath, templates);
+  }
+
   /**
    * Get all attachments with their link data
    * Returns enriched attachment objects with linkedTo and isCoverFor arrays
@@ -464,6 +479,8 @@ module.exports = function registerPanopticonHandlers({
           duration: track.duration || 0,
           plays: track.plays || 0,
           addedAt: track.createdAt || track.addedAt,
+          referenced: !!track.referencePath,
+          missing: !!track.missing,
           thumbnailPath
         };
       });
@@ -490,7 +507,7 @@ module.exports = function registerPanopticonHandlers({
       // Check each track's audio file path
       for (const track of tracks) {
         const trackFolder = path.join(paths.tracks, `${track.id}.info`);
-        const trackAudioPath = path.join(trackFolder, track.filename);
+        const trackAudioPath = getTrackAudioPath(trackFolder, track);
 
         if (trackAudioPath === audioPath) {
           return track.id;
@@ -522,13 +539,16 @@ module.exports = function registerPanopticonHandlers({
         return tracks
           .filter(t => {
             if (!lowerQuery) return true;
-            return (t.title || '').toLowerCase().includes(lowerQuery);
+            const artist = t.trackArtist || t.albumArtist || '';
+            return `${t.title || ''} ${artist}`.toLowerCase().includes(lowerQuery) ||
+              `${artist} ${t.title || ''}`.toLowerCase().includes(lowerQuery);
           })
           .slice(0, 50)
           .map(t => ({
             id: t.id,
             name: t.title || t.id,
-            artist: t.artist
+            artist: t.trackArtist || t.albumArtist || t.artist,
+            album: t.album
           }));
 
       } else {
@@ -773,13 +793,14 @@ module.exports = function registerPanopticonHandlers({
             // Extract metadata in parallel for speed (limit concurrency to avoid overwhelming I/O)
             const CONCURRENCY = 8;
             const metadataResults = [];
+            const imageCache = new Map(); // CUE disc images, read once
 
             for (let i = 0; i < album.audioFiles.length; i += CONCURRENCY) {
               const batch = album.audioFiles.slice(i, i + CONCURRENCY);
               const batchResults = await Promise.all(
                 batch.map(async (audioFile) => {
                   try {
-                    const metadata = await extractAudioMetadata(audioFile.sourcePath);
+                    const metadata = withPathTemplates(audioFile, await extractAudioFileMetadata(audioFile, imageCache));
                     return { audioFile, metadata, error: null };
                   } catch (e) {
                     return { audioFile, metadata: null, error: e };
@@ -914,13 +935,14 @@ module.exports = function registerPanopticonHandlers({
       // Extract metadata from audio files in parallel for speed
       const CONCURRENCY = 8;
       const metadataResults = [];
+      const imageCache = new Map(); // CUE disc images, read once
 
       for (let i = 0; i < audioFilesRaw.length; i += CONCURRENCY) {
         const batch = audioFilesRaw.slice(i, i + CONCURRENCY);
         const batchResults = await Promise.all(
           batch.map(async (audioFile) => {
             try {
-              const metadata = await extractAudioMetadata(audioFile.sourcePath);
+              const metadata = withPathTemplates(audioFile, await extractAudioFileMetadata(audioFile, imageCache));
               return { audioFile, metadata, error: null };
             } catch (e) {
               return { audioFile, metadata: null, error: e };
@@ -945,6 +967,7 @@ module.exports = function registerPanopticonHandlers({
           filename: audioFile.filename,
           title: metadata?.title || path.basename(audioFile.sourcePath, path.extname(audioFile.sourcePath)),
           artist: metadata?.artist || '',
+          albumArtist: metadata?.albumArtist || '',
           album: metadata?.album || '',
           disc: disc,
           trackNumber: metadata?.trackNumber || audioFile.parsed?.trackNumber || 0,
@@ -953,8 +976,9 @@ module.exports = function registerPanopticonHandlers({
         });
 
         // Track artist frequency for compilation detection
-        if (metadata?.artist) {
-          artistCounts[metadata.artist] = (artistCounts[metadata.artist] || 0) + 1;
+        const artist = metadata?.artist || metadata?.albumArtist;
+        if (artist) {
+          artistCounts[artist] = (artistCounts[artist] || 0) + 1;
         }
 
         // Use first track's album as suggested title
@@ -1233,7 +1257,7 @@ module.exports = function registerPanopticonHandlers({
 
       for (const filePath of filePaths) {
         try {
-          const metadata = await extractAudioMetadata(filePath);
+          const metadata = withPathTemplates({ sourcePath: filePath }, await extractAudioMetadata(filePath));
           const track = {
             path: filePath,
             filename: path.basename(filePath),
@@ -1325,10 +1349,15 @@ module.exports = function registerPanopticonHandlers({
       const files = trackPaths.map(filePath => ({ filePath }));
       const result = await importToExistingAlbum(files, record, currentLibraryPath);
 
+      // Duplicates were skipped, not imported - the caller says which
       if (result.success) {
-        return { success: true, trackCount: result.trackCount };
+        return { success: true, trackCount: result.trackCount, skippedDuplicates: result.skippedDuplicates };
       } else {
-        return { success: false, error: result.errors?.[0]?.error || 'Import failed' };
+        return {
+          success: false,
+          error: result.error || result.errors?.[0]?.error || 'Import failed',
+          skippedDuplicates: result.skippedDuplicates
+        };
       }
     } catch (err) {
       console.error('[Panopticon] Error adding tracks to record:', err);
@@ -1399,10 +1428,14 @@ module.exports = function registerPanopticonHandlers({
           }
         }
 
-        return { success: true, recordId: result.albumId };
+        return { success: true, recordId: result.albumId, skippedDuplicates: result.skippedDuplicates };
       }
 
-      return { success: false, error: 'Failed to create record' };
+      return {
+        success: false,
+        error: result?.error || 'Failed to create record',
+        skippedDuplicates: result?.skippedDuplicates || []
+      };
     } catch (err) {
       console.error('[Panopticon] Error depositing single track:', err);
       return { success: false, error: err.message };
@@ -1541,9 +1574,13 @@ module.exports = function registerPanopticonHandlers({
           }
         }
 
-        return { success: true, recordId: result.albumId };
+        return { success: true, recordId: result.albumId, skippedDuplicates: result.skippedDuplicates };
       } else {
-        return { success: false, error: 'Failed to create record' };
+        return {
+          success: false,
+          error: result?.error || 'Failed to create record',
+          skippedDuplicates: result?.skippedDuplicates || []
+        };
       }
     } catch (err) {
       console.error('[Panopticon] Deposit error:', err);
@@ -1697,7 +1734,8 @@ module.exports = function registerPanopticonHandlers({
       // Apply updates (only provided fields)
       const allowedFields = [
         'name', 'sortName', 'artist', 'sortArtist', 'albumArtist',
-        'releaseDate', 'year', 'genre',
+        'releaseDate', 'year', 'genre', 'genres', 'originalDate',
+        'label', 'catalogNumber', 'barcode', 'musicbrainzAlbumId', 'musicbrainzAlbumArtistId',
         'format', 'characteristics', // New format/characteristics model
         'isCompilation', 'isSoundtrack', 'isLP', 'isComposerWork', // Legacy booleans (kept for compatibility)
         'visibility', 'showOnGrid', // showOnGrid for subordinate records to appear in grid
@@ -1711,8 +1749,14 @@ module.exports = function registerPanopticonHandlers({
         }
       }
 
+      // genre stays the first of genres for views that show just one
+      if (updates.genres !== undefined && updates.genre === undefined) {
+        record.genre = record.genres?.[0] || null;
+      }
+
       record.modifiedAt = new Date().toISOString();
       writeCollection(currentLibraryPath, record);
+      syncTagsAfterEdit(currentLibraryPath, record, Object.keys(updates));
 
       console.log('[Panopticon] Updated record:', recordId);
       return { success: true };
@@ -1748,7 +1792,9 @@ module.exports = function registerPanopticonHandlers({
       // Apply updates (only provided fields)
       const allowedFields = [
         'title', 'sortTitle', 'trackArtist', 'albumArtist', 'album',
-        'disc', 'trackNumber',
+        'disc', 'trackNumber', 'genres',
+        'composer', 'conductor', 'performers',
+        'isrc', 'musicbrainzTrackId', 'musicbrainzArtistId', 'comment',
         'includeInLedgers',
         'lyrics', 'notes'
       ];
@@ -1781,6 +1827,11 @@ module.exports = function registerPanopticonHandlers({
         }
       }
 
+      if (trackMeta.albumId) {
+        const record = readCollection(currentLibraryPath, trackMeta.albumId);
+        syncTagsAfterEdit(currentLibraryPath, record, Object.keys(updates), [trackId]);
+      }
+
       console.log('[Panopticon] Updated track:', trackId);
       return { success: true };
     } catch (err) {
@@ -1789,6 +1840,57 @@ module.exports = function registerPanopticonHandlers({
     }
   });
 
+  /**
+   * Write a record's metadata into its tracks' files (tags + cover)
+   */
+  ipcMain.handle('panopticon:sync-record-tags', async (event, { recordId }) => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      if (!currentLibraryPath) {
+        return { success: false, error: 'No library loaded' };
+      }
+
+      const record = readCollection(currentLibraryPath, recordId);
+      if (!record) {
+        return { success: false, error: 'Record not found' };
+      }
+
+      const summary = await syncRecordTags(currentLibraryPath, record);
+      console.log('[Panopticon] Synced tags for record:', recordId, summary);
+      return { success: true, ...summary };
+    } catch (err) {
+      console.error('[Panopticon] Error syncing record tags:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  /**
+   * Write every record's metadata into its tracks' files
+   */
+  ipcMain.handle('panopticon:sync-library-tags', async () => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      if (!currentLibraryPath) {
+        return { success: false, error: 'No library loaded' };
+      }
+
+      const total = { written: 0, skipped: 0, errors: [] };
+      const records = listCollections(currentLibraryPath).filter(c => c.type !== 'mixtape');
+      for (const record of records) {
+        const summary = await syncRecordTags(currentLibraryPath, record);
+        total.written += summary.written;
+        total.skipped += summary.skipped;
+        total.errors.push(...summary.errors);
+      }
+
+      console.log('[Panopticon] Synced library tags:', total.written, 'written,', total.errors.length, 'errors');
+      return { success: true, ...total };
+    } catch (err) {
+      console.error('[Panopticon] Error syncing library tags:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
   /**
    * Update mixtape metadata
    * Partial update - only provided fields change
@@ -2013,6 +2115,7 @@ module.exports = function registerPanopticonHandlers({
 
       // If deleteTracksFromDisk is true, delete all track files and metadata
       if (deleteTracksFromDisk && record.tracks && record.tracks.length > 0) {
+        const imageNames = [];
         for (const track of record.tracks) {
           const trackFolder = path.join(paths.tracks, `${track.id}.info`);
           if (fs.existsSync(trackFolder)) {
@@ -2026,10 +2129,12 @@ module.exports = function registerPanopticonHandlers({
             }
 
             // Delete the track metadata folder
+            imageNames.push(trackMeta?.cue?.image);
             fs.rmSync(trackFolder, { recursive: true, force: true });
             console.log('[Panopticon] Deleted track metadata:', track.id);
           }
         }
+        pruneDiscImages(currentLibraryPath, imageNames);
       }
 
       // Delete the collection file
@@ -2077,8 +2182,9 @@ module.exports = function registerPanopticonHandlers({
         }
       }
 
-      // Delete the track metadata folder
+      // Delete the track metadata folder, and its disc image once no track uses it
       fs.rmSync(trackFolder, { recursive: true, force: true });
+      pruneDiscImages(currentLibraryPath, [trackMeta?.cue?.image]);
 
       // Optionally delete the audio file
       if (deleteFile && trackMeta && trackMeta.filePath) {
@@ -2119,6 +2225,7 @@ module.exports = function registerPanopticonHandlers({
       // Load all collections once for efficiency
       const collections = listCollections(currentLibraryPath);
       const modifiedCollections = new Set();
+      const imageNames = [];
 
       // Process each track
       for (const trackId of trackIds) {
@@ -2142,6 +2249,7 @@ module.exports = function registerPanopticonHandlers({
         }
 
         // Delete the track metadata folder
+        imageNames.push(trackMeta?.cue?.image);
         fs.rmSync(trackFolder, { recursive: true, force: true });
 
         // Optionally delete the audio file
@@ -2166,6 +2274,7 @@ module.exports = function registerPanopticonHandlers({
           writeCollection(currentLibraryPath, collection);
         }
       }
+      pruneDiscImages(currentLibraryPath, imageNames);
 
       console.log(`[Panopticon] Bulk deleted ${deletedCount} tracks`);
       return { success: true, deleted: deletedCount };
@@ -2462,7 +2571,7 @@ module.exports = function registerPanopticonHandlers({
 
       // Compute actual audio file path
       const audioFilePath = trackMeta.filename
-        ? path.join(trackFolder, trackMeta.filename)
+        ? getTrackAudioPath(trackFolder, trackMeta)
         : null;
 
       // Prefer track metadata for disc/trackNumber (allows editing)
@@ -2538,6 +2647,7 @@ module.exports = function registerPanopticonHandlers({
       }
       record.modifiedAt = new Date().toISOString();
       writeCollection(currentLibraryPath, record);
+      syncTagsAfterEdit(currentLibraryPath, record, ['cover']);
 
       console.log('[Panopticon] Set record cover from file:', recordId, imagePath);
       return { success: true, coverId: newCoverId, oldCoverId };
@@ -2593,6 +2703,7 @@ module.exports = function registerPanopticonHandlers({
 
       record.modifiedAt = new Date().toISOString();
       writeCollection(currentLibraryPath, record);
+      syncTagsAfterEdit(currentLibraryPath, record, ['cover']);
 
       console.log('[Panopticon] Set record cover from attachment:', recordId, attachmentId);
       return { success: true, oldCoverId };
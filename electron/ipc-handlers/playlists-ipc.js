@@ -0,0 +1,246 @@
+/**
+ * Playlists IPC Handlers
+ *
+ * Export cassettes and records as M3U8 / XSPF playlist files, and import
+ * M3U / M3U8 / PLS / XSPF playlists as cassettes. Entries that match no
+ * library track are kept on the cassette (playlistImport.unmatched) to be
+ * matched by hand in Panopticon.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const playlists = require('../playlists');
+
+// Number of cassette images available (as in mixtapes.js)
+const CASSETTE_COUNT = 16;
+
+module.exports = function registerPlaylistsHandlers({
+  ipcMain,
+  dialog,
+  getLibraryPath,
+  getLibraryPaths,
+  generateUUID,
+  readCollection,
+  writeCollection,
+  listAllTracks,
+  getTrackAudioPath,
+  programs
+}) {
+
+  /**
+   * Export a record or cassette to a playlist file
+   * Format follows the chosen file extension (.m3u8 or .xspf).
+   * pathMode: 'absolute', or 'relative' to where the playlist is saved
+   */
+  ipcMain.handle('export-playlist', async (event, { collectionId, pathMode = 'absolute' }) => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      const collection = readCollection(currentLibraryPath, collectionId);
+      if (!collection) {
+        return { success: false, error: 'Collection not found' };
+      }
+
+      const tracks = playlists.getCollectionTracks(currentLibraryPath, collection, programs.getMixtapeTrackIds);
+      if (tracks.length === 0) {
+        return { success: false, error: 'Nothing to export' };
+      }
+
+      // Relative playlists start out in the library, next to tracks/
+      const safeName = (collection.name || 'Playlist').replace(/[\/\\:*?"<>|]/g, '_');
+      const result = await dialog.showSaveDialog({
+        title: `Export "${collection.name}" as Playlist`,
+        defaultPath: pathMode === 'relative'
+          ? path.join(currentLibraryPath, `${safeName}.m3u8`)
+          : `${safeName}.m3u8`,
+        filters: [
+          { name: 'M3U8 Playlist', extensions: ['m3u8'] },
+          { name: 'XSPF Playlist', extensions: ['xspf'] }
+        ]
+      });
+
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+
+      const filePath = result.filePath;
+      const format = playlists.getPlaylistFormat(filePath);
+      const entries = tracks.map(track => ({
+        ...track,
+        location: playlists.getEntryLocation(track.audioPath, filePath, pathMode)
+      }));
+      const creator = collection.type === 'album' ? collection.artist : null;
+
+      fs.writeFileSync(filePath, playlists.buildPlaylist(format, collection.name, entries, creator), 'utf8');
+      console.log(`[Playlists] Exported ${entries.length} tracks to ${filePath}`);
+
+      return { success: true, filePath, format, trackCount: entries.length };
+    } catch (err) {
+      console.error('[Playlists] Error exporting playlist:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Library tracks with every path a playlist might know them by
+  function getMatchableTracks(libraryPath) {
+    const paths = getLibraryPaths(libraryPath);
+    return listAllTracks(libraryPath).map(track => ({
+      id: track.id,
+      title: track.title,
+      trackArtist: track.trackArtist,
+      albumArtist: track.albumArtist,
+      album: track.album,
+      duration: track.duration,
+      start: track.cue ? track.cue.start || 0 : null,
+      paths: [
+        track.importSource?.path,
+        track.referencePath,
+        (track.filename || track.cue?.image) &&
+          getTrackAudioPath(path.join(paths.tracks, `${track.id}.info`), track)
+      ]
+    }));
+  }
+
+  /**
+   * Import playlist files as cassettes, one per file
+   * Returns a report per playlist: { mixtapeId, name, entryCount, matched, duplicates, unmatched: [...] }
+   * A song listed more than once goes on the cassette once; the repeats are
+   * counted in duplicates rather than matched
+   */
+  ipcMain.handle('import-playlists', async (event, filePaths = null) => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      if (!currentLibraryPath) {
+        return { success: false, error: 'No library open' };
+      }
+
+      if (!filePaths) {
+        const result = await dialog.showOpenDialog({
+          title: 'Import Playlists',
+          properties: ['openFile', 'multiSelections'],
+          filters: [{ name: 'Playlists', extensions: playlists.PLAYLIST_IMPORT_FORMATS }]
+        });
+        if (result.canceled || result.filePaths.length === 0) {
+          return { success: false, canceled: true };
+        }
+        filePaths = result.filePaths;
+      }
+
+      const tracks = getMatchableTracks(currentLibraryPath);
+      const reports = [];
+
+      for (const filePath of filePaths) {
+        let parsed;
+        try {
+          parsed = playlists.parsePlaylist(fs.readFileSync(filePath), filePath);
+        } catch (err) {
+          reports.push({ filePath, error: err.message });
+          continue;
+        }
+
+        const entries = playlists.matchPlaylistEntries(parsed.entries, tracks, filePath);
+        const trackRefs = [];
+        const unmatched = [];
+        let duplicates = 0;
+        for (const entry of entries) {
+          if (!entry.trackId) {
+            unmatched.push({
+              line: entry.line,
+              text: entry.text,
+              title: entry.title || null,
+              artist: entry.artist || null,
+              album: entry.album || null,
+              duration: entry.duration || null,
+              // Where the track goes in the cassette once it's found
+              insertAt: trackRefs.length
+            });
+          } else if (trackRefs.some(ref => ref.id === entry.trackId)) {
+            duplicates++;
+          } else {
+            trackRefs.push({ id: entry.trackId, position: trackRefs.length + 1 });
+          }
+        }
+
+        const name = parsed.name || path.basename(filePath, path.extname(filePath));
+        const now = new Date().toISOString();
+        const mixtape = {
+          id: generateUUID(),
+          type: 'mixtape',
+          name,
+          description: '',
+          cassetteIndex: Math.floor(Math.random() * CASSETTE_COUNT),
+          useBackgroundImage: true,
+          backdropBlur: 40,
+          tracks: trackRefs,
+          playlistImport: {
+            source: filePath,
+            importedAt: now,
+            entryCount: entries.length,
+            unmatched
+          },
+          createdAt: now,
+          modifiedAt: now
+        };
+        writeCollection(currentLibraryPath, mixtape);
+        console.log(`[Playlists] Imported ${filePath}: ${trackRefs.length} tracks, ${unmatched.length} unmatched, ${duplicates} duplicate entries`);
+
+        reports.push({
+          filePath,
+          mixtapeId: mixtape.id,
+          name,
+          entryCount: entries.length,
+          matched: trackRefs.length,
+          duplicates,
+          unmatched
+        });
+      }
+
+      return { success: true, reports };
+    } catch (err) {
+      console.error('[Playlists] Error importing playlists:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  /**
+   * Settle an unmatched playlist entry: add the chosen track where the
+   * entry stood in the playlist, or (trackId null) just dismiss it
+   */
+  ipcMain.handle('resolve-playlist-entry', async (event, { mixtapeId, line, trackId = null }) => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      const mixtape = readCollection(currentLibraryPath, mixtapeId);
+      if (!mixtape || mixtape.type !== 'mixtape' || !mixtape.playlistImport) {
+        return { success: false, error: 'Cassette not found' };
+      }
+
+      const unmatched = mixtape.playlistImport.unmatched || [];
+      const entry = unmatched.find(e => e.line === line);
+      if (!entry) {
+        return { success: false, error: 'Entry not found' };
+      }
+
+      if (trackId && !mixtape.tracks.some(ref => ref.id === trackId)) {
+        const tracks = [...mixtape.tracks];
+        const index = Math.min(entry.insertAt, tracks.length);
+        // With sides on, it joins the side of the track before it
+        const side = mixtape.sides ? (tracks[index - 1]?.side || 'A') : undefined;
+        tracks.splice(index, 0, { id: trackId, position: 0, ...(side && { side }) });
+        mixtape.tracks = tracks.map((ref, i) => ({ ...ref, position: i + 1 }));
+        // Later entries move down one
+        for (const other of unmatched) {
+          if (other !== entry && other.insertAt >= entry.insertAt) other.insertAt++;
+        }
+      }
+
+      mixtape.playlistImport.unmatched = unmatched.filter(e => e !== entry);
+      mixtape.modifiedAt = new Date().toISOString();
+      writeCollection(currentLibraryPath, mixtape);
+
+      return { success: true, unmatched: mixtape.playlistImport.unmatched };
+    } catch (err) {
+      console.error('[Playlists] Error resolving playlist entry:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+};
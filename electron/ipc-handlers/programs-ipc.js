@@ -121,21 +121,62 @@ module.exports = function registerProgramsHandlers({ ipcMain, programs }) {
     }
   });
 
-  ipcMain.handle('run-program', async (event, { programId }) => {
+  ipcMain.handle('run-program', async (event, { programId, minTracks }) => {
     try {
-      return programs.generateProgramRun(programId);
+      return programs.generateProgramRun(programId, { minTracks });
     } catch (err) {
       console.error('Error running program:', err);
       return { success: false, error: err.message, tracks: [] };
     }
   });
 
+  // Next cycle for a run already on air (queue is running low)
+  ipcMain.handle('continue-program-run', async (event, { runId, minTracks }) => {
+    try {
+      return programs.continueProgramRun(runId, { minTracks });
+    } catch (err) {
+      console.error('Error continuing program run:', err);
+      return { success: false, error: err.message, tracks: [] };
+    }
+  });
+
+  ipcMain.handle('end-program-run', async (event, runId) => {
+    try {
+      return { success: programs.endProgramRun(runId) };
+    } catch (err) {
+      console.error('Error ending program run:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Dry run: N cycles with diagnostics, nothing queued
+  ipcMain.handle('simulate-program', async (event, { programId, cycles }) => {
+    try {
+      return programs.simulateProgram(programId, { cycles });
+    } catch (err) {
+      console.error('Error simulating program:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  ipcMain.handle('validate-facet-expression', async (event, expression) => {
+    try {
+      return programs.validateFacetExpression(expression);
+    } catch (err) {
+      console.error('Error validating facet expression:', err);
+      return { valid: false, error: err.message, trackCount: 0, unknownFacets: [] };
+    }
+  });
+
   ipcMain.handle('get-program-sources', async () => {
     try {
       return programs.getAvailableSources();
     } catch (err) {
       console.error('Error getting program sources:', err);
-      return { facets: [], artists: [], albums: [], mixtapes: [] };
+      return {
+        facets: [], artists: [], albums: [], mixtapes: [],
+        years: [], decades: [], genres: [], formats: [], characteristics: []
+      };
     }
   });
 
@@ -4,13 +4,15 @@
  * Persistence for playback state, queue, and UI state across app restarts.
  */
 
-module.exports = function registerSessionHandlers({ ipcMain, getLibraryPath, loadSession, saveSession }) {
+module.exports = function registerSessionHandlers({ ipcMain, getLibraryPath, loadSession, saveSession, programs }) {
 
   // Load session state
   ipcMain.handle('load-session', async () => {
     try {
       const currentLibraryPath = getLibraryPath();
       const session = loadSession(currentLibraryPath);
+      // Program runs live main-side; bring them back so the station can resume
+      programs.restoreRuns(session?.programRuns);
       return { success: true, session };
     } catch (err) {
       console.error('Error loading session:', err);
@@ -22,7 +24,10 @@ module.exports = function registerSessionHandlers({ ipcMain, getLibraryPath, loa
   ipcMain.handle('save-session', async (event, sessionData) => {
     try {
       const currentLibraryPath = getLibraryPath();
-      const success = saveSession(currentLibraryPath, sessionData);
+      const success = saveSession(currentLibraryPath, {
+        ...sessionData,
+        programRuns: programs.exportRuns()
+      });
       return { success };
     } catch (err) {
       console.error('Error saving session:', err);
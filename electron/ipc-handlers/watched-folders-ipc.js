@@ -0,0 +1,123 @@
+/**
+ * Watched Folders IPC Handlers
+ *
+ * Import mode (copy or reference in place) and the source folders
+ * the library keeps in sync.
+ */
+
+const fs = require('fs');
+
+const IMPORT_MODES = ['copy', 'reference'];
+
+module.exports = function registerWatchedFoldersHandlers({
+  ipcMain,
+  dialog,
+  getLibraryPath,
+  loadLibraryConfig,
+  saveLibraryConfig,
+  watchedFolders,
+  startWatchedFolders
+}) {
+
+  function describeFolders(libraryPath) {
+    return watchedFolders.getWatchedFolders(libraryPath).map(folderPath => ({
+      path: folderPath,
+      available: fs.existsSync(folderPath)
+    }));
+  }
+
+  // Import mode and watched folders, with whether each folder is reachable
+  ipcMain.handle('get-watched-folders', async () => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      const config = loadLibraryConfig(currentLibraryPath);
+      return {
+        success: true,
+        importMode: config?.settings?.importMode || 'copy',
+        folders: describeFolders(currentLibraryPath)
+      };
+    } catch (err) {
+      console.error('[WatchedFolders] Error reading settings:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // 'copy' files into the library, or 'reference' them where they are
+  ipcMain.handle('set-import-mode', async (event, mode) => {
+    try {
+      if (!IMPORT_MODES.includes(mode)) {
+        return { success: false, error: `Unknown import mode: ${mode}` };
+      }
+      const currentLibraryPath = getLibraryPath();
+      const config = loadLibraryConfig(currentLibraryPath) || {};
+      config.settings = { ...config.settings, importMode: mode };
+      saveLibraryConfig(currentLibraryPath, config);
+      return { success: true, importMode: mode };
+    } catch (err) {
+      console.error('[WatchedFolders] Error setting import mode:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Pick a folder to watch; its files are imported by reference
+  ipcMain.handle('add-watched-folder', async () => {
+    try {
+      const result = await dialog.showOpenDialog({
+        properties: ['openDirectory'],
+        title: 'Watch Folder',
+        message: 'Tracks in this folder stay where they are and are kept in sync',
+        buttonLabel: 'Watch'
+      });
+
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+
+      const currentLibraryPath = getLibraryPath();
+      const folderPath = result.filePaths[0];
+      const folders = watchedFolders.getWatchedFolders(currentLibraryPath);
+
+      if (folderPath.startsWith(currentLibraryPath)) {
+        return { success: false, error: 'Folders inside the library cannot be watched' };
+      }
+      if (!folders.includes(folderPath)) {
+        watchedFolders.setWatchedFolders(currentLibraryPath, [...folders, folderPath]);
+        startWatchedFolders(currentLibraryPath);
+        console.log('[WatchedFolders] Added:', folderPath);
+      }
+
+      return { success: true, folders: describeFolders(currentLibraryPath) };
+    } catch (err) {
+      console.error('[WatchedFolders] Error adding folder:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Stop watching a folder - its tracks stay in the library
+  ipcMain.handle('remove-watched-folder', async (event, folderPath) => {
+    try {
+      const currentLibraryPath = getLibraryPath();
+      const folders = watchedFolders.getWatchedFolders(currentLibraryPath);
+      watchedFolders.setWatchedFolders(currentLibraryPath, folders.filter(f => f !== folderPath));
+      startWatchedFolders(currentLibraryPath);
+      console.log('[WatchedFolders] Removed:', folderPath);
+
+      return { success: true, folders: describeFolders(currentLibraryPath) };
+    } catch (err) {
+      console.error('[WatchedFolders] Error removing folder:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+  // Reconcile now rather than waiting for a filesystem event
+  ipcMain.handle('rescan-watched-folders', async () => {
+    try {
+      const summary = await watchedFolders.reconcile();
+      return { success: true, summary };
+    } catch (err) {
+      console.error('[WatchedFolders] Error rescanning:', err);
+      return { success: false, error: err.message };
+    }
+  });
+
+};
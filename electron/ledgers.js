@@ -2,7 +2,10 @@
  * The Gloaming - Ledgers Module
  *
  * SQLite-based listening history tracking.
- * Tracks play time per track, aggregates by artist/album/mixtape.
+ * Tracks play time per track, aggregates by artist/album/mixtape/facet.
+ * Each listen also notes where playback came from (its context): a
+ * record, a mixtape, a Program, roaming, search or the queue - and how
+ * it ended: played through, or skipped part way.
  */
 
 const path = require('path');
@@ -18,6 +21,207 @@ try {
   Database = null;
 }
 
+const DAY = 24 * 60 * 60;
+
+// Schema changes after the original listens table, in order.
+// PRAGMA user_version counts how many have been applied.
+const MIGRATIONS = [
+  // 1: where playback came from - 'record', 'mixtape', 'program', 'roam', 'search' or 'queue', and which one
+  `
+    ALTER TABLE listens ADD COLUMN context_type TEXT;
+    ALTER TABLE listens ADD COLUMN context_id TEXT;
+    CREATE INDEX IF NOT EXISTS idx_listens_context ON listens(context_type, context_id);
+  `,
+  // 2: how the listen ended - completed is 1 (played through) or 0 (skipped, stopped
+  // or closed at skip_position seconds in); track_duration is the length at the time
+  `
+    ALTER TABLE listens ADD COLUMN completed INTEGER;
+    ALTER TABLE listens ADD COLUMN skip_position REAL;
+    ALTER TABLE listens ADD COLUMN track_duration REAL;
+  `
+];
+
+// Upper bound for ranges that run to now
+const OPEN_END = Number.MAX_SAFE_INTEGER;
+
+function toUnix(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+function dateRange(from, to) {
+  return { start: toUnix(from), end: toUnix(to) };
+}
+
+// 'YYYY-MM-DD' as local midnight
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) throw new Error(`Invalid date: ${value}`);
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+/**
+ * The calendar week, month, quarter or year a date falls in (local time;
+ * weeks start on Monday)
+ */
+function calendarPeriod(unit, date) {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+
+  switch (unit) {
+    case 'week': {
+      const monday = date.getDate() - ((date.getDay() + 6) % 7);
+      return dateRange(new Date(year, month, monday), new Date(year, month, monday + 7));
+    }
+    case 'month':
+      return dateRange(new Date(year, month, 1), new Date(year, month + 1, 1));
+    case 'quarter': {
+      const first = month - (month % 3);
+      return dateRange(new Date(year, first, 1), new Date(year, first + 3, 1));
+    }
+    case 'year':
+      return dateRange(new Date(year, 0, 1), new Date(year + 1, 0, 1));
+    default:
+      throw new Error(`Unknown calendar unit: ${unit}`);
+  }
+}
+
+/**
+ * Resolve a period to a time range
+ *
+ *   'day' 'week' 'month' 'year'   rolling: the last 24 hours, 7, 30, 365 days
+ *   'all'                         everything
+ *   'this-week' 'last-month'      calendar: this or last week/month/quarter/year
+ *   '2024' '2025-03' '2025-Q3'    a calendar year, month or quarter
+ *   '2025-03-14'                  a single day
+ *   { from, to }                  'YYYY-MM-DD' dates, both included; either may be left out
+ *
+ * @returns {{ start: number, end: number }} Unix seconds, end exclusive
+ */
+function resolvePeriod(period = 'all', now = new Date()) {
+  if (period && typeof period === 'object') {
+    const start = period.from ? toUnix(parseDay(period.from)) : 0;
+    const to = period.to && parseDay(period.to);
+    const end = to ? toUnix(new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1)) : OPEN_END;
+    if (start >= end) throw new Error('Date range starts after it ends');
+    return { start, end };
+  }
+
+  const nowSeconds = toUnix(now);
+  switch (period) {
+    case 'day':
+      return { start: nowSeconds - DAY, end: OPEN_END };
+    case 'week':
+      return { start: nowSeconds - 7 * DAY, end: OPEN_END };
+    case 'month':
+      return { start: nowSeconds - 30 * DAY, end: OPEN_END };
+    case 'year':
+      return { start: nowSeconds - 365 * DAY, end: OPEN_END };
+    case 'all':
+    case null:
+      return { start: 0, end: OPEN_END };
+  }
+
+  const text = String(period);
+  let match;
+  if ((match = /^(this|last)-(week|month|quarter|year)$/.exec(text))) {
+    const current = calendarPeriod(match[2], now);
+    return match[1] === 'this' ? current : calendarPeriod(match[2], new Date((current.start - 1) * 1000));
+  }
+  if ((match = /^(\d{4})$/.exec(text))) {
+    return calendarPeriod('year', new Date(Number(match[1]), 0, 1));
+  }
+  if ((match = /^(\d{4})-Q([1-4])$/i.exec(text))) {
+    return calendarPeriod('quarter', new Date(Number(match[1]), (Number(match[2]) - 1) * 3, 1));
+  }
+  if ((match = /^(\d{4})-(\d{2})$/.exec(text)) && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return calendarPeriod('month', new Date(Number(match[1]), Number(match[2]) - 1, 1));
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const day = parseDay(text);
+    return dateRange(day, new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1));
+  }
+  throw new Error(`Unknown period: ${text}`);
+}
+
+function inRange(listen, range) {
+  return listen.timestamp >= range.start && listen.timestamp < range.end;
+}
+
+const LOCAL = "timestamp, 'unixepoch', 'localtime'";
+
+/**
+ * Time-series buckets, in local time. sql and key must agree: sql groups
+ * listens in the database, key does the same for the JSON fallback and
+ * for filling in empty buckets.
+ */
+const SERIES_BUCKETS = {
+  hour: {
+    sql: `CAST(strftime('%H', ${LOCAL}) AS INTEGER)`,
+    key: date => date.getHours(),
+    all: Array.from({ length: 24 }, (_, hour) => hour)
+  },
+  weekday: {
+    sql: `CAST(strftime('%w', ${LOCAL}) AS INTEGER)`,
+    key: date => date.getDay(),
+    all: Array.from({ length: 7 }, (_, day) => day)
+  },
+  // Heatmap cells: weekday * 24 + hour
+  'weekday-hour': {
+    sql: `CAST(strftime('%w', ${LOCAL}) AS INTEGER) * 24 + CAST(strftime('%H', ${LOCAL}) AS INTEGER)`,
+    key: date => date.getDay() * 24 + date.getHours(),
+    all: Array.from({ length: 7 * 24 }, (_, cell) => cell)
+  },
+  day: {
+    sql: `date(${LOCAL})`,
+    key: date => formatDay(date),
+    step: date => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+  },
+  // Keyed by the Monday the week starts on
+  week: {
+    sql: `date(${LOCAL}, '-6 days', 'weekday 1')`,
+    key: date => formatDay(new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7))),
+    step: date => new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7)
+  },
+  month: {
+    sql: `strftime('%Y-%m', ${LOCAL})`,
+    key: date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`,
+    step: date => new Date(date.getFullYear(), date.getMonth() + 1, 1)
+  }
+};
+
+function formatDay(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Add the empty buckets a series skipped, so charts get an unbroken axis.
+ * Calendar buckets run from the start of the range (or the first listen,
+ * for open ranges) to its end or now, whichever is earlier.
+ */
+function fillSeries(rows, bucket, range) {
+  const spec = SERIES_BUCKETS[bucket];
+  const found = new Map(rows.map(row => [row.bucket, row]));
+  const empty = key => ({ bucket: key, total_seconds: 0, listen_count: 0 });
+
+  if (spec.all) return spec.all.map(key => found.get(key) || empty(key));
+  if (rows.length === 0) return [];
+
+  const endTime = Math.min(range.end - 1, Math.floor(Date.now() / 1000));
+  const lastKey = [spec.key(new Date(endTime * 1000)), rows[rows.length - 1].bucket].sort().pop();
+  const series = [];
+  let date = range.start > 0 ? new Date(range.start * 1000) : parseBucketDate(rows[0].bucket);
+  for (let key = spec.key(date); key <= lastKey; date = spec.step(date), key = spec.key(date)) {
+    series.push(found.get(key) || empty(key));
+  }
+  return series;
+}
+
+// 'YYYY-MM-DD' or 'YYYY-MM' back to a local date
+function parseBucketDate(key) {
+  const [year, month, day = 1] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
 /**
  * Ledgers class - manages listening history
  */
@@ -41,6 +245,7 @@ class Ledgers {
         this.db = new Database(dbPath);
         this.db.pragma('journal_mode = WAL');
         this.createTables();
+        this.migrateSchema();
         console.log('[Ledgers] SQLite database initialized');
 
         // Migrate any existing JSON data to SQLite
@@ -89,8 +294,9 @@ class Ledgers {
       console.log(`[Ledgers] Migrating ${jsonData.listens.length} listens from JSON to SQLite...`);
 
       const insertStmt = this.db.prepare(`
-        INSERT INTO listens (track_id, album_id, artist, timestamp, seconds)
-        VALUES (?, ?, ?, ?, ?)
+        INSERT INTO listens (track_id, album_id, artist, timestamp, seconds, context_type, context_id,
+          completed, skip_position, track_duration)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       const insertMany = this.db.transaction((listens) => {
@@ -100,7 +306,12 @@ class Ledgers {
             listen.album_id,
             listen.artist,
             listen.timestamp,
-            listen.seconds
+            listen.seconds,
+            listen.context_type || null,
+            listen.context_id || null,
+            listen.completed ?? null,
+            listen.skip_position ?? null,
+            listen.track_duration ?? null
           );
         }
       });
@@ -174,6 +385,22 @@ class Ledgers {
     `);
   }
 
+  /**
+   * Apply any schema migrations this database hasn't had yet
+   */
+  migrateSchema() {
+    if (!this.db) return;
+
+    const version = this.db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      this.db.transaction(() => {
+        this.db.exec(MIGRATIONS[i]);
+        this.db.pragma(`user_version = ${i + 1}`);
+      })();
+      console.log(`[Ledgers] Applied schema migration ${i + 1}`);
+    }
+  }
+
   /**
    * Record a listening session
    * @param {Object} params - Session parameters
@@ -181,8 +408,17 @@ class Ledgers {
    * @param {string} params.albumId - Album ID
    * @param {string} params.artist - Artist name
    * @param {number} params.seconds - Seconds listened
+   * @param {string} params.contextType - Where playback came from: 'record', 'mixtape', 'program', 'roam', 'search' or 'queue'
+   * @param {string} params.contextId - The record, mixtape or program it came from
+   * @param {boolean} params.completed - True if the track played through, false if skipped or stopped
+   * @param {number} params.skipPosition - Seconds into the track when it was skipped
+   * @param {number} params.trackDuration - Track length in seconds at the time
    */
-  recordListen({ trackId, albumId, artist, seconds }) {
+  recordListen({
+    trackId, albumId, artist, seconds,
+    contextType = null, contextId = null,
+    completed = null, skipPosition = null, trackDuration = null
+  }) {
     // Minimum threshold: 5 seconds
     if (seconds < 5) {
       console.log('[Ledgers] Ignoring listen < 5 seconds');
@@ -190,14 +426,21 @@ class Ledgers {
     }
 
     const timestamp = Math.floor(Date.now() / 1000);
+    // Stored as 1/0 (SQLite has no booleans); null when unknown
+    const completedFlag = completed === null ? null : (completed ? 1 : 0);
+    if (completed) skipPosition = null;
 
     if (this.db) {
       try {
         const stmt = this.db.prepare(`
-          INSERT INTO listens (track_id, album_id, artist, timestamp, seconds)
-          VALUES (?, ?, ?, ?, ?)
+          INSERT INTO listens (track_id, album_id, artist, timestamp, seconds, context_type, context_id,
+            completed, skip_position, track_duration)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
-        stmt.run(trackId, albumId, artist, timestamp, seconds);
+        stmt.run(
+          trackId, albumId, artist, timestamp, seconds, contextType, contextId,
+          completedFlag, skipPosition, trackDuration
+        );
         console.log(`[Ledgers] Recorded ${seconds}s for track ${trackId}`);
       } catch (err) {
         console.error('[Ledgers] Error recording listen:', err);
@@ -208,7 +451,12 @@ class Ledgers {
         album_id: albumId,
         artist: artist,
         timestamp,
-        seconds
+        seconds,
+        context_type: contextType,
+        context_id: contextId,
+        completed: completedFlag,
+        skip_position: skipPosition,
+        track_duration: trackDuration
       });
       this.saveJsonFallback();
       console.log(`[Ledgers] (JSON) Recorded ${seconds}s for track ${trackId}`);
@@ -216,26 +464,20 @@ class Ledgers {
   }
 
   /**
-   * Get time range for a period
-   * @param {string} period - 'day', 'week', 'month', 'year', 'all'
+   * Get time range for a period - rolling, calendar or custom (see resolvePeriod)
+   * @param {string|Object} period - e.g. 'week', 'this-month', '2024', '2025-Q3', { from, to }
+   * @returns {{ start: number, end: number }} - Unix timestamps, end exclusive
+   */
+  getPeriodRange(period) {
+    return resolvePeriod(period);
+  }
+
+  /**
+   * Get start of a period
    * @returns {number} - Unix timestamp for start of period
    */
   getPeriodStart(period) {
-    const now = Math.floor(Date.now() / 1000);
-
-    switch (period) {
-      case 'day':
-        return now - (24 * 60 * 60);
-      case 'week':
-        return now - (7 * 24 * 60 * 60);
-      case 'month':
-        return now - (30 * 24 * 60 * 60);
-      case 'year':
-        return now - (365 * 24 * 60 * 60);
-      case 'all':
-      default:
-        return 0;
-    }
+    return this.getPeriodRange(period).start;
   }
 
   /**
@@ -246,7 +488,7 @@ class Ledgers {
    * @param {string} options.sortBy - 'time' or 'plays'
    */
   getTopTracks({ period = 'all', limit = 50, sortBy = 'time' } = {}) {
-    const startTime = this.getPeriodStart(period);
+    const range = this.getPeriodRange(period);
 
     if (this.db) {
       try {
@@ -258,18 +500,18 @@ class Ledgers {
             SUM(seconds) as total_seconds,
             COUNT(*) as listen_count
           FROM listens
-          WHERE timestamp >= ?
+          WHERE timestamp >= ? AND timestamp < ?
           GROUP BY track_id
           ORDER BY ${sortBy === 'plays' ? 'listen_count' : 'total_seconds'} DESC
           LIMIT ?
         `);
-        return stmt.all(startTime, limit);
+        return stmt.all(range.start, range.end, limit);
       } catch (err) {
         console.error('[Ledgers] Error getting top tracks:', err);
         return [];
       }
     } else if (this.jsonFallback) {
-      return this.getTopTracksJson(startTime, limit, sortBy);
+      return this.getTopTracksJson(range, limit, sortBy);
     }
 
     return [];
@@ -278,8 +520,8 @@ class Ledgers {
   /**
    * JSON fallback for getTopTracks
    */
-  getTopTracksJson(startTime, limit, sortBy) {
-    const filtered = this.jsonFallback.listens.filter(l => l.timestamp >= startTime);
+  getTopTracksJson(range, limit, sortBy) {
+    const filtered = this.jsonFallback.listens.filter(l => inRange(l, range));
 
     // Aggregate by track
     const trackMap = {};
@@ -312,7 +554,7 @@ class Ledgers {
    * Get top albums by listening time
    */
   getTopAlbums({ period = 'all', limit = 50, sortBy = 'time' } = {}) {
-    const startTime = this.getPeriodStart(period);
+    const range = this.getPeriodRange(period);
 
     if (this.db) {
       try {
@@ -324,18 +566,18 @@ class Ledgers {
             COUNT(*) as listen_count,
             COUNT(DISTINCT track_id) as unique_tracks
           FROM listens
-          WHERE timestamp >= ? AND album_id IS NOT NULL
+          WHERE timestamp >= ? AND timestamp < ? AND album_id IS NOT NULL
           GROUP BY album_id
           ORDER BY ${sortBy === 'plays' ? 'listen_count' : 'total_seconds'} DESC
           LIMIT ?
         `);
-        return stmt.all(startTime, limit);
+        return stmt.all(range.start, range.end, limit);
       } catch (err) {
         console.error('[Ledgers] Error getting top albums:', err);
         return [];
       }
     } else if (this.jsonFallback) {
-      return this.getTopAlbumsJson(startTime, limit, sortBy);
+      return this.getTopAlbumsJson(range, limit, sortBy);
     }
 
     return [];
@@ -344,9 +586,9 @@ class Ledgers {
   /**
    * JSON fallback for getTopAlbums
    */
-  getTopAlbumsJson(startTime, limit, sortBy) {
+  getTopAlbumsJson(range, limit, sortBy) {
     const filtered = this.jsonFallback.listens.filter(
-      l => l.timestamp >= startTime && l.album_id
+      l => inRange(l, range) && l.album_id
     );
 
     const albumMap = {};
@@ -385,7 +627,7 @@ class Ledgers {
    * Get top artists by listening time
    */
   getTopArtists({ period = 'all', limit = 50, sortBy = 'time' } = {}) {
-    const startTime = this.getPeriodStart(period);
+    const range = this.getPeriodRange(period);
 
     if (this.db) {
       try {
@@ -397,18 +639,18 @@ class Ledgers {
             COUNT(DISTINCT track_id) as unique_tracks,
             COUNT(DISTINCT album_id) as unique_albums
           FROM listens
-          WHERE timestamp >= ? AND artist IS NOT NULL
+          WHERE timestamp >= ? AND timestamp < ? AND artist IS NOT NULL
           GROUP BY artist
           ORDER BY ${sortBy === 'plays' ? 'listen_count' : 'total_seconds'} DESC
           LIMIT ?
         `);
-        return stmt.all(startTime, limit);
+        return stmt.all(range.start, range.end, limit);
       } catch (err) {
         console.error('[Ledgers] Error getting top artists:', err);
         return [];
       }
     } else if (this.jsonFallback) {
-      return this.getTopArtistsJson(startTime, limit, sortBy);
+      return this.getTopArtistsJson(range, limit, sortBy);
     }
 
     return [];
@@ -417,9 +659,9 @@ class Ledgers {
   /**
    * JSON fallback for getTopArtists
    */
-  getTopArtistsJson(startTime, limit, sortBy) {
+  getTopArtistsJson(range, limit, sortBy) {
     const filtered = this.jsonFallback.listens.filter(
-      l => l.timestamp >= startTime && l.artist
+      l => inRange(l, range) && l.artist
     );
 
     const artistMap = {};
@@ -459,6 +701,128 @@ class Ledgers {
     return artists.slice(0, limit);
   }
 
+  /**
+   * Get top mixtapes (cassettes) by listening time - listens played from them
+   */
+  getTopMixtapes({ period = 'all', limit = 50, sortBy = 'time' } = {}) {
+    const range = this.getPeriodRange(period);
+
+    if (this.db) {
+      try {
+        const stmt = this.db.prepare(`
+          SELECT
+            context_id as mixtape_id,
+            SUM(seconds) as total_seconds,
+            COUNT(*) as listen_count,
+            COUNT(DISTINCT track_id) as unique_tracks,
+            MAX(timestamp) as last_listened
+          FROM listens
+          WHERE timestamp >= ? AND timestamp < ? AND context_type = 'mixtape' AND context_id IS NOT NULL
+          GROUP BY context_id
+          ORDER BY ${sortBy === 'plays' ? 'listen_count' : 'total_seconds'} DESC
+          LIMIT ?
+        `);
+        return stmt.all(range.start, range.end, limit);
+      } catch (err) {
+        console.error('[Ledgers] Error getting top mixtapes:', err);
+        return [];
+      }
+    } else if (this.jsonFallback) {
+      const mixtapeMap = {};
+      for (const listen of this.jsonFallback.listens) {
+        if (!inRange(listen, range) || listen.context_type !== 'mixtape' || !listen.context_id) continue;
+        if (!mixtapeMap[listen.context_id]) {
+          mixtapeMap[listen.context_id] = {
+            mixtape_id: listen.context_id,
+            total_seconds: 0,
+            listen_count: 0,
+            tracks: new Set(),
+            last_listened: 0
+          };
+        }
+        const entry = mixtapeMap[listen.context_id];
+        entry.total_seconds += listen.seconds;
+        entry.listen_count += 1;
+        entry.tracks.add(listen.track_id);
+        entry.last_listened = Math.max(entry.last_listened, listen.timestamp);
+      }
+
+      return Object.values(mixtapeMap)
+        .map(({ tracks, ...m }) => ({ ...m, unique_tracks: tracks.size }))
+        .sort((a, b) => sortBy === 'plays' ? b.listen_count - a.listen_count : b.total_seconds - a.total_seconds)
+        .slice(0, limit);
+    }
+
+    return [];
+  }
+
+  /**
+   * Get top facets by listening time - each track's listening counts toward every facet it has
+   * @param {Object} options
+   * @param {Function} options.facetsForTrack - trackId -> facet names (facetIndex.getFacetsForTrack)
+   * @returns {Array} - [{ facet, total_seconds, listen_count, unique_tracks }]
+   */
+  getTopFacets({ period = 'all', limit = 50, sortBy = 'time', facetsForTrack } = {}) {
+    const facetMap = new Map();
+    for (const track of this.getTopTracks({ period, limit: Number.MAX_SAFE_INTEGER, sortBy })) {
+      for (const facet of facetsForTrack(track.track_id)) {
+        if (!facetMap.has(facet)) {
+          facetMap.set(facet, { facet, total_seconds: 0, listen_count: 0, unique_tracks: 0 });
+        }
+        const entry = facetMap.get(facet);
+        entry.total_seconds += track.total_seconds;
+        entry.listen_count += track.listen_count;
+        entry.unique_tracks += 1;
+      }
+    }
+
+    return [...facetMap.values()]
+      .sort((a, b) => sortBy === 'plays' ? b.listen_count - a.listen_count : b.total_seconds - a.total_seconds)
+      .slice(0, limit);
+  }
+
+  /**
+   * Listening split by where playback came from
+   * @returns {Array} - [{ context_type, total_seconds, listen_count }]; context_type is
+   *   null for listens recorded before contexts were
+   */
+  getContextBreakdown({ period = 'all' } = {}) {
+    const range = this.getPeriodRange(period);
+
+    if (this.db) {
+      try {
+        const stmt = this.db.prepare(`
+          SELECT
+            context_type,
+            SUM(seconds) as total_seconds,
+            COUNT(*) as listen_count
+          FROM listens
+          WHERE timestamp >= ? AND timestamp < ?
+          GROUP BY context_type
+          ORDER BY total_seconds DESC
+        `);
+        return stmt.all(range.start, range.end);
+      } catch (err) {
+        console.error('[Ledgers] Error getting context breakdown:', err);
+        return [];
+      }
+    } else if (this.jsonFallback) {
+      const contextMap = new Map();
+      for (const listen of this.jsonFallback.listens) {
+        if (!inRange(listen, range)) continue;
+        const contextType = listen.context_type || null;
+        if (!contextMap.has(contextType)) {
+          contextMap.set(contextType, { context_type: contextType, total_seconds: 0, listen_count: 0 });
+        }
+        contextMap.get(contextType).total_seconds += listen.seconds;
+        contextMap.get(contextType).listen_count += 1;
+      }
+      return [...contextMap.values()].sort((a, b) => b.total_seconds - a.total_seconds);
+    }
+
+    return [];
+  }
+
   /**
    * Get stats for a specific album
    */
@@ -566,6 +930,116 @@ class Ledgers {
     return { total_seconds: 0, listen_count: 0 };
   }
 
+  /**
+   * Get listen counts per track since a point in time (for Program memory)
+   * @param {number} startTime - Unix timestamp (seconds)
+   * @returns {Object} - Map of track_id -> listen_count
+   */
+  getTrackListenCountsSince(startTime) {
+    const result = {};
+
+    if (this.db) {
+      try {
+        const stmt = this.db.prepare(`
+          SELECT
+            track_id,
+            COUNT(*) as listen_count
+          FROM listens
+          WHERE timestamp >= ?
+          GROUP BY track_id
+        `);
+        for (const row of stmt.all(startTime)) {
+          result[row.track_id] = row.listen_count;
+        }
+      } catch (err) {
+        console.error('[Ledgers] Error getting track listen counts:', err);
+      }
+    } else if (this.jsonFallback) {
+      for (const listen of this.jsonFallback.listens) {
+        if (listen.timestamp >= startTime) {
+          result[listen.track_id] = (result[listen.track_id] || 0) + 1;
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Tracks with the most all-time listening whose last listen is older than a cutoff
+   * @param {Object} options
+   * @param {number} options.days - Quiet for at least this many days
+   * @param {number} options.limit - Max results
+   * @returns {Array} - [{ track_id, total_seconds, listen_count, last_listened }]
+   */
+  getForgottenFavourites({ days = 90, limit = 100 } = {}) {
+    const cutoff = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+
+    if (this.db) {
+      try {
+        const stmt = this.db.prepare(`
+          SELECT
+            track_id,
+            SUM(seconds) as total_seconds,
+            COUNT(*) as listen_count,
+            MAX(timestamp) as last_listened
+          FROM listens
+          GROUP BY track_id
+          HAVING last_listened < ?
+          ORDER BY total_seconds DESC
+          LIMIT ?
+        `);
+        return stmt.all(cutoff, limit);
+      } catch (err) {
+        console.error('[Ledgers] Error getting forgotten favourites:', err);
+        return [];
+      }
+    } else if (this.jsonFallback) {
+      const trackMap = {};
+      for (const listen of this.jsonFallback.listens) {
+        if (!trackMap[listen.track_id]) {
+          trackMap[listen.track_id] = {
+            track_id: listen.track_id,
+            total_seconds: 0,
+            listen_count: 0,
+            last_listened: 0
+          };
+        }
+        const entry = trackMap[listen.track_id];
+        entry.total_seconds += listen.seconds;
+        entry.listen_count += 1;
+        entry.last_listened = Math.max(entry.last_listened, listen.timestamp);
+      }
+
+      return Object.values(trackMap)
+        .filter(t => t.last_listened < cutoff)
+        .sort((a, b) => b.total_seconds - a.total_seconds)
+        .slice(0, limit);
+    }
+
+    return [];
+  }
+
+  /**
+   * Every track ID that has at least one listen
+   * @returns {Set<string>}
+   */
+  getListenedTrackIds() {
+    if (this.db) {
+      try {
+        const rows = this.db.prepare('SELECT DISTINCT track_id FROM listens').all();
+        return new Set(rows.map(r => r.track_id));
+      } catch (err) {
+        console.error('[Ledgers] Error getting listened tracks:', err);
+        return new Set();
+      }
+    } else if (this.jsonFallback) {
+      return new Set(this.jsonFallback.listens.map(l => l.track_id));
+    }
+
+    return new Set();
+  }
+
   /**
    * Reset listening stats for a specific track
    * @param {string} trackId - Track ID to reset
@@ -626,7 +1100,7 @@ class Ledgers {
    * Get overall listening stats
    */
   getOverallStats({ period = 'all' } = {}) {
-    const startTime = this.getPeriodStart(period);
+    const range = this.getPeriodRange(period);
 
     if (this.db) {
       try {
@@ -638,9 +1112,9 @@ class Ledgers {
             COUNT(DISTINCT album_id) as unique_albums,
             COUNT(DISTINCT artist) as unique_artists
           FROM listens
-          WHERE timestamp >= ?
+          WHERE timestamp >= ? AND timestamp < ?
         `);
-        const result = stmt.get(startTime);
+        const result = stmt.get(range.start, range.end);
         return result || {
           total_seconds: 0,
           total_listens: 0,
@@ -659,7 +1133,7 @@ class Ledgers {
         };
       }
     } else if (this.jsonFallback) {
-      const filtered = this.jsonFallback.listens.filter(l => l.timestamp >= startTime);
+      const filtered = this.jsonFallback.listens.filter(l => inRange(l, range));
       const tracks = new Set();
       const albums = new Set();
       const artists = new Set();
@@ -690,6 +1164,77 @@ class Ledgers {
     };
   }
 
+  /**
+   * Listening over time, or by hour of day / weekday
+   * @param {Object} options
+   * @param {string} options.bucket - 'hour', 'weekday', 'weekday-hour', 'day', 'week' or 'month'
+   * @param {string|Object} options.period - see getPeriodRange
+   * @param {Object} options.filter - narrow to { trackId }, { trackIds }, { albumId } or { artist }
+   * @returns {Array} - [{ bucket, total_seconds, listen_count }], empty buckets included
+   */
+  getTimeSeries({ bucket = 'month', period = 'all', filter = {} } = {}) {
+    const spec = SERIES_BUCKETS[bucket];
+    if (!spec) throw new Error(`Unknown bucket: ${bucket}`);
+    const range = this.getPeriodRange(period);
+    let rows = [];
+
+    if (this.db) {
+      try {
+        const conditions = ['timestamp >= ?', 'timestamp < ?'];
+        const params = [range.start, range.end];
+        if (filter.trackId) {
+          conditions.push('track_id = ?');
+          params.push(filter.trackId);
+        }
+        if (filter.trackIds) {
+          conditions.push('track_id IN (SELECT value FROM json_each(?))');
+          params.push(JSON.stringify(filter.trackIds));
+        }
+        if (filter.albumId) {
+          conditions.push('album_id = ?');
+          params.push(filter.albumId);
+        }
+        if (filter.artist) {
+          conditions.push('artist = ?');
+          params.push(filter.artist);
+        }
+
+        const stmt = this.db.prepare(`
+          SELECT
+            ${spec.sql} as bucket,
+            SUM(seconds) as total_seconds,
+            COUNT(*) as listen_count
+          FROM listens
+          WHERE ${conditions.join(' AND ')}
+          GROUP BY bucket
+          ORDER BY bucket
+        `);
+        rows = stmt.all(...params);
+      } catch (err) {
+        console.error('[Ledgers] Error getting time series:', err);
+        return [];
+      }
+    } else if (this.jsonFallback) {
+      const trackIds = filter.trackIds && new Set(filter.trackIds);
+      const buckets = new Map();
+      for (const listen of this.jsonFallback.listens) {
+        if (!inRange(listen, range)) continue;
+        if (filter.trackId && listen.track_id !== filter.trackId) continue;
+        if (trackIds && !trackIds.has(listen.track_id)) continue;
+        if (filter.albumId && listen.album_id !== filter.albumId) continue;
+        if (filter.artist && listen.artist !== filter.artist) continue;
+
+        const key = spec.key(new Date(listen.timestamp * 1000));
+        if (!buckets.has(key)) buckets.set(key, { bucket: key, total_seconds: 0, listen_count: 0 });
+        buckets.get(key).total_seconds += listen.seconds;
+        buckets.get(key).listen_count += 1;
+      }
+      rows = [...buckets.values()].sort((a, b) => (a.bucket < b.bucket ? -1 : a.bucket > b.bucket ? 1 : 0));
+    }
+
+    return fillSeries(rows, bucket, range);
+  }
+
   /**
    * Merge duplicate track entries that have the same album_id
    * This consolidates listens for tracks that got different track_ids
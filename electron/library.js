@@ -40,6 +40,8 @@ const LIBRARY_STRUCTURE = {
   tracks: 'tracks',           // Track UUID folders
   collections: 'collections', // Album, mixtape, facet, smart JSONs
   attachments: 'attachments', // Attachment UUID folders (includes album art + thumbnails)
+  discs: 'discs',             // Disc images shared by CUE sheet tracks
+  imports: 'imports',         // Import journals for undoing a batch
 };
 
 
@@ -74,7 +76,10 @@ const DEFAULT_LIBRARY_CONFIG = {
     showRatings: false,
     defaultView: 'RECORDS',
     defaultBackdropBlur: 0,
-    theme: 'system'  // 'cabinet', 'daylight', or 'system'
+    theme: 'system',  // 'cabinet', 'daylight', or 'system'
+    importMode: 'copy',  // 'copy' into the library, or 'reference' files where they are
+    watchedFolders: [],  // Referenced source folders kept in sync
+    pathTemplates: []    // Filename/folder patterns for untagged files (see pathTemplates.js)
   }
 };
 
@@ -232,6 +237,8 @@ function getLibraryPaths(libraryPath) {
     tracks: path.join(libraryPath, LIBRARY_STRUCTURE.tracks),
     collections: path.join(libraryPath, LIBRARY_STRUCTURE.collections),
     attachments: path.join(libraryPath, LIBRARY_STRUCTURE.attachments),
+    discs: path.join(libraryPath, LIBRARY_STRUCTURE.discs),
+    imports: path.join(libraryPath, LIBRARY_STRUCTURE.imports),
     libraryJson: path.join(libraryPath, 'library.json'),
     facetsJson: path.join(libraryPath, 'facets.json'),
     ledgersDb: path.join(libraryPath, 'ledgers.db')
@@ -272,6 +279,21 @@ function createAttachmentFolder(libraryPath, attachmentId) {
   return attachmentFolderPath;
 }
 
+/**
+ * Path to a track's audio file
+ * Referenced tracks (imported in place) point outside the library; CUE
+ * sheet tracks share a disc image in discs/; everything else lives in
+ * its .info folder.
+ */
+function getTrackAudioPath(trackFolderPath, metadata) {
+  if (metadata?.referencePath) return metadata.referencePath;
+  if (metadata?.cue?.image) {
+    const libraryPath = path.dirname(path.dirname(trackFolderPath));
+    return path.join(libraryPath, LIBRARY_STRUCTURE.discs, metadata.cue.image);
+  }
+  return path.join(trackFolderPath, metadata.filename);
+}
+
 /**
  * Write track metadata
  */
@@ -388,6 +410,43 @@ function listAllTracks(libraryPath) {
   return tracks;
 }
 
+// Disc images an import has stored whose tracks may not be written yet
+const heldDiscImages = new Set();
+
+/**
+ * Keep a disc image from being pruned while its import is still running
+ */
+function holdDiscImage(imageName) {
+  heldDiscImages.add(imageName);
+}
+
+function releaseDiscImage(imageName) {
+  heldDiscImages.delete(imageName);
+}
+
+/**
+ * Delete disc images no CUE sheet track uses any more
+ * Call after deleting tracks, with the cue.image names they had; images an
+ * import still holds are left alone. Returns how many images were removed.
+ * @param {string[]} imageNames
+ */
+function pruneDiscImages(libraryPath, imageNames) {
+  const candidates = new Set(imageNames.filter(name => name && !heldDiscImages.has(name)));
+  if (candidates.size === 0) return 0;
+
+  for (const track of listAllTracks(libraryPath)) {
+    candidates.delete(track.cue?.image);
+  }
+  let removed = 0;
+  for (const imageName of candidates) {
+    const imagePath = path.join(libraryPath, LIBRARY_STRUCTURE.discs, imageName);
+    if (!fs.existsSync(imagePath)) continue;
+    fs.unlinkSync(imagePath);
+    removed++;
+  }
+  return removed;
+}
+
 /**
  * Fisher-Yates shuffle algorithm with optional seed for reproducibility
  * @param {Array} array - Array to shuffle
@@ -538,6 +597,7 @@ module.exports = {
   createAttachmentFolder,
   writeTrackMetadata,
   readTrackMetadata,
+  getTrackAudioPath,
   writeAttachmentMetadata,
   readAttachmentMetadata,
   listAllAttachments,
@@ -545,6 +605,9 @@ module.exports = {
   readCollection,
   listCollections,
   listAllTracks,
+  holdDiscImage,
+  releaseDiscImage,
+  pruneDiscImages,
   shuffleArray,
   generateShuffleSeed,
   loadSession,
@@ -0,0 +1,154 @@
+/**
+ * The Gloaming - Library Verify
+ *
+ * Checks that a library's files agree with each other:
+ *
+ *   structure    the library folders and library.json are there
+ *   tracks       metadata.json reads, the audio file exists, and (with
+ *                checksums) it's still the audio that was imported
+ *   records      every track and attachment they list exists
+ *   cassettes    likewise, for their tracks and cover art
+ *   discs        disc images no CUE sheet track uses any more
+ *
+ * Nothing is repaired - problems are reported for a person to decide on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  LIBRARY_STRUCTURE,
+  getLibraryPaths,
+  readTrackMetadata,
+  getTrackAudioPath,
+  listCollections
+} = require('./library');
+const { computeContentHash, computeSegmentHash } = require('./contentHash');
+
+function problem(kind, id, message, filePath = null) {
+  return { kind, id, message, ...(filePath && { path: filePath }) };
+}
+
+/**
+ * Verify a library
+ * @param {object} options - { checksums, onProgress } checksums re-hashes every
+ *   audio file against its stored contentHash (slow); onProgress({ done, total })
+ * @returns {Promise<{ trackCount, recordCount, mixtapeCount, checksums, problems: [{ kind, id, message, path? }] }>}
+ */
+async function verifyLibrary(libraryPath, { checksums = false, onProgress = () => {} } = {}) {
+  const paths = getLibraryPaths(libraryPath);
+  const problems = [];
+
+  for (const folder of Object.values(LIBRARY_STRUCTURE)) {
+    if (!fs.existsSync(path.join(libraryPath, folder))) {
+      problems.push(problem('structure', folder, `Missing ${folder}/ folder`));
+    }
+  }
+  if (!fs.existsSync(path.join(libraryPath, 'library.json'))) {
+    problems.push(problem('structure', 'library.json', 'Missing library.json'));
+  }
+
+  // Tracks
+  const trackFolders = fs.existsSync(paths.tracks)
+    ? fs.readdirSync(paths.tracks).filter(name => name.endsWith('.info'))
+    : [];
+  const tracks = new Map();
+  for (const folder of trackFolders) {
+    const trackId = path.basename(folder, '.info');
+    const metadata = readTrackMetadata(path.join(paths.tracks, folder));
+    if (!metadata) {
+      problems.push(problem('unreadable-track', trackId, 'metadata.json is missing or unreadable'));
+      continue;
+    }
+    tracks.set(trackId, metadata);
+  }
+
+  const collections = listCollections(libraryPath);
+  const collectionIds = new Set(collections.map(c => c.id));
+  const usedImages = new Set();
+  const present = [];
+
+  for (const [trackId, track] of tracks) {
+    if (track.cue?.image) usedImages.add(track.cue.image);
+    if (track.albumId && !collectionIds.has(track.albumId)) {
+      problems.push(problem('orphan-track', trackId, `Belongs to record ${track.albumId}, which doesn't exist`));
+    }
+
+    const audioPath = getTrackAudioPath(path.join(paths.tracks, `${trackId}.info`), track);
+    if (!fs.existsSync(audioPath)) {
+      const flagged = track.missing ? ` (flagged missing since ${track.missingSince})` : '';
+      problems.push(problem('missing-audio', trackId, `Audio file not found${flagged}`, audioPath));
+      continue;
+    }
+    // A converted track's hash is of the file it was converted from
+    if (checksums && track.contentHash && !track.convertedFrom) present.push({ trackId, track, audioPath });
+  }
+
+  // Audio that changed since import; a disc image is hashed once for all its tracks
+  const fileHashes = new Map();
+  for (let i = 0; i < present.length; i++) {
+    const { trackId, track, audioPath } = present[i];
+    onProgress({ done: i, total: present.length });
+    try {
+      if (!fileHashes.has(audioPath)) fileHashes.set(audioPath, await computeContentHash(audioPath));
+      const fileHash = fileHashes.get(audioPath);
+      const hash = track.cue ? computeSegmentHash(fileHash, track.cue.start, track.cue.end) : fileHash;
+      if (hash !== track.contentHash) {
+        problems.push(problem('changed-audio', trackId, 'Audio differs from what was imported', audioPath));
+      }
+    } catch (err) {
+      problems.push(problem('unreadable-audio', trackId, err.message, audioPath));
+    }
+  }
+  if (present.length > 0) onProgress({ done: present.length, total: present.length });
+
+  // Records and cassettes
+  const attachmentExists = (attachmentId) =>
+    fs.existsSync(path.join(paths.attachments, `${attachmentId}.info`));
+  let recordCount = 0;
+  let mixtapeCount = 0;
+
+  for (const collection of collections) {
+    if (collection.type === 'album') recordCount++;
+    else if (collection.type === 'mixtape') mixtapeCount++;
+    else continue;
+
+    const label = collection.type === 'album' ? 'Record' : 'Cassette';
+    for (const ref of collection.tracks || []) {
+      if (!tracks.has(ref.id)) {
+        problems.push(problem('missing-track', collection.id, `${label} "${collection.name}" lists track ${ref.id}, which doesn't exist`));
+      }
+    }
+
+    const attachmentIds = [
+      collection.cover,
+      collection.coverImageId,
+      collection.backdropImageId,
+      ...(collection.attachments || [])
+    ].filter(Boolean);
+    for (const attachmentId of new Set(attachmentIds)) {
+      if (!attachmentExists(attachmentId)) {
+        problems.push(problem('missing-attachment', collection.id, `${label} "${collection.name}" uses attachment ${attachmentId}, which doesn't exist`));
+      }
+    }
+  }
+
+  // Disc images left behind - deletes only prune the images of the tracks they remove
+  if (fs.existsSync(paths.discs)) {
+    for (const imageName of fs.readdirSync(paths.discs)) {
+      if (imageName.startsWith('.') || usedImages.has(imageName)) continue;
+      problems.push(problem('unused-disc-image', imageName, 'No CUE sheet track uses this disc image', path.join(paths.discs, imageName)));
+    }
+  }
+
+  return {
+    trackCount: trackFolders.length,
+    recordCount,
+    mixtapeCount,
+    checksums,
+    problems
+  };
+}
+
+module.exports = {
+  verifyLibrary
+};
@@ -25,6 +25,8 @@ const {
   writeCollection,
   readTrackMetadata,
   writeTrackMetadata,
+  getTrackAudioPath,
+  pruneDiscImages,
   createAttachmentFolder,
   writeAttachmentMetadata,
   readAttachmentMetadata,
@@ -41,6 +43,7 @@ const {
   importFiles,
   AUDIO_EXTENSIONS,
   extractAudioMetadata,
+  extractAudioFileMetadata,
   extractEmbeddedCover,
   // Legacy exports for Panopticon induction
   scanFolderForAudio,
@@ -54,6 +57,9 @@ const {
 
 const { generateThumbnails } = require('./thumbnails');
 
+// Curated metadata written back into audio file tags
+const { syncRecordTags, syncTagsAfterEdit } = require('./tagWriter');
+
 // Facet index for fast lookups
 const facetIndex = require('./facetIndex');
 
@@ -66,6 +72,18 @@ const programs = require('./programs');
 // Audio bridge for native Swift audio playback
 const audioBridge = require('./audio-bridge');
 
+// Referenced source folders kept in sync with the library
+const watchedFolders = require('./watchedFolders');
+
+// Per-batch import journals, for undo
+const importJournal = require('./importJournal');
+
+// Filename/folder patterns for untagged files
+const pathTemplates = require('./pathTemplates');
+
+// Year-in-review reports from the ledgers
+const almanac = require('./almanac');
+
 // IPC Handler modules
 const registerContextMenuHandlers = require('./ipc-handlers/context-menu');
 const registerSessionHandlers = require('./ipc-handlers/session');
@@ -73,12 +91,15 @@ const registerProgramsHandlers = require('./ipc-handlers/programs-ipc');
 const registerAttachmentsHandlers = require('./ipc-handlers/attachments');
 const registerMixtapesHandlers = require('./ipc-handlers/mixtapes');
 const registerLedgersHandlers = require('./ipc-handlers/ledgers-ipc');
+const registerAlmanacHandlers = require('./ipc-handlers/almanac-ipc');
 const registerFacetsHandlers = require('./ipc-handlers/facets');
 const registerAlbumsHandlers = require('./ipc-handlers/albums');
 const registerImportHandlers = require('./ipc-handlers/import-ipc');
 const registerFoyerHandlers = require('./ipc-handlers/foyer');
 const registerPanopticonHandlers = require('./ipc-handlers/panopticon');
 const registerAudioHandlers = require('./ipc-handlers/audio-ipc');
+const registerPlaylistsHandlers = require('./ipc-handlers/playlists-ipc');
+const registerWatchedFoldersHandlers = require('./ipc-handlers/watched-folders-ipc');
 
 // Preferences file location
 const PREFS_PATH = path.join(app.getPath('userData'), 'preferences.json');
@@ -94,9 +115,20 @@ const getLibraryPath = () => currentLibraryPath;
 const setLibraryPath = (path) => { currentLibraryPath = path; };
 const getMainWindow = () => mainWindow;
 
+// (Re)start watching the library's source folders; tell the renderer when they change it
+const startWatchedFolders = (libraryPath) => {
+  watchedFolders.start(libraryPath, {
+    onReconciled: (summary) => {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('watched-folders-reconciled', summary);
+      }
+    }
+  });
+};
+
 // Register extracted IPC handlers
 registerContextMenuHandlers({ ipcMain, getLibraryPath, facetIndex });
-registerSessionHandlers({ ipcMain, getLibraryPath, loadSession, saveSession });
+registerSessionHandlers({ ipcMain, getLibraryPath, loadSession, saveSession, programs });
 registerProgramsHandlers({ ipcMain, programs });
 registerAttachmentsHandlers({
   ipcMain,
@@ -126,8 +158,31 @@ registerMixtapesHandlers({
   readCollection,
   writeCollection,
   readTrackMetadata,
+  getTrackAudioPath,
   loadFacets,
-  saveFacets
+  saveFacets,
+  programs
+});
+registerPlaylistsHandlers({
+  ipcMain,
+  dialog,
+  getLibraryPath,
+  getLibraryPaths,
+  generateUUID,
+  readCollection,
+  writeCollection,
+  listAllTracks,
+  getTrackAudioPath,
+  programs
+});
+registerWatchedFoldersHandlers({
+  ipcMain,
+  dialog,
+  getLibraryPath,
+  loadLibraryConfig,
+  saveLibraryConfig,
+  watchedFolders,
+  startWatchedFolders
 });
 registerLedgersHandlers({
   ipcMain,
@@ -136,7 +191,18 @@ registerLedgersHandlers({
   getLibraryPaths,
   readCollection,
   readTrackMetadata,
-  getAlbumArtPath
+  getTrackAudioPath,
+  getAlbumArtPath,
+  facetIndex
+});
+registerAlmanacHandlers({
+  ipcMain,
+  dialog,
+  BrowserWindow,
+  almanac,
+  ledgers,
+  facetIndex,
+  getLibraryPath
 });
 registerFacetsHandlers({
   ipcMain,
@@ -148,7 +214,8 @@ registerFacetsHandlers({
   listCollections,
   readCollection,
   writeCollection,
-  readTrackMetadata
+  readTrackMetadata,
+  getTrackAudioPath
 });
 registerAlbumsHandlers({
   ipcMain,
@@ -160,6 +227,8 @@ registerAlbumsHandlers({
   writeCollection,
   listCollections,
   readTrackMetadata,
+  getTrackAudioPath,
+  pruneDiscImages,
   generateThumbnails,
   ledgers,
   facetIndex
@@ -169,6 +238,11 @@ registerImportHandlers({
   dialog,
   getLibraryPath,
   importFiles,
+  importJournal,
+  pathTemplates,
+  loadLibraryConfig,
+  saveLibraryConfig,
+  ledgers,
   AUDIO_EXTENSIONS
 });
 registerFoyerHandlers({
@@ -190,11 +264,13 @@ registerFoyerHandlers({
   readCollection,
   listCollections,
   readTrackMetadata,
+  getTrackAudioPath,
   generateUUID,
   shuffleArray,
   ledgers,
   programs,
-  facetIndex
+  facetIndex,
+  startWatchedFolders
 });
 registerPanopticonHandlers({
   ipcMain,
@@ -208,10 +284,13 @@ registerPanopticonHandlers({
   readCollection,
   writeCollection,
   readTrackMetadata,
+  getTrackAudioPath,
+  pruneDiscImages,
   writeTrackMetadata,
   // Import functions for Induction
   scanFolderForAudio,
   extractAudioMetadata,
+  extractAudioFileMetadata,
   extractEmbeddedCover,
   findCoverArt,
   importAsNewAlbum,
@@ -220,6 +299,10 @@ registerPanopticonHandlers({
   importCoverFromFile,
   importCoverFromData,
   generateUUID,
+  syncRecordTags,
+  syncTagsAfterEdit,
+  loadLibraryConfig,
+  pathTemplates,
   ledgers
 });
 registerAudioHandlers({
@@ -300,9 +383,10 @@ function ensureLibrary() {
     readCollection,
     listCollections,
     readTrackMetadata,
+    getTrackAudioPath,
     generateUUID,
     shuffleArray
-  }, facetIndex);
+  }, facetIndex, ledgers);
 
   // Spawn audio bridge (native Swift audio service)
   const config = loadLibraryConfig(currentLibraryPath);
@@ -310,6 +394,8 @@ function ensureLibrary() {
     audioBridge.spawn(currentLibraryPath);
   }
 
+  startWatchedFolders(currentLibraryPath);
+
   return true;
 }
 
@@ -420,7 +506,7 @@ async function loadAlbumsForDisplay() {
         return {
           ...trackMeta,
           position: trackRef.position,
-          audioPath: path.join(trackFolderPath, trackMeta.filename),
+          audioPath: getTrackAudioPath(trackFolderPath, trackMeta),
           trackCoverPath,           // Track's own cover (if any)
           trackThumbnailPath,       // Track's own thumbnail (if any)
           trackSmallThumbnailPath   // Track's own small thumbnail (if any)
@@ -605,6 +691,7 @@ app.on('window-all-closed', () => {
 app.on('before-quit', () => {
   // Ensure audio bridge is shutdown
   audioBridge.quit();
+  watchedFolders.stop();
 });
 
 app.on('activate', () => {
@@ -0,0 +1,178 @@
+/**
+ * The Gloaming - Path Templates
+ *
+ * Named patterns for reading untagged files' details from where they sit,
+ * saved in library.json (settings.pathTemplates):
+ *
+ *   { name: 'Archive', pattern: '%albumartist%/%year% - %album%/%disc%-%track% %title%' }
+ *
+ * Each /-separated part of a pattern matches one folder, the last one the
+ * filename (without its extension). Patterns match the end of a path, so
+ * they don't depend on where the import started. Templates are tried in
+ * order; the first that matches fills in what the tags left out - a tag is
+ * never overridden.
+ *
+ * Fields: %albumartist% %artist% %album% %year% %disc% %track% %title%
+ * %genre%, and %ignore% for a part to skip. Spaces in a pattern match any
+ * run of whitespace.
+ */
+
+// Pattern field -> metadata field (null: matched and dropped)
+const TEMPLATE_FIELDS = {
+  albumartist: 'albumArtist',
+  artist: 'artist',
+  album: 'album',
+  year: 'year',
+  disc: 'discNumber',
+  track: 'trackNumber',
+  title: 'title',
+  genre: 'genre',
+  ignore: null
+};
+
+const NUMERIC_FIELDS = {
+  year: '(\\d{4})',
+  disc: '(\\d{1,3})',
+  track: '(\\d{1,3})'
+};
+
+// Compiled patterns, most recently used last. The settings preview compiles
+// a new pattern per keystroke, so only the last few are kept.
+const compiledTemplates = new Map(); // pattern -> compiled
+const TEMPLATE_CACHE_LIMIT = 32;
+
+function escapeLiteral(text) {
+  return text
+    .split(/\s+/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('\\s+');
+}
+
+/**
+ * Turn a pattern into one RegExp per path part
+ * @returns {{ parts: [{ regex, fields: string[] }] }}
+ * @throws if the pattern is empty or names an unknown field
+ */
+function compileTemplate(pattern) {
+  const parts = (pattern || '').split('/').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) throw new Error('Template is empty');
+
+  return {
+    parts: parts.map(part => {
+      const fields = [];
+      let source = '';
+      let lastIndex = 0;
+      for (const match of part.matchAll(/%([a-z]+)%/gi)) {
+        const field = match[1].toLowerCase();
+        if (!(field in TEMPLATE_FIELDS)) throw new Error(`Unknown field %${match[1]}%`);
+        source += escapeLiteral(part.slice(lastIndex, match.index));
+        source += NUMERIC_FIELDS[field] || '(.+?)';
+        fields.push(field);
+        lastIndex = match.index + match[0].length;
+      }
+      source += escapeLiteral(part.slice(lastIndex));
+      return { regex: new RegExp(`^${source}$`, 'i'), fields };
+    })
+  };
+}
+
+// Compiled pattern, or the Error compiling it threw (errors aren't cached)
+function getCompiled(pattern) {
+  let compiled = compiledTemplates.get(pattern);
+  if (compiled) {
+    compiledTemplates.delete(pattern);
+  } else {
+    try {
+      compiled = compileTemplate(pattern);
+    } catch (err) {
+      return err;
+    }
+    if (compiledTemplates.size >= TEMPLATE_CACHE_LIMIT) {
+      compiledTemplates.delete(compiledTemplates.keys().next().value);
+    }
+  }
+  compiledTemplates.set(pattern, compiled);
+  return compiled;
+}
+
+/**
+ * Check a pattern, for the settings UI
+ * @returns {string|null} what's wrong with it
+ */
+function validateTemplate(pattern) {
+  const compiled = getCompiled(pattern);
+  return compiled instanceof Error ? compiled.message : null;
+}
+
+/**
+ * Match one template against a file path
+ * @returns {object|null} metadata fields it found ({ albumArtist, year, trackNumber, ... })
+ */
+function matchTemplate(pattern, filePath) {
+  const compiled = getCompiled(pattern);
+  if (compiled instanceof Error) return null;
+
+  const components = filePath.split(/[\\/]/).filter(Boolean);
+  if (components.length < compiled.parts.length) return null;
+  components[components.length - 1] = components[components.length - 1].replace(/\.[^.]+$/, '');
+
+  const found = {};
+  const offset = components.length - compiled.parts.length;
+  for (let i = 0; i < compiled.parts.length; i++) {
+    const { regex, fields } = compiled.parts[i];
+    const match = components[offset + i].match(regex);
+    if (!match) return null;
+
+    fields.forEach((field, index) => {
+      const key = TEMPLATE_FIELDS[field];
+      const value = match[index + 1].trim();
+      if (!key || !value || key in found) return;
+      found[key] = NUMERIC_FIELDS[field] ? parseInt(value, 10) : value;
+    });
+  }
+  return found;
+}
+
+/**
+ * The first of a library's templates that matches a path
+ * @param {object[]} templates - [{ name, pattern }]
+ * @returns {{ name, fields }|null}
+ */
+function parsePathWithTemplates(filePath, templates) {
+  for (const template of templates || []) {
+    if (template.enabled === false) continue;
+    const fields = matchTemplate(template.pattern, filePath);
+    if (fields) return { name: template.name, fields };
+  }
+  return null;
+}
+
+/**
+ * Fill in what a file's tags left out from the first matching template
+ * @param {object|null} metadata - from extractAudioMetadata (null if unreadable)
+ * @returns {object|null} metadata with the gaps filled, or as it was
+ */
+function applyPathTemplates(metadata, filePath, templates) {
+  const parsed = parsePathWithTemplates(filePath, templates);
+  if (!parsed) return metadata;
+
+  const merged = { ...metadata };
+  for (const [key, value] of Object.entries(parsed.fields)) {
+    if (merged[key] === undefined || merged[key] === null || merged[key] === '') {
+      merged[key] = value;
+    }
+  }
+  if (parsed.fields.genre && !(merged.genres?.length > 0)) {
+    merged.genres = [merged.genre];
+  }
+  return merged;
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  compileTemplate,
+  validateTemplate,
+  matchTemplate,
+  parsePathWithTemplates,
+  applyPathTemplates
+};
@@ -0,0 +1,500 @@
+/**
+ * The Gloaming - Playlist Files
+ *
+ * M3U8 and XSPF, so cassettes and records can travel to other players,
+ * and M3U/M3U8/PLS/XSPF read back in to become cassettes.
+ *
+ * Entries: { title, artist, album, duration (seconds), trackNumber, location }
+ * location is a filesystem path - absolute, or relative to the playlist file.
+ * CUE sheet tracks share one disc image, so their entries also carry start
+ * and end (seconds into the image; end null for the rest of it), written as
+ * VLC's start-time/stop-time options.
+ * Parsed entries also carry line (1-based, in the playlist file) and text
+ * (the raw location, for reporting).
+ */
+
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { getLibraryPaths, readTrackMetadata, getTrackAudioPath } = require('./library');
+
+const PLAYLIST_FORMATS = ['m3u8', 'xspf'];
+const PLAYLIST_IMPORT_FORMATS = ['m3u', 'm3u8', 'pls', 'xspf'];
+
+// Seconds a playlist's duration may differ from a library track's and still match
+const DURATION_TOLERANCE = 3;
+
+// Seconds a playlist's start time may differ from a CUE track's
+const START_TOLERANCE = 0.5;
+
+// Where VLC keeps its per-track options in XSPF
+const VLC_EXTENSION = 'http://www.videolan.org/vlc/playlist/0';
+const VLC_NAMESPACE = 'http://www.videolan.org/vlc/playlist/ns/0/';
+
+/**
+ * Pick the format from a file extension (defaults to M3U8)
+ */
+function getPlaylistFormat(filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  return PLAYLIST_FORMATS.includes(ext) ? ext : 'm3u8';
+}
+
+/**
+ * Path for an audio file as it should appear in a playlist
+ * @param {string} pathMode - 'absolute' | 'relative' (to the playlist's folder)
+ */
+function getEntryLocation(audioPath, playlistPath, pathMode) {
+  if (pathMode !== 'relative') return audioPath;
+  return path.relative(path.dirname(playlistPath), audioPath);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Keep one entry on one line
+function singleLine(text) {
+  return String(text || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+// VLC's options for playing part of a file, as "name=seconds"
+function spanOptions(entry) {
+  if (entry.start === null || entry.start === undefined) return [];
+  const seconds = (value) => String(Math.round(value * 1000) / 1000);
+  const options = [`start-time=${seconds(entry.start)}`];
+  if (entry.end !== null && entry.end !== undefined) options.push(`stop-time=${seconds(entry.end)}`);
+  return options;
+}
+
+/**
+ * Extended M3U, UTF-8
+ */
+function buildM3U8(name, entries) {
+  const lines = ['#EXTM3U'];
+  if (name) lines.push(`#PLAYLIST:${singleLine(name)}`);
+
+  for (const entry of entries) {
+    const seconds = entry.duration ? Math.round(entry.duration) : -1;
+    const title = singleLine(entry.title);
+    const label = entry.artist ? `${singleLine(entry.artist)} - ${title}` : title;
+    lines.push(`#EXTINF:${seconds},${label}`);
+    for (const option of spanOptions(entry)) lines.push(`#EXTVLCOPT:${option}`);
+    lines.push(entry.location);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// XSPF locations are URIs: file:// for absolute paths, relative references otherwise
+function toXspfLocation(location) {
+  if (path.isAbsolute(location)) return pathToFileURL(location).href;
+  return location.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+/**
+ * XSPF 1
+ */
+function buildXSPF(name, entries, creator = null) {
+  const element = (tag, value) => (
+    value !== null && value !== undefined && value !== ''
+      ? `      <${tag}>${escapeXml(value)}</${tag}>`
+      : null
+  );
+
+  const extension = (options) => (
+    options.length > 0
+      ? [
+        `      <extension application="${VLC_EXTENSION}">`,
+        ...options.map(option => `        <vlc:option>${escapeXml(option)}</vlc:option>`),
+        '      </extension>'
+      ].join('\n')
+      : null
+  );
+
+  const tracks = entries.map(entry => [
+    '    <track>',
+    element('location', toXspfLocation(entry.location)),
+    element('title', entry.title),
+    element('creator', entry.artist),
+    element('album', entry.album),
+    element('trackNum', entry.trackNumber),
+    element('duration', entry.duration ? Math.round(entry.duration * 1000) : null),
+    extension(spanOptions(entry)),
+    '    </track>'
+  ].filter(Boolean).join('\n'));
+
+  const namespaces = entries.some(entry => spanOptions(entry).length > 0)
+    ? ` xmlns:vlc="${VLC_NAMESPACE}"`
+    : '';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<playlist version="1" xmlns="http://xspf.org/ns/0/"${namespaces}>`,
+    name ? `  <title>${escapeXml(name)}</title>` : null,
+    creator ? `  <creator>${escapeXml(creator)}</creator>` : null,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Build playlist file contents in the given format
+ */
+function buildPlaylist(format, name, entries, creator = null) {
+  return format === 'xspf' ? buildXSPF(name, entries, creator) : buildM3U8(name, entries);
+}
+
+/**
+ * Ordered tracks for a record or cassette, as entries with an audioPath
+ * @param {function} getMixtapeTrackIds - resolves a cassette (smart ones live), from programs.js
+ */
+function getCollectionTracks(libraryPath, collection, getMixtapeTrackIds) {
+  const paths = getLibraryPaths(libraryPath);
+  const trackIds = collection.type === 'mixtape'
+    ? getMixtapeTrackIds(collection)
+    : [...(collection.tracks || [])]
+      .sort((a, b) => (a.position || 0) - (b.position || 0))
+      .map(t => t.id);
+
+  return trackIds.map(trackId => {
+    const trackFolderPath = path.join(paths.tracks, `${trackId}.info`);
+    const trackMeta = readTrackMetadata(trackFolderPath);
+    if (!trackMeta?.filename) return null;
+
+    return {
+      title: trackMeta.title || trackMeta.filename,
+      artist: trackMeta.trackArtist || trackMeta.albumArtist || collection.artist || null,
+      album: trackMeta.album || (collection.type === 'album' ? collection.name : null),
+      duration: trackMeta.duration || null,
+      trackNumber: trackMeta.trackNumber || null,
+      audioPath: getTrackAudioPath(trackFolderPath, trackMeta),
+      ...(trackMeta.cue && { start: trackMeta.cue.start || 0, end: trackMeta.cue.end ?? null })
+    };
+  }).filter(Boolean);
+}
+
+// ============================================
+// Reading playlists
+// ============================================
+
+/**
+ * Playlist bytes as text: UTF-8 when valid, otherwise Latin-1 (old .m3u/.pls)
+ */
+function decodePlaylist(buffer) {
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (err) {
+    text = buffer.toString('latin1');
+  }
+  return text.replace(/^\uFEFF/, '');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// "Artist - Title" as written by EXTINF and PLS titles
+function splitLabel(label) {
+  const text = (label || '').trim();
+  const index = text.indexOf(' - ');
+  if (index === -1) return { artist: null, title: text || null };
+  return { artist: text.slice(0, index).trim() || null, title: text.slice(index + 3).trim() || null, label: text };
+}
+
+function parseSeconds(value) {
+  const seconds = parseFloat(value);
+  return seconds > 0 ? seconds : null;
+}
+
+// A VLC "start-time=…" / "stop-time=…" option as { start } or { end }
+function parseSpanOption(option) {
+  const match = String(option).trim().match(/^(start|stop)-time=([\d.]+)$/);
+  if (!match) return {};
+  const seconds = parseFloat(match[2]);
+  return match[1] === 'start' ? { start: seconds } : { end: seconds };
+}
+
+/**
+ * M3U and M3U8, plain or extended
+ */
+function parseM3U(text) {
+  const entries = [];
+  let name = null;
+  let pending = {};
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      if (line.startsWith('#PLAYLIST:')) {
+        name = line.slice(10).trim() || null;
+      } else if (line.startsWith('#EXTINF:')) {
+        // #EXTINF:<seconds> [attributes],<label>
+        const body = line.slice(8);
+        const comma = body.indexOf(',');
+        const duration = parseSeconds(comma === -1 ? body : body.slice(0, comma));
+        pending = { ...pending, duration, ...splitLabel(comma === -1 ? '' : body.slice(comma + 1)) };
+      } else if (line.startsWith('#EXTALB:')) {
+        pending.album = line.slice(8).trim() || null;
+      } else if (line.startsWith('#EXTART:')) {
+        pending.artist = pending.artist || line.slice(8).trim() || null;
+      } else if (line.startsWith('#EXTVLCOPT:')) {
+        pending = { ...pending, ...parseSpanOption(line.slice(11)) };
+      }
+      return;
+    }
+
+    entries.push({ ...pending, location: line, text: line, line: index + 1 });
+    pending = {};
+  });
+
+  return { name, entries };
+}
+
+/**
+ * PLS (Winamp/Shoutcast INI style)
+ */
+function parsePLS(text) {
+  const numbered = new Map(); // N -> entry
+  const entryFor = (number) => {
+    if (!numbered.has(number)) numbered.set(number, { number });
+    return numbered.get(number);
+  };
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const match = rawLine.trim().match(/^(File|Title|Length)(\d+)\s*=\s*(.*)$/i);
+    if (!match) return;
+    const entry = entryFor(parseInt(match[2], 10));
+    const key = match[1].toLowerCase();
+    if (key === 'file') {
+      entry.location = match[3];
+      entry.text = match[3];
+      entry.line = index + 1;
+    } else if (key === 'title') {
+      Object.assign(entry, splitLabel(match[3]));
+    } else {
+      entry.duration = parseSeconds(match[3]);
+    }
+  });
+
+  const entries = [...numbered.values()]
+    .filter(entry => entry.location)
+    .sort((a, b) => a.number - b.number)
+    .map(({ number, ...entry }) => entry);
+  return { name: null, entries };
+}
+
+/**
+ * XSPF 1
+ */
+function parseXSPF(text) {
+  const element = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+    return match ? unescapeXml(match[1]).trim() || null : null;
+  };
+  const lineAt = (offset) => text.slice(0, offset).split('\n').length;
+
+  const entries = [];
+  const trackPattern = /<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/g;
+  let match;
+  while ((match = trackPattern.exec(text)) !== null) {
+    const block = match[1];
+    const location = element(block, 'location');
+    const duration = element(block, 'duration');
+    const span = {};
+    for (const option of block.matchAll(/<vlc:option>([\s\S]*?)<\/vlc:option>/g)) {
+      Object.assign(span, parseSpanOption(unescapeXml(option[1])));
+    }
+    entries.push({
+      location,
+      text: location || element(block, 'title') || '',
+      line: lineAt(match.index),
+      title: element(block, 'title'),
+      artist: element(block, 'creator'),
+      album: element(block, 'album'),
+      trackNumber: parseInt(element(block, 'trackNum'), 10) || null,
+      duration: duration ? parseSeconds(duration) / 1000 : null,
+      ...span
+    });
+  }
+
+  // The playlist's own title comes before its trackList
+  const head = text.split(/<trackList/)[0];
+  return { name: element(head, 'title'), entries };
+}
+
+/**
+ * Parse a playlist file's contents
+ * The format comes from the extension, or the contents for anything else.
+ * @returns {{ name: string|null, entries: object[] }}
+ */
+function parsePlaylist(buffer, filePath) {
+  const text = decodePlaylist(buffer);
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+
+  if (ext === 'xspf' || /^\s*<\?xml|<playlist[\s>]/.test(text.slice(0, 500))) return parseXSPF(text);
+  if (ext === 'pls' || /^\s*\[playlist\]/i.test(text)) return parsePLS(text);
+  return parseM3U(text);
+}
+
+/**
+ * Filesystem path an entry points at, or null for streams and other URLs
+ * Relative locations are resolved against the playlist's folder.
+ */
+function resolveEntryLocation(location, playlistPath) {
+  if (!location) return null;
+  if (/^file:/i.test(location)) {
+    try {
+      return fileURLToPath(location);
+    } catch (err) {
+      return null;
+    }
+  }
+  if (/^[a-z][a-z0-9+.-]+:\/\//i.test(location)) return null;
+  // Windows paths can't be found here, but may still match by tags
+  if (/^[a-z]:[\\/]/i.test(location) || location.startsWith('\\\\')) return location;
+
+  let filePath = location;
+  try {
+    filePath = decodeURIComponent(location);
+  } catch (err) {
+    // Not percent-encoded
+  }
+  filePath = filePath.replace(/\\/g, '/');
+  return path.resolve(path.dirname(playlistPath), filePath);
+}
+
+// Lowercase, no accents or punctuation, for comparing titles and names
+function normalizeForMatch(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Titles to look for: the tagged one, the whole "A - B" label, or the file name
+function titleCandidates(entry, filePath) {
+  const candidates = [];
+  if (entry.title) candidates.push({ title: entry.title, artist: entry.artist });
+  if (entry.label) candidates.push({ title: entry.label, artist: null });
+  if (!entry.title && filePath) {
+    const stem = path.basename(filePath.replace(/\\/g, '/'), path.extname(filePath));
+    candidates.push({ title: stem.replace(/^\d+[\s\-._]+/, ''), artist: entry.artist });
+  }
+  return candidates;
+}
+
+function withinDuration(entry, track) {
+  if (!entry.duration || !track.duration) return true;
+  return Math.abs(entry.duration - track.duration) <= DURATION_TOLERANCE;
+}
+
+/**
+ * Find library tracks for playlist entries
+ * Path first - where the file was imported from, where it's referenced,
+ * or where the library keeps it - then title, artist and duration.
+ * Without an artist, a title has to be unique or agree on duration.
+ * A CUE sheet track (start set) matches by path only with the entry's
+ * start time, since the whole disc image shares that path.
+ * @param {object[]} tracks - { id, title, trackArtist, albumArtist, album, duration, start, paths: string[] }
+ * @returns {object[]} entries with trackId (null if unmatched) and matchedBy ('path' | 'tags' | null)
+ */
+function matchPlaylistEntries(entries, tracks, playlistPath) {
+  const byPath = new Map();
+  const byLowerPath = new Map();
+  const segmentsByPath = new Map(); // lowercased image path -> [{ id, start }]
+  const byTitle = new Map();
+  for (const track of tracks) {
+    for (const trackPath of track.paths) {
+      if (!trackPath) continue;
+      const normalized = path.normalize(trackPath);
+      if (track.start !== null && track.start !== undefined) {
+        const key = normalized.toLowerCase();
+        segmentsByPath.set(key, [...(segmentsByPath.get(key) || []), { id: track.id, start: track.start }]);
+        continue;
+      }
+      if (!byPath.has(normalized)) byPath.set(normalized, track.id);
+      if (!byLowerPath.has(normalized.toLowerCase())) byLowerPath.set(normalized.toLowerCase(), track.id);
+    }
+    const title = normalizeForMatch(track.title);
+    if (title) byTitle.set(title, [...(byTitle.get(title) || []), track]);
+  }
+
+  const matchByTags = (entry, filePath) => {
+    for (const candidate of titleCandidates(entry, filePath)) {
+      let matches = byTitle.get(normalizeForMatch(candidate.title)) || [];
+      const artist = normalizeForMatch(candidate.artist);
+      if (artist) {
+        matches = matches.filter(track =>
+          normalizeForMatch(track.trackArtist) === artist || normalizeForMatch(track.albumArtist) === artist
+        );
+      }
+      matches = matches.filter(track => withinDuration(entry, track));
+      if (matches.length === 0) continue;
+      if (!artist && matches.length > 1 && !entry.duration) continue;
+
+      const album = normalizeForMatch(entry.album);
+      const sameAlbum = album ? matches.filter(track => normalizeForMatch(track.album) === album) : [];
+      if (sameAlbum.length > 0) matches = sameAlbum;
+
+      // Closest duration wins
+      if (entry.duration) {
+        matches = [...matches].sort((a, b) =>
+          Math.abs((a.duration || 0) - entry.duration) - Math.abs((b.duration || 0) - entry.duration)
+        );
+      }
+      return matches[0].id;
+    }
+    return null;
+  };
+
+  return entries.map(entry => {
+    const filePath = resolveEntryLocation(entry.location, playlistPath);
+    if (filePath) {
+      const normalized = path.normalize(filePath);
+      // A disc image without a start time could be any of its tracks
+      const segment = entry.start !== undefined
+        ? (segmentsByPath.get(normalized.toLowerCase()) || [])
+          .find(candidate => Math.abs(candidate.start - entry.start) <= START_TOLERANCE)
+        : null;
+      const trackId = byPath.get(normalized) || byLowerPath.get(normalized.toLowerCase()) || segment?.id;
+      if (trackId) return { ...entry, trackId, matchedBy: 'path' };
+    }
+    const trackId = matchByTags(entry, filePath || entry.location);
+    return { ...entry, trackId, matchedBy: trackId ? 'tags' : null };
+  });
+}
+
+module.exports = {
+  PLAYLIST_FORMATS,
+  PLAYLIST_IMPORT_FORMATS,
+  getPlaylistFormat,
+  getEntryLocation,
+  buildM3U8,
+  buildXSPF,
+  buildPlaylist,
+  getCollectionTracks,
+  parsePlaylist,
+  resolveEntryLocation,
+  matchPlaylistEntries
+};
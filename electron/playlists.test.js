@@ -0,0 +1,93 @@
+/**
+ * Playlist export and import for CUE sheet records
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const playlists = require('./playlists');
+
+// A library holding one CUE record: two tracks sharing discs/disc.flac
+function createCueLibrary() {
+  const libraryPath = fs.mkdtempSync(path.join(os.tmpdir(), 'gloaming-playlists-'));
+  const tracks = [
+    { id: 'track-1', title: 'One', trackNumber: 1, duration: 200, cue: { image: 'disc.flac', start: 0, end: 200 } },
+    { id: 'track-2', title: 'Two', trackNumber: 2, duration: 180.5, cue: { image: 'disc.flac', start: 200, end: null } }
+  ];
+  for (const track of tracks) {
+    const folder = path.join(libraryPath, 'tracks', `${track.id}.info`);
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'metadata.json'), JSON.stringify({
+      ...track,
+      filename: 'disc.flac',
+      trackArtist: 'Artist',
+      album: 'Record'
+    }));
+  }
+  fs.mkdirSync(path.join(libraryPath, 'discs'));
+  fs.writeFileSync(path.join(libraryPath, 'discs', 'disc.flac'), '');
+
+  const record = {
+    type: 'album',
+    name: 'Record',
+    artist: 'Artist',
+    tracks: [{ id: 'track-1', position: 1 }, { id: 'track-2', position: 2 }]
+  };
+  return { libraryPath, record, imagePath: path.join(libraryPath, 'discs', 'disc.flac') };
+}
+
+test('CUE record exports each track as its span of the disc image', (t) => {
+  const { libraryPath, record, imagePath } = createCueLibrary();
+  t.after(() => fs.rmSync(libraryPath, { recursive: true, force: true }));
+
+  const entries = playlists.getCollectionTracks(libraryPath, record)
+    .map(track => ({ ...track, location: track.audioPath }));
+  assert.deepStrictEqual(entries.map(entry => [entry.location, entry.start, entry.end]), [
+    [imagePath, 0, 200],
+    [imagePath, 200, null]
+  ]);
+
+  const m3u8 = playlists.buildM3U8('Record', entries);
+  assert.match(m3u8, /#EXTVLCOPT:start-time=0\n#EXTVLCOPT:stop-time=200\n/);
+  assert.match(m3u8, /#EXTVLCOPT:start-time=200\n[^#]/);
+
+  const xspf = playlists.buildXSPF('Record', entries);
+  assert.match(xspf, /xmlns:vlc="http:\/\/www\.videolan\.org\/vlc\/playlist\/ns\/0\/"/);
+  assert.strictEqual((xspf.match(/<vlc:option>start-time=/g) || []).length, 2);
+  assert.strictEqual((xspf.match(/<vlc:option>stop-time=/g) || []).length, 1);
+});
+
+test('exported CUE spans import back as the same tracks', (t) => {
+  const { libraryPath, record, imagePath } = createCueLibrary();
+  t.after(() => fs.rmSync(libraryPath, { recursive: true, force: true }));
+
+  const tracks = playlists.getCollectionTracks(libraryPath, record);
+  const entries = tracks.map(track => ({ ...track, location: track.audioPath }));
+  const matchable = record.tracks.map(({ id }, i) => ({
+    id,
+    title: tracks[i].title,
+    duration: tracks[i].duration,
+    start: tracks[i].start,
+    paths: [imagePath]
+  }));
+  const playlistPath = path.join(libraryPath, 'Record.m3u8');
+
+  for (const [format, contents] of [
+    ['m3u8', playlists.buildM3U8('Record', entries)],
+    ['xspf', playlists.buildXSPF('Record', entries)]
+  ]) {
+    const parsed = playlists.parsePlaylist(Buffer.from(contents), `Record.${format}`);
+    const matched = playlists.matchPlaylistEntries(parsed.entries, matchable, playlistPath);
+    assert.deepStrictEqual(matched.map(entry => [entry.trackId, entry.matchedBy]), [
+      ['track-1', 'path'],
+      ['track-2', 'path']
+    ], format);
+  }
+
+  // Without a start time the image alone could be any of its tracks
+  const [bare] = playlists.matchPlaylistEntries([{ location: imagePath }], matchable, playlistPath);
+  assert.strictEqual(bare.trackId, null);
+});
@@ -9,29 +9,45 @@
  * - Find tracks with lowest play count in this program run
  * - Among ties, pick randomly
  * - No shuffle toggle needed - the algorithm always does the right thing
+ * - Play counts are seeded from the Ledgers over the program's memory
+ *   window, so a station tuned in daily won't repeat yesterday's tracks
+ *
+ * Shaping
+ * - Rule weight: how often a rule gets a turn when interleaving
+ * - Artist spacing (per program): no same artist within N tracks
+ * - Module target/max minutes: fill to a duration, or cap one
  */
 
 const fs = require('fs');
 const path = require('path');
+const facetExpression = require('./facetExpression');
 
 let libraryPath = null;
 let getLibraryPaths = null;
 let readCollection = null;
 let listCollections = null;
 let readTrackMetadata = null;
+let getTrackAudioPath = null;
 let generateUUID = null;
 let shuffleArray = null;
 let facetIndex = null;
+let ledgers = null;
+
+// Days of listening history a program remembers (0 = fresh every run)
+const DEFAULT_MEMORY_WINDOW_DAYS = 7;
 
-function initialize(libPath, libraryFns, facetIdx) {
+function initialize(libPath, libraryFns, facetIdx, ledgerStore) {
+  if (libraryPath !== libPath) activeRuns.clear();
   libraryPath = libPath;
   getLibraryPaths = libraryFns.getLibraryPaths;
   readCollection = libraryFns.readCollection;
   listCollections = libraryFns.listCollections;
   readTrackMetadata = libraryFns.readTrackMetadata;
+  getTrackAudioPath = libraryFns.getTrackAudioPath;
   generateUUID = libraryFns.generateUUID;
   shuffleArray = libraryFns.shuffleArray;
   facetIndex = facetIdx;
+  ledgers = ledgerStore || null;
 }
 
 function getProgramsPath() {
@@ -69,6 +85,8 @@ function createProgram(name) {
     id: generateUUID(),
     name,
     modules: [],
+    memoryWindowDays: DEFAULT_MEMORY_WINDOW_DAYS,
+    artistSpacing: 0,
     createdAt: new Date().toISOString(),
     modifiedAt: new Date().toISOString()
   };
@@ -161,13 +179,107 @@ function reorderModules(programId, moduleIds) {
   return true;
 }
 
-// Validation is minimal now - programs are always valid
+const SOURCE_LABELS = {
+  facet: 'Facet',
+  artist: 'Artist',
+  album: 'Record',
+  mixtape: 'Cassette',
+  expression: 'Expression',
+  year: 'Years',
+  decade: 'Decade',
+  genre: 'Genre',
+  format: 'Format',
+  characteristic: 'Characteristic',
+  length: 'Length',
+  top: 'Heavy Rotation',
+  forgotten: 'Forgotten Favourites',
+  unplayed: 'Never Listened',
+  any: 'Any'
+};
+
+// Sources that take no value
+const VALUELESS_SOURCES = ['any', 'unplayed'];
+
+/**
+ * Human-readable name for a rule's source, e.g. Cassette "Night Drive"
+ */
+function describeSource(rule) {
+  const label = SOURCE_LABELS[rule.sourceType] || rule.sourceType;
+  if (rule.sourceType === 'any') return 'Any track';
+  if (rule.sourceType === 'unplayed') return label;
+
+  if (rule.sourceType === 'top' && parseTopValue(rule.sourceValue)) {
+    const { period, limit } = parseTopValue(rule.sourceValue);
+    return `${label} (top ${limit}, ${period === 'all' ? 'all time' : `this ${period}`})`;
+  }
+
+  if (rule.sourceType === 'forgotten' && rule.sourceValue) {
+    return `${label} (quiet ${rule.sourceValue} days)`;
+  }
+
+  if (rule.sourceType === 'album' || rule.sourceType === 'mixtape') {
+    const collection = rule.sourceValue ? readCollection(libraryPath, rule.sourceValue) : null;
+    return collection ? `${label} "${collection.name}"` : label;
+  }
+
+  if (rule.sourceType === 'length' && rule.sourceValue) {
+    return `${label} "${rule.sourceValue} min"`;
+  }
+
+  return rule.sourceValue ? `${label} "${rule.sourceValue}"` : label;
+}
+
+/**
+ * Check a single rule's source resolves to something playable
+ * Returns { error, warning } (either may be null)
+ */
+function checkRuleSource(rule) {
+  const source = describeSource(rule);
+
+  if (!VALUELESS_SOURCES.includes(rule.sourceType) && !rule.sourceValue) {
+    return { error: `${source} rule has no source selected`, warning: null };
+  }
+
+  if ((rule.sourceType === 'album' || rule.sourceType === 'mixtape') &&
+      !readCollection(libraryPath, rule.sourceValue)) {
+    return { error: `${source} no longer exists`, warning: null };
+  }
+
+  if ((rule.sourceType === 'year' || rule.sourceType === 'length') && !parseRange(rule.sourceValue)) {
+    return { error: `${source} is not a valid range`, warning: null };
+  }
+
+  if (rule.sourceType === 'top' && !parseTopValue(rule.sourceValue)) {
+    return { error: `${source} has an invalid period`, warning: null };
+  }
+
+  let warning = null;
+  if (rule.sourceType === 'expression') {
+    const check = validateFacetExpression(rule.sourceValue);
+    if (!check.valid) {
+      return { error: `Expression "${rule.sourceValue}": ${check.error}`, warning: null };
+    }
+    if (check.unknownFacets.length > 0) {
+      warning = `${source} uses unknown facet${check.unknownFacets.length > 1 ? 's' : ''} ${check.unknownFacets.join(', ')}`;
+    }
+  }
+
+  if (getTrackIdsForSource(rule.sourceType, rule.sourceValue).length === 0) {
+    return { error: `${source} has no tracks`, warning };
+  }
+
+  return { error: null, warning };
+}
+
+// Rules whose source resolves to nothing are errors; the program still runs
+// with whatever else it has
 function validateProgram(programId) {
   const program = getProgram(programId);
   if (!program) {
     return { valid: false, errors: ['Program not found'], warnings: [] };
   }
 
+  const errors = [];
   const warnings = [];
 
   if (program.modules.length === 0) {
@@ -178,9 +290,168 @@ function validateProgram(programId) {
     if (!module.rules || module.rules.length === 0) {
       warnings.push(`Module "${module.name}" has no rules`);
     }
+
+    const target = Number(module.targetMinutes) || 0;
+    const max = Number(module.maxMinutes) || 0;
+    if (target > 0 && max > 0 && max < target) {
+      warnings.push(`Module "${module.name}" has a ${max}-minute ceiling below its ${target}-minute target`);
+    }
+
+    for (const rule of (module.rules || [])) {
+      const { error, warning } = checkRuleSource(rule);
+      if (error) errors.push(`Module "${module.name}": ${error}`);
+      if (warning) warnings.push(`Module "${module.name}": ${warning}`);
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Parse and resolve a facet expression for the rule editor
+ * Returns { valid, error, position, trackCount, unknownFacets }
+ */
+function validateFacetExpression(expression) {
+  let tree;
+  try {
+    tree = facetExpression.parse(expression);
+  } catch (err) {
+    return {
+      valid: false,
+      error: err.message,
+      position: err.position ?? null,
+      trackCount: 0,
+      unknownFacets: []
+    };
+  }
+
+  const unknownFacets = Array.from(facetExpression.collectFacets(tree))
+    .filter(name => !facetIndex || !facetIndex.facetExists(name));
+
+  return {
+    valid: true,
+    error: null,
+    position: null,
+    trackCount: resolveFacetExpression(tree).length,
+    unknownFacets
+  };
+}
+
+/**
+ * Resolve a facet expression (string or parsed tree) to track IDs
+ */
+function resolveFacetExpression(expression) {
+  if (!facetIndex) return [];
+
+  const tree = typeof expression === 'string'
+    ? facetExpression.parse(expression)
+    : expression;
+
+  const result = facetExpression.evaluate(
+    tree,
+    name => facetIndex.getTracksWithFacet(name),
+    () => getTrackIdsForSource('any')
+  );
+  return Array.from(result);
+}
+
+// ============================================
+// Record metadata (mirrors the display migration in main.js)
+// ============================================
+
+const FORMATS = ['LP', 'EP', 'Single'];
+const CHARACTERISTICS = ['Compilation', 'Soundtrack', 'ComposerWork', 'Concert', 'Miscellanea', 'Reissue'];
+
+function getRecordYear(album) {
+  const match = String(album.year || album.releaseDate || '').match(/\d{4}/);
+  return match ? parseInt(match[0]) : null;
+}
+
+function getRecordFormat(album) {
+  return album.format || (album.isLP === false ? 'EP' : 'LP');
+}
+
+function getRecordCharacteristics(album) {
+  if (album.characteristics) return album.characteristics;
+  const legacy = [];
+  if (album.isCompilation) legacy.push('Compilation');
+  if (album.isSoundtrack) legacy.push('Soundtrack');
+  if (album.isComposerWork) legacy.push('ComposerWork');
+  if (album.isConcert) legacy.push('Concert');
+  if (album.isMiscellanea) legacy.push('Miscellanea');
+  if (album.isReissue) legacy.push('Reissue');
+  return legacy;
+}
+
+// "Jazz; Soul" and "Jazz / Soul" both count as two genres, as does every tagged genre
+function getRecordGenres(album) {
+  const values = album.genres?.length > 0 ? album.genres : [album.genre];
+  const genres = values
+    .flatMap(value => String(value || '').split(/[;,/]/))
+    .map(g => g.trim())
+    .filter(Boolean);
+  return [...new Set(genres)];
+}
+
+/**
+ * Parse "1990-1999", "1994", "-4" or "10-" into { min, max } (null = open)
+ * Returns null if the value isn't a range
+ */
+function parseRange(value) {
+  const text = String(value ?? '').trim();
+  const single = text.match(/^(\d+(?:\.\d+)?)$/);
+  if (single) {
+    const n = parseFloat(single[1]);
+    return { min: n, max: n };
+  }
+  const match = text.match(/^(\d+(?:\.\d+)?)?\s*-\s*(\d+(?:\.\d+)?)?$/);
+  if (!match || (match[1] === undefined && match[2] === undefined)) return null;
+  return {
+    min: match[1] !== undefined ? parseFloat(match[1]) : null,
+    max: match[2] !== undefined ? parseFloat(match[2]) : null
+  };
+}
+
+function inRange(n, range) {
+  if (n === null || n === undefined) return false;
+  if (range.min !== null && n < range.min) return false;
+  if (range.max !== null && n > range.max) return false;
+  return true;
+}
+
+/**
+ * Track IDs from every record matching a predicate
+ */
+function getTrackIdsForRecords(predicate) {
+  const ids = [];
+  const albums = listCollections(libraryPath, 'album');
+  for (const album of albums) {
+    if (predicate(album)) {
+      for (const t of (album.tracks || [])) {
+        ids.push(t.id);
+      }
+    }
   }
+  return ids;
+}
+
+// ============================================
+// Ledger sources
+// ============================================
+
+/**
+ * Parse a heavy-rotation value like "month:50" into { period, limit }
+ */
+function parseTopValue(value) {
+  const [period, limit] = String(value || '').split(':');
+  if (!['day', 'week', 'month', 'year', 'all'].includes(period)) return null;
+  return { period, limit: Math.max(1, parseInt(limit) || 50) };
+}
 
-  return { valid: true, errors: [], warnings };
+// Ledgers keep listens for deleted tracks; only hand back what's still here
+function keepLibraryTracks(trackIds) {
+  const library = new Set(getTrackIdsForSource('any'));
+  return trackIds.filter(id => library.has(id));
 }
 
 /**
@@ -191,45 +462,183 @@ function getTrackIdsForSource(sourceType, sourceValue) {
     case 'facet':
       return facetIndex ? (facetIndex.getTracksWithFacet(sourceValue) || []) : [];
 
-    case 'artist': {
-      const ids = [];
-      const albums = listCollections(libraryPath, 'album');
-      for (const album of albums) {
-        if (album.artist?.toLowerCase() === sourceValue?.toLowerCase()) {
-          for (const t of (album.tracks || [])) {
-            ids.push(t.id);
-          }
-        }
-      }
-      return ids;
-    }
+    case 'artist':
+      return getTrackIdsForRecords(album => album.artist?.toLowerCase() === sourceValue?.toLowerCase());
 
     case 'album': {
       const album = readCollection(libraryPath, sourceValue);
       return album?.tracks?.map(t => t.id) || [];
     }
 
-    case 'mixtape': {
-      const mixtape = readCollection(libraryPath, sourceValue);
-      return mixtape?.tracks?.map(t => t.id) || [];
-    }
+    case 'mixtape':
+      return getMixtapeTrackIds(readCollection(libraryPath, sourceValue));
 
-    case 'any': {
-      const ids = [];
-      const albums = listCollections(libraryPath, 'album');
-      for (const album of albums) {
-        for (const t of (album.tracks || [])) {
-          ids.push(t.id);
-        }
+    case 'expression': {
+      try {
+        return resolveFacetExpression(sourceValue);
+      } catch (err) {
+        console.error('[Programs] Invalid facet expression:', err.message);
+        return [];
       }
-      return ids;
     }
 
+    case 'year': {
+      const range = parseRange(sourceValue);
+      if (!range) return [];
+      return getTrackIdsForRecords(album => inRange(getRecordYear(album), range));
+    }
+
+    case 'decade': {
+      const start = parseInt(sourceValue);
+      if (isNaN(start)) return [];
+      return getTrackIdsForRecords(album => inRange(getRecordYear(album), { min: start, max: start + 9 }));
+    }
+
+    case 'genre': {
+      const wanted = String(sourceValue || '').toLowerCase();
+      return getTrackIdsForRecords(album => getRecordGenres(album).some(g => g.toLowerCase() === wanted));
+    }
+
+    case 'format':
+      return getTrackIdsForRecords(album => getRecordFormat(album) === sourceValue);
+
+    case 'characteristic':
+      return getTrackIdsForRecords(album => getRecordCharacteristics(album).includes(sourceValue));
+
+    case 'length': {
+      // Bounds are in minutes
+      const range = parseRange(sourceValue);
+      if (!range) return [];
+      const seconds = {
+        min: range.min !== null ? range.min * 60 : null,
+        max: range.max !== null ? range.max * 60 : null
+      };
+      return getTrackIdsForSource('any').filter(id => inRange(getTrackInfo(id).duration, seconds));
+    }
+
+    case 'top': {
+      // Heavy rotation: most listened tracks over a period
+      const top = parseTopValue(sourceValue);
+      if (!ledgers || !top) return [];
+      return keepLibraryTracks(
+        ledgers.getTopTracks({ period: top.period, limit: top.limit, sortBy: 'time' }).map(t => t.track_id)
+      );
+    }
+
+    case 'forgotten': {
+      // Forgotten favourites: lots of all-time listening, quiet for N days
+      if (!ledgers) return [];
+      const days = parseInt(sourceValue) || 90;
+      return keepLibraryTracks(
+        ledgers.getForgottenFavourites({ days, limit: 200 }).map(t => t.track_id)
+      );
+    }
+
+    case 'unplayed': {
+      if (!ledgers) return [];
+      const listened = ledgers.getListenedTrackIds();
+      return getTrackIdsForSource('any').filter(id => !listened.has(id));
+    }
+
+    case 'any':
+      return getTrackIdsForRecords(() => true);
+
     default:
       return [];
   }
 }
 
+// Smart cassettes mid-resolve, so one drawing on another can't loop forever
+const resolvingMixtapes = new Set();
+
+/**
+ * Track IDs on a cassette: its saved list, or its query if it's smart
+ */
+function getMixtapeTrackIds(mixtape) {
+  if (!mixtape) return [];
+  if (!mixtape.smart) return mixtape.tracks?.map(t => t.id) || [];
+  if (resolvingMixtapes.has(mixtape.id)) return [];
+
+  resolvingMixtapes.add(mixtape.id);
+  try {
+    return resolveSmartQuery(mixtape.smart);
+  } finally {
+    resolvingMixtapes.delete(mixtape.id);
+  }
+}
+
+// source: as the rules find them, added: newest first, listened: most plays first
+const SMART_ORDERS = ['source', 'added', 'listened'];
+
+/**
+ * Evaluate a smart cassette's saved query
+ * smart: { match: 'all'|'any', rules: [{ sourceType, sourceValue }], order, limit }
+ * Rules still missing a value are ignored.
+ */
+function resolveSmartQuery(smart) {
+  const rules = (smart?.rules || []).filter(rule =>
+    rule.sourceType && (VALUELESS_SOURCES.includes(rule.sourceType) || rule.sourceValue)
+  );
+  if (rules.length === 0) return [];
+
+  const pools = rules.map(rule => getTrackIdsForSource(rule.sourceType, rule.sourceValue));
+  let trackIds;
+  if (smart.match === 'any') {
+    trackIds = [...new Set(pools.flat())];
+  } else {
+    const others = pools.slice(1).map(pool => new Set(pool));
+    trackIds = [...new Set(pools[0])].filter(id => others.every(pool => pool.has(id)));
+  }
+
+  trackIds = orderSmartTracks(trackIds, smart.order);
+  const limit = parseInt(smart.limit);
+  return limit > 0 ? trackIds.slice(0, limit) : trackIds;
+}
+
+function orderSmartTracks(trackIds, order) {
+  if (order === 'added') {
+    const paths = getLibraryPaths(libraryPath);
+    const addedAt = new Map(trackIds.map(id => {
+      const metadata = readTrackMetadata(path.join(paths.tracks, `${id}.info`));
+      return [id, metadata?.addedAt || ''];
+    }));
+    return [...trackIds].sort((a, b) => addedAt.get(b).localeCompare(addedAt.get(a)));
+  }
+
+  if (order === 'listened' && ledgers) {
+    const counts = ledgers.getTrackListenCountsSince(0);
+    return [...trackIds].sort((a, b) => (counts[b] || 0) - (counts[a] || 0));
+  }
+
+  return trackIds;
+}
+
+/**
+ * Get a program's memory window in days
+ */
+function getMemoryWindowDays(program) {
+  const days = program.memoryWindowDays;
+  if (days === undefined || days === null) return DEFAULT_MEMORY_WINDOW_DAYS;
+  return Math.max(0, Number(days) || 0);
+}
+
+/**
+ * Build the starting play history for a run from recent Ledgers listens
+ * Returns Map of trackId -> play count within the memory window
+ */
+function loadPlayHistory(program) {
+  const playHistory = new Map();
+  const days = getMemoryWindowDays(program);
+  if (!ledgers || days === 0) return playHistory;
+
+  const since = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+  const counts = ledgers.getTrackListenCountsSince(since);
+  for (const [trackId, count] of Object.entries(counts)) {
+    playHistory.set(trackId, count);
+  }
+  return playHistory;
+}
+
 /**
  * Select tracks using Least-Recently-Played algorithm
  */
@@ -247,47 +656,180 @@ function selectLeastRecentlyPlayed(trackIds, count, playHistory) {
   return sorted.slice(0, count).map(t => t.id);
 }
 
+// Track artist/duration lookups for constraints, cleared per batch
+let trackInfoCache = new Map();
+
+function getTrackInfo(trackId) {
+  if (trackInfoCache.has(trackId)) return trackInfoCache.get(trackId);
+
+  const paths = getLibraryPaths(libraryPath);
+  const metadata = readTrackMetadata(path.join(paths.tracks, `${trackId}.info`));
+  const artistName = metadata?.trackArtist || metadata?.albumArtist || '';
+  const info = {
+    artist: artistName.toLowerCase(),
+    artistName,
+    duration: metadata?.duration || 0
+  };
+  trackInfoCache.set(trackId, info);
+  return info;
+}
+
+function getRuleWeight(rule) {
+  const weight = Number(rule.weight);
+  return weight > 0 ? weight : 1;
+}
+
+/**
+ * Smooth weighted round-robin: each entry earns its weight in credit per
+ * turn, the richest plays and pays back the total. Equal weights give
+ * plain round-robin; weight 3 vs 1 gives A A B A A A B A...
+ */
+function pickWeighted(entries) {
+  if (entries.length === 0) return null;
+
+  const total = entries.reduce((sum, e) => sum + e.weight, 0);
+  let best = null;
+  for (const entry of entries) {
+    entry.current += entry.weight;
+    if (!best || entry.current > best.current) best = entry;
+  }
+  best.current -= total;
+  return best;
+}
+
+/**
+ * Fill a module up to a duration target, drawing from rules by weight
+ * (rule counts are ignored). Only modules with a target use weights; without
+ * one each rule gives its count and rules take turns evenly.
+ * Returns [{ id, ruleId, weight }]
+ */
+function selectForDuration(module, targetSeconds, playHistory) {
+  const entries = (module.rules || []).map(rule => ({
+    ruleId: rule.id,
+    weight: getRuleWeight(rule),
+    current: 0,
+    candidates: selectLeastRecentlyPlayed(
+      getTrackIdsForSource(rule.sourceType, rule.sourceValue),
+      Infinity,
+      playHistory
+    )
+  }));
+
+  const chosen = new Set();
+  const ruleTracks = [];
+  let total = 0;
+
+  while (total < targetSeconds) {
+    const entry = pickWeighted(entries.filter(e => e.candidates.length > 0));
+    if (!entry) break; // Every pool exhausted
+
+    const id = entry.candidates.shift();
+    if (chosen.has(id)) continue;
+
+    chosen.add(id);
+    playHistory.set(id, (playHistory.get(id) || 0) + 1);
+    total += getTrackInfo(id).duration;
+    ruleTracks.push({ id, ruleId: entry.ruleId, weight: entry.weight });
+  }
+
+  return ruleTracks;
+}
+
 /**
- * Interleave tracks from different rules using round-robin
+ * Interleave tracks from different rules using weighted round-robin
+ * @param {Array} ruleTracks - [{ id, ruleId, weight }]
+ * @param {Object} options
+ * @param {number} options.artistSpacing - No same artist within this many tracks (0 = off)
+ * @param {string[]} options.recentArtists - Artists just played, oldest first
+ * @param {number} options.maxSeconds - Leave out tracks that would run past this (0 = no ceiling);
+ *   spacing is judged on the tracks kept, so dropping one never closes up a gap
  */
-function interleaveByRule(ruleTracks) {
+function interleaveByRule(ruleTracks, options = {}) {
+  const artistSpacing = options.artistSpacing || 0;
+  const maxSeconds = options.maxSeconds || 0;
+  const recent = [...(options.recentArtists || [])];
+
   // Group by ruleId
   const groups = new Map();
   for (const rt of ruleTracks) {
-    if (!groups.has(rt.ruleId)) groups.set(rt.ruleId, []);
-    groups.get(rt.ruleId).push(rt);
+    if (!groups.has(rt.ruleId)) {
+      groups.set(rt.ruleId, { weight: rt.weight || 1, current: 0, tracks: [] });
+    }
+    groups.get(rt.ruleId).tracks.push(rt);
   }
 
-  const result = [];
-
-  // Shuffle group order for variety
+  // Shuffle group order for variety (settles ties between equal weights)
   const groupArrays = shuffleArray(Array.from(groups.values()));
 
-  // Round-robin until all exhausted
-  let hasMore = true;
-  while (hasMore) {
-    hasMore = false;
-    for (const group of groupArrays) {
-      if (group.length > 0) {
-        result.push(group.shift());
-        hasMore = hasMore || group.length > 0;
+  const isSpaced = (rt) => {
+    if (!artistSpacing) return true;
+    const artist = getTrackInfo(rt.id).artist;
+    return !artist || !recent.slice(-artistSpacing).includes(artist);
+  };
+
+  const result = [];
+  let totalSeconds = 0;
+
+  while (true) {
+    const active = groupArrays.filter(g => g.tracks.length > 0);
+    if (active.length === 0) break;
+
+    const totalWeight = active.reduce((sum, g) => sum + g.weight, 0);
+    for (const group of active) group.current += group.weight;
+
+    // Richest group first; take the first track anywhere that respects spacing
+    const ordered = [...active].sort((a, b) => b.current - a.current);
+    let pick = null;
+    for (const group of ordered) {
+      const index = group.tracks.findIndex(isSpaced);
+      if (index !== -1) {
+        pick = { group, index };
+        break;
+      }
+    }
+
+    // Nothing fits - use the track whose artist was heard longest ago
+    if (!pick) {
+      let oldest = Infinity;
+      for (const group of ordered) {
+        group.tracks.forEach((rt, index) => {
+          const lastSeen = recent.lastIndexOf(getTrackInfo(rt.id).artist);
+          if (lastSeen < oldest) {
+            oldest = lastSeen;
+            pick = { group, index };
+          }
+        });
       }
     }
+
+    pick.group.current -= totalWeight;
+    const [rt] = pick.group.tracks.splice(pick.index, 1);
+    if (maxSeconds > 0) {
+      const duration = getTrackInfo(rt.id).duration;
+      if (totalSeconds + duration > maxSeconds) continue;
+      totalSeconds += duration;
+    }
+    result.push(rt);
+    if (artistSpacing) recent.push(getTrackInfo(rt.id).artist);
   }
 
   return result;
 }
 
 /**
- * Generate one cycle of a program (all modules once)
+ * Generate one module's worth of tracks
+ * @param {Object} context - { artistSpacing, recentArtists } carried across modules
  * Returns array of track IDs
  */
-function generateProgramCycle(program, playHistory) {
-  const cycleOutput = [];
+function generateModuleTracks(module, playHistory, context = {}) {
+  const targetSeconds = (Number(module.targetMinutes) || 0) * 60;
+  const maxSeconds = (Number(module.maxMinutes) || 0) * 60;
 
-  for (const module of program.modules) {
-    const ruleTracks = [];
+  let ruleTracks = [];
 
+  if (targetSeconds > 0) {
+    ruleTracks = selectForDuration(module, targetSeconds, playHistory);
+  } else {
     for (const rule of (module.rules || [])) {
       const pool = getTrackIdsForSource(rule.sourceType, rule.sourceValue);
       const selected = selectLeastRecentlyPlayed(pool, rule.count || 1, playHistory);
@@ -297,12 +839,45 @@ function generateProgramCycle(program, playHistory) {
         playHistory.set(id, (playHistory.get(id) || 0) + 1);
       }
 
-      ruleTracks.push(...selected.map(id => ({ id, ruleId: rule.id })));
+      ruleTracks.push(...selected.map(id => ({ id, ruleId: rule.id, weight: 1 })));
     }
+  }
+
+  // Interleave tracks from different rules
+  // Let the simulator see every pick before trimming
+  if (context.onSelect) context.onSelect(module, ruleTracks);
+
+  // Whatever won't fit under the module's ceiling is left out as it goes
+  const ordered = interleaveByRule(ruleTracks, { ...context, maxSeconds });
+
+  // Give the left-out tracks their plays back
+  const kept = new Set(ordered);
+  for (const rt of ruleTracks) {
+    if (!kept.has(rt)) playHistory.set(rt.id, Math.max(0, (playHistory.get(rt.id) || 1) - 1));
+  }
 
-    // Interleave tracks from different rules
-    const interleaved = interleaveByRule(ruleTracks);
-    cycleOutput.push(...interleaved.map(t => t.id));
+  if (context.artistSpacing && context.recentArtists) {
+    context.recentArtists.push(...ordered.map(rt => getTrackInfo(rt.id).artist));
+    context.recentArtists.splice(0, Math.max(0, context.recentArtists.length - context.artistSpacing));
+  }
+
+  return ordered.map(t => t.id);
+}
+
+/**
+ * Generate one cycle of a program (all modules once)
+ * Returns array of track IDs
+ */
+function generateProgramCycle(program, playHistory, context = null) {
+  const cycleContext = context || {
+    artistSpacing: Number(program.artistSpacing) || 0,
+    recentArtists: []
+  };
+  const cycleOutput = [];
+
+  trackInfoCache = new Map();
+  for (const module of program.modules) {
+    cycleOutput.push(...generateModuleTracks(module, playHistory, cycleContext));
   }
 
   return cycleOutput;
@@ -344,14 +919,75 @@ function enrichTracks(trackIds) {
       album: metadata.album || album?.name || 'Unknown Album',
       albumId: metadata.albumId,
       duration: metadata.duration || 0,
-      audioPath: path.join(trackFolder, metadata.filename),
+      audioPath: getTrackAudioPath(trackFolder, metadata),
+      cue: metadata.cue || null,
       albumArt
     };
   }).filter(Boolean);
 }
 
+// ============================================
+// Runs - an endless stream, generated a cycle at a time
+// ============================================
+
+// Active runs keyed by run ID: { id, programId, playHistory, moduleIndex, cycle, startedAt, updatedAt }
+const activeRuns = new Map();
+const MAX_ACTIVE_RUNS = 4;
+
+/**
+ * Generate module by module from the run's position until at least minTracks
+ * have been produced and the cycle is complete. The program is re-read each
+ * time, so edits made while a station is on air apply to the next batch.
+ */
+function generateRunBatch(run, program, minTracks) {
+  const output = [];
+  const moduleCount = program.modules.length;
+  if (moduleCount === 0) return output;
+
+  if (run.moduleIndex >= moduleCount) run.moduleIndex = 0;
+  if (!Array.isArray(run.recentArtists)) run.recentArtists = [];
+
+  // Spacing carries across modules and batches
+  const context = {
+    artistSpacing: Number(program.artistSpacing) || 0,
+    recentArtists: run.recentArtists
+  };
+  trackInfoCache = new Map();
+
+  let emptyModules = 0;
+  while (true) {
+    const module = program.modules[run.moduleIndex];
+    const ids = generateModuleTracks(module, run.playHistory, context);
+    output.push(...ids);
+    emptyModules = ids.length === 0 ? emptyModules + 1 : 0;
+
+    run.moduleIndex++;
+    if (run.moduleIndex >= moduleCount) {
+      run.moduleIndex = 0;
+      run.cycle++;
+      if (output.length >= minTracks) break;
+    }
+
+    // A full pass of empty modules means there's nothing left to play
+    if (emptyModules >= moduleCount) break;
+  }
+
+  run.updatedAt = new Date().toISOString();
+  return output;
+}
+
 /**
- * Generate a batch of tracks for the queue
+ * Drop the oldest runs beyond the limit
+ */
+function pruneRuns() {
+  while (activeRuns.size > MAX_ACTIVE_RUNS) {
+    const oldest = activeRuns.keys().next().value;
+    activeRuns.delete(oldest);
+  }
+}
+
+/**
+ * Start a program run and generate its first batch of tracks
  */
 function generateProgramRun(programId, options = {}) {
   const program = getProgram(programId);
@@ -361,27 +997,197 @@ function generateProgramRun(programId, options = {}) {
 
   const validation = validateProgram(programId);
 
-  // Start with empty play history for fresh run
-  const playHistory = new Map();
-  const maxTracks = options.maxTracks || 100;
+  // Seed from recent listens so runs don't start from a blank slate
+  const run = {
+    id: generateUUID(),
+    programId,
+    playHistory: loadPlayHistory(program),
+    moduleIndex: 0,
+    cycle: 0,
+    recentArtists: [],
+    startedAt: new Date().toISOString(),
+    updatedAt: null
+  };
+
+  const minTracks = options.minTracks || 50;
+  const tracks = enrichTracks(generateRunBatch(run, program, minTracks));
+
+  activeRuns.set(run.id, run);
+  pruneRuns();
 
-  const allTrackIds = [];
+  return {
+    success: true,
+    runId: run.id,
+    tracks,
+    program: { id: program.id, name: program.name },
+    errors: validation.errors,
+    warnings: validation.warnings
+  };
+}
 
-  // Generate cycles until we have enough tracks
-  while (allTrackIds.length < maxTracks) {
-    const cycleIds = generateProgramCycle(program, playHistory);
-    if (cycleIds.length === 0) break; // No tracks available
-    allTrackIds.push(...cycleIds);
+/**
+ * Generate the next batch for an existing run (the rest of the current cycle,
+ * or further whole cycles until minTracks is reached)
+ */
+function continueProgramRun(runId, options = {}) {
+  const run = activeRuns.get(runId);
+  if (!run) {
+    return { success: false, error: 'Run not found', tracks: [] };
   }
 
-  // Trim to max
-  const finalIds = allTrackIds.slice(0, maxTracks);
-  const tracks = enrichTracks(finalIds);
+  const program = getProgram(run.programId);
+  if (!program) {
+    activeRuns.delete(runId);
+    return { success: false, error: 'Program not found', tracks: [] };
+  }
+
+  // Keep recently used runs at the end so pruning drops stale ones
+  activeRuns.delete(runId);
+  activeRuns.set(runId, run);
+
+  const tracks = enrichTracks(generateRunBatch(run, program, options.minTracks || 1));
 
   return {
     success: true,
+    runId,
     tracks,
     program: { id: program.id, name: program.name },
+    cycle: run.cycle
+  };
+}
+
+function endProgramRun(runId) {
+  return activeRuns.delete(runId);
+}
+
+/**
+ * Serialize active runs for session.json
+ */
+function exportRuns() {
+  return Array.from(activeRuns.values()).map(run => ({
+    ...run,
+    playHistory: Object.fromEntries(run.playHistory)
+  }));
+}
+
+/**
+ * Restore runs saved in session.json
+ */
+function restoreRuns(savedRuns) {
+  if (!Array.isArray(savedRuns)) return;
+
+  activeRuns.clear();
+  for (const saved of savedRuns) {
+    if (!saved?.id || !saved.programId) continue;
+    activeRuns.set(saved.id, {
+      ...saved,
+      playHistory: new Map(Object.entries(saved.playHistory || {})),
+      moduleIndex: saved.moduleIndex || 0,
+      cycle: saved.cycle || 0,
+      recentArtists: saved.recentArtists || []
+    });
+  }
+  pruneRuns();
+  console.log(`[Programs] Restored ${activeRuns.size} run(s) from session`);
+}
+
+/**
+ * Dry-run a program for N cycles without touching the queue or any run
+ * Reports pool sizes, how often each pool runs dry, artist spread and repeats.
+ */
+function simulateProgram(programId, options = {}) {
+  const program = getProgram(programId);
+  if (!program) {
+    return { success: false, error: 'Program not found' };
+  }
+
+  const cycles = Math.min(Math.max(parseInt(options.cycles) || 10, 1), 200);
+  const validation = validateProgram(programId);
+  const playHistory = options.useMemory === false ? new Map() : loadPlayHistory(program);
+
+  // Per-rule bookkeeping; a pool "exhausts" when LRP has to come back round
+  // to a track this rule already picked during the simulation
+  const ruleStats = new Map();
+  for (const module of program.modules) {
+    for (const rule of (module.rules || [])) {
+      ruleStats.set(rule.id, {
+        moduleId: module.id,
+        moduleName: module.name,
+        ruleId: rule.id,
+        source: describeSource(rule),
+        sourceType: rule.sourceType,
+        sourceValue: rule.sourceValue,
+        poolSize: getTrackIdsForSource(rule.sourceType, rule.sourceValue).length,
+        requested: module.targetMinutes ? null : (rule.count || 1),
+        weight: module.targetMinutes ? getRuleWeight(rule) : null,
+        picked: 0,
+        exhaustions: 0,
+        seen: new Set()
+      });
+    }
+  }
+
+  const context = {
+    artistSpacing: Number(program.artistSpacing) || 0,
+    recentArtists: [],
+    onSelect: (module, ruleTracks) => {
+      for (const rt of ruleTracks) {
+        const stats = ruleStats.get(rt.ruleId);
+        if (!stats) continue;
+        stats.picked++;
+        if (stats.seen.has(rt.id)) {
+          stats.exhaustions++;
+          stats.seen.clear();
+        }
+        stats.seen.add(rt.id);
+      }
+    }
+  };
+
+  const output = [];
+  const cycleLengths = [];
+  for (let i = 0; i < cycles; i++) {
+    const ids = generateProgramCycle(program, playHistory, context);
+    cycleLengths.push(ids.length);
+    output.push(...ids);
+  }
+
+  // Artist spread and repeats across the whole simulation
+  const artistCounts = new Map();
+  const trackCounts = new Map();
+  let durationSeconds = 0;
+  for (const id of output) {
+    const info = getTrackInfo(id);
+    const name = info.artistName || 'Unknown Artist';
+    artistCounts.set(name, (artistCounts.get(name) || 0) + 1);
+    trackCounts.set(id, (trackCounts.get(id) || 0) + 1);
+    durationSeconds += info.duration;
+  }
+
+  const artists = Array.from(artistCounts.entries())
+    .map(([artist, count]) => ({ artist, count, share: count / output.length }))
+    .sort((a, b) => b.count - a.count);
+
+  const rules = Array.from(ruleStats.values()).map(({ seen, ...stats }) => ({
+    ...stats,
+    shortfall: stats.requested !== null && stats.poolSize < stats.requested
+  }));
+
+  return {
+    success: true,
+    program: { id: program.id, name: program.name },
+    cycles,
+    totals: {
+      tracks: output.length,
+      uniqueTracks: trackCounts.size,
+      repeatRate: output.length > 0 ? (output.length - trackCounts.size) / output.length : 0,
+      durationSeconds,
+      averageCycleTracks: output.length / cycles,
+      averageCycleSeconds: durationSeconds / cycles
+    },
+    rules,
+    artists,
+    errors: validation.errors,
     warnings: validation.warnings
   };
 }
@@ -394,7 +1200,12 @@ function getAvailableSources() {
     facets: [],
     artists: [],
     albums: [],
-    mixtapes: []
+    mixtapes: [],
+    years: [],
+    decades: [],
+    genres: [],
+    formats: [],
+    characteristics: []
   };
 
   if (facetIndex) {
@@ -408,16 +1219,66 @@ function getAvailableSources() {
   const albums = listCollections(libraryPath, 'album');
   const artistSet = new Set();
 
+  // Track counts per metadata value
+  const tally = (map, key, trackCount) => map.set(key, (map.get(key) || 0) + trackCount);
+  const years = new Map();
+  const decades = new Map();
+  const genres = new Map();
+  const formats = new Map();
+  const characteristics = new Map();
+
   for (const album of albums) {
+    const trackCount = album.tracks?.length || 0;
     sources.albums.push({
       value: album.id,
       label: album.name,
       artist: album.artist,
-      trackCount: album.tracks?.length || 0
+      trackCount
     });
     if (album.artist) artistSet.add(album.artist);
+
+    const year = getRecordYear(album);
+    if (year) {
+      tally(years, year, trackCount);
+      tally(decades, Math.floor(year / 10) * 10, trackCount);
+    }
+
+    // Genres match case-insensitively; advertise the first spelling seen
+    for (const genre of getRecordGenres(album)) {
+      const existing = Array.from(genres.keys()).find(g => g.toLowerCase() === genre.toLowerCase());
+      tally(genres, existing || genre, trackCount);
+    }
+
+    tally(formats, getRecordFormat(album), trackCount);
+    for (const c of getRecordCharacteristics(album)) {
+      tally(characteristics, c, trackCount);
+    }
   }
 
+  sources.years = Array.from(years.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([year, count]) => ({ value: String(year), label: String(year), count }));
+
+  sources.decades = Array.from(decades.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([decade, count]) => ({ value: `${decade}s`, label: `${decade}s`, count }));
+
+  sources.genres = Array.from(genres.entries())
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([genre, count]) => ({ value: genre, label: genre, count }));
+
+  sources.formats = FORMATS.map(format => ({
+    value: format,
+    label: format,
+    count: formats.get(format) || 0
+  }));
+
+  sources.characteristics = CHARACTERISTICS.map(c => ({
+    value: c,
+    label: c.replace(/([a-z])([A-Z])/g, '$1 $2'),
+    count: characteristics.get(c) || 0
+  }));
+
   sources.artists = Array.from(artistSet).sort().map(artist => ({
     value: artist,
     label: artist
@@ -427,13 +1288,14 @@ function getAvailableSources() {
   sources.mixtapes = mixtapes.map(m => ({
     value: m.id,
     label: m.name,
-    trackCount: m.tracks?.length || 0
+    trackCount: getMixtapeTrackIds(m).length
   }));
 
   return sources;
 }
 
 module.exports = {
+  DEFAULT_MEMORY_WINDOW_DAYS,
   initialize,
   loadPrograms,
   getAllPrograms,
@@ -447,6 +1309,15 @@ module.exports = {
   reorderModules,
   validateProgram,
   generateProgramRun,
+  continueProgramRun,
+  endProgramRun,
+  exportRuns,
+  restoreRuns,
+  simulateProgram,
   getAvailableSources,
-  getTrackIdsForSource
+  getTrackIdsForSource,
+  validateFacetExpression,
+  SMART_ORDERS,
+  getMixtapeTrackIds,
+  resolveSmartQuery
 };
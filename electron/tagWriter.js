@@ -0,0 +1,931 @@
+/**
+ * The Gloaming - Tag Writer
+ *
+ * Writes curated metadata (Panopticon edits) back into the audio files
+ * inside the library, so copies taken out of it carry the same tags.
+ *
+ *   FLAC      Vorbis comments + PICTURE block
+ *   MP3       ID3v2.4 (a stale ID3v1 tag is dropped)
+ *   MP4/M4A   iTunes ilst atoms, freeform ---- atoms for the rest
+ *
+ * Only fields the library knows about are touched: a field that is
+ * undefined in metadata.json leaves the file's tag alone, null or empty
+ * clears it. Anything else in the file (ReplayGain, encoder info, ...)
+ * is kept. Files are rewritten through a temp file and renamed into place.
+ * An MP3 whose other frames can't be read back (an ID3v2.2 tag, encrypted
+ * frames) is left alone and reported rather than rewritten without them.
+ *
+ * Referenced tracks and CUE sheet tracks are skipped - the first live
+ * outside the library, the second share one disc image between tracks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const {
+  loadLibraryConfig,
+  getLibraryPaths,
+  readTrackMetadata,
+  writeTrackMetadata,
+  readAttachmentMetadata,
+  getTrackAudioPath
+} = require('./library');
+
+// Field -> tag key per format. null = the format has no home for it.
+// ID3 "TXXX:desc" / "UFID:owner" and MP4 "----:name" are freeform keys.
+const TAG_KEYS = {
+  title:                    { vorbis: 'TITLE',                     id3: 'TIT2',                          mp4: '©nam' },
+  artist:                   { vorbis: 'ARTIST',                    id3: 'TPE1',                          mp4: '©ART' },
+  albumArtist:              { vorbis: 'ALBUMARTIST',               id3: 'TPE2',                          mp4: 'aART' },
+  album:                    { vorbis: 'ALBUM',                     id3: 'TALB',                          mp4: '©alb' },
+  date:                     { vorbis: 'DATE',                      id3: 'TDRC',                          mp4: '©day' },
+  originalDate:             { vorbis: 'ORIGINALDATE',              id3: 'TDOR',                          mp4: '----:ORIGINALDATE' },
+  genres:                   { vorbis: 'GENRE',                     id3: 'TCON',                          mp4: '©gen' },
+  composer:                 { vorbis: 'COMPOSER',                  id3: 'TCOM',                          mp4: '©wrt' },
+  conductor:                { vorbis: 'CONDUCTOR',                 id3: 'TPE3',                          mp4: '----:CONDUCTOR' },
+  performers:               { vorbis: 'PERFORMER',                 id3: 'TMCL',                          mp4: null },
+  label:                    { vorbis: 'LABEL',                     id3: 'TPUB',                          mp4: '----:LABEL' },
+  catalogNumber:            { vorbis: 'CATALOGNUMBER',             id3: 'TXXX:CATALOGNUMBER',            mp4: '----:CATALOGNUMBER' },
+  barcode:                  { vorbis: 'BARCODE',                   id3: 'TXXX:BARCODE',                  mp4: '----:BARCODE' },
+  isrc:                     { vorbis: 'ISRC',                      id3: 'TSRC',                          mp4: '----:ISRC' },
+  comment:                  { vorbis: 'COMMENT',                   id3: 'COMM',                          mp4: '©cmt' },
+  lyrics:                   { vorbis: 'LYRICS',                    id3: 'USLT',                          mp4: '©lyr' },
+  titleSort:                { vorbis: 'TITLESORT',                 id3: 'TSOT',                          mp4: 'sonm' },
+  albumSort:                { vorbis: 'ALBUMSORT',                 id3: 'TSOA',                          mp4: 'soal' },
+  albumArtistSort:          { vorbis: 'ALBUMARTISTSORT',           id3: 'TSO2',                          mp4: 'soaa' },
+  musicbrainzTrackId:       { vorbis: 'MUSICBRAINZ_TRACKID',       id3: 'UFID:http://musicbrainz.org',   mp4: '----:MusicBrainz Track Id' },
+  musicbrainzArtistId:      { vorbis: 'MUSICBRAINZ_ARTISTID',      id3: 'TXXX:MusicBrainz Artist Id',    mp4: '----:MusicBrainz Artist Id' },
+  musicbrainzAlbumId:       { vorbis: 'MUSICBRAINZ_ALBUMID',       id3: 'TXXX:MusicBrainz Album Id',     mp4: '----:MusicBrainz Album Id' },
+  musicbrainzAlbumArtistId: { vorbis: 'MUSICBRAINZ_ALBUMARTISTID', id3: 'TXXX:MusicBrainz Album Artist Id', mp4: '----:MusicBrainz Album Artist Id' }
+};
+
+// Older spellings removed along with the keys above
+const VORBIS_ALIASES = {
+  TRACKTOTAL: ['TOTALTRACKS'],
+  DISCTOTAL: ['TOTALDISCS'],
+  COMMENT: ['DESCRIPTION'],
+  LYRICS: ['UNSYNCEDLYRICS']
+};
+
+// ID3v2.3 frames with no v2.4 equivalent - dropped when upgrading a tag,
+// except the dates, which become TDRC and TDOR (see upgradeId3Dates)
+const ID3V23_ONLY_FRAMES = ['TYER', 'TDAT', 'TIME', 'TORY', 'TRDA', 'TSIZ', 'IPLS', 'EQUA', 'RVAD'];
+const ID3V23_DATE_FRAMES = ['TYER', 'TDAT', 'TIME', 'TORY'];
+
+const FORMATS = {
+  '.flac': 'flac',
+  '.mp3': 'mp3',
+  '.m4a': 'mp4',
+  '.m4b': 'mp4',
+  '.mp4': 'mp4',
+  '.alac': 'mp4'
+};
+
+// Edits to these fields change what's written into the files
+const RECORD_TAG_FIELDS = [
+  'name', 'artist', 'sortName', 'sortArtist', 'releaseDate', 'year', 'genre', 'genres',
+  'originalDate', 'label', 'catalogNumber', 'barcode', 'musicbrainzAlbumId', 'musicbrainzAlbumArtistId', 'cover'
+];
+const TRACK_TAG_FIELDS = [
+  'title', 'sortTitle', 'trackArtist', 'disc', 'trackNumber', 'genres', 'composer', 'conductor',
+  'performers', 'isrc', 'musicbrainzTrackId', 'musicbrainzArtistId', 'comment', 'lyrics'
+];
+
+// Syncs run one at a time so two edits never rewrite the same file at once
+let syncQueue = Promise.resolve();
+
+// ============================================
+// Curated metadata -> tag fields
+// ============================================
+
+// "DD-MM-YYYY" (how Panopticon shows dates) -> "YYYY-MM-DD"
+function toTagDate(value) {
+  if (value === undefined || value === null) return value;
+  const match = /^(\d{2})-(\d{2})-(\d{4})$/.exec(String(value).trim());
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : String(value);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : [value])
+    .map(v => String(v ?? '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Tag fields for a track on its record
+ * undefined = not known to the library (leave the file alone), null = clear
+ * @param {object[]} recordTracks - metadata of every track on the record, for totals
+ */
+function buildTrackTags(track, record, recordTracks = []) {
+  const disc = track.disc || 1;
+  const discs = recordTracks.map(t => t.disc || 1);
+  const sameDisc = discs.filter(d => d === disc).length;
+
+  let genres = track.genres;
+  if (!genres?.length) {
+    genres = record?.genres?.length ? record.genres : (record?.genre ? [record.genre] : track.genres);
+  }
+
+  return {
+    title: track.title,
+    artist: track.trackArtist || record?.artist,
+    albumArtist: record ? record.artist : track.albumArtist,
+    album: record ? record.name : track.album,
+    trackNumber: track.trackNumber,
+    trackTotal: sameDisc || null,
+    discNumber: track.disc,
+    discTotal: discs.length > 0 ? Math.max(...discs) : null,
+    date: toTagDate(record?.releaseDate ?? record?.year),
+    originalDate: toTagDate(record?.originalDate),
+    genres,
+    composer: track.composer,
+    conductor: track.conductor,
+    performers: track.performers,
+    label: record?.label,
+    catalogNumber: record?.catalogNumber,
+    barcode: record?.barcode,
+    isrc: track.isrc,
+    comment: track.comment,
+    lyrics: track.lyrics,
+    titleSort: track.sortTitle,
+    albumSort: record?.sortName,
+    albumArtistSort: record?.sortArtist,
+    musicbrainzTrackId: track.musicbrainzTrackId,
+    musicbrainzArtistId: track.musicbrainzArtistId,
+    musicbrainzAlbumId: record?.musicbrainzAlbumId,
+    musicbrainzAlbumArtistId: record?.musicbrainzAlbumArtistId
+  };
+}
+
+/**
+ * The record's cover as embeddable JPEG or PNG
+ * @returns {Promise<{ data: Buffer, mime, width, height }|null>}
+ */
+async function loadCoverArt(libraryPath, record) {
+  if (!record?.cover) return null;
+
+  const folder = path.join(getLibraryPaths(libraryPath).attachments, `${record.cover}.info`);
+  const attachment = readAttachmentMetadata(folder);
+  const imagePath = attachment?.filename && path.join(folder, attachment.filename);
+  if (!imagePath || !fs.existsSync(imagePath)) return null;
+
+  let data = fs.readFileSync(imagePath);
+  const info = await sharp(data).metadata();
+  // Players only reliably read JPEG and PNG
+  if (info.format !== 'jpeg' && info.format !== 'png') {
+    data = await sharp(data).jpeg({ quality: 92 }).toBuffer();
+    info.format = 'jpeg';
+  }
+
+  return {
+    data,
+    mime: info.format === 'png' ? 'image/png' : 'image/jpeg',
+    width: info.width || 0,
+    height: info.height || 0
+  };
+}
+
+// ============================================
+// File rewriting
+// ============================================
+
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Replace a file with `parts`: Buffers, or { start, end } ranges of the original
+ */
+async function rewriteFile(filePath, parts) {
+  const tempPath = `${filePath}.tagging`;
+  try {
+    fs.writeFileSync(tempPath, Buffer.alloc(0));
+    for (const part of parts) {
+      if (Buffer.isBuffer(part)) {
+        fs.appendFileSync(tempPath, part);
+      } else if (part.end > part.start) {
+        await pipeline(
+          fs.createReadStream(filePath, { start: part.start, end: part.end - 1 }),
+          fs.createWriteStream(tempPath, { flags: 'a' })
+        );
+      }
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+// Keys to clear for the fields the library knows about
+function managedKeys(tags, format) {
+  const keys = [];
+  for (const [field, formats] of Object.entries(TAG_KEYS)) {
+    if (tags[field] !== undefined && formats[format]) keys.push(formats[format]);
+  }
+  return keys;
+}
+
+// ============================================
+// FLAC
+// ============================================
+
+const FLAC_STREAMINFO = 0;
+const FLAC_PADDING = 1;
+const FLAC_VORBIS_COMMENT = 4;
+const FLAC_PICTURE = 6;
+
+function flacBlock(type, body, isLast) {
+  const header = Buffer.alloc(4);
+  header[0] = (isLast ? 0x80 : 0) | type;
+  header.writeUIntBE(body.length, 1, 3);
+  return Buffer.concat([header, body]);
+}
+
+function parseVorbisComment(body) {
+  let offset = 0;
+  const vendorLength = body.readUInt32LE(offset);
+  const vendor = body.toString('utf8', 4, 4 + vendorLength);
+  offset = 4 + vendorLength;
+  const count = body.readUInt32LE(offset);
+  offset += 4;
+
+  const comments = [];
+  for (let i = 0; i < count && offset + 4 <= body.length; i++) {
+    const length = body.readUInt32LE(offset);
+    comments.push(body.toString('utf8', offset + 4, offset + 4 + length));
+    offset += 4 + length;
+  }
+  return { vendor, comments };
+}
+
+function buildVorbisComment(vendor, comments) {
+  const parts = [];
+  const vendorBuffer = Buffer.from(vendor, 'utf8');
+  const header = Buffer.alloc(4);
+  header.writeUInt32LE(vendorBuffer.length);
+  parts.push(header, vendorBuffer);
+
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(comments.length);
+  parts.push(count);
+
+  for (const comment of comments) {
+    const buffer = Buffer.from(comment, 'utf8');
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(buffer.length);
+    parts.push(length, buffer);
+  }
+  return Buffer.concat(parts);
+}
+
+function vorbisCommentsFor(tags) {
+  const comments = [];
+  for (const [field, formats] of Object.entries(TAG_KEYS)) {
+    for (const value of toList(tags[field])) {
+      comments.push(`${formats.vorbis}=${value}`);
+    }
+  }
+  for (const [key, value] of [
+    ['TRACKNUMBER', tags.trackNumber], ['TRACKTOTAL', tags.trackNumber !== undefined ? tags.trackTotal : undefined],
+    ['DISCNUMBER', tags.discNumber], ['DISCTOTAL', tags.discNumber !== undefined ? tags.discTotal : undefined]
+  ]) {
+    if (value) comments.push(`${key}=${value}`);
+  }
+  return comments;
+}
+
+// FLAC PICTURE block body (type 3 = front cover)
+function flacPicture(cover) {
+  const mime = Buffer.from(cover.mime, 'latin1');
+  const fixed = Buffer.alloc(32 + mime.length);
+  let offset = 0;
+  offset = fixed.writeUInt32BE(3, offset);
+  offset = fixed.writeUInt32BE(mime.length, offset);
+  offset += mime.copy(fixed, offset);
+  offset = fixed.writeUInt32BE(0, offset);            // description length
+  offset = fixed.writeUInt32BE(cover.width, offset);
+  offset = fixed.writeUInt32BE(cover.height, offset);
+  offset = fixed.writeUInt32BE(24, offset);           // colour depth
+  offset = fixed.writeUInt32BE(0, offset);            // indexed colours
+  fixed.writeUInt32BE(cover.data.length, offset);
+  return Buffer.concat([fixed, cover.data]);
+}
+
+async function writeFlacTags(filePath, tags, cover) {
+  const fd = fs.openSync(filePath, 'r');
+  let blocks = [];
+  let audioStart;
+  let fileSize;
+  try {
+    fileSize = fs.fstatSync(fd).size;
+    if (readBytes(fd, 0, 4).toString('latin1') !== 'fLaC') {
+      throw new Error('Not a FLAC file');
+    }
+    let position = 4;
+    let isLast = false;
+    while (!isLast) {
+      const header = readBytes(fd, position, 4);
+      if (header.length < 4) throw new Error('Truncated FLAC metadata');
+      isLast = (header[0] & 0x80) !== 0;
+      const length = header.readUIntBE(1, 3);
+      blocks.push({ type: header[0] & 0x7f, body: readBytes(fd, position + 4, length) });
+      position += 4 + length;
+    }
+    audioStart = position;
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Existing comments minus the ones being replaced
+  const existing = blocks.find(b => b.type === FLAC_VORBIS_COMMENT);
+  const { vendor, comments } = existing
+    ? parseVorbisComment(existing.body)
+    : { vendor: 'the_gloaming', comments: [] };
+
+  const cleared = new Set(managedKeys(tags, 'vorbis'));
+  if (tags.trackNumber !== undefined) cleared.add('TRACKNUMBER').add('TRACKTOTAL');
+  if (tags.discNumber !== undefined) cleared.add('DISCNUMBER').add('DISCTOTAL');
+  for (const key of [...cleared]) {
+    for (const alias of VORBIS_ALIASES[key] || []) cleared.add(alias);
+  }
+  const kept = comments.filter(comment => !cleared.has(comment.split('=')[0].toUpperCase()));
+
+  blocks = blocks.filter(b =>
+    b.type !== FLAC_VORBIS_COMMENT &&
+    b.type !== FLAC_PADDING &&
+    !(cover && b.type === FLAC_PICTURE)
+  );
+  blocks.push({ type: FLAC_VORBIS_COMMENT, body: buildVorbisComment(vendor, [...kept, ...vorbisCommentsFor(tags)]) });
+  if (cover) blocks.push({ type: FLAC_PICTURE, body: flacPicture(cover) });
+
+  // STREAMINFO must stay first
+  blocks.sort((a, b) => (a.type === FLAC_STREAMINFO ? -1 : 0) - (b.type === FLAC_STREAMINFO ? -1 : 0));
+  const header = Buffer.concat([
+    Buffer.from('fLaC', 'latin1'),
+    ...blocks.map((b, i) => flacBlock(b.type, b.body, i === blocks.length - 1))
+  ]);
+
+  await rewriteFile(filePath, [header, { start: audioStart, end: fileSize }]);
+}
+
+// ============================================
+// ID3v2.4 (MP3)
+// ============================================
+
+function syncsafe(value) {
+  const buffer = Buffer.alloc(4);
+  buffer[0] = (value >> 21) & 0x7f;
+  buffer[1] = (value >> 14) & 0x7f;
+  buffer[2] = (value >> 7) & 0x7f;
+  buffer[3] = value & 0x7f;
+  return buffer;
+}
+
+function readSyncsafe(buffer, offset) {
+  return (buffer[offset] << 21) | (buffer[offset + 1] << 14) | (buffer[offset + 2] << 7) | buffer[offset + 3];
+}
+
+function id3Frame(id, body) {
+  const flags = Buffer.alloc(2);
+  return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(body.length), flags, body]);
+}
+
+// UTF-8 text frame; several values are NUL-separated in v2.4
+function id3TextFrame(id, values) {
+  return id3Frame(id, Buffer.concat([Buffer.from([3]), Buffer.from(values.join('\0'), 'utf8')]));
+}
+
+// Text up to the encoding's terminator
+function readId3String(body, offset, encoding) {
+  const wide = encoding === 1 || encoding === 2;
+  let end = offset;
+  if (wide) {
+    while (end + 1 < body.length && (body[end] !== 0 || body[end + 1] !== 0)) end += 2;
+  } else {
+    while (end < body.length && body[end] !== 0) end++;
+  }
+  const raw = body.subarray(offset, end);
+  let text;
+  if (encoding === 0) text = raw.toString('latin1');
+  else if (encoding === 3) text = raw.toString('utf8');
+  else if (encoding === 2) text = Buffer.from(raw).swap16().toString('utf16le');
+  else if (raw[0] === 0xfe && raw[1] === 0xff) text = Buffer.from(raw.subarray(2)).swap16().toString('utf16le');
+  else text = raw.subarray(raw[0] === 0xff && raw[1] === 0xfe ? 2 : 0).toString('utf16le');
+  return text;
+}
+
+// "TXXX:desc" / "UFID:owner" for freeform frames, the frame ID otherwise
+function id3FrameKey(id, body) {
+  if (id === 'TXXX') return `TXXX:${readId3String(body, 1, body[0])}`;
+  if (id === 'UFID') return `UFID:${readId3String(body, 0, 0)}`;
+  return id;
+}
+
+// Reverse ID3 unsynchronisation: every 0xFF 0x00 goes back to 0xFF
+function removeUnsync(buffer) {
+  const out = Buffer.alloc(buffer.length);
+  let length = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    out[length++] = buffer[i];
+    if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+  }
+  return out.subarray(0, length);
+}
+
+/**
+ * A frame's plain contents, undoing per-frame grouping, data length,
+ * unsynchronisation and compression so it can be written back unflagged
+ * Throws for encrypted frames - there's no carrying those over.
+ */
+function decodeId3Frame(id, body, version, formatFlags, tagUnsync) {
+  if (formatFlags === 0 && !tagUnsync) return body;
+
+  if (version === 3) {
+    // 0x80 compressed (4-byte size first), 0x40 encrypted, 0x20 grouped (1-byte group)
+    if (formatFlags & 0x40) throw new Error(`Encrypted ${id} frame can't be kept - tags not written`);
+    const offset = ((formatFlags & 0x80) ? 4 : 0) + ((formatFlags & 0x20) ? 1 : 0);
+    const data = body.subarray(offset);
+    return (formatFlags & 0x80) ? zlib.inflateSync(data) : data;
+  }
+
+  // v2.4: 0x40 grouped, 0x08 compressed, 0x04 encrypted, 0x02 unsynchronised, 0x01 data length
+  if (formatFlags & 0x04) throw new Error(`Encrypted ${id} frame can't be kept - tags not written`);
+  const offset = ((formatFlags & 0x40) ? 1 : 0) + ((formatFlags & 0x01) ? 4 : 0);
+  let data = body.subarray(offset);
+  if ((formatFlags & 0x02) || tagUnsync) data = removeUnsync(data);
+  return (formatFlags & 0x08) ? zlib.inflateSync(data) : data;
+}
+
+/**
+ * v2.4 timestamps for a v2.3 tag's dates: TYER (with TDAT's DDMM and
+ * TIME's HHMM when there) becomes TDRC, TORY becomes TDOR
+ * @param {Map} dateFrames - v2.3 frame ID -> decoded body
+ * @returns {object[]} frames as { id, body }
+ */
+function upgradeId3Dates(dateFrames) {
+  const text = (id) => {
+    const body = dateFrames.get(id);
+    return body && body.length > 1 ? readId3String(body, 1, body[0]).trim() : '';
+  };
+  const textBody = (value) => Buffer.concat([Buffer.from([3]), Buffer.from(value, 'utf8')]);
+  const frames = [];
+
+  const year = text('TYER');
+  if (/^\d{4}$/.test(year)) {
+    let date = year;
+    const dayMonth = text('TDAT');
+    if (/^\d{4}$/.test(dayMonth)) {
+      date += `-${dayMonth.slice(2)}-${dayMonth.slice(0, 2)}`;
+      const time = text('TIME');
+      if (/^\d{4}$/.test(time)) date += `T${time.slice(0, 2)}:${time.slice(2)}`;
+    }
+    frames.push({ id: 'TDRC', body: textBody(date) });
+  }
+
+  const originalYear = text('TORY');
+  if (/^\d{4}$/.test(originalYear)) frames.push({ id: 'TDOR', body: textBody(originalYear) });
+  return frames;
+}
+
+/**
+ * Frames of the ID3v2 tag at the start of the file
+ * @returns {{ frames: [{ id, body }], length }} length covers every leading tag
+ */
+function readId3Tags(fd, fileSize) {
+  const frames = [];
+  let length = 0;
+
+  while (length + 10 <= fileSize) {
+    const header = readBytes(fd, length, 10);
+    if (header.toString('latin1', 0, 3) !== 'ID3') break;
+    const version = header[3];
+    const flags = header[5];
+    const size = readSyncsafe(header, 6);
+    const tagLength = 10 + size + ((flags & 0x10) ? 10 : 0);
+
+    // Frames from the first tag. v2.2 frames have no v2.4 equivalent to
+    // carry them over as, so rewriting would drop them.
+    if (length === 0) {
+      if (version !== 3 && version !== 4) {
+        throw new Error(`ID3v2.${version} tag can't be rewritten without losing its frames - convert it to ID3v2.4 first`);
+      }
+      // v2.3 unsynchronises the whole tag, v2.4 each frame (the header flag marks all of them)
+      let tag = readBytes(fd, 10, size);
+      if (version === 3 && (flags & 0x80)) tag = removeUnsync(tag);
+      let offset = 0;
+      if (flags & 0x40) {
+        offset = version === 4 ? readSyncsafe(tag, 0) : 4 + tag.readUInt32BE(0);
+      }
+      const dateFrames = new Map();
+      while (offset + 10 <= tag.length && tag[offset] !== 0) {
+        const id = tag.toString('latin1', offset, offset + 4);
+        const frameSize = version === 4 ? readSyncsafe(tag, offset + 4) : tag.readUInt32BE(offset + 4);
+        const formatFlags = tag[offset + 9];
+        const body = tag.subarray(offset + 10, offset + 10 + frameSize);
+        offset += 10 + frameSize;
+        if (version === 3 && ID3V23_DATE_FRAMES.includes(id)) {
+          dateFrames.set(id, decodeId3Frame(id, body, version, formatFlags, false));
+          continue;
+        }
+        if (version === 3 && ID3V23_ONLY_FRAMES.includes(id)) continue;
+        frames.push({ id, body: decodeId3Frame(id, body, version, formatFlags, version === 4 && !!(flags & 0x80)) });
+      }
+      // A tag that already has the v2.4 frame keeps it
+      for (const frame of upgradeId3Dates(dateFrames)) {
+        if (!frames.some(existing => existing.id === frame.id)) frames.push(frame);
+      }
+    }
+
+    length += tagLength;
+  }
+
+  return { frames, length };
+}
+
+// "Name (instrument)" -> TMCL instrument/name pairs
+function performerPairs(performers) {
+  const pairs = [];
+  for (const performer of performers) {
+    const match = /^(.*?)\s*\(([^)]+)\)$/.exec(performer);
+    pairs.push(match ? match[2] : 'performer', match ? match[1] : performer);
+  }
+  return pairs;
+}
+
+function id3FramesFor(tags, cover) {
+  const frames = [];
+  for (const [field, formats] of Object.entries(TAG_KEYS)) {
+    const values = toList(tags[field]);
+    if (values.length === 0) continue;
+    const key = formats.id3;
+    const [id, description] = key.split(/:(.*)/);
+
+    if (id === 'TXXX') {
+      frames.push(id3Frame('TXXX', Buffer.concat([
+        Buffer.from([3]), Buffer.from(`${description}\0${values.join('; ')}`, 'utf8')
+      ])));
+    } else if (id === 'UFID') {
+      frames.push(id3Frame('UFID', Buffer.concat([
+        Buffer.from(`${description}\0`, 'latin1'), Buffer.from(values[0], 'latin1')
+      ])));
+    } else if (id === 'COMM' || id === 'USLT') {
+      // encoding, language, empty description, text
+      frames.push(id3Frame(id, Buffer.concat([
+        Buffer.from([3]), Buffer.from('eng\0', 'latin1'), Buffer.from(values.join('\n'), 'utf8')
+      ])));
+    } else if (id === 'TMCL') {
+      frames.push(id3TextFrame('TMCL', performerPairs(values)));
+    } else if (field === 'genres') {
+      frames.push(id3TextFrame(id, values));
+    } else {
+      frames.push(id3TextFrame(id, [values.join('; ')]));
+    }
+  }
+
+  if (tags.trackNumber) {
+    frames.push(id3TextFrame('TRCK', [tags.trackTotal ? `${tags.trackNumber}/${tags.trackTotal}` : String(tags.trackNumber)]));
+  }
+  if (tags.discNumber) {
+    frames.push(id3TextFrame('TPOS', [tags.discTotal ? `${tags.discNumber}/${tags.discTotal}` : String(tags.discNumber)]));
+  }
+
+  if (cover) {
+    // encoding, MIME, picture type 3 (front cover), empty description, data
+    frames.push(id3Frame('APIC', Buffer.concat([
+      Buffer.from([0]), Buffer.from(`${cover.mime}\0`, 'latin1'), Buffer.from([3, 0]), cover.data
+    ])));
+  }
+  return frames;
+}
+
+async function writeId3Tags(filePath, tags, cover) {
+  const fd = fs.openSync(filePath, 'r');
+  let existing;
+  let audioEnd;
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    existing = readId3Tags(fd, fileSize);
+    audioEnd = fileSize;
+    // ID3v1 would still hold the old tags
+    if (fileSize - existing.length >= 128 && readBytes(fd, fileSize - 128, 3).toString('latin1') === 'TAG') {
+      audioEnd -= 128;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const cleared = new Set(managedKeys(tags, 'id3'));
+  if (tags.trackNumber !== undefined) cleared.add('TRCK');
+  if (tags.discNumber !== undefined) cleared.add('TPOS');
+  if (cover) cleared.add('APIC');
+
+  const kept = existing.frames
+    .filter(frame => {
+      const key = id3FrameKey(frame.id, frame.body);
+      if (cleared.has(key)) return false;
+      // TXXX descriptions are matched case-insensitively by most taggers
+      return !(frame.id === 'TXXX' && [...cleared].some(k => k.toLowerCase() === key.toLowerCase()));
+    })
+    .map(frame => id3Frame(frame.id, frame.body));
+
+  const body = Buffer.concat([...kept, ...id3FramesFor(tags, cover)]);
+  const header = Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 4, 0, 0]), syncsafe(body.length)]);
+
+  await rewriteFile(filePath, [header, body, { start: existing.length, end: audioEnd }]);
+}
+
+// ============================================
+// MP4 / M4A
+// ============================================
+
+// Boxes that hold chunk offsets, and the containers on the way to them
+const MP4_OFFSET_PATH = ['trak', 'mdia', 'minf', 'stbl'];
+
+function mp4Box(type, ...payload) {
+  const body = Buffer.concat(payload);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// Child boxes of buffer[start, end)
+function mp4Children(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const size = buffer.readUInt32BE(offset);
+    if (size < 8 || offset + size > end) break;
+    boxes.push({
+      type: buffer.toString('latin1', offset + 4, offset + 8),
+      start: offset,
+      end: offset + size,
+      body: offset + 8
+    });
+    offset += size;
+  }
+  return boxes;
+}
+
+// Top-level boxes straight from the file (mdat may be huge or use 64-bit sizes)
+function mp4TopLevel(fd, fileSize) {
+  const boxes = [];
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const header = readBytes(fd, offset, 16);
+    let size = header.readUInt32BE(0);
+    if (size === 1) size = Number(header.readBigUInt64BE(8));
+    else if (size === 0) size = fileSize - offset;
+    if (size < 8) break;
+    boxes.push({ type: header.toString('latin1', 4, 8), start: offset, end: Math.min(offset + size, fileSize) });
+    offset += size;
+  }
+  return boxes;
+}
+
+function mp4Data(type, payload) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(type);
+  return mp4Box('data', header, payload);
+}
+
+function mp4TextItem(key, values) {
+  if (key.startsWith('----:')) {
+    const fullBox = Buffer.alloc(4);
+    return mp4Box('----',
+      mp4Box('mean', fullBox, Buffer.from('com.apple.iTunes', 'latin1')),
+      mp4Box('name', fullBox, Buffer.from(key.slice(5), 'utf8')),
+      mp4Data(1, Buffer.from(values.join('; '), 'utf8'))
+    );
+  }
+  return mp4Box(key, ...values.map(value => mp4Data(1, Buffer.from(value, 'utf8'))));
+}
+
+// trkn is (0, track, total, 0); disk is (0, disc, total)
+function mp4NumberItem(key, number, total) {
+  const payload = Buffer.alloc(key === 'trkn' ? 8 : 6);
+  payload.writeUInt16BE(number || 0, 2);
+  payload.writeUInt16BE(total || 0, 4);
+  return mp4Box(key, mp4Data(0, payload));
+}
+
+// "----:name" for freeform items, the atom type otherwise
+function mp4ItemKey(buffer, item) {
+  if (item.type !== '----') return item.type;
+  const name = mp4Children(buffer, item.body, item.end).find(b => b.type === 'name');
+  return name ? `----:${buffer.toString('utf8', name.body + 4, name.end)}` : '----';
+}
+
+function mp4ItemsFor(tags, cover) {
+  const items = [];
+  for (const [field, formats] of Object.entries(TAG_KEYS)) {
+    const values = toList(tags[field]);
+    if (values.length === 0 || !formats.mp4) continue;
+    // Genres get one data atom each; other fields are a single string
+    items.push(mp4TextItem(formats.mp4, field === 'genres' ? values : [values.join(field === 'comment' || field === 'lyrics' ? '\n' : '; ')]));
+  }
+  if (tags.trackNumber) items.push(mp4NumberItem('trkn', tags.trackNumber, tags.trackTotal));
+  if (tags.discNumber) items.push(mp4NumberItem('disk', tags.discNumber, tags.discTotal));
+  if (cover) items.push(mp4Box('covr', mp4Data(cover.mime === 'image/png' ? 14 : 13, cover.data)));
+  return items;
+}
+
+// New ilst from the old one (if any) and the tags
+function buildIlst(moov, ilst, tags, cover) {
+  const cleared = new Set(managedKeys(tags, 'mp4').map(key => key.toLowerCase()));
+  if (tags.genres !== undefined) cleared.add('gnre'); // ID3v1 genre number
+  if (tags.trackNumber !== undefined) cleared.add('trkn');
+  if (tags.discNumber !== undefined) cleared.add('disk');
+  if (cover) cleared.add('covr');
+
+  const kept = ilst
+    ? mp4Children(moov, ilst.body, ilst.end)
+      .filter(item => !cleared.has(mp4ItemKey(moov, item).toLowerCase()))
+      .map(item => moov.subarray(item.start, item.end))
+    : [];
+  return mp4Box('ilst', ...kept, ...mp4ItemsFor(tags, cover));
+}
+
+// meta is a full box in iTunes files, a plain container in QuickTime ones
+function metaChildrenStart(moov, meta) {
+  return moov.toString('latin1', meta.body + 8, meta.body + 12) === 'hdlr' ? meta.body + 4 : meta.body;
+}
+
+function buildMoov(moov, tags, cover) {
+  const children = mp4Children(moov, 8, moov.length);
+  const udta = children.find(b => b.type === 'udta');
+  const udtaChildren = udta ? mp4Children(moov, udta.body, udta.end) : [];
+  const meta = udtaChildren.find(b => b.type === 'meta');
+  const metaChildren = meta ? mp4Children(moov, metaChildrenStart(moov, meta), meta.end) : [];
+  const ilst = metaChildren.find(b => b.type === 'ilst');
+
+  const hdlr = metaChildren.find(b => b.type === 'hdlr');
+  const newMeta = mp4Box('meta',
+    Buffer.alloc(4),
+    hdlr
+      ? moov.subarray(hdlr.start, hdlr.end)
+      : mp4Box('hdlr', Buffer.alloc(8), Buffer.from('mdirappl', 'latin1'), Buffer.alloc(9)),
+    ...metaChildren.filter(b => b.type !== 'hdlr' && b.type !== 'ilst').map(b => moov.subarray(b.start, b.end)),
+    buildIlst(moov, ilst, tags, cover)
+  );
+  const newUdta = mp4Box('udta',
+    ...udtaChildren.filter(b => b.type !== 'meta').map(b => moov.subarray(b.start, b.end)),
+    newMeta
+  );
+
+  return mp4Box('moov',
+    ...children.filter(b => b.type !== 'udta').map(b => moov.subarray(b.start, b.end)),
+    newUdta
+  );
+}
+
+// Shift every stco/co64 chunk offset in a moov by `delta`
+function shiftChunkOffsets(moov, delta, start = 8, end = moov.length, depth = 0) {
+  for (const box of mp4Children(moov, start, end)) {
+    if (box.type === MP4_OFFSET_PATH[depth]) {
+      shiftChunkOffsets(moov, delta, box.body, box.end, depth + 1);
+    } else if (depth === MP4_OFFSET_PATH.length && (box.type === 'stco' || box.type === 'co64')) {
+      const count = moov.readUInt32BE(box.body + 4);
+      for (let i = 0; i < count; i++) {
+        if (box.type === 'stco') {
+          const at = box.body + 8 + i * 4;
+          moov.writeUInt32BE(moov.readUInt32BE(at) + delta, at);
+        } else {
+          const at = box.body + 8 + i * 8;
+          moov.writeBigUInt64BE(moov.readBigUInt64BE(at) + BigInt(delta), at);
+        }
+      }
+    }
+  }
+}
+
+async function writeMp4Tags(filePath, tags, cover) {
+  const fd = fs.openSync(filePath, 'r');
+  let boxes;
+  let oldMoov;
+  let fileSize;
+  try {
+    fileSize = fs.fstatSync(fd).size;
+    boxes = mp4TopLevel(fd, fileSize);
+    const moovBox = boxes.find(b => b.type === 'moov');
+    if (!moovBox) throw new Error('No moov atom');
+    oldMoov = readBytes(fd, moovBox.start, moovBox.end - moovBox.start);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const moovBox = boxes.find(b => b.type === 'moov');
+  const newMoov = buildMoov(oldMoov, tags, cover);
+
+  // Audio after the moov moves by however much it grew or shrank
+  const delta = newMoov.length - oldMoov.length;
+  const mdatAfterMoov = boxes.some(b => b.type === 'mdat' && b.start > moovBox.start);
+  if (delta !== 0 && mdatAfterMoov) {
+    shiftChunkOffsets(newMoov, delta);
+  }
+
+  await rewriteFile(filePath, [
+    { start: 0, end: moovBox.start },
+    newMoov,
+    { start: moovBox.end, end: fileSize }
+  ]);
+}
+
+// ============================================
+// Library
+// ============================================
+
+/**
+ * Write tags (and cover, if given) into an audio file
+ * @returns {boolean} false if the format isn't supported
+ */
+async function writeTags(filePath, tags, cover = null) {
+  const format = FORMATS[path.extname(filePath).toLowerCase()];
+  if (format === 'flac') await writeFlacTags(filePath, tags, cover);
+  else if (format === 'mp3') await writeId3Tags(filePath, tags, cover);
+  else if (format === 'mp4') await writeMp4Tags(filePath, tags, cover);
+  else return false;
+  return true;
+}
+
+/**
+ * Sync a record's tracks' files with their metadata.json
+ * @param {string[]} trackIds - only these tracks (default: all of them)
+ * @returns {Promise<{ written, skipped, errors: [{ trackId, error }] }>}
+ */
+function syncRecordTags(libraryPath, record, trackIds = null) {
+  const run = syncQueue.then(() => runRecordSync(libraryPath, record, trackIds));
+  syncQueue = run.catch(() => {});
+  return run;
+}
+
+async function runRecordSync(libraryPath, record, trackIds) {
+  const paths = getLibraryPaths(libraryPath);
+  const summary = { written: 0, skipped: 0, errors: [] };
+  const cover = await loadCoverArt(libraryPath, record).catch(err => {
+    console.error(`[TagWriter] Could not read cover for ${record.id}:`, err.message);
+    return null;
+  });
+
+  const tracks = (record.tracks || [])
+    .map(ref => readTrackMetadata(path.join(paths.tracks, `${ref.id}.info`)))
+    .filter(Boolean);
+
+  for (const track of tracks) {
+    if (trackIds && !trackIds.includes(track.id)) continue;
+    if (track.referencePath || track.cue) {
+      summary.skipped++;
+      continue;
+    }
+
+    try {
+      const trackFolder = path.join(paths.tracks, `${track.id}.info`);
+      const audioPath = getTrackAudioPath(trackFolder, track);
+      const written = fs.existsSync(audioPath) &&
+        await writeTags(audioPath, buildTrackTags(track, record, tracks), cover);
+      if (written) {
+        // Re-read: an edit may have landed while the file was being written
+        const current = readTrackMetadata(trackFolder);
+        if (current) writeTrackMetadata(trackFolder, { ...current, fileSize: fs.statSync(audioPath).size });
+        summary.written++;
+      } else {
+        summary.skipped++;
+      }
+    } catch (err) {
+      console.error(`[TagWriter] Could not tag ${track.id}:`, err.message);
+      summary.errors.push({ trackId: track.id, error: err.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * After a Panopticon edit: sync the affected files if the library opted in
+ * (settings.syncTagsOnEdit). Runs in the background; failures are only logged.
+ * @param {string[]} changedFields - the edited fields, record or track ones depending on trackIds
+ */
+function syncTagsAfterEdit(libraryPath, record, changedFields, trackIds = null) {
+  const tagFields = trackIds ? TRACK_TAG_FIELDS : RECORD_TAG_FIELDS;
+  if (!record || !changedFields.some(field => tagFields.includes(field))) return;
+  if (!loadLibraryConfig(libraryPath)?.settings?.syncTagsOnEdit) return;
+
+  syncRecordTags(libraryPath, record, trackIds)
+    .then(summary => {
+      if (summary.written > 0) console.log(`[TagWriter] Synced ${summary.written} file(s) for ${record.id}`);
+    })
+    .catch(err => console.error('[TagWriter] Sync after edit failed:', err));
+}
+
+module.exports = {
+  buildTrackTags,
+  writeTags,
+  syncRecordTags,
+  syncTagsAfterEdit
+};
@@ -125,11 +125,25 @@ async function generateThumbnailsFromBuffer(buffer, outputDir) {
   return { success: large || small, large, small };
 }
 
+/**
+ * Small inline JPEG for previews that aren't stored anywhere (import preview)
+ * @param {Buffer} buffer - Image data buffer
+ * @returns {Promise<string>} data: URL
+ */
+async function thumbnailDataUrl(buffer, size = THUMBNAIL_SIZE_SMALL) {
+  const data = await sharp(buffer)
+    .resize(size, size, { fit: 'cover', position: 'center' })
+    .jpeg({ quality: THUMBNAIL_QUALITY })
+    .toBuffer();
+  return `data:image/jpeg;base64,${data.toString('base64')}`;
+}
+
 module.exports = {
   generateThumbnail,
   generateThumbnailFromBuffer,
   generateThumbnails,
   generateThumbnailsFromBuffer,
+  thumbnailDataUrl,
   THUMBNAIL_SIZE,
   THUMBNAIL_SIZE_SMALL
 };
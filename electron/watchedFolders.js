@@ -0,0 +1,319 @@
+/**
+ * The Gloaming - Watched Folders
+ *
+ * Source folders whose files stay where they are. Tracks imported from
+ * them are referenced in place (metadata.referencePath) instead of copied,
+ * and the folders are watched so the library follows the disk:
+ *
+ *   additions  new files are imported by reference (duplicates skipped)
+ *   moves      a missing track is relinked to a new file with the same audio
+ *   changes    a rewritten file refreshes the track's technical details
+ *   deletions  the track is flagged missing - never removed, since an
+ *              unplugged archive disk looks exactly like a deleted folder
+ *
+ * watched.json in the library remembers every file seen, so a track
+ * deleted in Panopticon doesn't come back on the next scan.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  loadLibraryConfig,
+  saveLibraryConfig,
+  getLibraryPaths,
+  listAllTracks,
+  writeTrackMetadata
+} = require('./library');
+const { importFiles, scanForAudioFiles, extractAudioMetadata } = require('./import');
+const { computeContentHash, computeSegmentHash } = require('./contentHash');
+
+// Quiet period after the last filesystem event before reconciling
+const RECONCILE_DELAY_MS = 3000;
+
+let libraryPath = null;
+let onReconciled = null;
+let watchers = [];
+let reconcileTimer = null;
+let reconciling = null;     // Promise of the running pass
+let reconcileAgain = false; // Events arrived during the running pass
+
+function getSnapshotPath() {
+  return path.join(libraryPath, 'watched.json');
+}
+
+function loadSnapshot() {
+  try {
+    if (fs.existsSync(getSnapshotPath())) {
+      return JSON.parse(fs.readFileSync(getSnapshotPath(), 'utf8'));
+    }
+  } catch (err) {
+    console.error('[WatchedFolders] Error reading watched.json:', err.message);
+  }
+  return { version: 1, files: {} };
+}
+
+function saveSnapshot(files) {
+  fs.writeFileSync(getSnapshotPath(), JSON.stringify({ version: 1, files }, null, 2));
+}
+
+function isInside(filePath, folder) {
+  return filePath === folder || filePath.startsWith(folder + path.sep);
+}
+
+/**
+ * Watched folder paths from library.json
+ */
+function getWatchedFolders(libPath = libraryPath) {
+  const config = loadLibraryConfig(libPath);
+  return config?.settings?.watchedFolders || [];
+}
+
+/**
+ * Replace the watched folder list in library.json
+ */
+function setWatchedFolders(libPath, folders) {
+  const config = loadLibraryConfig(libPath) || {};
+  config.settings = { ...config.settings, watchedFolders: folders };
+  saveLibraryConfig(libPath, config);
+}
+
+// A CUE sheet track's hash covers only its span of the image
+function trackHashFor(track, fileHash) {
+  return track.cue ? computeSegmentHash(fileHash, track.cue.start, track.cue.end) : fileHash;
+}
+
+/**
+ * Update a referenced track after its file was rewritten (retagged, re-encoded)
+ * Only technical details - titles and artists stay as edited in Panopticon.
+ * A CUE sheet track keeps its span's duration and size.
+ */
+async function refreshTechnicalDetails(track, filePath, paths) {
+  const metadata = await extractAudioMetadata(filePath);
+  Object.assign(track, {
+    duration: track.cue ? track.duration : (metadata?.duration || track.duration),
+    format: metadata?.codec || track.format,
+    bitDepth: metadata?.bitDepth || null,
+    sampleRate: metadata?.sampleRate || null,
+    bitrate: metadata?.bitrate || null,
+    channels: metadata?.channels || null,
+    lossless: metadata?.lossless || false,
+    fileSize: track.cue ? track.fileSize : fs.statSync(filePath).size,
+    contentHash: trackHashFor(track, await computeContentHash(filePath))
+  });
+  writeTrackMetadata(path.join(paths.tracks, `${track.id}.info`), track);
+}
+
+async function runReconcile() {
+  const libPath = libraryPath;
+  const paths = getLibraryPaths(libPath);
+  const folders = getWatchedFolders(libPath);
+  const summary = { added: 0, moved: 0, updated: 0, missing: 0, restored: 0 };
+
+  // Files on disk now. Folders that aren't there (unmounted) keep their old entries.
+  const availableFolders = folders.filter(folder => fs.existsSync(folder));
+  const present = {};
+  for (const audioFile of scanForAudioFiles(availableFolders)) {
+    try {
+      const stats = fs.statSync(audioFile.sourcePath);
+      present[audioFile.sourcePath] = { size: stats.size, mtimeMs: stats.mtimeMs };
+    } catch (err) {
+      // Vanished mid-scan - the next pass will see it gone
+    }
+  }
+
+  const snapshot = loadSnapshot();
+  const referenced = listAllTracks(libPath).filter(track => track.referencePath);
+  // A disc image is referenced by each of its CUE sheet tracks
+  const byPath = new Map();
+  for (const track of referenced) {
+    byPath.set(track.referencePath, [...(byPath.get(track.referencePath) || []), track]);
+  }
+
+  // Referenced tracks whose file is gone, and ones that came back
+  const missingTracks = [];
+  for (const track of referenced) {
+    if (fs.existsSync(track.referencePath)) {
+      if (track.missing) {
+        delete track.missing;
+        delete track.missingSince;
+        writeTrackMetadata(path.join(paths.tracks, `${track.id}.info`), track);
+        summary.restored++;
+      }
+    } else {
+      missingTracks.push(track);
+    }
+  }
+
+  // Files never seen before and not already referenced
+  let newFiles = Object.keys(present).filter(filePath =>
+    !byPath.has(filePath) && !snapshot.files[filePath]
+  );
+
+  // Moves: same audio as a missing track (or, for a disc image, its CUE tracks)
+  const relinkable = missingTracks.filter(track => track.contentHash);
+  if (relinkable.length > 0 && newFiles.length > 0) {
+    const moved = new Set();
+
+    for (const filePath of newFiles) {
+      let hash;
+      try {
+        hash = await computeContentHash(filePath);
+      } catch (err) {
+        continue;
+      }
+      const matches = relinkable.filter(track =>
+        missingTracks.includes(track) && track.contentHash === trackHashFor(track, hash)
+      );
+
+      for (const track of matches) {
+        console.log(`[WatchedFolders] Moved: ${track.referencePath} -> ${filePath}`);
+        track.referencePath = filePath;
+        track.filename = path.basename(filePath);
+        delete track.missing;
+        delete track.missingSince;
+        writeTrackMetadata(path.join(paths.tracks, `${track.id}.info`), track);
+        missingTracks.splice(missingTracks.indexOf(track), 1);
+        moved.add(filePath);
+        summary.moved++;
+      }
+    }
+
+    newFiles = newFiles.filter(filePath => !moved.has(filePath));
+  }
+
+  // Whatever is still gone gets flagged
+  for (const track of missingTracks) {
+    if (track.missing) continue;
+    track.missing = true;
+    track.missingSince = new Date().toISOString();
+    writeTrackMetadata(path.join(paths.tracks, `${track.id}.info`), track);
+    summary.missing++;
+  }
+
+  // Rewritten files
+  for (const [filePath, stats] of Object.entries(present)) {
+    const previous = snapshot.files[filePath];
+    const tracks = byPath.get(filePath);
+    if (!tracks || !previous) continue;
+    if (previous.size === stats.size && previous.mtimeMs === stats.mtimeMs) continue;
+
+    for (const track of tracks) {
+      try {
+        await refreshTechnicalDetails(track, filePath, paths);
+        summary.updated++;
+      } catch (err) {
+        console.error(`[WatchedFolders] Could not refresh ${filePath}:`, err.message);
+      }
+    }
+  }
+
+  // Additions
+  if (newFiles.length > 0) {
+    const result = await importFiles(newFiles, libPath, { mode: 'reference', duplicateActions: {} });
+    summary.added = result.imported || 0;
+    if (result.errors) {
+      for (const err of result.errors) {
+        console.error(`[WatchedFolders] Could not import ${err.path}:`, err.error);
+      }
+    }
+  }
+
+  // Remember what was seen, including everything under unavailable folders
+  const files = { ...present };
+  for (const [filePath, stats] of Object.entries(snapshot.files)) {
+    const folder = folders.find(f => isInside(filePath, f));
+    if (folder && !availableFolders.includes(folder)) files[filePath] = stats;
+  }
+  saveSnapshot(files);
+
+  console.log('[WatchedFolders] Reconciled:', summary);
+  return summary;
+}
+
+/**
+ * Bring the library in line with the watched folders
+ * Passes never overlap; a request during a pass queues one more.
+ * @returns {Promise<{ added, moved, updated, missing, restored }>}
+ */
+async function reconcile() {
+  if (!libraryPath) return null;
+  if (reconciling) {
+    reconcileAgain = true;
+    return reconciling;
+  }
+
+  reconciling = (async () => {
+    let summary = null;
+    try {
+      do {
+        reconcileAgain = false;
+        summary = await runReconcile();
+        const changed = Object.values(summary).some(count => count > 0);
+        if (changed && onReconciled) onReconciled(summary);
+      } while (reconcileAgain);
+    } catch (err) {
+      console.error('[WatchedFolders] Reconcile failed:', err);
+    } finally {
+      reconciling = null;
+    }
+    return summary;
+  })();
+
+  return reconciling;
+}
+
+function scheduleReconcile() {
+  clearTimeout(reconcileTimer);
+  reconcileTimer = setTimeout(reconcile, RECONCILE_DELAY_MS);
+}
+
+/**
+ * Stop watching
+ */
+function stop() {
+  clearTimeout(reconcileTimer);
+  reconcileTimer = null;
+  for (const watcher of watchers) {
+    watcher.close();
+  }
+  watchers = [];
+}
+
+/**
+ * Watch the library's folders and reconcile once
+ * Safe to call again after the folder list changes.
+ * @param {function} options.onReconciled - called with the summary when anything changed
+ */
+function start(libPath, options = {}) {
+  stop();
+  libraryPath = libPath;
+  onReconciled = options.onReconciled || null;
+
+  const folders = getWatchedFolders(libPath);
+  for (const folder of folders) {
+    if (!fs.existsSync(folder)) {
+      console.warn('[WatchedFolders] Not available:', folder);
+      continue;
+    }
+    try {
+      const watcher = fs.watch(folder, { recursive: true }, scheduleReconcile);
+      watcher.on('error', err => console.error(`[WatchedFolders] Watch error on ${folder}:`, err.message));
+      watchers.push(watcher);
+    } catch (err) {
+      console.error(`[WatchedFolders] Could not watch ${folder}:`, err.message);
+    }
+  }
+
+  if (folders.length > 0) {
+    console.log(`[WatchedFolders] Watching ${watchers.length}/${folders.length} folders`);
+    scheduleReconcile();
+  }
+}
+
+module.exports = {
+  getWatchedFolders,
+  setWatchedFolders,
+  reconcile,
+  start,
+  stop
+};
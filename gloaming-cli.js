@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+/**
+ * The Gloaming - Command Line
+ *
+ * Library work without launching Electron, so bulk ingestion can be
+ * scripted on a headless box.
+ *
+ * Usage:
+ *   node gloaming-cli.js <command> [options]
+ *
+ * Commands:
+ *   import <path...>              Import files and folders (creates the library if needed)
+ *     --mode copy|reference         Copy into the library or reference in place
+ *                                   (default: the library's import setting)
+ *     --duplicates skip|replace|keep
+ *                                   Duplicates of library tracks or within the drop (default: skip)
+ *     --dry-run                     Show the records it would make; write nothing
+ *   verify                        Check the library's files agree with each other
+ *     --checksums                   Also re-hash the audio against what was imported (slow)
+ *   list [records|cassettes]      List records (the default) or cassettes
+ *   export <id|name>              Write a record or cassette as a playlist
+ *     --out <file>                  .m3u8 or .xspf (default: M3U8 on stdout)
+ *     --relative                    Paths relative to the playlist file
+ *
+ * Options:
+ *   --library <path>              Library to use (default: ~/Music/The Gloaming.library)
+ *   --json                        Results as JSON on stdout
+ *   --verbose                     Show the library's own logging (on stderr)
+ *
+ * Exit codes: 0 done, 1 failed or problems found, 2 bad usage, 130 cancelled.
+ * Smart cassettes resolve without listening history - rules drawing on the
+ * Ledgers come out empty here.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const {
+  DEFAULT_LIBRARY_PATH,
+  libraryExists,
+  initializeLibrary,
+  getLibraryPaths,
+  readCollection,
+  listCollections,
+  readTrackMetadata,
+  getTrackAudioPath,
+  generateUUID,
+  shuffleArray
+} = require('./electron/library');
+const { importFiles } = require('./electron/import');
+const { verifyLibrary } = require('./electron/libraryVerify');
+const playlists = require('./electron/playlists');
+const programs = require('./electron/programs');
+const facetIndex = require('./electron/facetIndex');
+
+const VALUE_FLAGS = ['library', 'mode', 'duplicates', 'out'];
+const BOOLEAN_FLAGS = ['json', 'verbose', 'dry-run', 'checksums', 'relative', 'help'];
+const IMPORT_MODES = ['copy', 'reference'];
+const DUPLICATE_ACTIONS = ['skip', 'replace', 'keep'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (VALUE_FLAGS.includes(name)) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value`);
+      flags[name] = value;
+    } else if (BOOLEAN_FLAGS.includes(name)) {
+      flags[name] = true;
+    } else {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+  }
+  return { command: positional[0], args: positional.slice(1), flags };
+}
+
+function printUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  const usage = source.slice(source.indexOf(' * Usage:'), source.indexOf(' */'));
+  process.stdout.write(usage.replace(/^ \* ?/gm, '') + '\n');
+}
+
+function print(line) {
+  process.stdout.write(`${line}\n`);
+}
+
+function writeJson(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+function openLibrary(libraryPath) {
+  if (!libraryExists(libraryPath)) {
+    throw new Error(`No library at ${libraryPath}`);
+  }
+}
+
+// Smart cassettes need the programs engine (without ledgers - see header)
+function loadPrograms(libraryPath) {
+  facetIndex.buildIndex(libraryPath);
+  programs.initialize(libraryPath, {
+    getLibraryPaths,
+    readCollection,
+    listCollections,
+    readTrackMetadata,
+    getTrackAudioPath,
+    generateUUID,
+    shuffleArray
+  }, facetIndex, null);
+}
+
+// Progress on stderr: one rewritten line on a terminal, one line per message otherwise
+function createProgressPrinter() {
+  let lastMessage = null;
+  return (progress) => {
+    const pct = progress.progress ? ` (${Math.round(progress.progress * 100)}%)` : '';
+    if (process.stderr.isTTY) {
+      process.stderr.write(`\r\x1b[K${progress.message}${pct}`);
+    } else if (progress.message !== lastMessage) {
+      process.stderr.write(`${progress.message}\n`);
+    }
+    lastMessage = progress.message;
+  };
+}
+
+// ============================================
+// Commands
+// ============================================
+
+async function runImport(args, flags, libraryPath) {
+  if (args.length === 0) throw new UsageError('import needs at least one file or folder');
+  if (flags.mode && !IMPORT_MODES.includes(flags.mode)) {
+    throw new UsageError(`--mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+  const duplicateAction = flags.duplicates || 'skip';
+  if (!DUPLICATE_ACTIONS.includes(duplicateAction)) {
+    throw new UsageError(`--duplicates must be one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+  }
+
+  const inputPaths = args.map(arg => path.resolve(arg));
+  const notFound = inputPaths.filter(inputPath => !fs.existsSync(inputPath));
+  if (notFound.length > 0) throw new Error(`Not found: ${notFound.join(', ')}`);
+
+  if (!libraryExists(libraryPath)) {
+    if (flags['dry-run']) throw new Error(`No library at ${libraryPath} - import without --dry-run to create it`);
+    initializeLibrary(libraryPath);
+  }
+
+  // Ctrl-C rolls back the record being imported; finished ones stay
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    process.stderr.write('\nCancelling...\n');
+    controller.abort();
+  });
+
+  const printProgress = flags.json ? () => {} : createProgressPrinter();
+  const options = {
+    mode: flags.mode,
+    dryRun: !!flags['dry-run'],
+    signal: controller.signal,
+    onProgress: printProgress
+  };
+
+  let result = await importFiles(inputPaths, libraryPath, options);
+  if (result.needsDecision) {
+    const duplicateActions = Object.fromEntries(
+      result.duplicates.map(duplicate => [duplicate.sourcePath, duplicateAction])
+    );
+    result = await importFiles(inputPaths, libraryPath, { ...options, duplicateActions });
+  }
+  if (!flags.json && process.stderr.isTTY) process.stderr.write('\n');
+
+  if (result.error) {
+    const details = (result.errors || []).map(err => `\n  ${err.path || err.file}: ${err.error}`).join('');
+    throw new Error(result.error + details);
+  }
+  return options.dryRun ? reportPreview(result, duplicateAction, flags) : reportImport(result, flags);
+}
+
+function reportPreview({ preview, duplicates, unsupported = [], mode }, duplicateAction, flags) {
+  const duplicateKeys = new Set(duplicates.map(d => d.sourcePath));
+  const groups = preview.groups.map(group => ({
+    album: group.album,
+    albumArtist: group.albumArtist,
+    record: group.record,
+    cover: group.cover?.source || null,
+    tracks: group.tracks.map(({ key, ...track }) => ({
+      ...track,
+      sourcePath: key,
+      action: duplicateKeys.has(key) ? duplicateAction : 'import'
+    }))
+  }));
+
+  if (flags.json) {
+    writeJson({ dryRun: true, mode, duplicateAction, groups, duplicates, unsupported });
+    return 0;
+  }
+
+  const trackCount = groups.reduce((sum, group) => sum + group.tracks.filter(t => t.action !== 'skip').length, 0);
+  print(`Would import ${trackCount} track${trackCount !== 1 ? 's' : ''} (${mode}) into ${groups.length} record${groups.length !== 1 ? 's' : ''}:`);
+  for (const group of groups) {
+    const target = group.record ? 'add to' : 'new';
+    print(`\n  [${target}] ${group.albumArtist} - ${group.album}${group.cover ? '  (cover: ' + group.cover + ')' : ''}`);
+    for (const track of group.tracks) {
+      const number = track.trackNumber ? String(track.trackNumber).padStart(2, ' ') + '. ' : '    ';
+      const note = track.action === 'import' ? '' : `  [duplicate - ${track.action}]`;
+      print(`      ${number}${track.title}${track.artist ? ' - ' + track.artist : ''}${note}`);
+    }
+  }
+  if (unsupported.length > 0) print(`\nCan't import:`);
+  for (const err of unsupported) {
+    print(`  ${err.path || err.file}: ${err.error}`);
+  }
+  return 0;
+}
+
+function reportImport(result, flags) {
+  if (flags.json) {
+    writeJson(result);
+  } else {
+    if (result.cancelled) {
+      print(`Cancelled: ${result.imported} tracks kept, ${result.rolledBack || 0} rolled back`);
+    } else {
+      print(`Imported ${result.imported} track${result.imported !== 1 ? 's' : ''}`);
+    }
+    if (result.skipped) print(`Skipped ${result.skipped} duplicate${result.skipped !== 1 ? 's' : ''}`);
+    if (result.replaced) print(`Replaced ${result.replaced} library copies`);
+    for (const record of result.records) {
+      print(`  ${record.isNew ? 'new    ' : 'added  '} ${record.artist} - ${record.name} (${record.trackCount} tracks)  ${record.id}`);
+    }
+    for (const err of result.errors || []) {
+      print(`  failed  ${err.path || err.file}: ${err.error}`);
+    }
+    if (result.journalId) print(`Journal ${result.journalId} - undo it from Settings > Recent Imports`);
+  }
+
+  if (result.cancelled) return 130;
+  return result.failed > 0 ? 1 : 0;
+}
+
+async function runVerify(args, flags, libraryPath) {
+  openLibrary(libraryPath);
+  const printProgress = flags.json ? () => {} : createProgressPrinter();
+  const result = await verifyLibrary(libraryPath, {
+    checksums: !!flags.checksums,
+    onProgress: ({ done, total }) => printProgress({ message: `Checking audio ${done}/${total}` })
+  });
+  if (!flags.json && flags.checksums && process.stderr.isTTY) process.stderr.write('\n');
+
+  if (flags.json) {
+    writeJson({ ok: result.problems.length === 0, ...result });
+  } else {
+    print(`${result.trackCount} tracks, ${result.recordCount} records, ${result.mixtapeCount} cassettes`);
+    if (result.problems.length === 0) {
+      print(result.checksums ? 'No problems found (audio checked)' : 'No problems found');
+    } else {
+      print(`${result.problems.length} problem${result.problems.length !== 1 ? 's' : ''}:`);
+      for (const problem of result.problems) {
+        print(`  ${problem.kind.padEnd(18)} ${problem.id}  ${problem.message}${problem.path ? '\n' + ' '.repeat(21) + problem.path : ''}`);
+      }
+    }
+  }
+  return result.problems.length === 0 ? 0 : 1;
+}
+
+async function runList(args, flags, libraryPath) {
+  const kind = args[0] || 'records';
+  if (!['records', 'cassettes'].includes(kind)) throw new UsageError('list takes records or cassettes');
+  openLibrary(libraryPath);
+
+  let items;
+  if (kind === 'records') {
+    items = listCollections(libraryPath, 'album')
+      .map(record => ({
+        id: record.id,
+        artist: record.artist || null,
+        name: record.name,
+        releaseDate: record.releaseDate || null,
+        trackCount: record.tracks?.length || 0
+      }))
+      .sort((a, b) => `${a.artist} ${a.name}`.localeCompare(`${b.artist} ${b.name}`));
+  } else {
+    loadPrograms(libraryPath);
+    items = listCollections(libraryPath, 'mixtape')
+      .map(mixtape => ({
+        id: mixtape.id,
+        name: mixtape.name,
+        smart: !!mixtape.smart,
+        trackCount: programs.getMixtapeTrackIds(mixtape).length
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  if (flags.json) {
+    writeJson(items);
+  } else {
+    for (const item of items) {
+      const title = kind === 'records'
+        ? `${item.artist || '[Unknown Artist]'} - ${item.name}${item.releaseDate ? ` (${String(item.releaseDate).slice(0, 4)})` : ''}`
+        : `${item.name}${item.smart ? ' [smart]' : ''}`;
+      print(`${item.id}  ${title}  ${item.trackCount} tracks`);
+    }
+  }
+  return 0;
+}
+
+async function runExport(args, flags, libraryPath) {
+  const query = args.join(' ');
+  if (!query) throw new UsageError('export needs a record or cassette ID or name');
+  openLibrary(libraryPath);
+
+  const matches = listCollections(libraryPath).filter(collection =>
+    (collection.type === 'album' || collection.type === 'mixtape') &&
+    (collection.id === query || (collection.name || '').toLowerCase() === query.toLowerCase())
+  );
+  if (matches.length === 0) throw new Error(`No record or cassette called "${query}"`);
+  if (matches.length > 1) {
+    throw new Error(`"${query}" is ambiguous - use an ID:\n${matches.map(c => `  ${c.id}  ${c.artist ? c.artist + ' - ' : ''}${c.name}`).join('\n')}`);
+  }
+
+  const collection = matches[0];
+  if (collection.type === 'mixtape') loadPrograms(libraryPath);
+  const tracks = playlists.getCollectionTracks(libraryPath, collection, programs.getMixtapeTrackIds);
+  if (tracks.length === 0) throw new Error('Nothing to export');
+
+  const creator = collection.type === 'album' ? collection.artist : null;
+  if (!flags.out) {
+    if (flags.json) {
+      writeJson({ id: collection.id, name: collection.name, tracks });
+    } else {
+      process.stdout.write(playlists.buildPlaylist('m3u8', collection.name, tracks.map(track => ({ ...track, location: track.audioPath })), creator));
+    }
+    return 0;
+  }
+
+  const filePath = path.resolve(flags.out);
+  const format = playlists.getPlaylistFormat(filePath);
+  const entries = tracks.map(track => ({
+    ...track,
+    location: playlists.getEntryLocation(track.audioPath, filePath, flags.relative ? 'relative' : 'absolute')
+  }));
+  fs.writeFileSync(filePath, playlists.buildPlaylist(format, collection.name, entries, creator), 'utf8');
+
+  if (flags.json) {
+    writeJson({ filePath, format, trackCount: entries.length });
+  } else {
+    print(`Wrote ${entries.length} tracks to ${filePath}`);
+  }
+  return 0;
+}
+
+const COMMANDS = {
+  import: runImport,
+  verify: runVerify,
+  list: runList,
+  export: runExport
+};
+
+async function main() {
+  const { command, args, flags } = parseArgs(process.argv.slice(2));
+  if (flags.help || !command) {
+    printUsage();
+    return command || flags.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`);
+
+  // The library modules log freely; stdout is kept for results
+  console.log = flags.verbose ? (...values) => console.error(...values) : () => {};
+
+  const libraryPath = path.resolve(flags.library || DEFAULT_LIBRARY_PATH);
+  return COMMANDS[command](args, flags, libraryPath);
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(err => {
+    process.stderr.write(`${err instanceof UsageError ? 'Usage: ' : 'Error: '}${err.message}\n`);
+    if (err instanceof UsageError) process.stderr.write('Run with --help for commands and options\n');
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  });
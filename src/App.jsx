@@ -53,6 +53,7 @@ function App() {
   const [playbackHistory, setPlaybackHistory] = useState([]); // For previous track
   const [activeProgramId, setActiveProgramId] = useState(null); // For continuous program playback
   const [activeProgramName, setActiveProgramName] = useState(null); // Program name for source display
+  const [activeProgramRunId, setActiveProgramRunId] = useState(null); // Main-side run state (play counts, module position)
   const [isGeneratingTracks, setIsGeneratingTracks] = useState(false); // Prevent duplicate requests
   const [viewingProgramId, setViewingProgramId] = useState(null); // For navigating to a specific program
   
@@ -60,6 +61,9 @@ function App() {
   const [theme, setTheme] = useState('cabinet');
   const [showAlbumLabels, setShowAlbumLabels] = useState(false);
   const [visualizerSync, setVisualizerSync] = useState(30); // ms lookahead (0-200)
+  const [importMode, setImportMode] = useState('copy'); // 'copy' | 'reference'
+  const [watchedFolders, setWatchedFolders] = useState([]); // [{ path, available }]
+  const [syncTagsOnEdit, setSyncTagsOnEdit] = useState(false); // Write Panopticon edits into file tags
 
   // Panopticon initial selection state (consumed when switching to PANOPTICON view)
   const [panopticonInitialId, setPanopticonInitialId] = useState(null); // Attachment ID
@@ -114,6 +118,88 @@ function App() {
     }
   }, []);
 
+  // Import mode: copy files into the library, or reference them in place
+  const handleImportModeChange = useCallback(async (mode) => {
+    setImportMode(mode);
+    if (!ipcRenderer) return;
+
+    try {
+      await ipcRenderer.invoke('set-import-mode', mode);
+      console.log('Saved importMode:', mode);
+    } catch (err) {
+      console.error('Failed to save importMode:', err);
+    }
+  }, []);
+
+  // Opt-in: Panopticon edits are also written into the audio files' tags
+  const handleSyncTagsOnEditChange = useCallback(async (enabled) => {
+    setSyncTagsOnEdit(enabled);
+    if (!ipcRenderer) return;
+
+    try {
+      const config = await ipcRenderer.invoke('get-library-config');
+      const updatedConfig = {
+        ...config,
+        settings: {
+          ...config?.settings,
+          syncTagsOnEdit: enabled
+        }
+      };
+      await ipcRenderer.invoke('save-library-config', updatedConfig);
+      console.log('Saved syncTagsOnEdit:', enabled);
+    } catch (err) {
+      console.error('Failed to save syncTagsOnEdit:', err);
+    }
+  }, []);
+
+  // Write every record's metadata into its files now
+  const handleSyncLibraryTags = useCallback(async () => {
+    if (!ipcRenderer) return null;
+    return ipcRenderer.invoke('panopticon:sync-library-tags');
+  }, []);
+
+  const handleListImports = useCallback(async () => {
+    if (!ipcRenderer) return [];
+    const result = await ipcRenderer.invoke('list-import-journals');
+    return result?.success ? result.journals : [];
+  }, []);
+
+  const handleUndoImport = useCallback(async (journalId) => {
+    if (!ipcRenderer) return null;
+    const result = await ipcRenderer.invoke('undo-import', journalId);
+    if (result?.success) {
+      refreshAlbums();
+    }
+    return result;
+  }, []);
+
+  const handleAddWatchedFolder = useCallback(async () => {
+    if (!ipcRenderer) return;
+    const result = await ipcRenderer.invoke('add-watched-folder');
+    if (result?.success) {
+      setWatchedFolders(result.folders);
+    } else if (result?.error) {
+      console.error('Failed to add watched folder:', result.error);
+    }
+  }, []);
+
+  const handleRemoveWatchedFolder = useCallback(async (folderPath) => {
+    if (!ipcRenderer) return;
+    const result = await ipcRenderer.invoke('remove-watched-folder', folderPath);
+    if (result?.success) {
+      setWatchedFolders(result.folders);
+    }
+  }, []);
+
+  const handleRescanWatchedFolders = useCallback(async () => {
+    if (!ipcRenderer) return;
+    await ipcRenderer.invoke('rescan-watched-folders');
+    const result = await ipcRenderer.invoke('get-watched-folders');
+    if (result?.success) {
+      setWatchedFolders(result.folders);
+    }
+  }, []);
+
   // GridView persisted state (survives tab switches)
   const [gridViewState, setGridViewState] = useState({
     filterMode: 'all',
@@ -334,6 +420,13 @@ function App() {
         await ipcRenderer.invoke('audio:setLookahead', config.settings.visualizerSync / 1000);
         console.log('Loaded visualizerSync:', config.settings.visualizerSync);
       }
+      setSyncTagsOnEdit(config?.settings?.syncTagsOnEdit === true);
+
+      const sources = await ipcRenderer.invoke('get-watched-folders');
+      if (sources?.success) {
+        setImportMode(sources.importMode);
+        setWatchedFolders(sources.folders);
+      }
     } catch (err) {
       console.error('Failed to load library:', err);
       setLibraryError(err.message);
@@ -347,6 +440,22 @@ function App() {
     loadLibrary();
   }, [loadLibrary]);
 
+  // Watched folders changed the library - pick up new, moved and missing tracks
+  useEffect(() => {
+    if (!ipcRenderer) return;
+
+    const handleReconciled = (event, summary) => {
+      console.log('Watched folders reconciled:', summary);
+      loadLibrary();
+    };
+
+    ipcRenderer.on('watched-folders-reconciled', handleReconciled);
+
+    return () => {
+      ipcRenderer.removeListener('watched-folders-reconciled', handleReconciled);
+    };
+  }, [loadLibrary]);
+
   // Load session state after library is loaded (runs only once)
   useEffect(() => {
     async function loadSessionState() {
@@ -367,6 +476,16 @@ function App() {
             if (s.currentTime && s.currentTime > 0) {
               setTimeout(() => seek(s.currentTime), 100);
             }
+
+            // Resume a program that was on air - the continuation effect
+            // below asks the main-side run for its next cycle
+            if (s.activeProgram?.runId) {
+              setQueue([{ ...s.currentTrack, queueId: `program-resume-${Date.now()}` }]);
+              setQueuePosition(0);
+              setActiveProgramId(s.activeProgram.programId);
+              setActiveProgramName(s.activeProgram.programName);
+              setActiveProgramRunId(s.activeProgram.runId);
+            }
           }
 
           // Restore view states (with migration for legacy lpsOnly)
@@ -398,6 +517,23 @@ function App() {
     loadSessionState();
   }, [appState, libraryLoading, loadTrack, seek, sessionLoaded]);
 
+  // Program on air, persisted so the run can resume after a restart
+  const activeProgramSession = useMemo(() => (
+    activeProgramRunId
+      ? { runId: activeProgramRunId, programId: activeProgramId, programName: activeProgramName }
+      : null
+  ), [activeProgramRunId, activeProgramId, activeProgramName]);
+
+  // Release the main-side run when a program goes off air or is replaced
+  const previousRunIdRef = useRef(null);
+  useEffect(() => {
+    const previous = previousRunIdRef.current;
+    if (previous && previous !== activeProgramRunId && ipcRenderer) {
+      ipcRenderer.invoke('end-program-run', previous);
+    }
+    previousRunIdRef.current = activeProgramRunId;
+  }, [activeProgramRunId]);
+
   // Save session helper
   const saveSessionState = useCallback(async (data) => {
     if (!ipcRenderer || !sessionLoaded) return;
@@ -423,7 +559,8 @@ function App() {
       saveSessionState({
         gridViewState,
         mixtapesViewState,
-        currentTrack: nowPlaying
+        currentTrack: nowPlaying,
+        activeProgram: activeProgramSession
       });
     }, 2000);
 
@@ -442,9 +579,10 @@ function App() {
       gridViewState,
       mixtapesViewState,
       currentTrack: nowPlaying,
-      currentTime: currentTime
+      currentTime: currentTime,
+      activeProgram: activeProgramSession
     });
-  }, [nowPlaying, sessionLoaded]); // eslint-disable-line react-hooks/exhaustive-deps
+  }, [nowPlaying, sessionLoaded, activeProgramRunId]); // eslint-disable-line react-hooks/exhaustive-deps
 
   // Save session before window closes
   useEffect(() => {
@@ -456,13 +594,14 @@ function App() {
         gridViewState,
         mixtapesViewState,
         currentTrack: nowPlaying,
-        currentTime: currentTime
+        currentTime: currentTime,
+        activeProgram: activeProgramSession
       });
     };
 
     window.addEventListener('beforeunload', handleBeforeUnload);
     return () => window.removeEventListener('beforeunload', handleBeforeUnload);
-  }, [gridViewState, mixtapesViewState, nowPlaying]);
+  }, [gridViewState, mixtapesViewState, nowPlaying, activeProgramSession]);
 
   // Load facets, mixtapes, and programs for search
   useEffect(() => {
@@ -686,11 +825,15 @@ function App() {
   }, [searchActive, contextMenu, selectedTrackIds.size, hideContextMenu, clearSelection, togglePlayPause, importModalOpen, deleteConfirm]);
 
   // Add track to queue - use functional update and add unique queueId
+  // Hand-queued tracks are ledgered as played from the queue
   const handleAddToQueue = useCallback((track) => {
     const queueItem = {
       ...track,
       queueId: `added-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      audioPath: track.audioPath || track.path
+      audioPath: track.audioPath || track.path,
+      sourceType: 'queue',
+      sourceId: null,
+      sourceName: null
     };
     setQueue(prevQueue => [...prevQueue, queueItem]);
   }, []);
@@ -863,6 +1006,7 @@ function App() {
     // Clear active program when playing from a non-program source
     // (This stops continuous program track generation)
     setActiveProgramId(null);
+    setActiveProgramRunId(null);
 
     const trackWithMeta = {
       ...track,
@@ -949,9 +1093,10 @@ function App() {
     const programId = program?.id || program;
     const programName = program?.name || null;
 
-    // Store the program ID and name for continuous playback
+    // Store the program ID, name and run for continuous playback
     setActiveProgramId(programId);
     setActiveProgramName(programName);
+    setActiveProgramRunId(program?.runId || null);
 
     // Source metadata for these tracks
     const sourceInfo = programId ? {
@@ -1004,8 +1149,16 @@ function App() {
       const generateMoreTracks = async () => {
         setIsGeneratingTracks(true);
         try {
-          console.log('[App] Queue low, generating more tracks from program:', activeProgramId);
-          const result = await ipcRenderer.invoke('run-program', { programId: activeProgramId });
+          console.log('[App] Queue low, asking program for its next cycle:', activeProgramId);
+          let result = activeProgramRunId
+            ? await ipcRenderer.invoke('continue-program-run', { runId: activeProgramRunId })
+            : null;
+
+          // Run is gone (e.g. library switched) - start a fresh one
+          if (!result?.success) {
+            result = await ipcRenderer.invoke('run-program', { programId: activeProgramId });
+            if (result.success) setActiveProgramRunId(result.runId);
+          }
 
           if (result.success && result.tracks.length > 0) {
             // Add new tracks to the queue with source metadata
@@ -1031,11 +1184,18 @@ function App() {
             // Clear active program on error to prevent infinite retries
             setActiveProgramId(null);
             setActiveProgramName(null);
+            setActiveProgramRunId(null);
+          } else {
+            // Nothing left to play - stop asking
+            setActiveProgramId(null);
+            setActiveProgramName(null);
+            setActiveProgramRunId(null);
           }
         } catch (err) {
           console.error('[App] Error generating tracks:', err);
           setActiveProgramId(null);
           setActiveProgramName(null);
+          setActiveProgramRunId(null);
         } finally {
           setIsGeneratingTracks(false);
         }
@@ -1043,7 +1203,7 @@ function App() {
 
       generateMoreTracks();
     }
-  }, [queue.length, queuePosition, activeProgramId, isGeneratingTracks]);
+  }, [queue.length, queuePosition, activeProgramId, activeProgramRunId, isGeneratingTracks]);
   
   // Play entire album - clears queue and starts fresh
   const handlePlayAlbum = async (album) => {
@@ -1145,7 +1305,8 @@ function App() {
             handleAlbumSelect(album);
           }}
           onTrackSelect={(track) => {
-            handleTrackSelect(track);
+            // Remember it was found by search, should it be played from the Inspector
+            handleTrackSelect({ ...track, sourceType: 'search', sourceId: null, sourceName: searchQuery });
           }}
           onFacetSelect={(facetName) => {
             setSearchActive(false);
@@ -1197,7 +1358,10 @@ function App() {
                 album: album.title,
                 albumArt: t.trackThumbnailPath || t.trackCoverPath || album.thumbnailPath || album.coverPath,
                 albumId: album.id,
-                audioPath: t.audioPath || t.path
+                audioPath: t.audioPath || t.path,
+                sourceType: 'roam',
+                sourceId: album.id,
+                sourceName: album.title
               }));
               // Load first track, then set full queue
               await loadTrack(tracksWithMeta[0], true);
@@ -1277,7 +1441,10 @@ function App() {
             // Build full queue (position-based model)
             const fullQueue = shuffled.map((t, i) => ({
               ...t,
-              queueId: `facet-roam-${Date.now()}-${i}`
+              queueId: `facet-roam-${Date.now()}-${i}`,
+              sourceType: 'roam',
+              sourceId: viewingFacet,
+              sourceName: viewingFacet
             }));
             await loadTrack(fullQueue[0], true);
             setQueue(fullQueue);
@@ -1442,7 +1609,10 @@ function App() {
               // Add queueIds after shuffle (position-based model)
               const tracksWithIds = allTracks.map((t, i) => ({
                 ...t,
-                queueId: `roam-group-${Date.now()}-${i}`
+                queueId: `roam-group-${Date.now()}-${i}`,
+                sourceType: 'roam',
+                sourceId: groupName,
+                sourceName: groupName
               }));
 
               // Load first track, then set full queue
@@ -1503,6 +1673,14 @@ function App() {
             const items = buildRecordContextMenu(fullAlbum, 'grid');
             showContextMenu(e, items);
           }}
+          onFacetSelect={(facetName) => {
+            setViewingFacet(facetName);
+            setCurrentView('FACETS');
+          }}
+          onMixtapeSelect={(mixtape) => {
+            setViewingMixtape(mixtape);
+            setCurrentView('MIXTAPES');
+          }}
         />;
       case 'CONFIGURATION':
         return <ConfigurationView
@@ -1510,6 +1688,17 @@ function App() {
           onShowAlbumLabelsChange={handleShowAlbumLabelsChange}
           visualizerSync={visualizerSync}
           onVisualizerSyncChange={handleVisualizerSyncChange}
+          importMode={importMode}
+          onImportModeChange={handleImportModeChange}
+          watchedFolders={watchedFolders}
+          onAddWatchedFolder={handleAddWatchedFolder}
+          onRemoveWatchedFolder={handleRemoveWatchedFolder}
+          onRescanWatchedFolders={handleRescanWatchedFolders}
+          syncTagsOnEdit={syncTagsOnEdit}
+          onSyncTagsOnEditChange={handleSyncTagsOnEditChange}
+          onSyncLibraryTags={handleSyncLibraryTags}
+          onListImports={handleListImports}
+          onUndoImport={handleUndoImport}
           onReturnToFoyer={handleReturnToFoyer}
         />;
       case 'PANOPTICON':
@@ -1679,6 +1868,7 @@ function App() {
             stop();
             setActiveProgramId(null);
             setActiveProgramName(null);
+            setActiveProgramRunId(null);
           }}
           onTrackContextMenu={(e, track, context) => {
             const items = buildTrackContextMenu(track, context);
@@ -11,6 +11,14 @@
 
 const { ipcRenderer } = window.require ? window.require('electron') : {};
 
+/**
+ * The part of its file a track plays, in seconds. CUE sheet tracks are a
+ * span of a disc image; everything else is the whole file (end null).
+ */
+function getTrackSpan(track) {
+  return { start: track?.cue?.start || 0, end: track?.cue?.end ?? null };
+}
+
 class AudioEngine {
   constructor() {
     // Backend selection (set during initialize)
@@ -294,11 +302,21 @@ class AudioEngine {
 
     if (this.useNativeAudio) {
       // Native backend
-      await ipcRenderer.invoke('audio:load', {
+      const loadResult = await ipcRenderer.invoke('audio:load', {
         id: track.id,
-        audioPath: audioPath
+        audioPath: audioPath,
+        ...getTrackSpan(track)
       });
 
+      // Missing file (referenced track on an unplugged disk) - report, don't play
+      if (loadResult?.missing) {
+        console.warn('[AudioEngine] Audio file missing:', audioPath);
+        this.isPlaying = false;
+        this.onStateChange?.({ isPlaying: false, track });
+        this.onError?.({ message: loadResult.error, missing: true, track });
+        return;
+      }
+
       if (autoPlay) {
         await ipcRenderer.invoke('audio:play');
         this.isPlaying = true;
@@ -320,12 +338,14 @@ class AudioEngine {
 
       const src = audioPath.startsWith('local://') ? audioPath : `local://${audioPath}`;
       audio.src = src;
+      audio.span = getTrackSpan(track);
 
       this.connectToGraph(audio);
       this.addListeners(audio);
 
       try {
         audio.load();
+        await this.cueToSpanStart(audio);
         if (autoPlay) {
           await audio.play();
           this.isPlaying = true;
@@ -378,7 +398,8 @@ class AudioEngine {
       console.log('[AudioEngine] Preloading (native):', track.title, '| id:', track.id, '| path:', audioPath);
       const result = await ipcRenderer.invoke('audio:preload', {
         id: track.id,
-        audioPath: audioPath
+        audioPath: audioPath,
+        ...getTrackSpan(track)
       });
       console.log('[AudioEngine] Preload result:', result);
     } else {
@@ -398,10 +419,12 @@ class AudioEngine {
 
       const src = audioPath.startsWith('local://') ? audioPath : `local://${audioPath}`;
       audio.src = src;
+      audio.span = getTrackSpan(track);
 
       this.connectToGraph(audio);
       audio.addEventListener('canplaythrough', this.handleCanPlayThrough);
       audio.load();
+      this.cueToSpanStart(audio);
 
       console.log('[AudioEngine] Preloading:', track.title);
     }
@@ -456,7 +479,7 @@ class AudioEngine {
 
       // Reset time immediately so progress bar shows 0 before playback starts
       this.currentTime = 0;
-      this.onTimeUpdate?.({ currentTime: 0, duration: nextAudio.duration || 0 });
+      this.onTimeUpdate?.({ currentTime: 0, duration: this.getSpanDuration(nextAudio) });
 
       try {
         await nextAudio.play();
@@ -544,7 +567,8 @@ class AudioEngine {
     } else {
       const audio = this.getActiveAudio();
       if (audio) {
-        audio.currentTime = Math.max(0, Math.min(time, audio.duration || 0));
+        const { start } = audio.span || getTrackSpan(null);
+        audio.currentTime = start + Math.max(0, Math.min(time, this.getSpanDuration(audio)));
       }
     }
   }
@@ -560,7 +584,7 @@ class AudioEngine {
     } else {
       const audio = this.getActiveAudio();
       if (audio && audio.duration) {
-        await this.seek((percent / 100) * audio.duration);
+        await this.seek((percent / 100) * this.getSpanDuration(audio));
       }
     }
   }
@@ -596,8 +620,8 @@ class AudioEngine {
       return {
         isPlaying: this.isPlaying,
         currentTrack: this.currentTrack,
-        currentTime: audio?.currentTime || 0,
-        duration: audio?.duration || 0,
+        currentTime: audio ? this.getSpanTime(audio) : 0,
+        duration: audio ? this.getSpanDuration(audio) : 0,
         volume: this.volume,
         nextTrackReady: this.nextTrackReady
       };
@@ -653,12 +677,59 @@ class AudioEngine {
 
   handleTimeUpdate(e) {
     const audio = e.target;
-    this.currentTime = audio.currentTime;
-    this.duration = audio.duration;
+
+    // A span ends before its file does. timeupdate fires every ~250ms, so
+    // the fallback backend can run slightly into the next CUE track.
+    const end = audio.span?.end ?? null;
+    if (end !== null && audio.currentTime >= end) {
+      audio.pause();
+      this.handleTrackEnded(e);
+      return;
+    }
+
+    this.currentTime = this.getSpanTime(audio);
+    this.duration = this.getSpanDuration(audio);
 
     this.onTimeUpdate?.({
-      currentTime: audio.currentTime,
-      duration: audio.duration
+      currentTime: this.currentTime,
+      duration: this.duration
+    });
+  }
+
+  // Position and length within the element's span (the whole file for most tracks)
+  getSpanTime(audio) {
+    const { start } = audio.span || getTrackSpan(null);
+    return Math.max(0, (audio.currentTime || 0) - start);
+  }
+
+  getSpanDuration(audio) {
+    const { start, end } = audio.span || getTrackSpan(null);
+    const duration = (end ?? audio.duration) - start;
+    return isFinite(duration) ? Math.max(0, duration) : 0;
+  }
+
+  /**
+   * Move an element to its span's start once its metadata is in
+   * Resolves straight away for whole files.
+   */
+  cueToSpanStart(audio) {
+    const start = audio.span?.start || 0;
+    if (!start) return Promise.resolve();
+
+    return new Promise(resolve => {
+      if (audio.readyState >= 1) {
+        audio.currentTime = start;
+        resolve();
+        return;
+      }
+      const onReady = () => {
+        audio.removeEventListener('loadedmetadata', onReady);
+        audio.removeEventListener('error', onReady);
+        if (audio.readyState >= 1) audio.currentTime = start;
+        resolve();
+      };
+      audio.addEventListener('loadedmetadata', onReady);
+      audio.addEventListener('error', onReady);
     });
   }
 
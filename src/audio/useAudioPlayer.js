@@ -18,6 +18,25 @@ import audioEngine from './AudioEngine';
 // Get Electron IPC if available
 const { ipcRenderer } = window.require ? window.require('electron') : {};
 
+// Where a queued track's playback came from, for the ledgers.
+// Queue items carry sourceType/sourceId when they came from a mixtape,
+// Program, roam, search or the queue; anything else was played from its record.
+function listenContext(track) {
+  if (track.sourceType) {
+    return { contextType: track.sourceType, contextId: track.sourceId || null };
+  }
+  return { contextType: 'record', contextId: track.albumId || null };
+}
+
+// How a listening session ended, for the ledgers
+function listenOutcome(session, completed) {
+  return {
+    completed,
+    skipPosition: completed ? null : session.position,
+    trackDuration: session.trackDuration
+  };
+}
+
 function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddToHistory, onError } = {}) {
   // Reactive state
   const [isPlaying, setIsPlaying] = useState(false);
@@ -34,6 +53,10 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
     trackId: null,
     albumId: null,
     artist: null,
+    contextType: null,
+    contextId: null,
+    position: 0,
+    trackDuration: null,
     startTime: null,
     accumulatedSeconds: 0,
     lastUpdateTime: null
@@ -75,9 +98,10 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
         // Commit any existing session first
         const session = listeningSessionRef.current;
         if (session.trackId) {
-          const { trackId, albumId, artist, accumulatedSeconds } = session;
+          const { trackId, albumId, artist, contextType, contextId, accumulatedSeconds } = session;
           listeningSessionRef.current = {
-            trackId: null, albumId: null, artist: null,
+            trackId: null, albumId: null, artist: null, contextType: null, contextId: null,
+            position: 0, trackDuration: null,
             startTime: null, accumulatedSeconds: 0, lastUpdateTime: null
           };
           // Gapless transition = track ended naturally, always add to history
@@ -87,7 +111,8 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
             console.log(`[Ledgers] Recorded ${Math.floor(accumulatedSeconds)}s for ${trackId}`);
             if (ipcRenderer) {
               ipcRenderer.invoke('record-listen', {
-                trackId, albumId, artist, seconds: Math.floor(accumulatedSeconds)
+                trackId, albumId, artist, seconds: Math.floor(accumulatedSeconds), contextType, contextId,
+                ...listenOutcome(session, true)
               }).catch(err => console.error('[useAudioPlayer] Error recording listen:', err));
             }
           }
@@ -97,6 +122,9 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
           trackId: track.id,
           albumId: track.albumId || null,
           artist: track.artist || null,
+          ...listenContext(track),
+          position: 0,
+          trackDuration: track.duration || null,
           startTime: Date.now(),
           accumulatedSeconds: 0,
           lastUpdateTime: Date.now()
@@ -128,6 +156,10 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
 
       // Update accumulated listening time while playing
       const session = listeningSessionRef.current;
+      if (session.trackId && audioEngine.currentTrack?.id === session.trackId) {
+        session.position = time;
+        if (dur > 0) session.trackDuration = dur;
+      }
       if (session.trackId && session.lastUpdateTime) {
         const now = Date.now();
         const elapsed = (now - session.lastUpdateTime) / 1000;
@@ -167,7 +199,10 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
           trackId: session.trackId,
           albumId: session.albumId,
           artist: session.artist,
-          seconds: Math.floor(session.accumulatedSeconds)
+          seconds: Math.floor(session.accumulatedSeconds),
+          contextType: session.contextType,
+          contextId: session.contextId,
+          ...listenOutcome(session, false)
         });
       }
     };
@@ -205,12 +240,17 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
     }
 
     // Capture values and reset IMMEDIATELY to prevent double-commits
-    const { trackId, albumId, artist } = session;
+    const { trackId, albumId, artist, contextType, contextId } = session;
+    const outcome = listenOutcome(session, trackEnded);
     const accumulatedSeconds = finalSeconds;
     listeningSessionRef.current = {
       trackId: null,
       albumId: null,
       artist: null,
+      contextType: null,
+      contextId: null,
+      position: 0,
+      trackDuration: null,
       startTime: null,
       accumulatedSeconds: 0,
       lastUpdateTime: null
@@ -231,7 +271,10 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
         trackId,
         albumId,
         artist,
-        seconds: Math.floor(accumulatedSeconds)
+        seconds: Math.floor(accumulatedSeconds),
+        contextType,
+        contextId,
+        ...outcome
       }).catch(err => {
         console.error('[useAudioPlayer] Error recording listen:', err);
       });
@@ -253,6 +296,9 @@ function useAudioPlayer({ queue = [], queuePosition = 0, onQueueAdvance, onAddTo
       trackId: trackId,
       albumId: track.albumId || null,
       artist: track.artist || null,
+      ...listenContext(track),
+      position: 0,
+      trackDuration: track.duration || null,
       startTime: Date.now(),
       accumulatedSeconds: 0,
       lastUpdateTime: Date.now()
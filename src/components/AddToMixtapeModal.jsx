@@ -53,7 +53,8 @@ function AddToMixtapeModal({
     try {
       setLoading(true);
       const result = await ipcRenderer.invoke('load-mixtapes');
-      setMixtapes(result || []);
+      // Smart cassettes are filled by their rules, not by hand
+      setMixtapes((result || []).filter(m => !m.smart));
     } catch (err) {
       console.error('Error loading mixtapes:', err);
     } finally {
@@ -0,0 +1,88 @@
+/**
+ * DuplicateResolver - What to do with files already in the library
+ *
+ * Import stops before copying anything when incoming audio matches a
+ * library track (by content hash, so retagged copies count). Each file
+ * gets skip, replace (swap the library copy's file, keep its facets and
+ * history) or keep both.
+ */
+
+import React, { useState } from 'react';
+import './DuplicateResolver.css';
+
+const ACTIONS = [
+  { value: 'skip', label: 'Skip' },
+  { value: 'replace', label: 'Replace' },
+  { value: 'keep', label: 'Keep both' }
+];
+
+function DuplicateResolver({ duplicates, onResolve, onCancel }) {
+  const [actions, setActions] = useState(() =>
+    Object.fromEntries(duplicates.map(d => [d.sourcePath, 'skip']))
+  );
+
+  // Replace only makes sense against a library track, with a whole file
+  // (not one CUE track of a disc image)
+  const canReplace = (duplicate) => !!duplicate.existing && !duplicate.virtual;
+
+  function setAll(action) {
+    setActions(Object.fromEntries(duplicates.map(d => [
+      d.sourcePath,
+      action === 'replace' && !canReplace(d) ? 'skip' : action
+    ])));
+  }
+
+  return (
+    <div className="duplicate-resolver">
+      <div className="duplicate-resolver-summary">
+        {duplicates.length} file{duplicates.length !== 1 ? 's are' : ' is'} already in the library
+      </div>
+
+      <div className="duplicate-resolver-all">
+        <span>All:</span>
+        {ACTIONS.map(a => (
+          <button key={a.value} className="duplicate-resolver-all-btn" onClick={() => setAll(a.value)}>
+            {a.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="duplicate-resolver-list">
+        {duplicates.map(duplicate => (
+          <div key={duplicate.sourcePath} className="duplicate-resolver-item">
+            <div className="duplicate-resolver-info">
+              <span className="duplicate-resolver-title" title={duplicate.sourcePath}>
+                {duplicate.title}
+              </span>
+              <span className="duplicate-resolver-match">
+                {duplicate.existing
+                  ? `Matches ${duplicate.existing.title} on ${duplicate.existing.album}${duplicate.existing.format ? ` (${duplicate.existing.format})` : ''}`
+                  : `Same audio as ${duplicate.sameAsInImport} in this import`}
+              </span>
+            </div>
+            <select
+              className="duplicate-resolver-action"
+              value={actions[duplicate.sourcePath]}
+              onChange={(e) => setActions(prev => ({ ...prev, [duplicate.sourcePath]: e.target.value }))}
+            >
+              {ACTIONS.filter(a => a.value !== 'replace' || canReplace(duplicate)).map(a => (
+                <option key={a.value} value={a.value}>{a.label}</option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+
+      <div className="duplicate-resolver-footer">
+        <button className="duplicate-resolver-btn" onClick={onCancel}>
+          Cancel Import
+        </button>
+        <button className="duplicate-resolver-btn primary" onClick={() => onResolve(actions)}>
+          Continue
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateResolver;
@@ -1,11 +1,39 @@
 import React, { useState, useEffect } from 'react';
+import DuplicateResolver from './DuplicateResolver';
+import ImportPreview from './ImportPreview';
+import PathTemplates from './PathTemplates';
 import '../styles/ImportModal.css';
 
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+function formatEta(seconds) {
+  if (seconds < 60) return 'less than a minute left';
+  if (seconds < 3600) return `about ${Math.round(seconds / 60)} min left`;
+  return `about ${Math.floor(seconds / 3600)} h ${Math.round((seconds % 3600) / 60)} min left`;
+}
+
+// A few of the files being imported to try filename templates on - one per record first
+function getSamplePaths(preview, limit = 6) {
+  const files = preview.groups.map(group => group.tracks.filter(track => !track.cue).map(track => track.key));
+  const samples = files.map(keys => keys[0]).filter(Boolean).slice(0, limit);
+  for (const key of files.flat()) {
+    if (samples.length >= limit) break;
+    if (!samples.includes(key)) samples.push(key);
+  }
+  return samples;
+}
+
 /**
  * ImportModal - v2 Simplified
  *
- * Shows spinner during import, then either closes (success) or shows error modal.
- * No preview, no decisions - import fast and dumb, fix in Panopticon.
+ * Analyses first (dry run), settles duplicates, then shows the proposed
+ * records for editing. Import writes the plan; the result can be undone
+ * as a batch from the import journal. Reading and copying can be
+ * cancelled; the record being imported at that moment is rolled back.
  */
 function ImportModal({
   isOpen,
@@ -13,9 +41,14 @@ function ImportModal({
   importPaths,  // Array of paths to import
   onImportComplete
 }) {
-  const [status, setStatus] = useState('idle'); // idle, importing, complete, error
+  const [status, setStatus] = useState('idle'); // idle, analysing, duplicates, preview, importing, complete, cancelled, undone, error
   const [progress, setProgress] = useState({ stage: '', message: '', progress: 0 });
   const [result, setResult] = useState(null);
+  const [dryRun, setDryRun] = useState(null); // { preview, duplicates, mode }
+  const [duplicateActions, setDuplicateActions] = useState(null);
+  const [undoing, setUndoing] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
 
   const { ipcRenderer } = window.require ? window.require('electron') : {};
 
@@ -37,7 +70,7 @@ function ImportModal({
   // Start import when modal opens with paths
   useEffect(() => {
     if (isOpen && importPaths && importPaths.length > 0 && status === 'idle') {
-      startImport();
+      startPreview();
     }
   }, [isOpen, importPaths]);
 
@@ -47,21 +80,64 @@ function ImportModal({
       setStatus('idle');
       setProgress({ stage: '', message: '', progress: 0 });
       setResult(null);
+      setDryRun(null);
+      setDuplicateActions(null);
+      setUndoing(false);
+      setCancelling(false);
+      setShowTemplates(false);
     }
   }, [isOpen]);
 
-  const startImport = async () => {
+  // Dry run: group and check for duplicates without writing anything
+  const startPreview = async () => {
+    if (!ipcRenderer || !importPaths || importPaths.length === 0) return;
+
+    setStatus('analysing');
+    setProgress({ stage: 'starting', message: 'Reading files...', progress: 0 });
+
+    try {
+      const analysis = await ipcRenderer.invoke('import-files', importPaths, { dryRun: true });
+      if (analysis.cancelled) {
+        // Nothing was written
+        onClose();
+        return;
+      }
+      if (!analysis.success) {
+        setResult(analysis);
+        setStatus('error');
+        return;
+      }
+      setDryRun(analysis);
+      // Duplicates first - skipped ones then show as such in the preview.
+      // Re-reading after a template change keeps the choices already made.
+      setStatus(analysis.duplicates?.length > 0 && !duplicateActions ? 'duplicates' : 'preview');
+    } catch (err) {
+      console.error('Import preview error:', err);
+      setResult({ success: false, error: err.message, imported: 0, failed: 0 });
+      setStatus('error');
+    }
+  };
+
+  const startImport = async (plan) => {
     if (!ipcRenderer || !importPaths || importPaths.length === 0) return;
 
     setStatus('importing');
     setProgress({ stage: 'starting', message: 'Starting import...', progress: 0 });
 
     try {
-      const result = await ipcRenderer.invoke('import-files', importPaths);
+      const result = await ipcRenderer.invoke('import-files', importPaths, {
+        plan,
+        duplicateActions: duplicateActions || {}
+      });
       setResult(result);
+      setCancelling(false);
 
-      if (result.success || (result.imported > 0 && result.failed === 0)) {
-        // Success - notify parent and close
+      if (result.cancelled) {
+        setStatus('cancelled');
+        if (result.imported > 0 && onImportComplete) {
+          onImportComplete(result);
+        }
+      } else if (result.success || (result.imported > 0 && result.failed === 0)) {
         setStatus('complete');
         if (onImportComplete) {
           onImportComplete(result);
@@ -83,9 +159,34 @@ function ImportModal({
     }
   };
 
+  // Take the whole batch back out of the library
+  const handleUndo = async () => {
+    if (!result?.journalId || undoing) return;
+    setUndoing(true);
+    try {
+      const undo = await ipcRenderer.invoke('undo-import', result.journalId);
+      if (!undo.success) throw new Error(undo.error);
+      setResult(prev => ({ ...prev, undo }));
+      setStatus('undone');
+      if (onImportComplete) {
+        onImportComplete(undo);
+      }
+    } catch (err) {
+      console.error('Undo import error:', err);
+      setResult(prev => ({ ...prev, undoError: err.message }));
+    } finally {
+      setUndoing(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setCancelling(true);
+    await ipcRenderer.invoke('cancel-import');
+  };
+
   const handleClose = () => {
-    if (status === 'importing') {
-      // Don't allow closing during import
+    if (status === 'analysing' || status === 'importing' || undoing) {
+      // Don't allow closing while files are being read or written
       return;
     }
     onClose();
@@ -93,32 +194,35 @@ function ImportModal({
 
   if (!isOpen) return null;
 
-  // Don't show modal for success state - auto close
-  if (status === 'complete' && result && !result.errors) {
-    // Small delay to let parent handle the result
-    setTimeout(() => onClose(), 100);
-    return null;
-  }
+  const busy = status === 'analysing' || status === 'importing';
 
   return (
     <div className="import-modal-overlay" onClick={handleClose}>
-      <div className="import-modal import-modal-v2" onClick={e => e.stopPropagation()}>
+      <div
+        className={`import-modal import-modal-v2 ${status === 'preview' ? 'import-modal-wide' : ''}`}
+        onClick={e => e.stopPropagation()}
+      >
         {/* Header */}
         <div className="import-modal-header">
           <h2>
+            {status === 'analysing' && 'Reading Files...'}
             {status === 'importing' && 'Importing...'}
+            {status === 'duplicates' && 'Already in Library'}
+            {status === 'preview' && 'Review Import'}
             {status === 'complete' && 'Import Complete'}
+            {status === 'cancelled' && 'Import Cancelled'}
+            {status === 'undone' && 'Import Undone'}
             {status === 'error' && 'Import Results'}
           </h2>
-          {status !== 'importing' && (
+          {!busy && (
             <button className="import-modal-close" onClick={handleClose}>×</button>
           )}
         </div>
 
         {/* Content */}
         <div className="import-modal-content">
-          {/* Importing state - spinner and progress */}
-          {status === 'importing' && (
+          {/* Analysing / importing - spinner and progress */}
+          {busy && (
             <div className="import-progress-section">
               <div className="import-spinner" />
               <div className="import-progress-message">{progress.message}</div>
@@ -130,9 +234,69 @@ function ImportModal({
                   />
                 </div>
               )}
+              {progress.bytesTotal > 0 && (
+                <div className="import-progress-bytes">
+                  {formatBytes(progress.bytesDone)} of {formatBytes(progress.bytesTotal)}
+                  {progress.eta !== null && progress.eta !== undefined && ` · ${formatEta(progress.eta)}`}
+                </div>
+              )}
             </div>
           )}
 
+          {/* Duplicates - skip, replace or keep each one */}
+          {status === 'duplicates' && dryRun?.duplicates && (
+            <DuplicateResolver
+              duplicates={dryRun.duplicates}
+              onResolve={(actions) => {
+                setDuplicateActions(actions);
+                setStatus('preview');
+              }}
+              onCancel={onClose}
+            />
+          )}
+
+          {/* Preview - the proposed records, editable */}
+          {status === 'preview' && dryRun?.preview && (
+            <div className="import-path-templates">
+              <button
+                className="import-path-templates-toggle"
+                onClick={() => setShowTemplates(!showTemplates)}
+              >
+                {showTemplates ? '▾' : '▸'} Filename Templates
+              </button>
+              {showTemplates && (
+                <PathTemplates
+                  samplePaths={getSamplePaths(dryRun.preview)}
+                  saveLabel="Save and Re-read"
+                  onSaved={startPreview}
+                />
+              )}
+            </div>
+          )}
+          {status === 'preview' && dryRun?.unsupported?.length > 0 && (
+            <div className="import-errors">
+              <div className="import-errors-title">Can't be imported:</div>
+              <div className="import-errors-list">
+                {dryRun.unsupported.map((err, i) => (
+                  <div key={i} className="import-error-item">
+                    <span className="import-error-file">{err.file}</span>
+                    <span className="import-error-reason">{err.error}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {status === 'preview' && dryRun?.preview && (
+            <ImportPreview
+              key={dryRun.preview.id}
+              preview={dryRun.preview}
+              duplicateActions={duplicateActions}
+              mode={dryRun.mode}
+              onConfirm={startImport}
+              onCancel={onClose}
+            />
+          )}
+
           {/* Error state - show what happened */}
           {status === 'error' && result && (
             <div className="import-results">
@@ -144,6 +308,18 @@ function ImportModal({
                     <span>Successfully imported: {result.imported} track{result.imported !== 1 ? 's' : ''}</span>
                   </div>
                 )}
+                {result.replaced > 0 && (
+                  <div className="import-result-row success">
+                    <span className="import-result-icon">✓</span>
+                    <span>Replaced: {result.replaced} track{result.replaced !== 1 ? 's' : ''}</span>
+                  </div>
+                )}
+                {result.skipped > 0 && (
+                  <div className="import-result-row">
+                    <span className="import-result-icon">–</span>
+                    <span>Skipped duplicates: {result.skipped}</span>
+                  </div>
+                )}
                 {result.failed > 0 && (
                   <div className="import-result-row failure">
                     <span className="import-result-icon">✗</span>
@@ -198,6 +374,17 @@ function ImportModal({
                   <span className="import-result-icon">✓</span>
                   <span>Imported {result.imported} track{result.imported !== 1 ? 's' : ''}</span>
                 </div>
+                {result.skipped > 0 && (
+                  <div className="import-result-row">
+                    <span className="import-result-icon">–</span>
+                    <span>Skipped duplicates: {result.skipped}</span>
+                  </div>
+                )}
+                {result.undoError && (
+                  <div className="import-error-message">
+                    <span>{result.undoError}</span>
+                  </div>
+                )}
               </div>
               {result.records.length > 0 && (
                 <div className="import-records-summary">
@@ -212,12 +399,71 @@ function ImportModal({
               )}
             </div>
           )}
+
+          {/* Cancelled - finished records stay, the one in progress was rolled back */}
+          {status === 'cancelled' && result && (
+            <div className="import-results">
+              <div className="import-result-summary">
+                <div className="import-result-row">
+                  <span className="import-result-icon">–</span>
+                  <span>
+                    {result.rolledBack > 0
+                      ? `Rolled back ${result.rolledBack} track${result.rolledBack !== 1 ? 's' : ''} of the record in progress`
+                      : 'Stopped before the next record'}
+                  </span>
+                </div>
+                {result.imported > 0 && (
+                  <div className="import-result-row success">
+                    <span className="import-result-icon">✓</span>
+                    <span>Kept {result.imported} track{result.imported !== 1 ? 's' : ''} from finished records</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Undone - what came back out */}
+          {status === 'undone' && result?.undo && (
+            <div className="import-results">
+              <div className="import-result-summary">
+                <div className="import-result-row">
+                  <span className="import-result-icon">↺</span>
+                  <span>
+                    Removed {result.undo.removedTracks} track{result.undo.removedTracks !== 1 ? 's' : ''}
+                    {result.undo.deletedRecords > 0 && `, deleted ${result.undo.deletedRecords} new record${result.undo.deletedRecords !== 1 ? 's' : ''}`}
+                  </span>
+                </div>
+                {result.undo.restoredFiles > 0 && (
+                  <div className="import-result-row">
+                    <span className="import-result-icon">↺</span>
+                    <span>Put back {result.undo.restoredFiles} replaced file{result.undo.restoredFiles !== 1 ? 's' : ''}</span>
+                  </div>
+                )}
+                {result.undo.replacedKept > 0 && (
+                  <div className="import-result-row failure">
+                    <span className="import-result-icon">!</span>
+                    <span>{result.undo.replacedKept} replaced file{result.undo.replacedKept !== 1 ? 's' : ''} couldn't be restored</span>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Footer */}
         <div className="import-modal-footer">
-          {status !== 'importing' && (
-            <button className="modal-btn modal-btn-primary" onClick={handleClose}>
+          {busy && (
+            <button className="modal-btn modal-btn-secondary" onClick={handleCancel} disabled={cancelling}>
+              {cancelling ? 'Cancelling...' : 'Cancel'}
+            </button>
+          )}
+          {(status === 'complete' || status === 'cancelled' || status === 'error') && result?.journalId && result.imported + (result.replaced || 0) > 0 && (
+            <button className="modal-btn modal-btn-secondary" onClick={handleUndo} disabled={undoing}>
+              {undoing ? 'Undoing...' : 'Undo Import'}
+            </button>
+          )}
+          {!busy && status !== 'duplicates' && status !== 'preview' && (
+            <button className="modal-btn modal-btn-primary" onClick={handleClose} disabled={undoing}>
               OK
             </button>
           )}
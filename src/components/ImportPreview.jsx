@@ -0,0 +1,221 @@
+/**
+ * ImportPreview - What an import will do, before it does it
+ *
+ * One card per record the import would create or add to. Names can be
+ * fixed, a group pointed at a different library record, tracks moved
+ * between groups or left out, and embedded covers declined. Nothing is
+ * written until Import; the edited groups go back as the plan.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import './ImportPreview.css';
+
+function formatDuration(seconds) {
+  if (!seconds) return '';
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+}
+
+function ImportPreview({ preview, duplicateActions, mode, onConfirm, onCancel }) {
+  const [groups, setGroups] = useState(() => preview.groups.map(g => ({ ...g, tracks: [...g.tracks] })));
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [libraryRecords, setLibraryRecords] = useState([]);
+
+  const { ipcRenderer } = window.require ? window.require('electron') : {};
+
+  // Every record in the library, for pointing a group somewhere else
+  useEffect(() => {
+    if (!ipcRenderer) return;
+    ipcRenderer.invoke('panopticon:get-all-records')
+      .then(records => setLibraryRecords(
+        [...records].sort((a, b) => `${a.artist} ${a.title}`.localeCompare(`${b.artist} ${b.title}`))
+      ))
+      .catch(err => console.error('Failed to load records:', err));
+  }, []);
+
+  // Duplicates the resolver said to skip never get imported
+  const isSkipped = (track) => track.duplicate && (duplicateActions?.[track.key] || 'skip') === 'skip';
+
+  const recordCount = groups.filter(g => g.tracks.some(t => !excluded.has(t.key) && !isSkipped(t))).length;
+  const importCount = useMemo(() =>
+    groups.reduce((sum, g) => sum + g.tracks.filter(t => !excluded.has(t.key) && !isSkipped(t)).length, 0),
+    [groups, excluded, duplicateActions]
+  );
+
+  function updateGroup(groupId, changes) {
+    setGroups(prev => prev.map(g => g.id === groupId ? { ...g, ...changes } : g));
+  }
+
+  function setTarget(group, recordId) {
+    if (!recordId) {
+      updateGroup(group.id, { recordId: null });
+      return;
+    }
+    const record = libraryRecords.find(r => r.id === recordId);
+    updateGroup(group.id, {
+      recordId,
+      album: record?.title || group.album,
+      albumArtist: record?.artist || group.albumArtist
+    });
+  }
+
+  function toggleTrack(key) {
+    setExcluded(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  function moveTrack(track, fromId, toId) {
+    setGroups(prev => prev.map(g => {
+      if (g.id === fromId) return { ...g, tracks: g.tracks.filter(t => t.key !== track.key) };
+      if (g.id === toId) return { ...g, tracks: [...g.tracks, track] };
+      return g;
+    }));
+  }
+
+  function handleConfirm() {
+    onConfirm({
+      id: preview.id,
+      groups: groups.map(g => ({
+        id: g.id,
+        key: g.key,
+        album: g.album,
+        albumArtist: g.albumArtist,
+        recordId: g.recordId,
+        useCover: g.useCover,
+        tracks: g.tracks.filter(t => !excluded.has(t.key)).map(t => t.key)
+      }))
+    });
+  }
+
+  return (
+    <div className="import-preview">
+      <div className="import-preview-summary">
+        {importCount} track{importCount !== 1 ? 's' : ''} into {recordCount} record{recordCount !== 1 ? 's' : ''}
+        {mode === 'reference' && <span className="import-preview-mode">referenced in place</span>}
+      </div>
+
+      <div className="import-preview-groups">
+        {groups.map(group => {
+          const matched = group.record && !libraryRecords.some(r => r.id === group.record.id) ? [group.record] : [];
+          return (
+            <div key={group.id} className={`import-preview-group ${group.tracks.length === 0 ? 'empty' : ''}`}>
+              <div className="import-preview-group-header">
+                {!group.recordId && group.cover && (
+                  <label className="import-preview-cover" title={`Cover from ${group.cover.source}`}>
+                    <img
+                      src={group.cover.thumbnail}
+                      alt=""
+                      className={group.useCover ? '' : 'declined'}
+                    />
+                    <span>
+                      <input
+                        type="checkbox"
+                        checked={group.useCover}
+                        onChange={(e) => updateGroup(group.id, { useCover: e.target.checked })}
+                      />
+                      Cover
+                    </span>
+                  </label>
+                )}
+                <div className="import-preview-group-fields">
+                  <input
+                    className="import-preview-input album"
+                    value={group.album}
+                    disabled={!!group.recordId}
+                    placeholder="Album"
+                    onChange={(e) => updateGroup(group.id, { album: e.target.value })}
+                  />
+                  <input
+                    className="import-preview-input"
+                    value={group.albumArtist}
+                    disabled={!!group.recordId}
+                    placeholder="Album artist"
+                    onChange={(e) => updateGroup(group.id, { albumArtist: e.target.value })}
+                  />
+                  <select
+                    className="import-preview-select"
+                    value={group.recordId || ''}
+                    onChange={(e) => setTarget(group, e.target.value)}
+                  >
+                    <option value="">New record</option>
+                    {[...matched.map(r => ({ id: r.id, title: r.name, artist: r.artist })), ...libraryRecords].map(r => (
+                      <option key={r.id} value={r.id}>Add to {r.artist} - {r.title}</option>
+                    ))}
+                  </select>
+                  <span className="import-preview-key" title="Grouped by album artist and album">
+                    {group.key}
+                    {group.record && group.recordId === group.record.id && ' - matches a library record'}
+                  </span>
+                </div>
+              </div>
+
+              <div className="import-preview-tracks">
+                {group.tracks.map(track => {
+                  const skipped = isSkipped(track);
+                  return (
+                    <div
+                      key={track.key}
+                      className={`import-preview-track ${excluded.has(track.key) || skipped ? 'excluded' : ''}`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={!excluded.has(track.key) && !skipped}
+                        disabled={skipped}
+                        onChange={() => toggleTrack(track.key)}
+                      />
+                      <span className="import-preview-track-number">
+                        {track.disc > 1 ? `${track.disc}-` : ''}{track.trackNumber || ''}
+                      </span>
+                      <span className="import-preview-track-title" title={track.filename}>
+                        {track.title}
+                        {track.artist && <span className="import-preview-track-artist"> - {track.artist}</span>}
+                      </span>
+                      {track.duplicate && (
+                        <span className="import-preview-badge">
+                          {skipped ? 'skipped' : duplicateActions?.[track.key] === 'replace' ? 'replaces' : 'duplicate'}
+                        </span>
+                      )}
+                      <span className="import-preview-track-duration">{formatDuration(track.duration)}</span>
+                      {groups.length > 1 && (
+                        <select
+                          className="import-preview-move"
+                          value=""
+                          title="Move to another record"
+                          onChange={(e) => moveTrack(track, group.id, e.target.value)}
+                        >
+                          <option value="">Move…</option>
+                          {groups.filter(g => g.id !== group.id).map(g => (
+                            <option key={g.id} value={g.id}>{g.album || 'Untitled'}</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  );
+                })}
+                {group.tracks.length === 0 && (
+                  <div className="import-preview-empty">No tracks - this record won't be created</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="import-preview-footer">
+        <button className="import-preview-btn" onClick={onCancel}>
+          Cancel
+        </button>
+        <button className="import-preview-btn primary" disabled={importCount === 0} onClick={handleConfirm}>
+          Import {importCount} Track{importCount !== 1 ? 's' : ''}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportPreview;
@@ -4,6 +4,7 @@
  * Click on the text to enter edit mode.
  * Changes save on blur or Enter.
  * Escape cancels the edit.
+ * With `list`, the value is an array edited as "a; b; c".
  */
 
 import React, { useState, useRef, useEffect } from 'react';
@@ -17,18 +18,20 @@ function InlineEditField({
   className = '',
   variant = 'default', // 'default' | 'title' | 'subtitle'
   disabled = false,
-  monospace = false
+  monospace = false,
+  list = false
 }) {
+  const text = list ? (value || []).join('; ') : value;
   const [isEditing, setIsEditing] = useState(false);
-  const [editValue, setEditValue] = useState(value || '');
+  const [editValue, setEditValue] = useState(text || '');
   const inputRef = useRef(null);
 
   // Sync editValue when value changes externally
   useEffect(() => {
     if (!isEditing) {
-      setEditValue(value || '');
+      setEditValue(text || '');
     }
-  }, [value, isEditing]);
+  }, [text, isEditing]);
 
   // Focus input when entering edit mode
   useEffect(() => {
@@ -48,10 +51,14 @@ function InlineEditField({
     setIsEditing(false);
     const trimmed = editValue.trim();
     // Compare with current value - use null coalescing to handle undefined/null
-    const currentValue = value ?? '';
+    const currentValue = text ?? '';
     if (trimmed !== currentValue) {
-      // Pass null instead of empty string to clear the field in the database
-      onChange(trimmed === '' ? null : trimmed);
+      if (list) {
+        onChange(trimmed.split(';').map(item => item.trim()).filter(Boolean));
+      } else {
+        // Pass null instead of empty string to clear the field in the database
+        onChange(trimmed === '' ? null : trimmed);
+      }
     }
   };
 
@@ -60,7 +67,7 @@ function InlineEditField({
       e.preventDefault();
       inputRef.current?.blur();
     } else if (e.key === 'Escape') {
-      setEditValue(value || '');
+      setEditValue(text || '');
       setIsEditing(false);
     } else if (e.key === 'Tab') {
       // Allow Tab to blur and save, then focus next field naturally
@@ -68,7 +75,7 @@ function InlineEditField({
     }
   };
 
-  const displayValue = value || '';
+  const displayValue = text || '';
   const isEmpty = !displayValue;
 
   const variantClass = `inline-edit-${variant}`;
@@ -422,6 +422,9 @@ function InspectorSidebar({
                 title={
                   track.sourceType === 'program' ? `From program: ${track.sourceName || 'Unknown'}` :
                   track.sourceType === 'mixtape' ? `From cassette: ${track.sourceName || 'Unknown'}` :
+                  track.sourceType === 'roam' ? `Roaming: ${track.sourceName || 'Unknown'}` :
+                  track.sourceType === 'search' ? `From search: ${track.sourceName || 'Unknown'}` :
+                  track.sourceType === 'queue' ? 'Added to the queue' :
                   `From album: ${track.album || 'Unknown'}`
                 }
               >
@@ -5,6 +5,7 @@
  * - Inline editable name
  * - Track list with reordering
  * - Cassette selector
+ * - Unmatched playlist entries to find by hand
  * - Display options
  * - Delete with confirmation
  */
@@ -20,6 +21,75 @@ const { ipcRenderer } = window.require ? window.require('electron') : {};
 // Default blur value
 const DEFAULT_BLUR = 40;
 
+/**
+ * An imported playlist entry that matched no library track.
+ * Search the library for it, or dismiss it.
+ */
+function UnmatchedEntry({ entry, onResolve }) {
+  const [query, setQuery] = useState(entry.title || '');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+
+  async function handleSearch() {
+    if (!ipcRenderer || !query.trim()) return;
+    setSearching(true);
+    try {
+      const found = await ipcRenderer.invoke('panopticon:search-targets', { targetType: 'track', query: query.trim() });
+      setResults(found || []);
+    } catch (err) {
+      console.error('Failed to search tracks:', err);
+    } finally {
+      setSearching(false);
+    }
+  }
+
+  return (
+    <div className="mixtape-detail-unmatched-entry">
+      <div className="unmatched-entry-header">
+        <span className="unmatched-entry-text" title={`Line ${entry.line}: ${entry.text}`}>
+          {entry.artist && entry.title ? `${entry.artist} - ${entry.title}` : entry.title || entry.text}
+        </span>
+        <button
+          className="unmatched-entry-dismiss"
+          onClick={() => onResolve(entry, null)}
+          title="Dismiss - leave it off the cassette"
+        >
+          ×
+        </button>
+      </div>
+      <div className="unmatched-entry-search">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') handleSearch(); }}
+          placeholder="Search tracks..."
+        />
+        <button onClick={handleSearch} disabled={searching || !query.trim()}>
+          Find
+        </button>
+      </div>
+      {results.length > 0 && (
+        <div className="unmatched-entry-results">
+          {results.map(result => (
+            <button
+              key={result.id}
+              className="unmatched-entry-result"
+              onClick={() => onResolve(entry, result.id)}
+              title="Put this track on the cassette here"
+            >
+              <span className="track-title">{result.name}</span>
+              <span className="track-artist">
+                {[result.artist, result.album].filter(Boolean).join(' · ')}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 function MixtapeDetailPanel({ mixtape: initialMixtape, onUpdate, onDelete, onOpenSleeve }) {
   const [mixtape, setMixtape] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -126,6 +196,29 @@ function MixtapeDetailPanel({ mixtape: initialMixtape, onUpdate, onDelete, onOpe
     }
   };
 
+  // Settle an unmatched playlist entry (trackId null dismisses it)
+  const handleResolveEntry = async (entry, trackId) => {
+    if (!ipcRenderer || !mixtape?.id) return;
+
+    try {
+      const result = await ipcRenderer.invoke('resolve-playlist-entry', {
+        mixtapeId: mixtape.id,
+        line: entry.line,
+        trackId
+      });
+
+      if (result.success) {
+        // Reload for the resolved track's details
+        const mixtapes = await ipcRenderer.invoke('load-mixtapes');
+        const fullMixtape = mixtapes.find(m => m.id === mixtape.id);
+        if (fullMixtape) setMixtape(fullMixtape);
+        onUpdate?.();
+      }
+    } catch (err) {
+      console.error('Failed to resolve playlist entry:', err);
+    }
+  };
+
   // Handle mixtape deletion
   const handleDelete = async () => {
     if (!ipcRenderer || !mixtape?.id) return;
@@ -444,6 +537,20 @@ function MixtapeDetailPanel({ mixtape: initialMixtape, onUpdate, onDelete, onOpe
         </div>
       </div>
 
+      {/* Playlist entries still to find */}
+      {mixtape.playlistImport?.unmatched?.length > 0 && (
+        <div className="mixtape-detail-section">
+          <div className="mixtape-detail-section-title">
+            UNMATCHED FROM PLAYLIST ({mixtape.playlistImport.unmatched.length})
+          </div>
+          <div className="mixtape-detail-unmatched-list">
+            {mixtape.playlistImport.unmatched.map(entry => (
+              <UnmatchedEntry key={entry.line} entry={entry} onResolve={handleResolveEntry} />
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Horizontal divider after tracks */}
       <div className="mixtape-detail-divider" />
 
@@ -0,0 +1,200 @@
+/**
+ * PathTemplates - Edit the library's filename/folder templates
+ *
+ * Untagged files get their details from where they sit, using patterns
+ * like %albumartist%/%year% - %album%/%track% %title%. Every edit is tried
+ * straight away against sample paths - the files being imported, or a
+ * path typed in - showing which template matches and what it reads.
+ */
+
+import React, { useState, useEffect } from 'react';
+import './PathTemplates.css';
+
+const FIELDS = ['albumartist', 'artist', 'album', 'year', 'disc', 'track', 'title', 'genre', 'ignore'];
+const EXAMPLE = '%albumartist% - %year% - %album%/%track%. %artist% - %title%';
+
+const FIELD_LABELS = {
+  albumArtist: 'album artist',
+  artist: 'artist',
+  album: 'album',
+  year: 'year',
+  discNumber: 'disc',
+  trackNumber: 'track',
+  title: 'title',
+  genre: 'genre'
+};
+
+// The end of a path is what templates match - the rest is noise
+function shortenPath(filePath) {
+  const parts = filePath.split(/[\\/]/).filter(Boolean);
+  return (parts.length > 3 ? '…/' : '') + parts.slice(-3).join('/');
+}
+
+function PathTemplates({ samplePaths = [], saveLabel = 'Save Templates', onSaved }) {
+  const [templates, setTemplates] = useState([]);
+  const [savedJson, setSavedJson] = useState('[]');
+  const [preview, setPreview] = useState(null);
+  const [typedPath, setTypedPath] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const { ipcRenderer } = window.require ? window.require('electron') : {};
+
+  useEffect(() => {
+    if (!ipcRenderer) return;
+    ipcRenderer.invoke('get-path-templates').then(result => {
+      if (!result?.success) return;
+      const loaded = result.templates.map(({ name, pattern, enabled }) => ({ name, pattern, enabled: enabled !== false }));
+      setTemplates(loaded);
+      setSavedJson(JSON.stringify(loaded));
+    });
+  }, []);
+
+  const paths = samplePaths.length > 0 ? samplePaths : [typedPath.trim()].filter(Boolean);
+
+  // Live preview on every edit; a slower answer to an older edit is dropped
+  useEffect(() => {
+    if (!ipcRenderer) return;
+    let current = true;
+    ipcRenderer.invoke('preview-path-templates', { templates, paths })
+      .then(result => { if (current && result?.success) setPreview(result); });
+    return () => { current = false; };
+  }, [templates, paths.join('\n')]);
+
+  const dirty = JSON.stringify(templates) !== savedJson;
+  const hasErrors = templates.some((template, i) => template.pattern.trim() && preview?.errors?.[i]);
+
+  function updateTemplate(index, changes) {
+    setTemplates(prev => prev.map((t, i) => i === index ? { ...t, ...changes } : t));
+    setSaveError(null);
+  }
+
+  function moveUp(index) {
+    setTemplates(prev => {
+      const next = [...prev];
+      [next[index - 1], next[index]] = [next[index], next[index - 1]];
+      return next;
+    });
+  }
+
+  async function handleSave() {
+    setSaving(true);
+    try {
+      const result = await ipcRenderer.invoke('save-path-templates', templates);
+      if (!result.success) {
+        setSaveError(result.error);
+        return;
+      }
+      setTemplates(result.templates);
+      setSavedJson(JSON.stringify(result.templates));
+      onSaved?.(result.templates);
+    } catch (err) {
+      setSaveError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="path-templates">
+      <div className="path-templates-hint">
+        Fields: {FIELDS.map(field => <code key={field}>%{field}%</code>)}. Each / is a folder, the last part
+        the filename. Templates are tried in order; tags always win.
+      </div>
+
+      <div className="path-templates-list">
+        {templates.map((template, index) => (
+          <div key={index} className={`path-template ${template.enabled ? '' : 'disabled'}`}>
+            <div className="path-template-row">
+              <input
+                type="checkbox"
+                checked={template.enabled}
+                onChange={(e) => updateTemplate(index, { enabled: e.target.checked })}
+                title="Use this template"
+              />
+              <input
+                className="path-template-name"
+                value={template.name}
+                placeholder="Name"
+                onChange={(e) => updateTemplate(index, { name: e.target.value })}
+              />
+              <input
+                className="path-template-pattern"
+                value={template.pattern}
+                placeholder={EXAMPLE}
+                spellCheck={false}
+                onChange={(e) => updateTemplate(index, { pattern: e.target.value })}
+              />
+              <button
+                className="path-template-btn"
+                onClick={() => moveUp(index)}
+                disabled={index === 0}
+                title="Try this one earlier"
+              >
+                ↑
+              </button>
+              <button
+                className="path-template-btn"
+                onClick={() => setTemplates(prev => prev.filter((_, i) => i !== index))}
+                title="Remove"
+              >
+                ×
+              </button>
+            </div>
+            {template.pattern.trim() && preview?.errors?.[index] && (
+              <div className="path-template-error">{preview.errors[index]}</div>
+            )}
+          </div>
+        ))}
+        <button
+          className="path-template-add"
+          onClick={() => setTemplates(prev => [...prev, { name: '', pattern: '', enabled: true }])}
+        >
+          + Add Template
+        </button>
+      </div>
+
+      <div className="path-templates-samples">
+        {samplePaths.length === 0 && (
+          <input
+            className="path-template-pattern"
+            value={typedPath}
+            placeholder="Try a path: /Music/Can - 1972 - Ege Bamyasi/02. Can - Vitamin C.flac"
+            spellCheck={false}
+            onChange={(e) => setTypedPath(e.target.value)}
+          />
+        )}
+        {preview?.samples?.map(sample => (
+          <div key={sample.path} className="path-templates-sample">
+            <span className="path-templates-sample-path" title={sample.path}>{shortenPath(sample.path)}</span>
+            {sample.match ? (
+              <span className="path-templates-sample-fields">
+                <span className="path-templates-sample-template">{sample.match.name}</span>
+                {Object.entries(sample.match.fields).map(([key, value]) => (
+                  <span key={key} className="path-templates-field">
+                    <span className="path-templates-field-label">{FIELD_LABELS[key] || key}</span> {value}
+                  </span>
+                ))}
+              </span>
+            ) : (
+              <span className="path-templates-sample-none">no template matches - tags and folder names only</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="path-templates-footer">
+        {saveError && <span className="path-template-error">{saveError}</span>}
+        <button
+          className="path-template-save"
+          onClick={handleSave}
+          disabled={!dirty || hasErrors || saving}
+        >
+          {saving ? 'Saving...' : saveLabel}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PathTemplates;
@@ -0,0 +1,184 @@
+/**
+ * PeriodPicker - Choose the stretch of listening history Ledgers reports on
+ *
+ * Rolling windows (24h ... all), calendar periods stepped through with
+ * arrows (a week, month, quarter or year), or a custom from/to range.
+ * Hands back a Ledgers period: 'week', '2024', '2025-Q3', '2025-03',
+ * or { from, to } for weeks and custom ranges.
+ */
+
+import React, { useState } from 'react';
+import './PeriodPicker.css';
+
+const ROLLING = [
+  { value: 'day', label: '24h' },
+  { value: 'week', label: '7d' },
+  { value: 'month', label: '30d' },
+  { value: 'year', label: '1y' },
+  { value: 'all', label: 'All' }
+];
+
+const UNITS = [
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'quarter', label: 'Quarter' },
+  { value: 'year', label: 'Year' }
+];
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDateString = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+function weekStart(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+}
+
+// First day of the calendar period containing a date
+function periodStart(unit, date) {
+  switch (unit) {
+    case 'week': return weekStart(date);
+    case 'month': return new Date(date.getFullYear(), date.getMonth(), 1);
+    case 'quarter': return new Date(date.getFullYear(), date.getMonth() - (date.getMonth() % 3), 1);
+    default: return new Date(date.getFullYear(), 0, 1);
+  }
+}
+
+function stepPeriod(unit, date, direction) {
+  const start = periodStart(unit, date);
+  switch (unit) {
+    case 'week': return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7 * direction);
+    case 'month': return new Date(start.getFullYear(), start.getMonth() + direction, 1);
+    case 'quarter': return new Date(start.getFullYear(), start.getMonth() + 3 * direction, 1);
+    default: return new Date(start.getFullYear() + direction, 0, 1);
+  }
+}
+
+function calendarValue(unit, date) {
+  const start = periodStart(unit, date);
+  const year = start.getFullYear();
+  switch (unit) {
+    case 'week': {
+      const end = new Date(year, start.getMonth(), start.getDate() + 6);
+      return { from: toDateString(start), to: toDateString(end) };
+    }
+    case 'month': return `${year}-${pad(start.getMonth() + 1)}`;
+    case 'quarter': return `${year}-Q${start.getMonth() / 3 + 1}`;
+    default: return String(year);
+  }
+}
+
+function calendarLabel(unit, date) {
+  const start = periodStart(unit, date);
+  switch (unit) {
+    case 'week':
+      return `Week of ${start.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })}`;
+    case 'month':
+      return start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    case 'quarter':
+      return `Q${start.getMonth() / 3 + 1} ${start.getFullYear()}`;
+    default:
+      return String(start.getFullYear());
+  }
+}
+
+function PeriodPicker({ value, onChange }) {
+  const [mode, setMode] = useState(ROLLING.some(p => p.value === value) ? 'rolling' : 'calendar');
+  const [unit, setUnit] = useState('year');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  const isCurrent = periodStart(unit, anchor).getTime() === periodStart(unit, new Date()).getTime();
+
+  function showCalendar(nextUnit, nextAnchor) {
+    setMode('calendar');
+    setUnit(nextUnit);
+    setAnchor(nextAnchor);
+    onChange(calendarValue(nextUnit, nextAnchor));
+  }
+
+  // Custom ranges apply once they make sense; either end may stay open
+  function updateCustom(nextFrom, nextTo) {
+    setFrom(nextFrom);
+    setTo(nextTo);
+    if ((nextFrom || nextTo) && !(nextFrom && nextTo && nextFrom > nextTo)) {
+      onChange({ from: nextFrom || null, to: nextTo || null });
+    }
+  }
+
+  return (
+    <div className="period-picker">
+      <div className="period-pills">
+        {ROLLING.map(p => (
+          <button
+            key={p.value}
+            className={`period-pill ${mode === 'rolling' && value === p.value ? 'active' : ''}`}
+            onClick={() => {
+              setMode('rolling');
+              onChange(p.value);
+            }}
+          >
+            {p.label}
+          </button>
+        ))}
+        <button
+          className={`period-pill ${mode === 'calendar' ? 'active' : ''}`}
+          onClick={() => showCalendar(unit, anchor)}
+        >
+          Calendar
+        </button>
+        <button
+          className={`period-pill ${mode === 'custom' ? 'active' : ''}`}
+          onClick={() => {
+            setMode('custom');
+            if (from || to) updateCustom(from, to);
+          }}
+        >
+          Custom
+        </button>
+      </div>
+
+      {mode === 'calendar' && (
+        <div className="period-picker-calendar">
+          <select
+            className="period-picker-unit"
+            value={unit}
+            onChange={(e) => showCalendar(e.target.value, anchor)}
+          >
+            {UNITS.map(u => <option key={u.value} value={u.value}>{u.label}</option>)}
+          </select>
+          <button className="period-picker-step" onClick={() => showCalendar(unit, stepPeriod(unit, anchor, -1))}>‹</button>
+          <span className="period-picker-label">{calendarLabel(unit, anchor)}</span>
+          <button
+            className="period-picker-step"
+            onClick={() => showCalendar(unit, stepPeriod(unit, anchor, 1))}
+            disabled={isCurrent}
+          >
+            ›
+          </button>
+        </div>
+      )}
+
+      {mode === 'custom' && (
+        <div className="period-picker-custom">
+          <input
+            type="date"
+            className="period-picker-date"
+            value={from}
+            max={to || undefined}
+            onChange={(e) => updateCustom(e.target.value, to)}
+          />
+          <span className="period-picker-to">to</span>
+          <input
+            type="date"
+            className="period-picker-date"
+            value={to}
+            min={from || undefined}
+            onChange={(e) => updateCustom(from, e.target.value)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PeriodPicker;
@@ -56,6 +56,9 @@ function RecordDetailPanel({ record: initialRecord, onUpdate, onDelete, onOpenSl
   const [draggedSubordinate, setDraggedSubordinate] = useState(null); // childId being dragged
   const [subordinateDragOver, setSubordinateDragOver] = useState(null); // { index, position: 'above'|'below' }
 
+  // File tag sync: null, 'syncing', or the last result message
+  const [tagSync, setTagSync] = useState(null);
+
   // Load full record data
   useEffect(() => {
     async function loadRecord() {
@@ -71,6 +74,7 @@ function RecordDetailPanel({ record: initialRecord, onUpdate, onDelete, onOpenSl
 
         if (result.success) {
           setRecord(result.record);
+          setTagSync(null);
           // Load display options from record
           setBackdropBlur(result.record.backdropBlur ?? DEFAULT_BLUR);
           setUseBackgroundImage(result.record.useBackgroundImage !== false);
@@ -296,6 +300,27 @@ function RecordDetailPanel({ record: initialRecord, onUpdate, onDelete, onOpenSl
     }
   }, [record?.id, onUpdate]);
 
+  // Write curated metadata into the record's audio files
+  const handleSyncTags = useCallback(async () => {
+    if (!ipcRenderer || !record?.id) return;
+
+    setTagSync('syncing');
+    try {
+      const result = await ipcRenderer.invoke('panopticon:sync-record-tags', { recordId: record.id });
+      if (!result.success) {
+        setTagSync(result.error);
+        return;
+      }
+      const parts = [`${result.written} file${result.written === 1 ? '' : 's'} tagged`];
+      if (result.skipped > 0) parts.push(`${result.skipped} skipped`);
+      if (result.errors.length > 0) parts.push(`${result.errors.length} failed`);
+      setTagSync(parts.join(' · '));
+    } catch (err) {
+      console.error('Failed to sync tags:', err);
+      setTagSync(err.message);
+    }
+  }, [record?.id]);
+
   // Handle track field updates
   const handleTrackUpdate = useCallback(async (trackId, field, value) => {
     if (!ipcRenderer) return;
@@ -868,15 +893,81 @@ function RecordDetailPanel({ record: initialRecord, onUpdate, onDelete, onOpenSl
               </span>
             </div>
             <div className="meta-row">
-              <span className="meta-label">Genre</span>
+              <span className="meta-label">Genres</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={record.genres?.length ? record.genres : (record.genre ? [record.genre] : [])}
+                  onChange={(v) => handleUpdate('genres', v)}
+                  placeholder="—"
+                  list
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">Original Date</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={record.originalDate}
+                  onChange={(v) => handleUpdate('originalDate', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">Label</span>
               <span className="meta-value">
                 <InlineEditField
-                  value={record.genre}
-                  onChange={(v) => handleUpdate('genre', v)}
+                  value={record.label}
+                  onChange={(v) => handleUpdate('label', v)}
                   placeholder="—"
                 />
               </span>
             </div>
+            <div className="meta-row">
+              <span className="meta-label">Catalog No.</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={record.catalogNumber}
+                  onChange={(v) => handleUpdate('catalogNumber', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">Barcode</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={record.barcode}
+                  onChange={(v) => handleUpdate('barcode', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">MusicBrainz Album</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={record.musicbrainzAlbumId}
+                  onChange={(v) => handleUpdate('musicbrainzAlbumId', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">MusicBrainz Artist</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={record.musicbrainzAlbumArtistId}
+                  onChange={(v) => handleUpdate('musicbrainzAlbumArtistId', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
             <div className="meta-row">
               <span className="meta-label">Added</span>
               <span className="meta-value">
@@ -1117,6 +1208,22 @@ function RecordDetailPanel({ record: initialRecord, onUpdate, onDelete, onOpenSl
               <span className="toggle-label">Include in Ledgers</span>
             </label>
           </div>
+
+          {/* FILE TAGS */}
+          <div className="record-detail-section">
+            <div className="record-detail-section-title">FILE TAGS</div>
+            <button
+              className="record-tags-sync-btn"
+              onClick={handleSyncTags}
+              disabled={tagSync === 'syncing'}
+              title="Write this record's metadata and cover into its audio files"
+            >
+              {tagSync === 'syncing' ? 'Writing Tags...' : 'Sync Tags to Files'}
+            </button>
+            {tagSync && tagSync !== 'syncing' && (
+              <div className="record-tags-sync-status">{tagSync}</div>
+            )}
+          </div>
         </div>
 
         {/* Vertical divider */}
@@ -0,0 +1,352 @@
+/**
+ * RuleSourceFields - Source type + value picker
+ *
+ * Shared by Program rules and smart cassettes. A source is
+ * { sourceType, sourceValue }; see getTrackIdsForSource in programs.js.
+ */
+
+import React, { useState, useEffect } from 'react';
+import './RuleSourceFields.css';
+
+const { ipcRenderer } = window.require ? window.require('electron') : {};
+
+export const SOURCE_TYPES = [
+  { value: 'facet', label: 'Facet' },
+  { value: 'artist', label: 'Artist' },
+  { value: 'album', label: 'Album' },
+  { value: 'mixtape', label: 'Cassette' },
+  { value: 'expression', label: 'Expression' },
+  { value: 'year', label: 'Years' },
+  { value: 'decade', label: 'Decade' },
+  { value: 'genre', label: 'Genre' },
+  { value: 'format', label: 'Format' },
+  { value: 'characteristic', label: 'Characteristic' },
+  { value: 'length', label: 'Length' },
+  { value: 'top', label: 'Heavy Rotation' },
+  { value: 'forgotten', label: 'Forgotten Favourites' },
+  { value: 'unplayed', label: 'Never Listened' },
+  { value: 'any', label: 'Any' }
+];
+
+// Sources edited as a "from-to" pair rather than picked from a list
+export const RANGE_SOURCE_TYPES = ['year', 'length'];
+
+// Sources that take no value
+export const VALUELESS_SOURCE_TYPES = ['any', 'unplayed'];
+
+// Starting values when switching a rule to a source type
+export const DEFAULT_SOURCE_VALUES = {
+  top: 'month:50',
+  forgotten: '90'
+};
+
+const TOP_PERIODS = [
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' },
+  { value: 'year', label: 'This year' },
+  { value: 'all', label: 'All time' }
+];
+
+const QUIET_PERIODS = [
+  { value: '30', label: 'Quiet 30 days' },
+  { value: '60', label: 'Quiet 60 days' },
+  { value: '90', label: 'Quiet 90 days' },
+  { value: '180', label: 'Quiet 6 months' },
+  { value: '365', label: 'Quiet a year' }
+];
+
+// Editable count input that allows empty field while typing
+export function RuleCountInput({ value, onChange, min = 1, max = 50, className = 'rule-count', title, disabled }) {
+  const [localValue, setLocalValue] = useState(String(value || 1));
+  const [isFocused, setIsFocused] = useState(false);
+
+  // Sync with external value when not focused
+  useEffect(() => {
+    if (!isFocused) {
+      setLocalValue(String(value || 1));
+    }
+  }, [value, isFocused]);
+
+  return (
+    <input
+      type="number"
+      className={className}
+      min={min}
+      max={max}
+      title={title}
+      disabled={disabled}
+      value={localValue}
+      onChange={(e) => setLocalValue(e.target.value)}
+      onFocus={() => setIsFocused(true)}
+      onBlur={() => {
+        setIsFocused(false);
+        const num = parseInt(localValue);
+        if (isNaN(num) || num < min) {
+          setLocalValue(String(min));
+          onChange(min);
+        } else {
+          const clamped = Math.min(max, Math.max(min, num));
+          setLocalValue(String(clamped));
+          onChange(clamped);
+        }
+      }}
+    />
+  );
+}
+
+// "from-to" range editor: year pickers, or free minutes for track length.
+// Either end may be left open ("1990-", "-4").
+function RuleRangeInput({ value, onChange, options, unit }) {
+  const [from = '', to = ''] = String(value || '').split('-');
+  const [localFrom, setLocalFrom] = useState(from);
+  const [localTo, setLocalTo] = useState(to);
+
+  useEffect(() => {
+    setLocalFrom(from);
+    setLocalTo(to);
+  }, [from, to]);
+
+  const commit = (nextFrom, nextTo) => {
+    const next = nextFrom || nextTo ? `${nextFrom}-${nextTo}` : '';
+    if (next !== (value || '')) onChange(next);
+  };
+
+  if (options) {
+    return (
+      <div className="rule-range">
+        <select
+          className="rule-source-value"
+          value={from}
+          onChange={(e) => commit(e.target.value, to)}
+        >
+          <option value="">From...</option>
+          {options.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+        </select>
+        <span className="rule-range-dash">{'\u2013'}</span>
+        <select
+          className="rule-source-value"
+          value={to}
+          onChange={(e) => commit(from, e.target.value)}
+        >
+          <option value="">To...</option>
+          {options.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+        </select>
+      </div>
+    );
+  }
+
+  const clean = (text) => text.replace(/[^\d.]/g, '');
+
+  return (
+    <div className="rule-range">
+      <input
+        type="text"
+        className="rule-source-value rule-range-input"
+        placeholder="Min"
+        value={localFrom}
+        onChange={(e) => setLocalFrom(clean(e.target.value))}
+        onBlur={() => commit(localFrom, localTo)}
+      />
+      <span className="rule-range-dash">{'\u2013'}</span>
+      <input
+        type="text"
+        className="rule-source-value rule-range-input"
+        placeholder="Max"
+        value={localTo}
+        onChange={(e) => setLocalTo(clean(e.target.value))}
+        onBlur={() => commit(localFrom, localTo)}
+      />
+      {unit && <span className="rule-range-unit">{unit}</span>}
+    </div>
+  );
+}
+
+// Heavy rotation: "top N over a period", stored as "period:N"
+function RuleTopInput({ value, onChange }) {
+  const [period = 'month', limit = '50'] = String(value || DEFAULT_SOURCE_VALUES.top).split(':');
+
+  return (
+    <div className="rule-range">
+      <span className="rule-range-unit">Top</span>
+      <RuleCountInput
+        className="rule-count rule-top-limit"
+        value={parseInt(limit)}
+        min={1}
+        max={500}
+        title="How many of the most-listened tracks to draw from"
+        onChange={(n) => onChange(`${period}:${n}`)}
+      />
+      <select
+        className="rule-source-value"
+        value={period}
+        onChange={(e) => onChange(`${e.target.value}:${limit}`)}
+      >
+        {TOP_PERIODS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+      </select>
+    </div>
+  );
+}
+
+// Boolean facet query, e.g. (Night AND Rain) OR Ambient NOT Vocal
+// Saves on blur; validates against the library while typing
+function RuleExpressionInput({ value, onChange }) {
+  const [localValue, setLocalValue] = useState(value || '');
+  const [isFocused, setIsFocused] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (!isFocused) {
+      setLocalValue(value || '');
+    }
+  }, [value, isFocused]);
+
+  useEffect(() => {
+    if (!ipcRenderer || !localValue.trim()) {
+      setPreview(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await ipcRenderer.invoke('validate-facet-expression', localValue);
+        if (!cancelled) setPreview(result);
+      } catch (err) {
+        console.error('Error validating expression:', err);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [localValue]);
+
+  let status = null;
+  if (preview && !preview.valid) {
+    status = <span className="rule-expression-status error" title={preview.error}>{preview.error}</span>;
+  } else if (preview) {
+    const unknown = preview.unknownFacets?.length > 0;
+    status = (
+      <span
+        className={`rule-expression-status ${unknown ? 'warning' : ''}`}
+        title={unknown ? `Unknown: ${preview.unknownFacets.join(', ')}` : undefined}
+      >
+        {preview.trackCount} {preview.trackCount === 1 ? 'track' : 'tracks'}
+      </span>
+    );
+  }
+
+  return (
+    <div className="rule-expression">
+      <input
+        type="text"
+        className={`rule-source-value rule-expression-input ${preview && !preview.valid ? 'invalid' : ''}`}
+        value={localValue}
+        placeholder="(Night AND Rain) OR Ambient NOT Vocal"
+        spellCheck={false}
+        onChange={(e) => setLocalValue(e.target.value)}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => {
+          setIsFocused(false);
+          if (localValue !== (value || '')) {
+            onChange(localValue);
+          }
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') e.target.blur();
+        }}
+      />
+      {status}
+    </div>
+  );
+}
+
+// Picker options for a source type, from get-program-sources
+export function getSourceOptions(sources, sourceType) {
+  switch (sourceType) {
+    case 'facet':
+      return sources.facets.map(f => ({ value: f.value, label: `${f.label} (${f.count})` }));
+    case 'artist':
+      return sources.artists;
+    case 'album':
+      return sources.albums.map(a => ({ value: a.value, label: `${a.label} - ${a.artist}` }));
+    case 'mixtape':
+      return sources.mixtapes.map(m => ({ value: m.value, label: `${m.label} (${m.trackCount})` }));
+    case 'year':
+      return sources.years;
+    case 'decade':
+      return sources.decades.map(d => ({ value: d.value, label: `${d.label} (${d.count})` }));
+    case 'genre':
+      return sources.genres.map(g => ({ value: g.value, label: `${g.label} (${g.count})` }));
+    case 'format':
+      return sources.formats.map(f => ({ value: f.value, label: `${f.label} (${f.count})` }));
+    case 'characteristic':
+      return sources.characteristics.map(c => ({ value: c.value, label: `${c.label} (${c.count})` }));
+    case 'forgotten':
+      return QUIET_PERIODS;
+    default:
+      return [];
+  }
+}
+
+// Type select followed by the matching value editor.
+// onChange receives a partial { sourceType?, sourceValue }.
+function RuleSourceFields({ rule, sources, onChange, sourceTypes = SOURCE_TYPES }) {
+  return (
+    <>
+      <select
+        className="rule-source-type"
+        value={rule.sourceType}
+        onChange={(e) => onChange({
+          sourceType: e.target.value,
+          sourceValue: VALUELESS_SOURCE_TYPES.includes(e.target.value)
+            ? null
+            : (DEFAULT_SOURCE_VALUES[e.target.value] || '')
+        })}
+      >
+        {sourceTypes.map(st => (
+          <option key={st.value} value={st.value}>{st.label}</option>
+        ))}
+      </select>
+
+      {rule.sourceType === 'expression' && (
+        <RuleExpressionInput
+          value={rule.sourceValue}
+          onChange={(sourceValue) => onChange({ sourceValue })}
+        />
+      )}
+
+      {RANGE_SOURCE_TYPES.includes(rule.sourceType) && (
+        <RuleRangeInput
+          value={rule.sourceValue}
+          options={rule.sourceType === 'year' ? getSourceOptions(sources, 'year') : null}
+          unit={rule.sourceType === 'length' ? 'min' : null}
+          onChange={(sourceValue) => onChange({ sourceValue })}
+        />
+      )}
+
+      {rule.sourceType === 'top' && (
+        <RuleTopInput
+          value={rule.sourceValue}
+          onChange={(sourceValue) => onChange({ sourceValue })}
+        />
+      )}
+
+      {!VALUELESS_SOURCE_TYPES.includes(rule.sourceType) &&
+        !['expression', 'top'].includes(rule.sourceType) &&
+        !RANGE_SOURCE_TYPES.includes(rule.sourceType) && (
+        <select
+          className="rule-source-value"
+          value={rule.sourceValue || ''}
+          onChange={(e) => onChange({ sourceValue: e.target.value })}
+        >
+          <option value="">Select...</option>
+          {getSourceOptions(sources, rule.sourceType).map(opt => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+          ))}
+        </select>
+      )}
+    </>
+  );
+}
+
+export default RuleSourceFields;
@@ -0,0 +1,153 @@
+/**
+ * SmartCassetteRules - Saved query editor for smart cassettes
+ *
+ * A smart cassette has no track list of its own. Its tracks are whatever
+ * its rules match right now, using the same sources as Program rules.
+ * Every change is handed straight to onChange, which saves it.
+ */
+
+import React, { useState, useEffect } from 'react';
+import RuleSourceFields, { SOURCE_TYPES } from './RuleSourceFields';
+import './SmartCassetteRules.css';
+
+const { ipcRenderer } = window.require ? window.require('electron') : {};
+
+// "Any" would match the whole library - not much of a cassette
+const SMART_SOURCE_TYPES = SOURCE_TYPES.filter(st => st.value !== 'any');
+
+const ORDERS = [
+  { value: 'source', label: 'As found' },
+  { value: 'added', label: 'Newest first' },
+  { value: 'listened', label: 'Most played first' }
+];
+
+const EMPTY_SOURCES = {
+  facets: [], artists: [], albums: [], mixtapes: [],
+  years: [], decades: [], genres: [], formats: [], characteristics: []
+};
+
+// Optional track cap (empty = everything that matches)
+function LimitInput({ value, onChange }) {
+  const [localValue, setLocalValue] = useState(value ? String(value) : '');
+
+  useEffect(() => {
+    setLocalValue(value ? String(value) : '');
+  }, [value]);
+
+  return (
+    <input
+      type="number"
+      className="smart-rules-limit"
+      min="1"
+      placeholder="All"
+      value={localValue}
+      onChange={(e) => setLocalValue(e.target.value)}
+      onBlur={() => {
+        const num = parseInt(localValue);
+        const next = isNaN(num) || num < 1 ? null : num;
+        if (next !== (value || null)) onChange(next);
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur();
+      }}
+    />
+  );
+}
+
+function SmartCassetteRules({ mixtapeId, smart, trackCount, onChange }) {
+  const [sources, setSources] = useState(EMPTY_SOURCES);
+  const rules = smart.rules || [];
+
+  useEffect(() => {
+    loadSources();
+  }, []);
+
+  async function loadSources() {
+    if (!ipcRenderer) return;
+    try {
+      const result = await ipcRenderer.invoke('get-program-sources');
+      // A cassette can draw on other cassettes, just not on itself
+      setSources({
+        ...result,
+        mixtapes: (result.mixtapes || []).filter(m => m.value !== mixtapeId)
+      });
+    } catch (err) {
+      console.error('Error loading smart cassette sources:', err);
+    }
+  }
+
+  function updateRule(index, updates) {
+    onChange({
+      ...smart,
+      rules: rules.map((rule, i) => (i === index ? { ...rule, ...updates } : rule))
+    });
+  }
+
+  function addRule() {
+    onChange({ ...smart, rules: [...rules, { sourceType: 'facet', sourceValue: '' }] });
+  }
+
+  function deleteRule(index) {
+    onChange({ ...smart, rules: rules.filter((_, i) => i !== index) });
+  }
+
+  return (
+    <div className="smart-rules">
+      <div className="smart-rules-header">
+        <span className="smart-rules-label">Match</span>
+        <select
+          className="smart-rules-select"
+          value={smart.match || 'all'}
+          onChange={(e) => onChange({ ...smart, match: e.target.value })}
+        >
+          <option value="all">all</option>
+          <option value="any">any</option>
+        </select>
+        <span className="smart-rules-label">of these rules</span>
+
+        <span className="smart-rules-count">
+          {trackCount} {trackCount === 1 ? 'track' : 'tracks'}
+        </span>
+
+        <span className="smart-rules-label">Order</span>
+        <select
+          className="smart-rules-select"
+          value={smart.order || 'source'}
+          onChange={(e) => onChange({ ...smart, order: e.target.value })}
+        >
+          {ORDERS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+
+        <span className="smart-rules-label">Limit</span>
+        <LimitInput
+          value={smart.limit}
+          onChange={(limit) => onChange({ ...smart, limit })}
+        />
+      </div>
+
+      {rules.map((rule, index) => (
+        <div key={rule.id || index} className="smart-rule-row">
+          <RuleSourceFields
+            rule={rule}
+            sources={sources}
+            sourceTypes={SMART_SOURCE_TYPES}
+            onChange={(updates) => updateRule(index, updates)}
+          />
+          <button
+            className="smart-rule-delete"
+            onClick={() => deleteRule(index)}
+            title="Remove rule"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <button className="smart-rules-add" onClick={addRule}>
+        + Add Rule
+      </button>
+    </div>
+  );
+}
+
+export default SmartCassetteRules;
@@ -192,7 +192,7 @@ function TrackDetailPanel({ track: initialTrack, onUpdate, onDelete, onNavigateT
               <span className="track-detail-cover-placeholder">🎵</span>
             )}
           </div>
-          {track.filePath && (
+          {track.filePath && !track.missing && (
             <button
               className="track-detail-reveal-btn"
               onClick={handleRevealInFinder}
@@ -252,6 +252,91 @@ function TrackDetailPanel({ track: initialTrack, onUpdate, onDelete, onNavigateT
                 />
               </span>
             </div>
+            <div className="meta-row">
+              <span className="meta-label">Genres</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.genres}
+                  onChange={(v) => handleUpdate('genres', v)}
+                  placeholder="—"
+                  list
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">Composer</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.composer}
+                  onChange={(v) => handleUpdate('composer', v)}
+                  placeholder="—"
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">Conductor</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.conductor}
+                  onChange={(v) => handleUpdate('conductor', v)}
+                  placeholder="—"
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">Performers</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.performers}
+                  onChange={(v) => handleUpdate('performers', v)}
+                  placeholder="—"
+                  list
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">ISRC</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.isrc}
+                  onChange={(v) => handleUpdate('isrc', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">MusicBrainz Track</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.musicbrainzTrackId}
+                  onChange={(v) => handleUpdate('musicbrainzTrackId', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">MusicBrainz Artist</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.musicbrainzArtistId}
+                  onChange={(v) => handleUpdate('musicbrainzArtistId', v)}
+                  placeholder="—"
+                  monospace
+                />
+              </span>
+            </div>
+            <div className="meta-row">
+              <span className="meta-label">Comment</span>
+              <span className="meta-value">
+                <InlineEditField
+                  value={track.comment}
+                  onChange={(v) => handleUpdate('comment', v)}
+                  placeholder="—"
+                />
+              </span>
+            </div>
             <div className="meta-row">
               <span className="meta-label">Format</span>
               <span className="meta-value">{track.format || track.codec || '—'}</span>
@@ -363,6 +448,28 @@ function TrackDetailPanel({ track: initialTrack, onUpdate, onDelete, onNavigateT
             {track.filename || track.filePath?.split('/').pop() || '—'}
           </span>
         </div>
+        {track.cue && (
+          <div className="meta-row">
+            <span className="meta-label">CUE Track</span>
+            <span className="meta-value">
+              {track.cue.start ? formatDuration(track.cue.start) : '0:00'}{track.cue.end != null ? `–${formatDuration(track.cue.end)}` : ''} of disc image
+            </span>
+          </div>
+        )}
+        {track.referencePath && (
+          <div className="meta-row">
+            <span className="meta-label">Location</span>
+            <span className="meta-value">Referenced in place</span>
+          </div>
+        )}
+        {track.missing && (
+          <div className="meta-row track-detail-missing" title={track.referencePath}>
+            <span className="meta-label">Missing</span>
+            <span className="meta-value">
+              since {new Date(track.missingSince).toLocaleDateString()}
+            </span>
+          </div>
+        )}
       </div>
 
       {/* Dangerous actions */}
@@ -8,6 +8,38 @@
 // Get Electron IPC if available
 const { ipcRenderer } = window.require ? window.require('electron') : {};
 
+/**
+ * Export menu items for a record or cassette
+ * The save dialog picks the format (.m3u8 or .xspf); relative paths
+ * are relative to wherever the playlist is saved.
+ * @param {string} collectionId - Album or mixtape ID
+ * @returns {Array} Menu items
+ */
+function buildExportPlaylistItems(collectionId) {
+  const exportPlaylist = async (pathMode) => {
+    if (!ipcRenderer) return;
+    try {
+      const result = await ipcRenderer.invoke('export-playlist', { collectionId, pathMode });
+      if (!result.success && !result.canceled) {
+        console.error('Failed to export playlist:', result.error);
+      }
+    } catch (err) {
+      console.error('Error exporting playlist:', err);
+    }
+  };
+
+  return [
+    {
+      label: 'Export Playlist...',
+      action: () => exportPlaylist('absolute')
+    },
+    {
+      label: 'Export Playlist (Relative Paths)...',
+      action: () => exportPlaylist('relative')
+    }
+  ];
+}
+
 /**
  * Creates a track context menu builder
  * @param {Object} deps - Dependencies
@@ -466,6 +498,8 @@ export function createRecordContextMenuBuilder(deps) {
       }
     });
 
+    items.push(...buildExportPlaylistItems(album.id));
+
     items.push({ type: 'separator' });
 
     // Delete from Library - danger action
@@ -620,6 +654,8 @@ export function createMixtapeContextMenuBuilder(deps) {
       }
     });
 
+    items.push(...buildExportPlaylistItems(mixtape.id));
+
     items.push({ type: 'separator' });
 
     // Delete
@@ -715,13 +751,15 @@ export function createFacetContextMenuBuilder(deps) {
                 const j = Math.floor(Math.random() * (i + 1));
                 [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
               }
-              const firstTrack = shuffled[0];
               // Build full queue (position-based model)
               const fullQueue = shuffled.map((t, i) => ({
                 queueId: `facet-roam-${Date.now()}-${i}`,
-                ...t
+                ...t,
+                sourceType: 'roam',
+                sourceId: facetName,
+                sourceName: facetName
               }));
-              await loadTrack(firstTrack, true);
+              await loadTrack(fullQueue[0], true);
               setQueue(fullQueue);
             }
           } catch (err) {
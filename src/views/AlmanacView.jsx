@@ -0,0 +1,90 @@
+/**
+ * AlmanacView - A year in review, shown inside Ledgers
+ *
+ * Previews the same self-contained page that gets exported, so what's
+ * shared as HTML or PDF is exactly what's on screen.
+ */
+
+import React, { useState, useEffect } from 'react';
+import '../styles/AlmanacView.css';
+
+const { ipcRenderer } = window.require ? window.require('electron') : {};
+
+function AlmanacView({ refreshKey = 0 }) {
+  const [years, setYears] = useState([]);
+  const [year, setYear] = useState(null);
+  const [html, setHtml] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [exporting, setExporting] = useState(null);
+  const [exported, setExported] = useState(null);
+
+  useEffect(() => {
+    if (!ipcRenderer) return;
+    ipcRenderer.invoke('get-almanac-years').then(result => {
+      if (!result.success) {
+        setError(result.error);
+        setLoading(false);
+        return;
+      }
+      setYears(result.years);
+      setYear(current => current ?? result.years[0]);
+    });
+  }, [refreshKey]);
+
+  useEffect(() => {
+    if (!ipcRenderer || year === null) return;
+    let current = true;
+    setLoading(true);
+    setExported(null);
+    ipcRenderer.invoke('get-almanac', year).then(result => {
+      if (!current) return;
+      setHtml(result.success ? result.html : null);
+      setError(result.success ? null : result.error);
+      setLoading(false);
+    });
+    return () => { current = false; };
+  }, [year, refreshKey]);
+
+  async function handleExport(format) {
+    setExporting(format);
+    setExported(null);
+    try {
+      const result = await ipcRenderer.invoke('export-almanac', { year, format });
+      if (result.success) setExported(`Saved to ${result.filePath}`);
+      else if (!result.canceled) setExported(`Export failed: ${result.error}`);
+    } finally {
+      setExporting(null);
+    }
+  }
+
+  return (
+    <div className="almanac-view">
+      <div className="almanac-controls">
+        <select value={year ?? ''} onChange={(e) => setYear(Number(e.target.value))}>
+          {years.map(y => <option key={y} value={y}>{y}</option>)}
+        </select>
+        <button className="almanac-btn" onClick={() => handleExport('html')} disabled={!html || exporting !== null}>
+          {exporting === 'html' ? 'Saving...' : 'Export HTML'}
+        </button>
+        <button className="almanac-btn" onClick={() => handleExport('pdf')} disabled={!html || exporting !== null}>
+          {exporting === 'pdf' ? 'Printing...' : 'Export PDF'}
+        </button>
+        {exported && <span className="almanac-status">{exported}</span>}
+      </div>
+
+      {loading ? (
+        <div className="ledgers-empty">Loading...</div>
+      ) : error ? (
+        <div className="ledgers-empty">
+          <p>Couldn't put the almanac together</p>
+          <p className="empty-hint">{error}</p>
+        </div>
+      ) : (
+        <iframe className="almanac-page" title={`Almanac ${year}`} srcDoc={html} sandbox="" />
+      )}
+    </div>
+  );
+}
+
+export default AlmanacView;
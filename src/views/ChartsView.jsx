@@ -1,18 +1,341 @@
-import React from 'react';
-import '../styles/TagsView.css'; // Shared placeholder styles
+/**
+ * ChartsView - Listening over time, shown inside Ledgers
+ *
+ * A weekday x hour heatmap, listening by hour and weekday, a timeline by
+ * week or month, trend lines for the period's top artists, and a record's
+ * life curve since it joined the library. Everything but the artist trends
+ * can be narrowed to one track, record, artist or facet.
+ */
+
+import React, { useState, useEffect } from 'react';
+import '../styles/ChartsView.css';
+
+const { ipcRenderer } = window.require ? window.require('electron') : {};
+
+const FILTER_TYPES = [
+  { value: 'all', label: 'Everything' },
+  { value: 'track', label: 'Track' },
+  { value: 'record', label: 'Record' },
+  { value: 'artist', label: 'Artist' },
+  { value: 'facet', label: 'Facet' }
+];
+
+const TIMELINE_BUCKETS = [
+  { value: 'day', label: 'Days' },
+  { value: 'week', label: 'Weeks' },
+  { value: 'month', label: 'Months' }
+];
+
+// Weeks start on Monday; the ledgers number weekdays from Sunday = 0
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TREND_COLORS = ['#d4840f', '#8fb3a0', '#c47a6a', '#a89ccf', '#d4c46a', '#6a9cc4'];
+
+function formatHours(seconds) {
+  if (!seconds) return '0m';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function bucketLabel(bucket, key) {
+  if (bucket === 'month') {
+    const [year, month] = key.split('-').map(Number);
+    return new Date(year, month - 1, 1).toLocaleDateString(undefined, { month: 'short', year: '2-digit' });
+  }
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+}
+
+// Filter options for the period: its listened tracks/records/artists, or every facet
+async function loadFilterOptions(type, period) {
+  switch (type) {
+    case 'track':
+      return (await ipcRenderer.invoke('get-top-tracks', { period, limit: 200, sortBy: 'time' }))
+        .map(t => ({ value: t.track_id, label: `${t.title} - ${t.artist}` }));
+    case 'record':
+      return (await ipcRenderer.invoke('get-top-albums', { period, limit: 200, sortBy: 'time' }))
+        .map(a => ({ value: a.album_id, label: `${a.title} - ${a.artist}` }));
+    case 'artist':
+      return (await ipcRenderer.invoke('get-top-artists', { period, limit: 200, sortBy: 'time' }))
+        .map(a => ({ value: a.artist, label: a.artist }));
+    case 'facet':
+      return (await ipcRenderer.invoke('get-all-facets'))
+        .map(f => ({ value: f.name, label: f.name }));
+    default:
+      return [];
+  }
+}
+
+function Heatmap({ series }) {
+  const max = Math.max(1, ...series.map(p => p.total_seconds));
+  const cells = new Map(series.map(p => [p.bucket, p]));
 
-function ChartsView({ onTrackSelect }) {
   return (
-    <div className="charts-view">
-      <div className="charts-content">
-        <h2>LEDGERS VIEW</h2>
-        <p>Listening history ledgers coming soon...</p>
+    <div className="charts-heatmap">
+      <div className="charts-heatmap-row">
+        <span className="charts-heatmap-day" />
+        {Array.from({ length: 24 }, (_, hour) => (
+          <span key={hour} className="charts-heatmap-hour">{hour % 3 === 0 ? hour : ''}</span>
+        ))}
       </div>
-      
-      {/* Universal bottom bar */}
-      <div className="bottom-bar">
-        <div className="bottom-bar-placeholder"></div>
+      {WEEKDAYS.map(day => (
+        <div key={day} className="charts-heatmap-row">
+          <span className="charts-heatmap-day">{WEEKDAY_NAMES[day]}</span>
+          {Array.from({ length: 24 }, (_, hour) => {
+            const seconds = cells.get(day * 24 + hour)?.total_seconds || 0;
+            return (
+              <span
+                key={hour}
+                className="charts-heatmap-cell"
+                style={{ opacity: seconds > 0 ? 0.15 + 0.85 * (seconds / max) : 0.05 }}
+                title={`${WEEKDAY_NAMES[day]} ${String(hour).padStart(2, '0')}:00 - ${formatHours(seconds)}`}
+              />
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function BarChart({ points, compact = false }) {
+  const max = Math.max(1, ...points.map(p => p.value));
+  const labelEvery = Math.ceil(points.length / 12);
+
+  return (
+    <div className={`charts-bars ${compact ? 'compact' : ''}`}>
+      {points.map((point, index) => (
+        <div key={point.key} className="charts-bar-column" title={`${point.label} - ${formatHours(point.value)}`}>
+          <div className="charts-bar-track">
+            <div className="charts-bar" style={{ height: `${(point.value / max) * 100}%` }} />
+          </div>
+          <span className="charts-bar-label">{index % labelEvery === 0 ? point.label : ''}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Lines share an x axis (labels) and a y scale; each line is { label, color, values }
+function LineChart({ labels, lines, fill = false }) {
+  const width = 600;
+  const height = 160;
+  const max = Math.max(1, ...lines.flatMap(line => line.values));
+  const x = (index) => (labels.length > 1 ? (index / (labels.length - 1)) * width : width / 2);
+  const y = (value) => height - (value / max) * (height - 8);
+  const labelEvery = Math.ceil(labels.length / 8);
+
+  return (
+    <div className="charts-line">
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="charts-line-svg">
+        {lines.map(line => {
+          const points = line.values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+          return (
+            <g key={line.label}>
+              {fill && <polygon points={`0,${height} ${points} ${x(line.values.length - 1)},${height}`} fill={line.color} opacity="0.15" />}
+              <polyline points={points} fill="none" stroke={line.color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            </g>
+          );
+        })}
+      </svg>
+      <div className="charts-line-axis">
+        {labels.map((label, index) => (
+          <span key={index}>{index % labelEvery === 0 ? label : ''}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ChartsView({ period, refreshKey = 0 }) {
+  const [filterType, setFilterType] = useState('all');
+  const [filterValue, setFilterValue] = useState('');
+  const [filterOptions, setFilterOptions] = useState([]);
+  const [timelineBucket, setTimelineBucket] = useState('week');
+  const [heatmap, setHeatmap] = useState([]);
+  const [byHour, setByHour] = useState([]);
+  const [byWeekday, setByWeekday] = useState([]);
+  const [timeline, setTimeline] = useState([]);
+  const [trends, setTrends] = useState([]);
+  const [lifeCurve, setLifeCurve] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const periodKey = JSON.stringify(period);
+  const filter = filterType !== 'all' && filterValue ? { type: filterType, value: filterValue } : null;
+
+  // Options for the chosen filter type
+  useEffect(() => {
+    if (!ipcRenderer || filterType === 'all') {
+      setFilterOptions([]);
+      return;
+    }
+    let current = true;
+    loadFilterOptions(filterType, period).then(options => {
+      if (!current) return;
+      setFilterOptions(options);
+      if (!options.some(o => o.value === filterValue)) setFilterValue(options[0]?.value || '');
+    });
+    return () => { current = false; };
+  }, [filterType, periodKey]);
+
+  useEffect(() => {
+    if (!ipcRenderer) return;
+    let current = true;
+    setLoading(true);
+
+    const series = (bucket) => ipcRenderer.invoke('get-listening-series', { bucket, period, filter });
+    Promise.all([
+      series('weekday-hour'),
+      series('hour'),
+      series('weekday'),
+      series(timelineBucket),
+      ipcRenderer.invoke('get-artist-trends', { period, bucket: timelineBucket, limit: 5 }),
+      filter?.type === 'record'
+        ? ipcRenderer.invoke('get-record-life-curve', { albumId: filter.value, bucket: timelineBucket })
+        : null
+    ]).then(([heatmapSeries, hourSeries, weekdaySeries, timelineSeries, artistTrends, curve]) => {
+      if (!current) return;
+      setHeatmap(heatmapSeries);
+      setByHour(hourSeries);
+      setByWeekday(weekdaySeries);
+      setTimeline(timelineSeries);
+      setTrends(artistTrends);
+      setLifeCurve(curve?.success ? curve : null);
+      setLoading(false);
+    });
+    return () => { current = false; };
+  }, [periodKey, filterType, filterValue, timelineBucket, refreshKey]);
+
+  const hasListens = heatmap.some(p => p.total_seconds > 0);
+  const trendLabels = trends[0]?.series.map(p => bucketLabel(timelineBucket, p.bucket)) || [];
+
+  return (
+    <div className="charts-view">
+      <div className="charts-controls">
+        <select
+          value={filterType}
+          onChange={(e) => {
+            setFilterType(e.target.value);
+            setFilterValue('');
+          }}
+        >
+          {FILTER_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+        </select>
+        {filterType !== 'all' && (
+          <select
+            className="charts-filter-value"
+            value={filterValue}
+            onChange={(e) => setFilterValue(e.target.value)}
+            disabled={filterOptions.length === 0}
+          >
+            {filterOptions.length === 0 && <option value="">Nothing in this period</option>}
+            {filterOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        )}
+        <div className="charts-bucket-pills">
+          {TIMELINE_BUCKETS.map(b => (
+            <button
+              key={b.value}
+              className={`period-pill ${timelineBucket === b.value ? 'active' : ''}`}
+              onClick={() => setTimelineBucket(b.value)}
+            >
+              {b.label}
+            </button>
+          ))}
+        </div>
       </div>
+
+      {loading ? (
+        <div className="ledgers-empty">Loading...</div>
+      ) : !hasListens ? (
+        <div className="ledgers-empty">
+          <p>Nothing listened to in this period</p>
+        </div>
+      ) : (
+        <div className="charts-grid">
+          <section className="charts-panel charts-panel-wide">
+            <h3>When you listen</h3>
+            <Heatmap series={heatmap} />
+          </section>
+
+          <section className="charts-panel">
+            <h3>By hour</h3>
+            <BarChart
+              compact
+              points={byHour.map(p => ({ key: p.bucket, label: String(p.bucket).padStart(2, '0'), value: p.total_seconds }))}
+            />
+          </section>
+
+          <section className="charts-panel">
+            <h3>By weekday</h3>
+            <BarChart
+              compact
+              points={WEEKDAYS.map(day => ({
+                key: day,
+                label: WEEKDAY_NAMES[day],
+                value: byWeekday.find(p => p.bucket === day)?.total_seconds || 0
+              }))}
+            />
+          </section>
+
+          <section className="charts-panel charts-panel-wide">
+            <h3>Over time</h3>
+            <BarChart
+              points={timeline.map(p => ({ key: p.bucket, label: bucketLabel(timelineBucket, p.bucket), value: p.total_seconds }))}
+            />
+          </section>
+
+          {lifeCurve && (
+            <section className="charts-panel charts-panel-wide">
+              <h3>
+                Life curve - {lifeCurve.title}
+                {lifeCurve.addedAt && (
+                  <span className="charts-panel-note">
+                    added {new Date(lifeCurve.addedAt).toLocaleDateString()}
+                  </span>
+                )}
+              </h3>
+              {lifeCurve.series.length > 0 ? (
+                <LineChart
+                  fill
+                  labels={lifeCurve.series.map(p => bucketLabel(timelineBucket, p.bucket))}
+                  lines={[{
+                    label: 'Total',
+                    color: TREND_COLORS[0],
+                    values: lifeCurve.series.map(p => p.cumulative_seconds)
+                  }]}
+                />
+              ) : (
+                <div className="charts-panel-note">Not listened to since it was added</div>
+              )}
+            </section>
+          )}
+
+          {trends.length > 0 && (
+            <section className="charts-panel charts-panel-wide">
+              <h3>Top artists</h3>
+              <LineChart
+                labels={trendLabels}
+                lines={trends.map((trend, index) => ({
+                  label: trend.artist,
+                  color: TREND_COLORS[index % TREND_COLORS.length],
+                  values: trend.series.map(p => p.total_seconds)
+                }))}
+              />
+              <div className="charts-legend">
+                {trends.map((trend, index) => (
+                  <span key={trend.artist} className="charts-legend-item">
+                    <span className="charts-legend-swatch" style={{ background: TREND_COLORS[index % TREND_COLORS.length] }} />
+                    {trend.artist} <span className="charts-legend-total">{formatHours(trend.total_seconds)}</span>
+                  </span>
+                ))}
+              </div>
+            </section>
+          )}
+        </div>
+      )}
     </div>
   );
 }
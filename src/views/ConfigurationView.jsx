@@ -1,8 +1,71 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import PathTemplates from '../components/PathTemplates';
 import murkandloamLogo from '../assets/murkandloam.png';
 import '../styles/ConfigurationView.css';
 
-function ConfigurationView({ showAlbumLabels, onShowAlbumLabelsChange, visualizerSync, onVisualizerSyncChange, onReturnToFoyer }) {
+function ConfigurationView({
+  showAlbumLabels,
+  onShowAlbumLabelsChange,
+  visualizerSync,
+  onVisualizerSyncChange,
+  importMode,
+  onImportModeChange,
+  watchedFolders,
+  onAddWatchedFolder,
+  onRemoveWatchedFolder,
+  onRescanWatchedFolders,
+  syncTagsOnEdit,
+  onSyncTagsOnEditChange,
+  onSyncLibraryTags,
+  onListImports,
+  onUndoImport,
+  onReturnToFoyer
+}) {
+  // null, 'syncing', or the last library-wide sync result
+  const [tagSync, setTagSync] = useState(null);
+
+  const handleSyncLibraryTags = async () => {
+    setTagSync('syncing');
+    try {
+      const result = await onSyncLibraryTags();
+      if (!result?.success) {
+        setTagSync(result?.error || 'Sync failed');
+        return;
+      }
+      const failed = result.errors.length > 0 ? `, ${result.errors.length} failed` : '';
+      setTagSync(`${result.written} files tagged, ${result.skipped} skipped${failed}`);
+    } catch (err) {
+      console.error('Failed to sync library tags:', err);
+      setTagSync(err.message);
+    }
+  };
+
+  // Recent import batches from the import journal, newest first
+  const [imports, setImports] = useState([]);
+  const [undoingImport, setUndoingImport] = useState(null);
+
+  useEffect(() => {
+    onListImports().then(setImports);
+  }, [onListImports]);
+
+  const handleUndoImport = async (journalId) => {
+    setUndoingImport(journalId);
+    const result = await onUndoImport(journalId);
+    if (!result?.success) {
+      console.error('Failed to undo import:', result?.error);
+    }
+    setImports(await onListImports());
+    setUndoingImport(null);
+  };
+
+  const describeImport = (entry) => {
+    const parts = [`${entry.trackCount} track${entry.trackCount !== 1 ? 's' : ''}`];
+    if (entry.recordCount > 0) parts.push(`${entry.recordCount} new record${entry.recordCount !== 1 ? 's' : ''}`);
+    if (entry.mergedCount > 0) parts.push(`added to ${entry.mergedCount}`);
+    if (entry.replacedCount > 0) parts.push(`${entry.replacedCount} replaced`);
+    return parts.join(', ');
+  };
+
   return (
     <div className="configuration-view">
       <div className="configuration-content">
@@ -52,6 +115,115 @@ function ConfigurationView({ showAlbumLabels, onShowAlbumLabelsChange, visualize
         {/* LIBRARY */}
         <div className="config-panel">
           <div className="config-header">library</div>
+          <div className="config-divider" />
+          <label className="config-checkbox">
+            <input
+              type="checkbox"
+              checked={importMode === 'reference'}
+              onChange={(e) => onImportModeChange(e.target.checked ? 'reference' : 'copy')}
+            />
+            <span className="checkbox-box" />
+            <span className="checkbox-content">
+              <span className="checkbox-label">Reference files in place</span>
+              <span className="checkbox-description">
+                Imported tracks stay where they are instead of being copied into the library
+              </span>
+            </span>
+          </label>
+
+          <div className="config-setting config-watched">
+            <span className="setting-label">Watched Folders</span>
+            <span className="setting-description">
+              Referenced in place and kept in sync: new files are imported, moved files
+              are followed, and deleted ones are flagged missing in Panopticon.
+            </span>
+            {watchedFolders.length > 0 && (
+              <div className="config-watched-list">
+                {watchedFolders.map(folder => (
+                  <div key={folder.path} className={`config-watched-item ${folder.available ? '' : 'unavailable'}`}>
+                    <span className="config-watched-path" title={folder.path}>{folder.path}</span>
+                    {!folder.available && <span className="config-watched-status">not found</span>}
+                    <button
+                      className="config-watched-remove"
+                      onClick={() => onRemoveWatchedFolder(folder.path)}
+                      title="Stop watching (tracks stay in the library)"
+                    >
+                      {'\u00d7'}
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="config-watched-actions">
+              <button className="config-btn" onClick={onAddWatchedFolder}>Watch Folder...</button>
+              {watchedFolders.length > 0 && (
+                <button className="config-btn" onClick={onRescanWatchedFolders}>Rescan Now</button>
+              )}
+            </div>
+          </div>
+
+          <div className="config-setting config-path-templates">
+            <span className="setting-label">Filename Templates</span>
+            <span className="setting-description">
+              How to read untagged files from their folders and filenames, on import and in
+              Panopticon's folder analysis. Only fills in what the tags leave out.
+            </span>
+            <PathTemplates />
+          </div>
+
+          <label className="config-checkbox">
+            <input
+              type="checkbox"
+              checked={syncTagsOnEdit}
+              onChange={(e) => onSyncTagsOnEditChange(e.target.checked)}
+            />
+            <span className="checkbox-box" />
+            <span className="checkbox-content">
+              <span className="checkbox-label">Write edits into file tags</span>
+              <span className="checkbox-description">
+                Panopticon edits and new covers are also saved into the audio files, so copies
+                taken out of the library carry them. Referenced and CUE sheet tracks are left alone.
+              </span>
+            </span>
+          </label>
+          <div className="config-tag-sync">
+            <button className="config-btn" onClick={handleSyncLibraryTags} disabled={tagSync === 'syncing'}>
+              {tagSync === 'syncing' ? 'Writing Tags...' : 'Sync All Tags Now'}
+            </button>
+            {tagSync && tagSync !== 'syncing' && <span className="setting-description">{tagSync}</span>}
+          </div>
+
+          {imports.length > 0 && (
+            <div className="config-setting config-imports">
+              <span className="setting-label">Recent Imports</span>
+              <span className="setting-description">
+                Undo takes a whole batch back out: its tracks, the records it created and the
+                tracks it added to existing ones. Source files are never touched.
+              </span>
+              <div className="config-imports-list">
+                {imports.slice(0, 10).map(entry => (
+                  <div key={entry.id} className={`config-imports-item ${entry.undoneAt ? 'undone' : ''}`}>
+                    <span className="config-imports-date">{new Date(entry.startedAt).toLocaleString()}</span>
+                    <span className="config-imports-summary" title={(entry.sources || []).join('\n')}>
+                      {describeImport(entry)}
+                    </span>
+                    {entry.undoneAt ? (
+                      <span className="config-imports-status">undone</span>
+                    ) : (
+                      <button
+                        className="config-btn"
+                        onClick={() => handleUndoImport(entry.id)}
+                        disabled={undoingImport !== null}
+                      >
+                        {undoingImport === entry.id ? 'Undoing...' : 'Undo'}
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="config-divider" />
           <button className="config-btn" onClick={onReturnToFoyer}>
             Return to Foyer for Library Switching
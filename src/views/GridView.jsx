@@ -135,7 +135,7 @@ function GridView({
         } else if (stats?.isFile) {
           // Check if it's an audio file
           const ext = file.name.toLowerCase().split('.').pop();
-          const audioExts = ['m4a', 'flac', 'mp3', 'wav', 'aiff', 'aac', 'ogg', 'wma'];
+          const audioExts = ['m4a', 'flac', 'mp3', 'wav', 'aiff', 'aac', 'ogg', 'wma', 'cue'];
           if (audioExts.includes(ext)) {
             filePaths.push(file.path);
           }
@@ -1,29 +1,40 @@
 /**
  * LedgersView - Listening History
  *
- * Spreadsheet-style reports for tracks, records, and artists.
- * Time periods: last 24 hours, 7 days, 30 days, year, all time.
+ * Spreadsheet-style reports for tracks, records, artists, facets and
+ * cassettes, charts of listening over time, and the yearly Almanac.
+ * Time periods: rolling (last 24 hours ... all time), a calendar week,
+ * month, quarter or year, or a custom date range.
  */
 
 import React, { useState, useEffect } from 'react';
+import PeriodPicker from '../components/PeriodPicker';
+import ChartsView from './ChartsView';
+import AlmanacView from './AlmanacView';
 import './LedgersView.css';
 
 const { ipcRenderer } = window.require ? window.require('electron') : {};
 
-// Time period options
-const PERIODS = [
-  { value: 'day', label: '24h' },
-  { value: 'week', label: '7d' },
-  { value: 'month', label: '30d' },
-  { value: 'year', label: '1y' },
-  { value: 'all', label: 'All' }
-];
-
 // View modes
 const VIEWS = [
   { value: 'tracks', label: 'Tracks' },
   { value: 'albums', label: 'Records' },
-  { value: 'artists', label: 'Artists' }
+  { value: 'artists', label: 'Artists' },
+  { value: 'facets', label: 'Facets' },
+  { value: 'mixtapes', label: 'Cassettes' },
+  { value: 'charts', label: 'Charts' },
+  { value: 'almanac', label: 'Almanac' }
+];
+
+// Where listening came from, as shown above the Cassettes ledger
+const CONTEXTS = [
+  { value: 'record', label: 'Records' },
+  { value: 'mixtape', label: 'Cassettes' },
+  { value: 'program', label: 'Programs' },
+  { value: 'roam', label: 'Roaming' },
+  { value: 'search', label: 'Search' },
+  { value: 'queue', label: 'Queued' },
+  { value: null, label: 'Unrecorded' }
 ];
 
 // Format as H:MM:SS
@@ -47,7 +58,7 @@ function formatTrackLength(seconds) {
 
 const ITEMS_PER_PAGE = 50;
 
-function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackContextMenu, onAlbumContextMenu, refreshKey = 0 }) {
+function LedgersView({ onTrackSelect, onAlbumSelect, onFacetSelect, onMixtapeSelect, currentTrackId, onTrackContextMenu, onAlbumContextMenu, refreshKey = 0 }) {
   const [period, setPeriod] = useState('all');
   const [view, setView] = useState('tracks');
   const [sortBy, setSortBy] = useState('listened');
@@ -55,13 +66,14 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState(null);
   const [items, setItems] = useState([]);
+  const [contexts, setContexts] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
 
   // Load data when filters change, track changes, or refreshKey changes
   useEffect(() => {
     loadData();
     setCurrentPage(1); // Reset to first page on filter change
-  }, [period, view, currentTrackId, refreshKey]);
+  }, [JSON.stringify(period), view, currentTrackId, refreshKey]);
 
   async function loadData() {
     if (!ipcRenderer) return;
@@ -83,6 +95,13 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
         case 'artists':
           result = await ipcRenderer.invoke('get-top-artists', { period, limit: 200, sortBy: 'time' });
           break;
+        case 'facets':
+          result = await ipcRenderer.invoke('get-top-facets', { period, limit: 200, sortBy: 'time' });
+          break;
+        case 'mixtapes':
+          result = await ipcRenderer.invoke('get-top-mixtapes', { period, limit: 200, sortBy: 'time' });
+          setContexts(await ipcRenderer.invoke('get-listen-contexts', { period }) || []);
+          break;
         default:
           result = [];
       }
@@ -116,6 +135,10 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
         artist: item.artist,
         albumArt: item.albumArt
       });
+    } else if (view === 'facets' && onFacetSelect) {
+      onFacetSelect(item.facet);
+    } else if (view === 'mixtapes' && item.exists && onMixtapeSelect) {
+      onMixtapeSelect({ id: item.mixtape_id, name: item.title });
     }
   }
 
@@ -140,7 +163,7 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
   function getSortValue(item, column) {
     switch (column) {
       case 'title':
-        return (item.title || item.artist || '').toLowerCase();
+        return (item.title || item.facet || item.artist || '').toLowerCase();
       case 'artist':
         return (item.artist || '').toLowerCase();
       case 'album':
@@ -184,6 +207,15 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
   const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
   const paginatedItems = sortedItems.slice(startIndex, startIndex + ITEMS_PER_PAGE);
 
+  // Share of listening time per context, for the breakdown strip
+  const contextSeconds = contexts.reduce((sum, c) => sum + c.total_seconds, 0);
+  const contextShares = CONTEXTS
+    .map(c => ({
+      ...c,
+      seconds: contexts.find(row => row.context_type === c.value)?.total_seconds || 0
+    }))
+    .filter(c => c.seconds > 0);
+
   // Render sort indicator
   function sortIndicator(column) {
     if (sortBy !== column) return null;
@@ -209,19 +241,9 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
           )}
         </div>
 
-        {/* Period Pills */}
+        {/* Period */}
         <div className="ledgers-controls">
-          <div className="period-pills">
-            {PERIODS.map(p => (
-              <button
-                key={p.value}
-                className={`period-pill ${period === p.value ? 'active' : ''}`}
-                onClick={() => setPeriod(p.value)}
-              >
-                {p.label}
-              </button>
-            ))}
-          </div>
+          {view !== 'almanac' && <PeriodPicker value={period} onChange={setPeriod} />}
         </div>
       </div>
 
@@ -240,12 +262,46 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
 
       {/* Spreadsheet Content */}
       <div className="ledgers-content">
-        {loading ? (
+        {view === 'mixtapes' && !loading && contextSeconds > 0 && (
+          <div className="ledgers-contexts">
+            <div className="ledgers-contexts-bar">
+              {contextShares.map(c => (
+                <div
+                  key={c.label}
+                  className={`ledgers-context context-${c.value || 'unknown'}`}
+                  style={{ width: `${(c.seconds / contextSeconds) * 100}%` }}
+                  title={`${c.label}: ${formatDuration(c.seconds)}`}
+                />
+              ))}
+            </div>
+            <div className="ledgers-contexts-legend">
+              {contextShares.map(c => (
+                <span key={c.label} className="ledgers-contexts-item">
+                  <span className={`ledgers-contexts-swatch context-${c.value || 'unknown'}`} />
+                  {c.label} {Math.round((c.seconds / contextSeconds) * 100)}%
+                </span>
+              ))}
+            </div>
+          </div>
+        )}
+        {view === 'charts' ? (
+          <ChartsView period={period} refreshKey={refreshKey} />
+        ) : view === 'almanac' ? (
+          <AlmanacView refreshKey={refreshKey} />
+        ) : loading ? (
           <div className="ledgers-empty">Loading...</div>
         ) : items.length === 0 ? (
           <div className="ledgers-empty">
-            <p>No listening history yet</p>
-            <p className="empty-hint">Play some music to start filling your ledgers</p>
+            {view === 'mixtapes' ? (
+              <p>No cassettes played {period === 'all' ? 'yet' : 'in this period'}</p>
+            ) : period === 'all' ? (
+              <>
+                <p>No listening history yet</p>
+                <p className="empty-hint">Play some music to start filling your ledgers</p>
+              </>
+            ) : (
+              <p>Nothing listened to in this period</p>
+            )}
           </div>
         ) : (
           <table className="ledgers-table">
@@ -367,12 +423,72 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
                     </th>
                   </>
                 )}
+
+                {/* FACETS view columns */}
+                {view === 'facets' && (
+                  <>
+                    <th
+                      className={`col-title sortable ${sortBy === 'title' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('title')}
+                    >
+                      Facet{sortIndicator('title')}
+                    </th>
+                    <th
+                      className={`col-count sortable ${sortBy === 'tracks' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('tracks')}
+                    >
+                      Tracks{sortIndicator('tracks')}
+                    </th>
+                    <th
+                      className={`col-listened sortable ${sortBy === 'listened' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('listened')}
+                    >
+                      Listened{sortIndicator('listened')}
+                    </th>
+                    <th
+                      className={`col-clicks sortable ${sortBy === 'clicks' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('clicks')}
+                    >
+                      Listens{sortIndicator('clicks')}
+                    </th>
+                  </>
+                )}
+
+                {/* CASSETTES view columns */}
+                {view === 'mixtapes' && (
+                  <>
+                    <th
+                      className={`col-title sortable ${sortBy === 'title' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('title')}
+                    >
+                      Cassette{sortIndicator('title')}
+                    </th>
+                    <th
+                      className={`col-count sortable ${sortBy === 'tracks' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('tracks')}
+                    >
+                      Tracks{sortIndicator('tracks')}
+                    </th>
+                    <th
+                      className={`col-listened sortable ${sortBy === 'listened' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('listened')}
+                    >
+                      Listened{sortIndicator('listened')}
+                    </th>
+                    <th
+                      className={`col-clicks sortable ${sortBy === 'clicks' ? 'sorted' : ''}`}
+                      onClick={() => handleSort('clicks')}
+                    >
+                      Listens{sortIndicator('clicks')}
+                    </th>
+                  </>
+                )}
               </tr>
             </thead>
             <tbody>
               {paginatedItems.map((item, index) => (
                 <tr
-                  key={item.track_id || item.album_id || item.artist || index}
+                  key={item.track_id || item.album_id || item.mixtape_id || item.facet || item.artist || index}
                   onClick={() => handleItemClick(item)}
                   onContextMenu={(e) => {
                     e.preventDefault();
@@ -398,11 +514,13 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
                       });
                     }
                   }}
-                  className={view === 'tracks' ? 'clickable' : (view === 'albums' ? 'clickable' : '')}
+                  className={view === 'artists' || (view === 'mixtapes' && !item.exists) ? '' : 'clickable'}
                 >
                   <td className="col-rank">{startIndex + index + 1}</td>
                   <td className="col-art">
-                    {view !== 'artists' ? (
+                    {view === 'facets' ? (
+                      <div className="row-artist-avatar">#</div>
+                    ) : view !== 'artists' ? (
                       item.albumArt ? (
                         <img
                           src={`local://${item.albumArt.replace('thumbnail.jpg', 'thumbnail-small.jpg')}`}
@@ -458,6 +576,26 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
                       <td className="col-clicks">{item.listen_count || 0}</td>
                     </>
                   )}
+
+                  {/* FACETS view data */}
+                  {view === 'facets' && (
+                    <>
+                      <td className="col-title">{item.facet}</td>
+                      <td className="col-count">{item.unique_tracks || 0}</td>
+                      <td className="col-listened">{formatDuration(item.total_seconds)}</td>
+                      <td className="col-clicks">{item.listen_count || 0}</td>
+                    </>
+                  )}
+
+                  {/* CASSETTES view data */}
+                  {view === 'mixtapes' && (
+                    <>
+                      <td className="col-title">{item.title}</td>
+                      <td className="col-count">{item.unique_tracks || 0}</td>
+                      <td className="col-listened">{formatDuration(item.total_seconds)}</td>
+                      <td className="col-clicks">{item.listen_count || 0}</td>
+                    </>
+                  )}
                 </tr>
               ))}
             </tbody>
@@ -465,7 +603,7 @@ function LedgersView({ onTrackSelect, onAlbumSelect, currentTrackId, onTrackCont
         )}
 
         {/* Pagination Controls */}
-        {!loading && items.length > 0 && totalPages > 1 && (
+        {view !== 'charts' && view !== 'almanac' && !loading && items.length > 0 && totalPages > 1 && (
           <div className="ledgers-pagination">
             <button
               className="pagination-btn"
@@ -3,11 +3,23 @@ import '../styles/MixtapeSleeveView.css';
 import FacetPicker from '../components/FacetPicker';
 import MixtapeManifest from '../components/MixtapeManifest';
 import EphemeraBox from '../components/EphemeraBox';
+import SmartCassetteRules from '../components/SmartCassetteRules';
 import { getCassetteImage, CASSETTE_COUNT } from '../assets/cassettes';
 import panopticonEye from '../assets/panopticon/eyecentre.png';
 
 const { ipcRenderer } = window.require ? window.require('electron') : {};
 
+const SIDES = ['A', 'B'];
+
+// Tape lengths, as minutes per side
+const TAPE_LENGTHS = [
+  { value: 0, label: 'No sides' },
+  { value: 23, label: 'C46' },
+  { value: 30, label: 'C60' },
+  { value: 45, label: 'C90' },
+  { value: 60, label: 'C120' }
+];
+
 function MixtapeSleeveView({
   mixtape: initialMixtape,
   onBack,
@@ -30,6 +42,7 @@ function MixtapeSleeveView({
   const [showManifest, setShowManifest] = useState(false);
   const [draggedIndex, setDraggedIndex] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [dragOverSide, setDragOverSide] = useState(null); // Side the drop lands on, for two-sided tapes
   const [sharedFacets, setSharedFacets] = useState([]); // Facets shared by ALL tracks
   const [mixtapeFacets, setMixtapeFacets] = useState([]); // Manually added mixtape facets
   const [facetsConfig, setFacetsConfig] = useState({ groups: [], starred: [], recent: [] });
@@ -174,8 +187,16 @@ function MixtapeSleeveView({
     }
   }
 
-  // Sort tracks based on current sort mode
+  // Sort tracks based on current sort mode (within each side, if the tape has sides)
   function getSortedTracks() {
+    const sorted = sortTracks();
+    if (!mixtape?.sides || mixtape.smart) return sorted;
+    return SIDES.flatMap(side =>
+      sorted.filter(t => (t.side || 'A') === side).map(t => ({ ...t, side }))
+    );
+  }
+
+  function sortTracks() {
     if (sortMode === '#') {
       return [...tracks].sort((a, b) => (a.position || 0) - (b.position || 0));
     }
@@ -210,7 +231,7 @@ function MixtapeSleeveView({
   }
 
   // Handle drag over
-  function handleDragOver(e, index) {
+  function handleDragOver(e, index, side = null) {
     e.preventDefault();
     e.dataTransfer.dropEffect = 'move';
     // Determine if we're in the top or bottom half of the item
@@ -220,12 +241,24 @@ function MixtapeSleeveView({
     if (dropIndex !== dragOverIndex) {
       setDragOverIndex(dropIndex);
     }
+    if (side !== dragOverSide) {
+      setDragOverSide(side);
+    }
+  }
+
+  // Drag over a side's header or empty slot - drop at the top of that side
+  function handleSideDragOver(e, side, firstIndex) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverIndex(firstIndex);
+    setDragOverSide(side);
   }
 
   // Handle drag end
   function handleDragEnd() {
     setDraggedIndex(null);
     setDragOverIndex(null);
+    setDragOverSide(null);
   }
 
   // Handle drop - reorder tracks
@@ -245,15 +278,20 @@ function MixtapeSleeveView({
       insertIndex -= 1;
     }
 
-    if (startIndex === insertIndex) {
+    const sortedTracks = getSortedTracks();
+    const changesSide = hasSides && dragOverSide && dragOverSide !== sortedTracks[startIndex]?.side;
+
+    if (startIndex === insertIndex && !changesSide) {
       handleDragEnd();
       return;
     }
 
-    const sortedTracks = getSortedTracks();
-    const newTracks = [...sortedTracks];
+    let newTracks = [...sortedTracks];
     const [removed] = newTracks.splice(startIndex, 1);
-    newTracks.splice(insertIndex, 0, removed);
+    newTracks.splice(insertIndex, 0, changesSide ? { ...removed, side: dragOverSide } : removed);
+    if (hasSides) {
+      newTracks = SIDES.flatMap(side => newTracks.filter(t => (t.side || 'A') === side));
+    }
 
     // Update positions
     const reorderedTracks = newTracks.map((track, index) => ({
@@ -272,10 +310,11 @@ function MixtapeSleeveView({
     if (!ipcRenderer || !mixtape?.id) return;
 
     try {
-      const trackIds = getSortedTracks().map(t => t.id);
+      const orderedTracks = getSortedTracks();
       await ipcRenderer.invoke('reorder-mixtape-tracks', {
         mixtapeId: mixtape.id,
-        trackIds
+        trackIds: orderedTracks.map(t => t.id),
+        sides: hasSides ? orderedTracks.map(t => t.side || 'A') : undefined
       });
       setHasUnsavedOrder(false);
       // Reload to get fresh data
@@ -285,6 +324,42 @@ function MixtapeSleeveView({
     }
   }
 
+  // Smart cassettes: save the query, then reload to pick up what it matches now
+  async function handleSmartChange(smart) {
+    if (!mixtape?.id) return;
+    setMixtape(prev => ({ ...prev, smart }));
+    try {
+      const result = await ipcRenderer.invoke('update-mixtape', {
+        mixtapeId: mixtape.id,
+        updates: { smart }
+      });
+      if (result.success) {
+        onMixtapeUpdate?.(result.mixtape);
+        loadMixtape(mixtape.id);
+      }
+    } catch (err) {
+      console.error('Error saving smart cassette rules:', err);
+    }
+  }
+
+  // Split into sides at a tape length, or back to one flat list (0)
+  async function handleTapeLengthChange(sideMinutes) {
+    if (!ipcRenderer || !mixtape?.id) return;
+
+    try {
+      const result = await ipcRenderer.invoke('update-mixtape', {
+        mixtapeId: mixtape.id,
+        updates: { sides: sideMinutes ? { sideMinutes } : null }
+      });
+      if (result.success) {
+        onMixtapeUpdate?.(result.mixtape);
+        loadMixtape(mixtape.id);
+      }
+    } catch (err) {
+      console.error('Error changing tape length:', err);
+    }
+  }
+
   // Remove track from mixtape
   async function handleRemoveTrack(trackId) {
     if (!ipcRenderer || !mixtape?.id) return;
@@ -352,6 +427,126 @@ function MixtapeSleeveView({
 
   const sortedTracks = getSortedTracks();
 
+  // Smart cassettes are ordered by their rules, not by hand
+  const isSmart = !!mixtape?.smart;
+  const canReorder = sortMode === '#' && !isSmart;
+  const hasSides = !!mixtape?.sides && !isSmart;
+
+  // Drop indicator goes before `index` on `side`, unless the drop wouldn't move anything
+  function showDropIndicator(index, side = null) {
+    if (!canReorder || dragOverIndex !== index || draggedIndex === null) return false;
+    if (hasSides) {
+      if (dragOverSide !== side) return false;
+      if (sortedTracks[draggedIndex]?.side !== side) return true;
+    }
+    return draggedIndex !== index && draggedIndex !== index - 1;
+  }
+
+  function renderTrackRow(track, index, label = index + 1) {
+    return (
+      <React.Fragment key={`${track.id}-${index}`}>
+        {/* Drop indicator line before this item */}
+        {showDropIndicator(index, hasSides ? track.side : null) && (
+          <div className="mixtape-drop-indicator" />
+        )}
+        <div
+          className={`mixtape-track-row ${draggedIndex === index ? 'dragging' : ''}`}
+          draggable={canReorder}
+          onDragStart={(e) => canReorder && handleDragStart(e, index)}
+          onDragOver={(e) => canReorder && handleDragOver(e, index, hasSides ? track.side : null)}
+          onDragEnd={handleDragEnd}
+          onDrop={handleDrop}
+          onClick={() => onTrackSelect && onTrackSelect({
+            ...track,
+            albumId: track.albumId
+          })}
+        >
+          {canReorder && (
+            <span className="track-drag-handle" title="Drag to reorder">⋮⋮</span>
+          )}
+          <span className="track-number">{label}</span>
+          <div className="track-main">
+            <span className="track-title">{track.title}</span>
+            <span className="track-artist-album">
+              {track.artist} — {track.album}
+            </span>
+          </div>
+          <span className="track-duration">{formatDuration(track.duration)}</span>
+          <button
+            className="track-play-btn"
+            onClick={(e) => {
+              e.stopPropagation();
+              onPlayTrack && onPlayTrack(track, sortedTracks.slice(index + 1));
+            }}
+            title="Play"
+          >
+            ▶
+          </button>
+          {!isSmart && (
+            <button
+              className="track-remove-btn"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleRemoveTrack(track.id);
+              }}
+              title="Remove from cassette"
+            >
+              ×
+            </button>
+          )}
+        </div>
+      </React.Fragment>
+    );
+  }
+
+  // One section per side, with running time against the tape's side length
+  function renderSides() {
+    const targetSeconds = mixtape.sides.sideMinutes * 60;
+    let offset = 0;
+
+    return SIDES.map(side => {
+      const firstIndex = offset;
+      const sideTracks = sortedTracks.filter(t => t.side === side);
+      offset += sideTracks.length;
+      const seconds = sideTracks.reduce((sum, t) => sum + (t.duration || 0), 0);
+      const overrun = seconds - targetSeconds;
+
+      return (
+        <div key={side} className="mixtape-side">
+          <div
+            className={`mixtape-side-header ${overrun > 0 ? 'over' : ''}`}
+            onDragOver={(e) => canReorder && handleSideDragOver(e, side, firstIndex)}
+            onDrop={handleDrop}
+          >
+            <span className="mixtape-side-label">Side {side}</span>
+            <span className="mixtape-side-time">
+              {formatDuration(seconds)} / {mixtape.sides.sideMinutes}:00
+            </span>
+            {overrun > 0 ? (
+              <span className="mixtape-side-warning">{formatDuration(overrun)} over</span>
+            ) : (
+              <span className="mixtape-side-remaining">{formatDuration(-overrun)} left</span>
+            )}
+          </div>
+          {sideTracks.length === 0 ? (
+            <div
+              className={`mixtape-side-empty ${dragOverSide === side ? 'active' : ''}`}
+              onDragOver={(e) => canReorder && handleSideDragOver(e, side, firstIndex)}
+              onDrop={handleDrop}
+            >
+              {canReorder ? 'Drag tracks here' : 'Empty'}
+            </div>
+          ) : (
+            sideTracks.map((track, i) => renderTrackRow(track, firstIndex + i, `${side}${i + 1}`))
+          )}
+          {sideTracks.length > 0 && showDropIndicator(offset, side) && (
+            <div className="mixtape-drop-indicator" />
+          )}
+        </div>
+      );
+    });
+  }
+
   // Cover drag/drop handlers
   const handleCoverDragOver = (e) => {
     e.preventDefault();
@@ -608,6 +803,16 @@ function MixtapeSleeveView({
             </button>
           </div>
 
+          {/* Smart cassette rules */}
+          {isSmart && (
+            <SmartCassetteRules
+              mixtapeId={mixtape.id}
+              smart={mixtape.smart}
+              trackCount={tracks.length}
+              onChange={handleSmartChange}
+            />
+          )}
+
           {/* Sort controls */}
           <div className="mixtape-sort-bar">
             <div className="sort-pills">
@@ -636,78 +841,48 @@ function MixtapeSleeveView({
                 Album
               </button>
             </div>
-            {hasUnsavedOrder && (
-              <button
-                className="save-order-btn"
-                onClick={handleSaveOrder}
-              >
-                Save Order
-              </button>
-            )}
+            <div className="mixtape-sort-actions">
+              {hasUnsavedOrder && (
+                <button
+                  className="save-order-btn"
+                  onClick={handleSaveOrder}
+                >
+                  Save Order
+                </button>
+              )}
+              {!isSmart && (
+                <select
+                  className="tape-length-select"
+                  value={mixtape?.sides?.sideMinutes || 0}
+                  onChange={(e) => handleTapeLengthChange(parseInt(e.target.value))}
+                  title="Split into Side A and Side B"
+                >
+                  {!TAPE_LENGTHS.some(t => t.value === (mixtape?.sides?.sideMinutes || 0)) && (
+                    <option value={mixtape.sides.sideMinutes}>{mixtape.sides.sideMinutes} min/side</option>
+                  )}
+                  {TAPE_LENGTHS.map(t => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+              )}
+            </div>
           </div>
 
           {/* Track list */}
           {tracks.length === 0 ? (
             <div className="mixtape-empty-tracks">
-              <span>No tracks yet</span>
-              <span className="mixtape-empty-hint">Add tracks from albums using the +Cassette button</span>
+              <span>{isSmart ? 'Nothing matches these rules' : 'No tracks yet'}</span>
+              <span className="mixtape-empty-hint">
+                {isSmart
+                  ? 'Add a rule above, or loosen the ones you have'
+                  : 'Add tracks from albums using the +Cassette button'}
+              </span>
             </div>
           ) : (
             <div className="mixtape-tracklist">
-              {sortedTracks.map((track, index) => (
-                <React.Fragment key={`${track.id}-${index}`}>
-                  {/* Drop indicator line before this item */}
-                  {sortMode === '#' && dragOverIndex === index && draggedIndex !== index && draggedIndex !== index - 1 && (
-                    <div className="mixtape-drop-indicator" />
-                  )}
-                  <div
-                    className={`mixtape-track-row ${draggedIndex === index ? 'dragging' : ''}`}
-                    draggable={sortMode === '#'}
-                    onDragStart={(e) => sortMode === '#' && handleDragStart(e, index)}
-                    onDragOver={(e) => sortMode === '#' && handleDragOver(e, index)}
-                    onDragEnd={handleDragEnd}
-                    onDrop={handleDrop}
-                    onClick={() => onTrackSelect && onTrackSelect({
-                      ...track,
-                      albumId: track.albumId
-                    })}
-                  >
-                    {sortMode === '#' && (
-                      <span className="track-drag-handle" title="Drag to reorder">⋮⋮</span>
-                    )}
-                    <span className="track-number">{index + 1}</span>
-                    <div className="track-main">
-                      <span className="track-title">{track.title}</span>
-                      <span className="track-artist-album">
-                        {track.artist} — {track.album}
-                      </span>
-                    </div>
-                    <span className="track-duration">{formatDuration(track.duration)}</span>
-                    <button
-                      className="track-play-btn"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        onPlayTrack && onPlayTrack(track, sortedTracks.slice(index + 1));
-                      }}
-                      title="Play"
-                    >
-                      ▶
-                    </button>
-                    <button
-                      className="track-remove-btn"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleRemoveTrack(track.id);
-                      }}
-                      title="Remove from cassette"
-                    >
-                      ×
-                    </button>
-                  </div>
-                </React.Fragment>
-              ))}
+              {hasSides ? renderSides() : sortedTracks.map((track, index) => renderTrackRow(track, index))}
               {/* Drop indicator at end of list */}
-              {sortMode === '#' && sortedTracks.length > 0 && dragOverIndex === sortedTracks.length && draggedIndex !== sortedTracks.length - 1 && (
+              {!hasSides && sortedTracks.length > 0 && showDropIndicator(sortedTracks.length) && (
                 <div className="mixtape-drop-indicator" />
               )}
             </div>
@@ -16,7 +16,10 @@ function MixtapesView({ onMixtapeSelect, onTrackSelect, viewState, onViewStateCh
   const [loading, setLoading] = useState(true);
   const [showNewMixtapeModal, setShowNewMixtapeModal] = useState(false);
   const [newMixtapeName, setNewMixtapeName] = useState('');
+  const [newMixtapeSmart, setNewMixtapeSmart] = useState(false);
   const [openDropdown, setOpenDropdown] = useState(false);
+  const [importingPlaylists, setImportingPlaylists] = useState(false);
+  const [playlistReports, setPlaylistReports] = useState(null);
 
   // View state with defaults
   const sortField = viewState?.sortField ?? 'name';
@@ -81,20 +84,43 @@ function MixtapesView({ onMixtapeSelect, onTrackSelect, viewState, onViewStateCh
 
     try {
       const result = await ipcRenderer.invoke('create-mixtape', {
-        name: newMixtapeName.trim()
+        name: newMixtapeName.trim(),
+        smart: newMixtapeSmart ? { match: 'all', rules: [], order: 'source', limit: null } : null
       });
 
       if (result.success) {
         setNewMixtapeName('');
+        setNewMixtapeSmart(false);
         setShowNewMixtapeModal(false);
         loadMixtapes();
         onMixtapesChanged?.();
+        // A smart cassette is empty until it has rules - open it to add some
+        if (newMixtapeSmart) onMixtapeSelect?.(result.mixtape);
       }
     } catch (err) {
       console.error('Error creating mixtape:', err);
     }
   }
 
+  // Each playlist becomes a cassette; the report lists what didn't match
+  async function handleImportPlaylists() {
+    setImportingPlaylists(true);
+    try {
+      const result = await ipcRenderer.invoke('import-playlists');
+      if (result.success) {
+        setPlaylistReports(result.reports);
+        loadMixtapes();
+        onMixtapesChanged?.();
+      } else if (!result.canceled) {
+        console.error('Error importing playlists:', result.error);
+      }
+    } catch (err) {
+      console.error('Error importing playlists:', err);
+    } finally {
+      setImportingPlaylists(false);
+    }
+  }
+
   function handleMixtapeClick(mixtape) {
     if (onMixtapeSelect) {
       onMixtapeSelect(mixtape);
@@ -145,6 +171,14 @@ function MixtapesView({ onMixtapeSelect, onTrackSelect, viewState, onViewStateCh
           >
             + New Cassette
           </button>
+          <button
+            className={`mixtapes-new-btn secondary ${importingPlaylists ? 'mixtapes-new-btn-disabled' : ''}`}
+            onClick={handleImportPlaylists}
+            disabled={importingPlaylists}
+            title="Make cassettes from M3U, PLS or XSPF playlists"
+          >
+            {importingPlaylists ? 'Importing...' : 'Import Playlists...'}
+          </button>
         </div>
 
         {mixtapes.length > 0 && (
@@ -169,6 +203,9 @@ function MixtapesView({ onMixtapeSelect, onTrackSelect, viewState, onViewStateCh
                     alt={mixtape.name}
                     className="mixtape-cover-image"
                   />
+                  {mixtape.smart && (
+                    <span className="mixtape-smart-badge" title="Smart cassette - filled by its rules">Smart</span>
+                  )}
                   <div className="mixtape-name-pill">
                     <span className="mixtape-name">{mixtape.name}</span>
                   </div>
@@ -271,6 +308,15 @@ function MixtapesView({ onMixtapeSelect, onTrackSelect, viewState, onViewStateCh
                   }}
                 />
               </label>
+              <label className="modal-checkbox">
+                <input
+                  type="checkbox"
+                  checked={newMixtapeSmart}
+                  onChange={e => setNewMixtapeSmart(e.target.checked)}
+                />
+                Smart cassette
+                <span className="modal-checkbox-hint">Filled by rules over facets, artists, years and listening</span>
+              </label>
             </div>
             <div className="modal-footer">
               <button
@@ -290,6 +336,71 @@ function MixtapesView({ onMixtapeSelect, onTrackSelect, viewState, onViewStateCh
           </div>
         </div>
       )}
+
+      {/* Playlist Import Report */}
+      {playlistReports && (
+        <div className="modal-overlay" onClick={() => setPlaylistReports(null)}>
+          <div className="modal-content playlist-report-modal" onClick={e => e.stopPropagation()}>
+            <div className="modal-header">
+              <h3>Imported Playlists</h3>
+              <button className="modal-close" onClick={() => setPlaylistReports(null)}>
+                ×
+              </button>
+            </div>
+            <div className="modal-body playlist-report-body">
+              {playlistReports.map(report => (
+                <div key={report.filePath} className="playlist-report">
+                  <div className="playlist-report-header">
+                    {report.mixtapeId ? (
+                      <button
+                        className="playlist-report-name"
+                        onClick={() => {
+                          const mixtape = mixtapes.find(m => m.id === report.mixtapeId);
+                          if (mixtape) {
+                            setPlaylistReports(null);
+                            onMixtapeSelect?.(mixtape);
+                          }
+                        }}
+                      >
+                        {report.name}
+                      </button>
+                    ) : (
+                      <span className="playlist-report-name">{report.filePath}</span>
+                    )}
+                    <span className="playlist-report-count">
+                      {report.error
+                        ? report.error
+                        : `${report.matched} of ${report.entryCount} matched` +
+                          (report.duplicates > 0
+                            ? `, ${report.duplicates} duplicate ${report.duplicates === 1 ? 'entry' : 'entries'} left out`
+                            : '')}
+                    </span>
+                  </div>
+                  {report.unmatched?.length > 0 && (
+                    <ul className="playlist-report-unmatched">
+                      {report.unmatched.map(entry => (
+                        <li key={entry.line} title={`Line ${entry.line}`}>
+                          {entry.artist && entry.title ? `${entry.artist} - ${entry.title}` : entry.title || entry.text}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              ))}
+              {playlistReports.some(report => report.unmatched?.length > 0) && (
+                <p className="playlist-report-hint">
+                  Unmatched entries stay on the cassette - open it in the Panopticon to find them by hand.
+                </p>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button className="modal-btn modal-btn-primary" onClick={() => setPlaylistReports(null)}>
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -11,6 +11,7 @@ import RecordDetailPanel from '../components/RecordDetailPanel';
 import TrackDetailPanel from '../components/TrackDetailPanel';
 import MixtapeDetailPanel from '../components/MixtapeDetailPanel';
 import NascentSleeveModal from '../components/NascentSleeveModal';
+import DuplicateResolver from '../components/DuplicateResolver';
 
 // Eye assets
 import eyecentre from '../assets/panopticon/eyecentre.png';
@@ -277,6 +278,7 @@ function PanopticonListView({ items, selectedIds, linkedIds, onItemClick, getThu
       {sortedItems.map(item => {
         const isSelected = selectedIds.has(item.id);
         const isLinked = linkedIds?.has(item.id);
+        const isMissing = item.entityType === 'track' && item.missing;
         const isStray = item.entityType === 'attachment' &&
           (!item.linkedTo || item.linkedTo.length === 0) &&
           (!item.isCoverFor || item.isCoverFor.length === 0);
@@ -325,7 +327,7 @@ function PanopticonListView({ items, selectedIds, linkedIds, onItemClick, getThu
           <div
             key={`${item.entityType}-${item.id}`}
             data-item-id={item.id}
-            className={`panopticon-list-row ${isSelected ? 'selected' : ''} ${isStray ? 'stray' : ''} ${isLinked ? 'linked' : ''}`}
+            className={`panopticon-list-row ${isSelected ? 'selected' : ''} ${isStray ? 'stray' : ''} ${isLinked ? 'linked' : ''} ${isMissing ? 'missing' : ''}`}
             onClick={(e) => onItemClick(e, item.id, item.entityType)}
             draggable
             onDragStart={handleDragStart}
@@ -352,6 +354,9 @@ function PanopticonListView({ items, selectedIds, linkedIds, onItemClick, getThu
             </div>
             <div className="panopticon-list-col panopticon-list-col-filename">
               {getItemName(item)}
+              {isMissing && (
+                <span className="panopticon-missing-badge" title="The referenced audio file can't be found">missing</span>
+              )}
             </div>
             <div className="panopticon-list-col panopticon-list-col-artist">
               {item.artist || '—'}
@@ -1272,6 +1277,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
   const [importInProgress, setImportInProgress] = useState(false);
   const [importProgress, setImportProgress] = useState({ stage: '', message: '', progress: 0 });
   const [importResult, setImportResult] = useState(null); // Error result to display
+  const [pendingDuplicates, setPendingDuplicates] = useState(null); // { paths, duplicates } awaiting a decision
 
   // Drag and drop state
   const [isDragOver, setIsDragOver] = useState(false);
@@ -1364,6 +1370,37 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
     loadData();
   }, [initialAttachmentId, initialRecordId, initialTrackId, initialMixtapeId]);
 
+  // Import v2 - shared by induction and drops. A first run that finds audio
+  // already in the library copies nothing and waits on the duplicates modal.
+  const runImport = useCallback(async (importPaths, duplicateActions = null) => {
+    setImportInProgress(true);
+    setImportProgress({ stage: 'starting', message: 'Starting import...', progress: 0 });
+
+    try {
+      const result = await ipcRenderer.invoke('import-files', importPaths, { duplicateActions });
+      console.log('[Panopticon] Import result:', result);
+
+      if (result.needsDecision) {
+        setPendingDuplicates({ paths: importPaths, duplicates: result.duplicates });
+        return;
+      }
+
+      if (result.failed > 0 || result.error) {
+        // Show error result
+        setImportResult(result);
+      }
+
+      // Refresh data
+      await reloadData();
+
+    } catch (err) {
+      console.error('Import failed:', err);
+      setImportResult({ success: false, error: err.message, imported: 0, failed: 0 });
+    } finally {
+      setImportInProgress(false);
+    }
+  }, [reloadData]);
+
   // Handle initial induction path - import v2 (fast and dumb)
   // initialInductionPath can be: { folders: string[], files: string[] } or string (legacy)
   useEffect(() => {
@@ -1380,28 +1417,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
       if (allPaths.length === 0) return;
 
       console.log('[Panopticon] Import v2 starting - paths:', allPaths.length);
-
-      setImportInProgress(true);
-      setImportProgress({ stage: 'starting', message: 'Starting import...', progress: 0 });
-
-      try {
-        const result = await ipcRenderer.invoke('import-files', allPaths);
-        console.log('[Panopticon] Import result:', result);
-
-        if (result.failed > 0 || result.error) {
-          // Show error result
-          setImportResult(result);
-        }
-
-        // Refresh data
-        await reloadData();
-
-      } catch (err) {
-        console.error('Import failed:', err);
-        setImportResult({ success: false, error: err.message, imported: 0, failed: 0 });
-      } finally {
-        setImportInProgress(false);
-      }
+      await runImport(allPaths);
     }
 
     startImport();
@@ -1422,6 +1438,21 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
     };
   }, []);
 
+  // Watched folders changed the library (additions, moves, missing files)
+  useEffect(() => {
+    if (!ipcRenderer) return;
+
+    const handleReconciled = () => {
+      reloadData();
+    };
+
+    ipcRenderer.on('watched-folders-reconciled', handleReconciled);
+
+    return () => {
+      ipcRenderer.removeListener('watched-folders-reconciled', handleReconciled);
+    };
+  }, [reloadData]);
+
   // Scroll to initially selected attachment after loading
   useEffect(() => {
     if (!loading && initialAttachmentId && gridRef.current) {
@@ -1506,6 +1537,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
       if (isDocument && !showDocuments) continue;
 
       // Status filter (only for attachments)
+      if (statusFilter === 'missing') continue;
       if (statusFilter !== 'all') {
         const hasLinks = att.linkedTo && att.linkedTo.length > 0;
         const isCover = att.isCoverFor && att.isCoverFor.length > 0;
@@ -1540,11 +1572,13 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
     }
   }
 
-  // Filter tracks - show all when 'all', or only strays when 'strays' filter
-  if (showTracks && (statusFilter === 'all' || statusFilter === 'strays')) {
+  // Filter tracks - show all when 'all', only strays when 'strays', only
+  // referenced tracks whose file is gone when 'missing'
+  if (showTracks && (statusFilter === 'all' || statusFilter === 'strays' || statusFilter === 'missing')) {
     for (const track of tracks) {
       // For strays filter, only show tracks without a parent record
       if (statusFilter === 'strays' && track.recordId) continue;
+      if (statusFilter === 'missing' && !track.missing) continue;
 
       // Search filter
       if (searchQuery) {
@@ -1900,6 +1934,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
       }
 
       // Import all at once
+      const skippedDuplicates = [];
       for (const item of importQueue) {
         // Use first image as cover if available (check both .filename and .name)
         const coverImage = item.images.find(img => {
@@ -1907,7 +1942,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
           return name.includes('cover') || name.includes('front') || name.includes('folder');
         }) || item.images[0];
 
-        await ipcRenderer.invoke('panopticon:deposit', {
+        const result = await ipcRenderer.invoke('panopticon:deposit', {
           folderPath: item.folderPath,
           title: item.title,
           artist: item.artist,
@@ -1920,6 +1955,10 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
           selectedImages: item.images,
           selectedTextFiles: []
         });
+        skippedDuplicates.push(...(result?.skippedDuplicates || []));
+      }
+      if (skippedDuplicates.length > 0) {
+        setImportResult({ imported: 0, failed: 0, skippedDuplicates });
       }
 
       // Clear state and reload
@@ -2028,12 +2067,26 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
     setSingleTrackData(null);
   };
 
+  // Deposits skip duplicates without asking - say which were left out, or why nothing came in
+  const showDepositResult = (result) => {
+    if (!result) return;
+    if (result.skippedDuplicates?.length > 0 || (!result.success && result.error)) {
+      setImportResult({
+        imported: result.trackCount || 0,
+        failed: 0,
+        error: result.success ? null : result.error,
+        skippedDuplicates: result.skippedDuplicates || []
+      });
+    }
+  };
+
   // Handle single track deposit (create new record)
   const handleSingleTrackDeposit = async (depositData) => {
     if (!ipcRenderer) return;
 
     try {
       const result = await ipcRenderer.invoke('panopticon:deposit-single-track', depositData);
+      showDepositResult(result);
 
       if (result && result.success) {
         // Reload records and tracks
@@ -2059,6 +2112,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
 
     try {
       const result = await ipcRenderer.invoke('panopticon:add-to-record', { recordId, trackPaths });
+      showDepositResult(result);
 
       if (result && result.success) {
         // Reload records and tracks
@@ -2149,6 +2203,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
 
     try {
       const result = await ipcRenderer.invoke('panopticon:deposit', depositData);
+      showDepositResult(result);
 
       if (result && result.success) {
         // Small delay to ensure filesystem operations complete before reload
@@ -2234,7 +2289,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
           if (IMAGE_EXTENSIONS.includes(ext)) {
             imagePaths.push(file.path);
           } else {
-            const audioExts = ['.m4a', '.flac', '.mp3', '.wav', '.aiff', '.aac', '.ogg', '.wma'];
+            const audioExts = ['.m4a', '.flac', '.mp3', '.wav', '.aiff', '.aac', '.ogg', '.wma', '.ape', '.cue'];
             if (audioExts.includes(ext)) {
               audioPaths.push(file.path);
             }
@@ -2247,27 +2302,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
       // Handle folders and audio files - import v2 (fast and dumb)
       const importPaths = [...folderPaths, ...audioPaths];
       if (importPaths.length > 0) {
-        setImportInProgress(true);
-        setImportProgress({ stage: 'starting', message: 'Starting import...', progress: 0 });
-
-        try {
-          const result = await ipcRenderer.invoke('import-files', importPaths);
-          console.log('[Panopticon] Import result:', result);
-
-          if (result.failed > 0 || result.error) {
-            // Show error result
-            setImportResult(result);
-          }
-
-          // Refresh data
-          await reloadData();
-
-        } catch (err) {
-          console.error('Import failed:', err);
-          setImportResult({ success: false, error: err.message, imported: 0, failed: 0 });
-        } finally {
-          setImportInProgress(false);
-        }
+        await runImport(importPaths);
         return;
       }
 
@@ -2450,7 +2485,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
             </button>
           </div>
 
-          {/* Status Filter - always visible, but strays/linked/covers only applies to attachments */}
+          {/* Status Filter - always visible; linked/covers apply to attachments, missing to tracks */}
           <div className="panopticon-filter-group">
             <select
               className="panopticon-select"
@@ -2461,6 +2496,7 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
               <option value="linked">Linked</option>
               <option value="strays">Strays</option>
               <option value="covers">Covers</option>
+              <option value="missing">Missing</option>
             </select>
           </div>
 
@@ -2753,6 +2789,28 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
         </div>
       )}
 
+      {/* Duplicates found - nothing copied until the user decides */}
+      {pendingDuplicates && (
+        <div className="panopticon-import-overlay">
+          <div className="panopticon-import-modal panopticon-import-result" onClick={e => e.stopPropagation()}>
+            <div className="panopticon-import-result-header">
+              <h3>Already in Library</h3>
+            </div>
+            <div className="panopticon-import-result-content">
+              <DuplicateResolver
+                duplicates={pendingDuplicates.duplicates}
+                onResolve={(actions) => {
+                  const { paths } = pendingDuplicates;
+                  setPendingDuplicates(null);
+                  runImport(paths, actions);
+                }}
+                onCancel={() => setPendingDuplicates(null)}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Import Error Modal */}
       {importResult && (
         <div className="panopticon-import-overlay" onClick={() => setImportResult(null)}>
@@ -2772,6 +2830,25 @@ function PanopticonView({ onDataChange, onOpenSleeve, initialAttachmentId, initi
                   ✗ Failed: {importResult.failed} file{importResult.failed !== 1 ? 's' : ''}
                 </div>
               )}
+              {importResult.skippedDuplicates?.length > 0 && (
+                <>
+                  <div className="panopticon-import-skipped">
+                    Skipped {importResult.skippedDuplicates.length} duplicate{importResult.skippedDuplicates.length !== 1 ? 's' : ''}
+                  </div>
+                  <div className="panopticon-import-errors">
+                    {importResult.skippedDuplicates.map((dup, i) => (
+                      <div key={i} className="panopticon-import-error-item">
+                        <span className="file">{dup.filename}</span>
+                        <span className="reason">
+                          {dup.existing
+                            ? `Already in the library as "${dup.existing.title}"`
+                            : `Same audio as ${dup.sameAsInImport}`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
               {importResult.error && !importResult.errors && (
                 <div className="panopticon-import-error">{importResult.error}</div>
               )}
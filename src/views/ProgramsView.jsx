@@ -6,52 +6,143 @@
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
+import RuleSourceFields, { RuleCountInput } from '../components/RuleSourceFields';
 import '../styles/ProgramsView.css';
 
 const { ipcRenderer } = window.require ? window.require('electron') : {};
 
-const SOURCE_TYPES = [
-  { value: 'facet', label: 'Facet' },
-  { value: 'artist', label: 'Artist' },
-  { value: 'album', label: 'Album' },
-  { value: 'mixtape', label: 'Cassette' },
-  { value: 'any', label: 'Any' }
+// How far back a program looks in the Ledgers when picking least-recently-played
+const MEMORY_WINDOWS = [
+  { value: 0, label: 'No memory' },
+  { value: 1, label: '1 day' },
+  { value: 3, label: '3 days' },
+  { value: 7, label: '7 days' },
+  { value: 14, label: '14 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' }
 ];
+const DEFAULT_MEMORY_WINDOW_DAYS = 7;
+
+// No same artist within N tracks
+const ARTIST_SPACINGS = [
+  { value: 0, label: 'Off' },
+  { value: 2, label: '2 tracks' },
+  { value: 3, label: '3 tracks' },
+  { value: 5, label: '5 tracks' },
+  { value: 8, label: '8 tracks' },
+  { value: 12, label: '12 tracks' }
+];
+
+const SIMULATION_CYCLES = 20;
+
+function formatHours(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`;
+}
+
+// Dry-run diagnostics: pools, exhaustion, artist spread, repeats
+function SimulationPanel({ simulation, onClose }) {
+  const { totals, rules, artists, errors, warnings, cycles } = simulation;
 
-// Editable count input that allows empty field while typing
-function RuleCountInput({ value, onChange }) {
-  const [localValue, setLocalValue] = useState(String(value || 1));
+  return (
+    <div className="program-simulation">
+      <div className="simulation-header">
+        <span className="simulation-title">Dry run</span>
+        <span className="simulation-summary">
+          {cycles} cycles {'\u00b7'} {totals.tracks} tracks {'\u00b7'} {formatHours(totals.durationSeconds)}
+          {' \u00b7 '}{formatPercent(totals.repeatRate)} repeats
+        </span>
+        <button className="module-delete-x" onClick={onClose} title="Close">x</button>
+      </div>
+
+      {(errors.length > 0 || warnings.length > 0) && (
+        <ul className="simulation-issues">
+          {errors.map((msg, i) => <li key={`e${i}`} className="error">{msg}</li>)}
+          {warnings.map((msg, i) => <li key={`w${i}`} className="warning">{msg}</li>)}
+        </ul>
+      )}
+
+      <div className="simulation-body">
+        <table className="simulation-rules">
+          <thead>
+            <tr>
+              <th>Module</th>
+              <th>Source</th>
+              <th>Pool</th>
+              <th>Picked</th>
+              <th>Ran dry</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.ruleId} className={rule.poolSize === 0 ? 'empty' : rule.shortfall ? 'short' : ''}>
+                <td>{rule.moduleName}</td>
+                <td>{rule.source}</td>
+                <td>{rule.poolSize}</td>
+                <td>{rule.picked}</td>
+                <td>{rule.exhaustions > 0 ? `${rule.exhaustions}\u00d7` : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="simulation-artists">
+          {artists.slice(0, 8).map(a => (
+            <div key={a.artist} className="simulation-artist">
+              <span className="simulation-artist-name">{a.artist}</span>
+              <span className="simulation-artist-bar">
+                <span style={{ width: formatPercent(a.share / artists[0].share) }} />
+              </span>
+              <span className="simulation-artist-share">{formatPercent(a.share)}</span>
+            </div>
+          ))}
+          {artists.length > 8 && (
+            <div className="simulation-artist-more">+{artists.length - 8} more artists</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Optional minutes field for module duration target/ceiling (empty = off)
+function ModuleMinutesInput({ label, value, onChange, title }) {
+  const [localValue, setLocalValue] = useState(value ? String(value) : '');
   const [isFocused, setIsFocused] = useState(false);
 
-  // Sync with external value when not focused
   useEffect(() => {
     if (!isFocused) {
-      setLocalValue(String(value || 1));
+      setLocalValue(value ? String(value) : '');
     }
   }, [value, isFocused]);
 
   return (
-    <input
-      type="number"
-      className="rule-count"
-      min="1"
-      max="50"
-      value={localValue}
-      onChange={(e) => setLocalValue(e.target.value)}
-      onFocus={() => setIsFocused(true)}
-      onBlur={() => {
-        setIsFocused(false);
-        const num = parseInt(localValue);
-        if (isNaN(num) || num < 1) {
-          setLocalValue('1');
-          onChange(1);
-        } else {
-          const clamped = Math.min(50, Math.max(1, num));
-          setLocalValue(String(clamped));
-          onChange(clamped);
-        }
-      }}
-    />
+    <label className="module-minutes" title={title}>
+      <span className="module-minutes-label">{label}</span>
+      <input
+        type="number"
+        className="module-minutes-input"
+        min="1"
+        max="600"
+        placeholder="--"
+        value={localValue}
+        onChange={(e) => setLocalValue(e.target.value)}
+        onFocus={() => setIsFocused(true)}
+        onBlur={() => {
+          setIsFocused(false);
+          const num = parseInt(localValue);
+          const next = isNaN(num) || num < 1 ? null : Math.min(600, num);
+          setLocalValue(next ? String(next) : '');
+          if (next !== (value || null)) onChange(next);
+        }}
+      />
+      <span className="module-minutes-unit">min</span>
+    </label>
   );
 }
 
@@ -59,9 +150,13 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
   const [programs, setPrograms] = useState([]);
   const [loading, setLoading] = useState(true);
   const [selectedProgram, setSelectedProgram] = useState(null);
-  const [sources, setSources] = useState({ facets: [], artists: [], albums: [], mixtapes: [] });
+  const [sources, setSources] = useState({
+    facets: [], artists: [], albums: [], mixtapes: [],
+    years: [], decades: [], genres: [], formats: [], characteristics: []
+  });
   const [editingName, setEditingName] = useState(false);
   const [dialog, setDialog] = useState(null);
+  const [simulation, setSimulation] = useState(null);
 
   // Drag state for rules
   const [draggedRule, setDraggedRule] = useState(null);
@@ -308,15 +403,46 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
     setDragOverRule(null);
   }
 
+  async function handleSimulateProgram() {
+    if (!selectedProgram) return;
+    try {
+      const result = await ipcRenderer.invoke('simulate-program', {
+        programId: selectedProgram.id,
+        cycles: SIMULATION_CYCLES
+      });
+      if (result.success) {
+        setSimulation(result);
+      } else {
+        setDialog({
+          type: 'alert',
+          message: 'Cannot simulate program: ' + result.error,
+          onConfirm: () => setDialog(null)
+        });
+      }
+    } catch (err) {
+      console.error('Error simulating program:', err);
+    }
+  }
+
   async function handleRunProgram() {
     if (!selectedProgram) return;
     try {
       const result = await ipcRenderer.invoke('run-program', {
         programId: selectedProgram.id
       });
+      const issues = { errors: result.errors || [], warnings: result.warnings || [] };
       if (result.success && result.tracks.length > 0) {
         if (onQueueTracks) {
-          onQueueTracks(result.tracks, { id: selectedProgram.id, name: selectedProgram.name });
+          onQueueTracks(result.tracks, { id: selectedProgram.id, name: selectedProgram.name, runId: result.runId });
+        }
+        // Rules that couldn't be used were left out of the run
+        if (issues.errors.length > 0) {
+          setDialog({
+            type: 'alert',
+            message: 'Program queued, but some rules were skipped:',
+            issues,
+            onConfirm: () => setDialog(null)
+          });
         }
       } else if (!result.success) {
         setDialog({
@@ -325,9 +451,15 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
           onConfirm: () => setDialog(null)
         });
       } else {
+        ipcRenderer.invoke('end-program-run', result.runId);
+        const hasRules = (selectedProgram.modules || []).some(module => module.rules?.length > 0);
+        const hasIssues = hasRules && issues.errors.length + issues.warnings.length > 0;
         setDialog({
           type: 'alert',
-          message: 'Program generated no tracks. Add some rules!',
+          message: !hasRules
+            ? 'Program generated no tracks. Add some rules!'
+            : `Program generated no tracks${hasIssues ? ':' : '.'}`,
+          issues: hasIssues ? issues : null,
           onConfirm: () => setDialog(null)
         });
       }
@@ -336,21 +468,6 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
     }
   }
 
-  function getSourceOptions(sourceType) {
-    switch (sourceType) {
-      case 'facet':
-        return sources.facets.map(f => ({ value: f.value, label: `${f.label} (${f.count})` }));
-      case 'artist':
-        return sources.artists;
-      case 'album':
-        return sources.albums.map(a => ({ value: a.value, label: `${a.label} - ${a.artist}` }));
-      case 'mixtape':
-        return sources.mixtapes.map(m => ({ value: m.value, label: `${m.label} (${m.trackCount})` }));
-      default:
-        return [];
-    }
-  }
-
   // Module drag and drop
   const [draggedModule, setDraggedModule] = useState(null);
   const [dragOverModuleIndex, setDragOverModuleIndex] = useState(null);
@@ -469,6 +586,37 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
                 placeholder="Program Name"
                 autoFocus={editingName}
               />
+              <label className="program-spacing" title="No same artist within this many tracks">
+                <span className="program-spacing-label">Spacing</span>
+                <select
+                  className="program-spacing-select"
+                  value={selectedProgram.artistSpacing || 0}
+                  onChange={(e) => handleUpdateProgram({ artistSpacing: parseInt(e.target.value) })}
+                >
+                  {ARTIST_SPACINGS.map(sp => (
+                    <option key={sp.value} value={sp.value}>{sp.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="program-memory" title="Avoid tracks heard within this window">
+                <span className="program-memory-label">Memory</span>
+                <select
+                  className="program-memory-select"
+                  value={selectedProgram.memoryWindowDays ?? DEFAULT_MEMORY_WINDOW_DAYS}
+                  onChange={(e) => handleUpdateProgram({ memoryWindowDays: parseInt(e.target.value) })}
+                >
+                  {MEMORY_WINDOWS.map(w => (
+                    <option key={w.value} value={w.value}>{w.label}</option>
+                  ))}
+                </select>
+              </label>
+              <button
+                className="program-simulate-btn"
+                onClick={handleSimulateProgram}
+                title={`Dry run ${SIMULATION_CYCLES} cycles`}
+              >
+                Dry run
+              </button>
               <button
                 className="program-play-btn"
                 onClick={handleRunProgram}
@@ -478,6 +626,10 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
               </button>
             </div>
 
+            {simulation?.program?.id === selectedProgram.id && (
+              <SimulationPanel simulation={simulation} onClose={() => setSimulation(null)} />
+            )}
+
             {/* Modules */}
             <div className="program-modules">
               {selectedProgram.modules?.map((module, moduleIndex) => (
@@ -510,6 +662,18 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
                         onChange={(e) => handleUpdateModule(module.id, { name: e.target.value })}
                         placeholder="Module name"
                       />
+                      <ModuleMinutesInput
+                        label="Target"
+                        value={module.targetMinutes}
+                        onChange={(targetMinutes) => handleUpdateModule(module.id, { targetMinutes })}
+                        title="Fill this module to a duration, drawing from rules by weight"
+                      />
+                      <ModuleMinutesInput
+                        label="Max"
+                        value={module.maxMinutes}
+                        onChange={(maxMinutes) => handleUpdateModule(module.id, { maxMinutes })}
+                        title="Never let this module run longer than this"
+                      />
                       <button
                         className="module-delete-x"
                         onClick={() => handleDeleteModule(module.id)}
@@ -541,35 +705,28 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
                               onDragEnd={() => { setDraggedRule(null); setDragOverRule(null); }}
                             ></span>
 
-                            <select
-                              className="rule-source-type"
-                              value={rule.sourceType}
-                              onChange={(e) => handleUpdateRule(module.id, ruleIndex, {
-                                sourceType: e.target.value,
-                                sourceValue: e.target.value === 'any' ? null : ''
-                              })}
-                            >
-                              {SOURCE_TYPES.map(st => (
-                                <option key={st.value} value={st.value}>{st.label}</option>
-                              ))}
-                            </select>
-
-                            {rule.sourceType !== 'any' && (
-                              <select
-                                className="rule-source-value"
-                                value={rule.sourceValue || ''}
-                                onChange={(e) => handleUpdateRule(module.id, ruleIndex, { sourceValue: e.target.value })}
-                              >
-                                <option value="">Select...</option>
-                                {getSourceOptions(rule.sourceType).map(opt => (
-                                  <option key={opt.value} value={opt.value}>{opt.label}</option>
-                                ))}
-                              </select>
-                            )}
+                            <RuleSourceFields
+                              rule={rule}
+                              sources={sources}
+                              onChange={(updates) => handleUpdateRule(module.id, ruleIndex, updates)}
+                            />
 
                             <RuleCountInput
                               value={rule.count}
                               onChange={(count) => handleUpdateRule(module.id, ruleIndex, { count })}
+                              title={module.targetMinutes ? 'Module fills to its target duration' : 'Tracks per cycle'}
+                              disabled={!!module.targetMinutes}
+                            />
+
+                            <span className="rule-weight-label">{'\u00d7'}</span>
+                            <RuleCountInput
+                              className="rule-count rule-weight"
+                              value={rule.weight}
+                              min={1}
+                              max={10}
+                              onChange={(weight) => handleUpdateRule(module.id, ruleIndex, { weight })}
+                              title={module.targetMinutes ? 'Weight' : 'Weight applies when the module fills to a target duration'}
+                              disabled={!module.targetMinutes}
                             />
 
                             <button
@@ -629,6 +786,12 @@ function ProgramsView({ onQueueTracks, initialProgramId, onProgramViewed }) {
           <div className="modal-content dialog-modal" onClick={e => e.stopPropagation()}>
             <div className="dialog-body">
               <p className="dialog-message">{dialog.message}</p>
+              {dialog.issues && (
+                <ul className="simulation-issues">
+                  {dialog.issues.errors.map((msg, i) => <li key={`e${i}`} className="error">{msg}</li>)}
+                  {dialog.issues.warnings.map((msg, i) => <li key={`w${i}`} className="warning">{msg}</li>)}
+                </ul>
+              )}
             </div>
             <div className="dialog-footer">
               {dialog.type === 'confirm' && (
@@ -22,6 +22,10 @@ class AudioEngine {
     private var currentFilePath: String?
     private var preloadedFilePath: String?
 
+    // Where a span (CUE sheet track) starts in its file - the analyzer reads the whole file
+    private var currentStart: Double = 0
+    private var preloadedStart: Double = 0
+
     // Spectrum analyzer - separate from playback ("two readers, one score")
     private let spectrumAnalyzer = SpectrumAnalyzer()
 
@@ -41,7 +45,27 @@ class AudioEngine {
 
     // MARK: - Commands
 
-    func load(id: String, path: String) {
+    /// Item for a whole file, or for a span of it (CUE sheet tracks).
+    /// A span is cut out as a composition, so position, duration and the
+    /// end-of-item notification all belong to the track, and gapless
+    /// queueing works as it does for separate files.
+    private func makeItem(url: URL, start: Double, end: Double?) -> AVPlayerItem {
+        let asset = AVURLAsset(url: url)
+        guard start > 0 || end != nil else { return AVPlayerItem(asset: asset) }
+
+        let startTime = CMTime(seconds: start, preferredTimescale: 44100)
+        let endTime = end.map { CMTime(seconds: $0, preferredTimescale: 44100) } ?? asset.duration
+        let composition = AVMutableComposition()
+        do {
+            try composition.insertTimeRange(CMTimeRange(start: startTime, end: endTime), of: asset, at: .zero)
+            return AVPlayerItem(asset: composition)
+        } catch {
+            fputs("[Swift] Could not cut span \(start)-\(end ?? -1): \(error.localizedDescription)\n", stderr)
+            return AVPlayerItem(asset: asset)
+        }
+    }
+
+    func load(id: String, path: String, start: Double = 0, end: Double? = nil) {
         let url = URL(fileURLWithPath: path)
 
         fputs("[Swift] LOAD called: \(id) | path: \(path)\n", stderr)
@@ -57,7 +81,7 @@ class AudioEngine {
             return
         }
 
-        let item = AVPlayerItem(url: url)
+        let item = makeItem(url: url, start: start, end: end)
         // Set preferred buffer duration for smooth playback
         item.preferredForwardBufferDuration = 10  // 10 seconds ahead
 
@@ -71,6 +95,7 @@ class AudioEngine {
         currentTrackId = id
         currentItem = item
         currentFilePath = path
+        currentStart = start
         itemToTrackId[item] = id
 
         // Open file for spectrum analysis (separate reader)
@@ -104,7 +129,7 @@ class AudioEngine {
         }
     }
 
-    func preload(id: String, path: String) {
+    func preload(id: String, path: String, start: Double = 0, end: Double? = nil) {
         let url = URL(fileURLWithPath: path)
 
         fputs("[Swift] Preload called: \(id) | path: \(path)\n", stderr)
@@ -119,13 +144,14 @@ class AudioEngine {
             return
         }
 
-        let item = AVPlayerItem(url: url)
+        let item = makeItem(url: url, start: start, end: end)
         // Set preferred buffer duration - critical for gapless transitions
         item.preferredForwardBufferDuration = 30  // Buffer entire short tracks
 
         preloadedTrackId = id
         preloadedItem = item
         preloadedFilePath = path
+        preloadedStart = start
         itemToTrackId[item] = id
 
         // Insert after current item for gapless playback
@@ -187,6 +213,8 @@ class AudioEngine {
         preloadedTrackId = nil
         currentFilePath = nil
         preloadedFilePath = nil
+        currentStart = 0
+        preloadedStart = 0
         currentDuration = 0
         itemToTrackId.removeAll()
         spectrumAnalyzer.stopAnalysis()
@@ -231,10 +259,12 @@ class AudioEngine {
         currentTrackId = nextId
         currentItem = preloadedItem
         currentFilePath = preloadedFilePath
+        currentStart = preloadedStart
         currentDuration = preloadedDuration
         preloadedItem = nil
         preloadedTrackId = nil
         preloadedFilePath = nil
+        preloadedStart = 0
         preloadedDuration = 0
 
         // Switch analyzer to new file
@@ -299,11 +329,13 @@ class AudioEngine {
             currentTrackId = nextId
             currentItem = preloadedItem
             currentFilePath = preloadedFilePath
+            currentStart = preloadedStart
             // Use stored preloaded duration (more reliable than reading from asset during playback)
             currentDuration = preloadedDuration
             preloadedItem = nil
             preloadedTrackId = nil
             preloadedFilePath = nil
+            preloadedStart = 0
             preloadedDuration = 0
 
             // Switch analyzer to new file
@@ -351,8 +383,8 @@ class AudioEngine {
         let position = player.currentTime().seconds
         let safePosition = position.isNaN ? 0 : position
 
-        // Update spectrum analyzer position (it chases the playback time)
-        spectrumAnalyzer.updatePosition(safePosition)
+        // Update spectrum analyzer position (it chases the playback time in the file)
+        spectrumAnalyzer.updatePosition(safePosition + currentStart)
 
         sendEvent([
             "event": "state",
@@ -385,14 +417,14 @@ func processCommand(_ line: String, engine: AudioEngine) {
     switch cmd {
     case "load":
         if let id = json["id"] as? String, let path = json["path"] as? String {
-            engine.load(id: id, path: path)
+            engine.load(id: id, path: path, start: json["start"] as? Double ?? 0, end: json["end"] as? Double)
         } else {
             sendEvent(["event": "error", "message": "load requires id and path"])
         }
 
     case "preload":
         if let id = json["id"] as? String, let path = json["path"] as? String {
-            engine.preload(id: id, path: path)
+            engine.preload(id: id, path: path, start: json["start"] as? Double ?? 0, end: json["end"] as? Double)
         } else {
             sendEvent(["event": "error", "message": "preload requires id and path"])
         }